@@ -0,0 +1,245 @@
+'use strict';
+
+/**
+ * Compares the cost of giving many cache items an expiration timeout and a refresh interval, and
+ * of resetting their expiration timeouts as if they were read with resetExpiryOnAccess() turned
+ * on, with one native timeout and one native interval per cache item, the way the cache used to,
+ * and with the single scheduler. For each, it reports the native timers created, the heap retained
+ * per cache item, the time spent collecting garbage and the total time.
+ *
+ * Run it with `gulp bench`, which starts Node.js with `--expose-gc` so that the retained heap can
+ * be measured. The time spent collecting garbage is only reported on Node.js 8.5 and later. Timings
+ * and memory vary too much between machines and Node.js versions to fail a build on, so the test
+ * suite only checks that the number of native timers the cache creates does not grow with the
+ * number of cache items (see test/benchmark.spec.js).
+ */
+
+var Scheduler = require('../lib/scheduler.js');
+
+var perfHooks;
+try {
+  perfHooks = require('perf_hooks');
+} catch (error) {
+  perfHooks = null;
+}
+
+
+// The number of cache items, each with an expiration timeout and a refresh interval
+var NUM_KEYS = 100000;
+
+// The number of times each cache item's expiration timeout is reset
+var NUM_ACCESSES = 5;
+
+var noop = function() {};
+
+
+/**
+ * Returns the number of milliseconds since the provided `process.hrtime()` result.
+ *
+ * @param {number[]} start The result of `process.hrtime()` to measure from.
+ * @return {number} The elapsed time, in milliseconds.
+ */
+var since = function(start) {
+  var elapsed = process.hrtime(start);
+  return elapsed[0] * 1e3 + elapsed[1] / 1e6;
+};
+
+
+/**
+ * Returns the size of the heap after collecting garbage, or `null` if garbage collection is not
+ * exposed.
+ *
+ * @return {number|null} The size of the heap, in bytes.
+ */
+var heapUsed = function() {
+  if (typeof global.gc !== 'function') {
+    return null;
+  }
+
+  global.gc();
+  return process.memoryUsage().heapUsed;
+};
+
+
+/**
+ * Creates the timers of every cache item with one native timeout and one native interval each.
+ *
+ * @param {Object} counts The counts of native timer calls to update.
+ * @return {Object[]} The timers of each cache item.
+ */
+var setNativeTimers = function(counts) {
+  var timers = [];
+  for (var i = 0; i < NUM_KEYS; i++) {
+    timers.push({
+      expirationTimeout: setTimeout(noop, 60000),
+      refreshInterval: setInterval(noop, 30000)
+    });
+  }
+
+  counts.created += 2 * NUM_KEYS;
+  return timers;
+};
+
+
+/**
+ * Resets the expiration timeouts of the provided cache items by replacing their native timeouts,
+ * then clears all of their timers.
+ *
+ * @param {Object[]} timers The timers of each cache item.
+ * @param {Object} counts The counts of native timer calls to update.
+ */
+var useNativeTimers = function(timers, counts) {
+  for (var j = 0; j < NUM_ACCESSES; j++) {
+    for (var i = 0; i < NUM_KEYS; i++) {
+      clearTimeout(timers[i].expirationTimeout);
+      timers[i].expirationTimeout = setTimeout(noop, 60000);
+    }
+  }
+
+  timers.forEach(function(timer) {
+    clearTimeout(timer.expirationTimeout);
+    clearInterval(timer.refreshInterval);
+  });
+
+  counts.created += NUM_ACCESSES * NUM_KEYS;
+};
+
+
+/**
+ * Returns a scheduler whose underlying timer is set with the global timers, counting each native
+ * timer it creates.
+ *
+ * @param {Object} counts The counts of native timer calls to update.
+ * @return {Scheduler} The scheduler.
+ */
+var createScheduler = function(counts) {
+  return new Scheduler({
+    now: function() {
+      return Date.now();
+    },
+    setTimeout: function(callback, delay) {
+      counts.created += 1;
+      return setTimeout(callback, delay);
+    },
+    clearTimeout: function(timer) {
+      clearTimeout(timer);
+    }
+  });
+};
+
+
+/**
+ * Creates the timers of every cache item with the provided scheduler.
+ *
+ * @param {Scheduler} scheduler The scheduler.
+ * @return {Object[]} The timers of each cache item.
+ */
+var setSchedulerTimers = function(scheduler) {
+  var timers = [];
+  for (var i = 0; i < NUM_KEYS; i++) {
+    timers.push({
+      expirationTimeout: scheduler.setTimeout(noop, 60000),
+      refreshInterval: scheduler.setInterval(noop, 30000)
+    });
+  }
+
+  return timers;
+};
+
+
+/**
+ * Resets the expiration timeouts of the provided cache items with the provided scheduler, then
+ * clears all of their timers.
+ *
+ * @param {Scheduler} scheduler The scheduler.
+ * @param {Object[]} timers The timers of each cache item.
+ */
+var useSchedulerTimers = function(scheduler, timers) {
+  for (var j = 0; j < NUM_ACCESSES; j++) {
+    for (var i = 0; i < NUM_KEYS; i++) {
+      scheduler.restartTimeout(timers[i].expirationTimeout, 60000);
+    }
+  }
+
+  timers.forEach(function(timer) {
+    scheduler.clearTimeout(timer.expirationTimeout);
+    scheduler.clearInterval(timer.refreshInterval);
+  });
+};
+
+
+/**
+ * Measures one way of keeping the timers of the cache items, then calls back with its results.
+ *
+ * @param {string} name The name to report the results under.
+ * @param {function} setTimers The function which is passed the counts of native timer calls and
+ *     creates the timers of every cache item, returning a value which is passed to `useTimers`.
+ * @param {function} useTimers The function which is passed the result of `setTimers` and the
+ *     counts of native timer calls and resets and clears the timers.
+ * @param {function} callback The function to call once the results are reported.
+ */
+var measure = function(name, setTimers, useTimers, callback) {
+  var counts = { created: 0 };
+  var gcTime = null;
+  var observer = null;
+  var start;
+  var end;
+
+  if (perfHooks !== null && typeof perfHooks.PerformanceObserver === 'function') {
+    gcTime = 0;
+    observer = new perfHooks.PerformanceObserver(function(list) {
+      list.getEntries().forEach(function(entry) {
+        // Skip the collections heapUsed() forces
+        if (entry.startTime >= start && entry.startTime < end) {
+          gcTime += entry.duration;
+        }
+      });
+    });
+    observer.observe({ entryTypes: ['gc'] });
+  }
+
+  var heapBefore = heapUsed();
+
+  var hrStart = process.hrtime();
+  start = (observer === null) ? 0 : perfHooks.performance.now();
+  var timers = setTimers(counts);
+  var setTime = since(hrStart);
+  end = (observer === null) ? 0 : perfHooks.performance.now();
+
+  var heapAfter = heapUsed();
+
+  hrStart = process.hrtime();
+  start = (observer === null) ? 0 : perfHooks.performance.now();
+  useTimers(timers, counts);
+  var totalTime = setTime + since(hrStart);
+  end = (observer === null) ? 0 : perfHooks.performance.now();
+
+  // Garbage collection entries are delivered asynchronously
+  setTimeout(function() {
+    if (observer !== null) {
+      observer.disconnect();
+    }
+
+    process.stdout.write(name + ':\n' +
+      '  native timers created: ' + counts.created + '\n' +
+      '  heap retained per key: ' + ((heapBefore === null) ? 'n/a (run with --expose-gc)' : Math.round((heapAfter - heapBefore) / NUM_KEYS) + ' bytes') + '\n' +
+      '  garbage collection:    ' + ((gcTime === null) ? 'n/a' : gcTime.toFixed(1) + 'ms') + '\n' +
+      '  total time:            ' + totalTime.toFixed(1) + 'ms\n');
+
+    callback();
+  }, 100);
+};
+
+
+process.stdout.write(NUM_KEYS + ' keys, each with an expiration timeout and a refresh interval, ' +
+  'whose expiration timeouts are reset ' + NUM_ACCESSES + ' times\n');
+
+measure('Per-key native timers', setNativeTimers, useNativeTimers, function() {
+  var scheduler;
+  measure('Single scheduler', function(counts) {
+    scheduler = createScheduler(counts);
+    return setSchedulerTimers(scheduler);
+  }, function(timers) {
+    useSchedulerTimers(scheduler, timers);
+  }, noop);
+});
@@ -4,6 +4,7 @@
 /*  REQUIRES  */
 /**************/
 var gulp = require('gulp');
+var childProcess = require('child_process');
 
 // File I/O
 var exit = require('gulp-exit');
@@ -20,11 +21,16 @@ var istanbul = require('gulp-istanbul');
 /****************/
 var paths = {
   js: [
-    'index.js'
+    'index.js',
+    'lib/**/*.js'
   ],
 
   tests: [
-    'test/index.spec.js'
+    'test/**/*.spec.js'
+  ],
+
+  benchmarks: [
+    'benchmark/**/*.js'
   ]
 };
 
@@ -34,7 +40,7 @@ var paths = {
 /***********/
 // Lints the JavaScript files
 gulp.task('lint', function() {
-  var filesToLint = paths.js.concat(paths.tests).concat(['gulpfile.js']);
+  var filesToLint = paths.js.concat(paths.tests).concat(paths.benchmarks).concat(['gulpfile.js']);
   return gulp.src(filesToLint)
     .pipe(eslint())
     .pipe(eslint.format())
@@ -57,6 +63,15 @@ gulp.task('test', function() {
     });
 });
 
+// Runs the benchmarks, with garbage collection exposed so that they can measure the retained heap
+gulp.task('bench', function(done) {
+  childProcess.spawn(process.execPath, ['--expose-gc', 'benchmark/scheduler.js'], {
+    stdio: 'inherit'
+  }).on('exit', function(code) {
+    done((code === 0) ? null : new Error('Benchmark exited with code ' + code));
+  });
+});
+
 // Re-runs the linter every time a JavaScript file changes
 gulp.task('watch', function() {
   gulp.watch(paths.js, ['lint']);
@@ -3,151 +3,2243 @@
 var EventEmitter = require('events').EventEmitter;
 var inherits = require('inherits');
 
+var Scheduler = require('./lib/scheduler');
+var ManualClock = require('./lib/manualClock');
+var FilePersistence = require('./lib/filePersistence');
+var codecs = require('./lib/codecs');
+var stores = require('./lib/stores');
+var Namespace = require('./lib/namespace');
+var prometheus = require('./lib/prometheus');
+var httpCaching = require('./lib/httpCaching');
+var CachedError = require('./lib/cachedError');
+var memoization = require('./lib/memoize');
+var TieredCache = require('./lib/tieredCache');
+var createEvictionPolicy = require('./lib/evictionPolicies').createEvictionPolicy;
 
-function RefreshableCache() {
+
+// Looks up Date.now() on each call so that the clock can be faked after the cache is created
+var defaultClock = {
+  now: function() {
+    return Date.now();
+  }
+};
+
+
+/**
+ * Throws an error if the provided expiration time is specified but is not a positive number.
+ *
+ * @param {number|undefined} duration The expiration time, in milliseconds, to validate.
+ */
+function validateDuration(duration) {
+  if (typeof duration !== 'undefined' && (typeof duration !== 'number' || isNaN(duration) || duration <= 0)) {
+    throw new Error('Expiration time must be a positive number');
+  }
+}
+
+
+/**
+ * Throws an error if the provided refresh interval is specified but is not a positive number.
+ *
+ * @param {number|undefined} refreshInterval The refresh interval, in milliseconds, to validate.
+ */
+function validateRefreshInterval(refreshInterval) {
+  if (typeof refreshInterval !== 'undefined' && (typeof refreshInterval !== 'number' || isNaN(refreshInterval) || refreshInterval <= 0)) {
+    throw new Error('Refresh time must be a positive number');
+  }
+}
+
+
+/**
+ * Throws an error if the provided fresh time is specified but is not a positive number less than
+ * the provided expiration time.
+ *
+ * @param {number|undefined} freshDuration The fresh time, in milliseconds, to validate.
+ * @param {number|undefined} duration The expiration time, in milliseconds, it must be less than.
+ */
+function validateFreshDuration(freshDuration, duration) {
+  if (typeof freshDuration !== 'undefined' && (typeof freshDuration !== 'number' || isNaN(freshDuration) || freshDuration <= 0)) {
+    throw new Error('Fresh time must be a positive number');
+  } else if (typeof freshDuration !== 'undefined' && typeof duration !== 'undefined' && freshDuration >= duration) {
+    throw new Error('Fresh time must be less than the expiration time');
+  }
+}
+
+
+/**
+ * Returns the expiration time computed by the provided TTL function for the provided key and
+ * value, throwing an error if it is not a non-negative number or `null`. A TTL of `Infinity` is
+ * treated as `null`, meaning that the value never expires.
+ *
+ * @param {function} ttlFunction The function which is passed the key and value and returns the TTL.
+ * @param {*} key The key whose TTL to compute.
+ * @param {*} value The value whose TTL to compute.
+ * @return {number|null} The time, in milliseconds, until the value expires, or `null` if it never
+ *     expires. A TTL of `0` means that the value should not be cached.
+ */
+function computeTtl(ttlFunction, key, value) {
+  var ttl = ttlFunction(key, value);
+  if (ttl === null || ttl === Infinity) {
+    return null;
+  } else if (typeof ttl !== 'number' || isNaN(ttl) || ttl < 0) {
+    throw new Error('TTL function must return a non-negative number or null');
+  }
+
+  return ttl;
+}
+
+
+/**
+ * Throws an error if any of the `ttl`, `refreshInterval`, `loader`, `freshTtl` or `tags` write
+ * options is invalid, using the same validation as the corresponding arguments to `put()`. The
+ * `ttl` can also be a function, whose results are validated once it is called.
+ *
+ * @param {Object} writeOptions The write options to validate.
+ */
+function validateWriteOptions(writeOptions) {
+  var isTtlFunction = typeof writeOptions.ttl === 'function';
+  if (!isTtlFunction) {
+    validateDuration(writeOptions.ttl);
+  }
+
+  validateRefreshInterval(writeOptions.refreshInterval);
+
+  if (typeof writeOptions.loader !== 'undefined' && typeof writeOptions.loader !== 'function') {
+    throw new Error('Loader must be a function');
+  }
+
+  validateFreshDuration(writeOptions.freshTtl, isTtlFunction ? undefined : writeOptions.ttl);
+
+  if (typeof writeOptions.tags !== 'undefined' && (!Array.isArray(writeOptions.tags) || writeOptions.tags.some(function(tag) {
+    return typeof tag !== 'string';
+  }))) {
+    throw new Error('Tags must be an array of strings');
+  }
+}
+
+
+/**
+ * Invokes the provided `loader` for the provided `key` and passes its result to the Node-style
+ * `callback`. The loader may return its value synchronously, return a Promise (or any thenable)
+ * which resolves to its value, or accept a second `callback(error, value)` argument.
+ *
+ * The `callback` is invoked at most once.
+ *
+ * @param {function} loader The loader to invoke.
+ * @param {*} key The key whose value to load.
+ * @param {function} callback The callback to pass the loaded value or error to.
+ */
+function invokeLoader(loader, key, callback) {
+  var isDone = false;
+  var done = function(error, value) {
+    if (!isDone) {
+      isDone = true;
+      callback(error, value);
+    }
+  };
+
+  var result;
+  try {
+    if (loader.length >= 2) {
+      loader(key, done);
+      return;
+    }
+
+    result = loader(key);
+  } catch (error) {
+    if (isDone) {
+      // The error was thrown by the callback itself, not by the loader
+      throw error;
+    }
+
+    done(error);
+    return;
+  }
+
+  if (result !== null && (typeof result === 'object' || typeof result === 'function') && typeof result.then === 'function') {
+    result.then(function(value) {
+      done(null, value);
+    }, function(error) {
+      done(error);
+    });
+  } else {
+    done(null, result);
+  }
+}
+
+
+/**
+ * Calls the provided function and returns a Promise which resolves with its result, or is rejected
+ * with the error it throws.
+ *
+ * @param {function} fn The function to call.
+ * @return {Promise<*>} A Promise which resolves with the function's result.
+ */
+function callAsync(fn) {
+  return new Promise(function(resolve) {
+    resolve(fn());
+  });
+}
+
+
+/**
+ * Returns a regular expression which matches the strings matched by the provided glob pattern, in
+ * which `*` matches any number of characters and `?` matches a single character.
+ *
+ * @param {string} glob The glob pattern.
+ * @return {RegExp} The equivalent regular expression.
+ */
+function globToRegExp(glob) {
+  var source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp('^' + source + '$');
+}
+
+
+/**
+ * Parses the provided refresh jitter, which is either a number of milliseconds or a percentage of
+ * the refresh interval, such as `'10%'`.
+ *
+ * @param {number|string} refreshJitter The refresh jitter to parse.
+ * @return {Object|null} The jitter's `milliseconds` or `fraction` of the refresh interval, or `null`
+ *     if it is invalid.
+ */
+function parseRefreshJitter(refreshJitter) {
+  if (typeof refreshJitter === 'number') {
+    return (refreshJitter >= 0 && refreshJitter !== Infinity) ? { milliseconds: refreshJitter } : null;
+  } else if (typeof refreshJitter === 'string' && /^\d+(\.\d+)?%$/.test(refreshJitter)) {
+    var fraction = parseFloat(refreshJitter) / 100;
+    return (fraction <= 1) ? { fraction: fraction } : null;
+  }
+
+  return null;
+}
+
+
+// The defaults for the options which control how failed refreshes are retried and circuit broken
+var DEFAULT_REFRESH_RETRY_DELAY = 1000;
+var DEFAULT_REFRESH_RETRY_JITTER = 0.5;
+var DEFAULT_CIRCUIT_BREAKER_RESET_TIMEOUT = 30000;
+
+// The value returned for a key whose loader recently found nothing, when negative caching is enabled
+var ABSENT = Symbol('RefreshableCache.ABSENT');
+
+
+/**
+ * An in-memory, refreshable cache.
+ *
+ * The `ttl`, `refreshInterval`, `freshTtl` and `tags` options are the defaults for new cache items
+ * which are written without their own. The `loader` and `resetExpiryOnAccess` options are equivalent to
+ * calling `setLoader()` and `resetExpiryOnAccess()`. The `clock` option is an object whose `now()`
+ * method returns the current time, in milliseconds. If the clock also has `setTimeout()` and
+ * `clearTimeout()` methods, all of the cache's timers are set with them instead of the global ones,
+ * which allows a `RefreshableCache.ManualClock` to drive the cache in tests.
+ *
+ * By default, each cache item expires as soon as its expiration time passes. If the `expiry` option
+ * is `'lazy'`, expired cache items are instead only removed when the cache is next accessed, or
+ * every `sweepInterval` milliseconds if that option is provided. Lazy expiry, along with refresh
+ * intervals, does not keep the Node.js process running.
+ *
+ * Cache items are kept in the `store` option, which defaults to a `RefreshableCache.MapStore`.
+ * Any cache items already in the store are adopted by the cache, so that durable stores such as
+ * `RefreshableCache.FileStore` and `RefreshableCache.RedisStore` carry them across restarts. A
+ * `RedisStore` can also be shared with caches in other processes, which read each other's cache
+ * items through it in `getOrLoad()` and stop tracking those which another process changes.
+ *
+ * Keys can be of any type, and two keys refer to the same cache item if they are the same value.
+ * If the `keySerializer` option is provided, two keys instead refer to the same cache item if the
+ * function returns the same value for both, which allows composite keys such as arrays. Cache items
+ * are kept in the store under their serialized keys.
+ *
+ * If the `persistence` option is provided, the cache restores the last snapshot written by that
+ * adapter as soon as it has been read, without overwriting any keys written in the meantime, then
+ * writes a new snapshot every `persistInterval` milliseconds if that option is provided. The
+ * adapter is an object with `read(callback)` and `write(snapshot, callback)` methods, such as a
+ * `RefreshableCache.FilePersistence`.
+ *
+ * The cache can optionally be bounded by the number of items it holds (`maxEntries`) and/or by the
+ * total size of its values (`maxSize`), as measured by the `sizeOf(value, key)` function. Once
+ * a write pushes the cache over a bound, items are evicted according to the `evictionPolicy`, which
+ * is either `'lru'` (the default), `'lfu'`, `'fifo'` or a custom policy object.
+ *
+ * The cache counts its hits, misses, writes, removals and refreshes, as reported by `stats()`,
+ * unless the `stats` option is `false`.
+ *
+ * When a cache item's loader fails to refresh it, the refresh is retried up to `refreshRetries`
+ * times, with a delay which starts at `refreshRetryDelay` milliseconds and doubles with each retry,
+ * up to `refreshRetryMaxDelay`, and which is shortened by a random fraction of up to
+ * `refreshRetryJitter`. Once a cache item's refreshes have failed `maxRefreshFailures` times in a
+ * row, it stops refreshing until it is next written, or expires if the `refreshFailureAction`
+ * option is `'expire'`. Once `circuitBreakerThreshold` refreshes across the cache have failed in a
+ * row, the cache's circuit breaker opens and no refreshes are run for
+ * `circuitBreakerResetTimeout` milliseconds, after which a single trial refresh decides whether it
+ * closes again.
+ *
+ * To keep cache items with the same refresh interval from all refreshing at once, each refresh can
+ * be delayed by a random `refreshJitter`, either a number of milliseconds or a percentage of the
+ * refresh interval such as `'10%'`. If `alignRefreshes` is `true`, refreshes instead happen on the
+ * clock's multiples of each refresh interval, before any jitter. No more than
+ * `maxConcurrentRefreshes` loaders are run at once; further refreshes wait in a queue and are run
+ * in the order they were due.
+ *
+ * If the `negativeTtl` option is provided, a `getOrLoad()` whose loader finds nothing is remembered
+ * for that many milliseconds, so that repeated lookups of missing keys do not rerun the loader.
+ * Likewise, a loader's error is remembered for `errorTtl` milliseconds. No more than
+ * `maxNegativeEntries` missing keys and errors, which defaults to `maxEntries`, are remembered at
+ * once; the oldest are forgotten first.
+ *
+ * @param {Object} [options] Optional settings for the cache.
+ */
+function RefreshableCache(options) {
   EventEmitter.call(this);
 
-  var _cache = Object.create(null);
-  var _resetExpiryOnAccess = false;
+  options = options || {};
+
+  validateWriteOptions(options);
+
+  if (typeof options.resetExpiryOnAccess !== 'undefined' && typeof options.resetExpiryOnAccess !== 'boolean') {
+    throw new Error('Reset expiry on get flag must be a boolean');
+  } else if (typeof options.clock !== 'undefined' && (options.clock === null || typeof options.clock.now !== 'function')) {
+    throw new Error('Clock must have a now() method');
+  } else if (typeof options.clock !== 'undefined' && (typeof options.clock.setTimeout === 'function') !== (typeof options.clock.clearTimeout === 'function')) {
+    throw new Error('Clock must have both setTimeout() and clearTimeout() methods or neither');
+  } else if (typeof options.expiry !== 'undefined' && options.expiry !== 'active' && options.expiry !== 'lazy') {
+    throw new Error('Expiry mode must be "active" or "lazy"');
+  } else if (typeof options.sweepInterval !== 'undefined' && (typeof options.sweepInterval !== 'number' || isNaN(options.sweepInterval) || options.sweepInterval <= 0)) {
+    throw new Error('Sweep interval must be a positive number');
+  } else if (typeof options.sweepInterval !== 'undefined' && options.expiry !== 'lazy') {
+    throw new Error('Sweep interval can only be used with lazy expiry');
+  } else if (typeof options.store !== 'undefined' && (options.store === null || ['get', 'set', 'delete', 'keys', 'clear'].some(function(method) {
+    return typeof options.store[method] !== 'function';
+  }))) {
+    throw new Error('Store must have get(), set(), delete(), keys() and clear() methods');
+  } else if (typeof options.keySerializer !== 'undefined' && typeof options.keySerializer !== 'function') {
+    throw new Error('Key serializer must be a function');
+  } else if (typeof options.stats !== 'undefined' && typeof options.stats !== 'boolean') {
+    throw new Error('Stats flag must be a boolean');
+  } else if (typeof options.refreshRetries !== 'undefined' && (typeof options.refreshRetries !== 'number' || options.refreshRetries % 1 !== 0 || options.refreshRetries < 0)) {
+    throw new Error('Refresh retries must be a non-negative integer');
+  } else if (typeof options.refreshRetryDelay !== 'undefined' && (typeof options.refreshRetryDelay !== 'number' || isNaN(options.refreshRetryDelay) || options.refreshRetryDelay <= 0)) {
+    throw new Error('Refresh retry delay must be a positive number');
+  } else if (typeof options.refreshRetryMaxDelay !== 'undefined' && (typeof options.refreshRetryMaxDelay !== 'number' || isNaN(options.refreshRetryMaxDelay) || options.refreshRetryMaxDelay < (options.refreshRetryDelay || DEFAULT_REFRESH_RETRY_DELAY))) {
+    throw new Error('Refresh retry max delay must be a number no less than the refresh retry delay');
+  } else if (typeof options.refreshRetryJitter !== 'undefined' && (typeof options.refreshRetryJitter !== 'number' || !(options.refreshRetryJitter >= 0 && options.refreshRetryJitter <= 1))) {
+    throw new Error('Refresh retry jitter must be a number between 0 and 1');
+  } else if (typeof options.maxRefreshFailures !== 'undefined' && (typeof options.maxRefreshFailures !== 'number' || options.maxRefreshFailures % 1 !== 0 || options.maxRefreshFailures <= 0)) {
+    throw new Error('Max refresh failures must be a positive integer');
+  } else if (typeof options.refreshFailureAction !== 'undefined' && options.refreshFailureAction !== 'stop' && options.refreshFailureAction !== 'expire') {
+    throw new Error('Refresh failure action must be "stop" or "expire"');
+  } else if (typeof options.refreshFailureAction !== 'undefined' && typeof options.maxRefreshFailures === 'undefined') {
+    throw new Error('Refresh failure action can only be used with max refresh failures');
+  } else if (typeof options.circuitBreakerThreshold !== 'undefined' && (typeof options.circuitBreakerThreshold !== 'number' || options.circuitBreakerThreshold % 1 !== 0 || options.circuitBreakerThreshold <= 0)) {
+    throw new Error('Circuit breaker threshold must be a positive integer');
+  } else if (typeof options.circuitBreakerResetTimeout !== 'undefined' && (typeof options.circuitBreakerResetTimeout !== 'number' || isNaN(options.circuitBreakerResetTimeout) || options.circuitBreakerResetTimeout <= 0)) {
+    throw new Error('Circuit breaker reset timeout must be a positive number');
+  } else if (typeof options.circuitBreakerResetTimeout !== 'undefined' && typeof options.circuitBreakerThreshold === 'undefined') {
+    throw new Error('Circuit breaker reset timeout can only be used with a circuit breaker threshold');
+  } else if (typeof options.refreshJitter !== 'undefined' && parseRefreshJitter(options.refreshJitter) === null) {
+    throw new Error('Refresh jitter must be a non-negative number or a percentage between 0% and 100%');
+  } else if (typeof options.alignRefreshes !== 'undefined' && typeof options.alignRefreshes !== 'boolean') {
+    throw new Error('Align refreshes flag must be a boolean');
+  } else if (typeof options.maxConcurrentRefreshes !== 'undefined' && (typeof options.maxConcurrentRefreshes !== 'number' || options.maxConcurrentRefreshes % 1 !== 0 || options.maxConcurrentRefreshes <= 0)) {
+    throw new Error('Max concurrent refreshes must be a positive integer');
+  } else if (typeof options.negativeTtl !== 'undefined' && (typeof options.negativeTtl !== 'number' || isNaN(options.negativeTtl) || options.negativeTtl <= 0)) {
+    throw new Error('Negative TTL must be a positive number');
+  } else if (typeof options.errorTtl !== 'undefined' && (typeof options.errorTtl !== 'number' || isNaN(options.errorTtl) || options.errorTtl <= 0)) {
+    throw new Error('Error TTL must be a positive number');
+  } else if (typeof options.maxNegativeEntries !== 'undefined' && (typeof options.maxNegativeEntries !== 'number' || options.maxNegativeEntries % 1 !== 0 || options.maxNegativeEntries <= 0)) {
+    throw new Error('Max negative entries must be a positive integer');
+  } else if (typeof options.persistence !== 'undefined' && (options.persistence === null || typeof options.persistence.read !== 'function' || typeof options.persistence.write !== 'function')) {
+    throw new Error('Persistence adapter must have read() and write() methods');
+  } else if (typeof options.persistInterval !== 'undefined' && (typeof options.persistInterval !== 'number' || isNaN(options.persistInterval) || options.persistInterval <= 0)) {
+    throw new Error('Persist interval must be a positive number');
+  } else if (typeof options.persistInterval !== 'undefined' && typeof options.persistence === 'undefined') {
+    throw new Error('Persist interval can only be used with a persistence adapter');
+  } else if (typeof options.maxEntries !== 'undefined' && (typeof options.maxEntries !== 'number' || options.maxEntries % 1 !== 0 || options.maxEntries <= 0)) {
+    throw new Error('Max entries must be a positive integer');
+  } else if (typeof options.maxSize !== 'undefined' && (typeof options.maxSize !== 'number' || isNaN(options.maxSize) || options.maxSize <= 0)) {
+    throw new Error('Max size must be a positive number');
+  } else if (typeof options.maxSize !== 'undefined' && typeof options.sizeOf !== 'function') {
+    throw new Error('Size function must be provided with a max size');
+  }
+
+  var _store = options.store || new stores.MapStore();
+  // Stops tracking the cache items which a store shared with other processes removes
+  var _storeInvalidateListener = null;
+  var _resetExpiryOnAccess = options.resetExpiryOnAccess === true;
+  var _loader = options.loader || null;
+  var _pendingLoads = new Map();
+  var _clock = options.clock || defaultClock;
+  var _isLazyExpiry = options.expiry === 'lazy';
+  var _isDestroyed = false;
+
+  /**
+   * Returns the key under which the provided key's cache item is kept in the store and tracked for
+   * eviction. Without a key serializer, keys are used as they are, so that two keys only refer to
+   * the same cache item if they are the same value.
+   *
+   * @param {*} key The key whose store key to return.
+   * @return {*} The store key.
+   */
+  var toStoreKey = options.keySerializer || function(key) {
+    return key;
+  };
+
+  // All expiration timeouts and refresh intervals share a single underlying timer, which does not
+  // hold the process open when expiry is lazy
+  var _scheduler = new Scheduler(_clock, {
+    unref: _isLazyExpiry
+  });
+
+  var _defaultWriteOptions = {
+    ttl: options.ttl,
+    refreshInterval: options.refreshInterval,
+    freshTtl: options.freshTtl,
+    tags: options.tags
+  };
+
+  var _maxEntries = options.maxEntries;
+  var _maxSize = options.maxSize;
+  var _sizeOf = (typeof _maxSize === 'undefined') ? null : options.sizeOf;
+  var _entryCount = 0;
+  var _totalSize = 0;
+
+  // The store keys of the cache items with each tag
+  var _taggedKeys = new Map();
+
+  var _persistence = options.persistence || null;
+  var _persistInterval = null;
+  var _isSaving = false;
+
+  // The Promises returned by waitFor() which are still waiting for their event
+  var _pendingWaits = [];
+
+  var _isCollectingStats = options.stats !== false;
+  var _stats = null;
+
+  /**
+   * Resets every counter reported by `stats()` to zero.
+   */
+  var resetCounters = function() {
+    _stats = {
+      hits: 0,
+      misses: 0,
+      sets: 0,
+      deletes: 0,
+      expirations: 0,
+      evictions: 0,
+      refreshes: 0,
+      refreshSuccesses: 0,
+      refreshFailures: 0
+    };
+  };
+  resetCounters();
+
+  /**
+   * Increments the provided counter reported by `stats()`, unless stats are disabled.
+   *
+   * @param {string} counter The name of the counter to increment.
+   */
+  var count = function(counter) {
+    if (_isCollectingStats) {
+      _stats[counter] += 1;
+    }
+  };
+
+  var _refreshRetries = options.refreshRetries || 0;
+  var _refreshRetryDelay = options.refreshRetryDelay || DEFAULT_REFRESH_RETRY_DELAY;
+  var _refreshRetryMaxDelay = (typeof options.refreshRetryMaxDelay === 'undefined') ? Infinity : options.refreshRetryMaxDelay;
+  var _refreshRetryJitter = (typeof options.refreshRetryJitter === 'undefined') ? DEFAULT_REFRESH_RETRY_JITTER : options.refreshRetryJitter;
+  var _maxRefreshFailures = options.maxRefreshFailures || Infinity;
+  var _refreshFailureAction = options.refreshFailureAction || 'stop';
+
+  // The circuit breaker is either 'closed', 'open' or 'halfOpen', in which state only a single trial
+  // refresh is run at a time
+  var _circuitBreakerThreshold = options.circuitBreakerThreshold || Infinity;
+  var _circuitBreakerResetTimeout = options.circuitBreakerResetTimeout || DEFAULT_CIRCUIT_BREAKER_RESET_TIMEOUT;
+  var _circuitState = 'closed';
+  var _circuitResetTimeout = null;
+  var _consecutiveRefreshFailures = 0;
+  var _isTrialRefreshRunning = false;
+
+  var _refreshJitter = (typeof options.refreshJitter === 'undefined') ? null : parseRefreshJitter(options.refreshJitter);
+  var _alignRefreshes = options.alignRefreshes === true;
+
+  // The refreshes waiting for one of the running loaders to finish, in the order they were due
+  var _maxConcurrentRefreshes = options.maxConcurrentRefreshes || Infinity;
+  var _runningRefreshCount = 0;
+  var _queuedRefreshes = [];
+
+  // The loads which found nothing or failed, keyed by store key in the order they were remembered,
+  // which are kept apart from the store so that they never count as cache items
+  var _negativeTtl = options.negativeTtl;
+  var _errorTtl = options.errorTtl;
+  var _maxNegativeEntries = (typeof options.maxNegativeEntries === 'undefined') ? options.maxEntries : options.maxNegativeEntries;
+  var _negativeEntries = new Map();
+
+  // Only track usage for eviction if the cache is bounded
+  var _evictionPolicy = null;
+  if (typeof _maxEntries !== 'undefined' || typeof _maxSize !== 'undefined') {
+    _evictionPolicy = createEvictionPolicy(options.evictionPolicy || 'lru');
+  }
+
+
+  /**
+   * Returns a copy of the provided write options with the cache's defaults filled in for new cache
+   * items, throwing an error if any of the resulting options is invalid.
+   *
+   * @param {Object} writeOptions The `ttl`, `refreshInterval`, `loader`, `freshTtl` and `tags` write options.
+   * @param {boolean} isNewRecord Whether or not the options are for a key which is not in the cache.
+   * @return {Object} The write options to use.
+   */
+  var resolveWriteOptions = function(writeOptions, isNewRecord) {
+    var resolvedOptions = {
+      ttl: writeOptions.ttl,
+      refreshInterval: writeOptions.refreshInterval,
+      loader: writeOptions.loader,
+      freshTtl: writeOptions.freshTtl,
+      tags: writeOptions.tags
+    };
+
+    if (isNewRecord) {
+      Object.keys(_defaultWriteOptions).forEach(function(name) {
+        if (typeof resolvedOptions[name] === 'undefined') {
+          resolvedOptions[name] = _defaultWriteOptions[name];
+        }
+      });
+    }
+
+    validateWriteOptions(resolvedOptions);
+
+    return resolvedOptions;
+  };
+
+
+  /**
+   * Removes the provided cache item from the sets of keys with each of its tags.
+   *
+   * @param {Object} record The cache item to untag.
+   */
+  var untagRecord = function(record) {
+    if (typeof record.tags === 'undefined') {
+      return;
+    }
+
+    var storeKey = toStoreKey(record.key);
+    record.tags.forEach(function(tag) {
+      var storeKeys = _taggedKeys.get(tag);
+      if (typeof storeKeys !== 'undefined') {
+        storeKeys.delete(storeKey);
+        if (storeKeys.size === 0) {
+          _taggedKeys.delete(tag);
+        }
+      }
+    });
+  };
+
+
+  /**
+   * Replaces the tags of the provided cache item with the provided tags.
+   *
+   * @param {Object} record The cache item to tag.
+   * @param {string[]} tags The cache item's new tags.
+   */
+  var tagRecord = function(record, tags) {
+    untagRecord(record);
+
+    var storeKey = toStoreKey(record.key);
+    record.tags = tags.slice();
+    record.tags.forEach(function(tag) {
+      var storeKeys = _taggedKeys.get(tag);
+      if (typeof storeKeys === 'undefined') {
+        storeKeys = new Set();
+        _taggedKeys.set(tag, storeKeys);
+      }
+      storeKeys.add(storeKey);
+    });
+  };
+
+
+  /**
+   * Cancels the timers of the provided cache item and stops tracking it, once it is no longer in
+   * the store.
+   *
+   * @param {*} storeKey The key under which the cache item was in the store.
+   * @param {Object} record The cache item.
+   */
+  var releaseRecord = function(storeKey, record) {
+    _scheduler.clearTimeout(record.expirationTimeout);
+    _scheduler.clearInterval(record.refreshInterval);
+    _scheduler.clearTimeout(record.refreshRetryTimeout);
+    untagRecord(record);
+
+    _entryCount--;
+    _totalSize -= record.size || 0;
+    if (_evictionPolicy !== null) {
+      _evictionPolicy.remove(storeKey);
+    }
+  };
+
+
+  /**
+   * Removes the cache item corresponding to the provided key, cancelling its timers.
+   *
+   * @param {*} key The key to remove.
+   * @return {boolean} Whether or not the key was removed from the cache.
+   */
+  var removeRecord = function(key) {
+    var storeKey = toStoreKey(key);
+    var oldRecord = _store.get(storeKey);
+    if (typeof oldRecord === 'undefined') {
+      return false;
+    }
+
+    _store.delete(storeKey);
+    releaseRecord(storeKey, oldRecord);
+    return true;
+  };
+
+
+  /**
+   * Emits an `'expiry'` event for the provided cache item, removes it and then emits a `'delete'`
+   * event for it.
+   *
+   * @param {RefreshableCache} self The cache which owns the cache item.
+   * @param {*} key The key which expired.
+   * @param {Object} record The cache item which expired.
+   */
+  var expireRecord = function(self, key, record) {
+    self.emit('expiry', key, record.value);
+    removeRecord(key);
+    count('expirations');
+    self.emit('delete', record.key, record.value, 'expiry');
+  };
+
+
+  /**
+   * Returns the cache item for the provided key, without any side effects. If expiry is lazy and
+   * the cache item has expired but not yet been removed, `undefined` is returned instead.
+   *
+   * @param {*} key The key whose cache item to return.
+   * @return {Object|undefined} The cache item, or `undefined` if the key is not in the cache.
+   */
+  var peekRecord = function(key) {
+    var record = _store.get(toStoreKey(key));
+    if (_isLazyExpiry && typeof record !== 'undefined' && _clock.now() >= record.expiresAt) {
+      return undefined;
+    }
+
+    return record;
+  };
+
+
+  /**
+   * Returns the cache item for the provided key. If expiry is lazy and the cache item has expired,
+   * it is expired now and `undefined` is returned instead.
+   *
+   * @param {RefreshableCache} self The cache which owns the cache item.
+   * @param {*} key The key whose cache item to return.
+   * @return {Object|undefined} The cache item, or `undefined` if the key is not in the cache.
+   */
+  var getLiveRecord = function(self, key) {
+    var record = _store.get(toStoreKey(key));
+    if (_isLazyExpiry && typeof record !== 'undefined' && _clock.now() >= record.expiresAt) {
+      expireRecord(self, key, record);
+      return undefined;
+    }
+
+    return record;
+  };
+
+
+  /**
+   * Expires all cache items whose expiration time has passed. Only needed when expiry is lazy.
+   *
+   * @param {RefreshableCache} self The cache to expire cache items from.
+   */
+  var expireRecords = function(self) {
+    var now = _clock.now();
+    _scheduler.batch(function() {
+      _store.keys().forEach(function(key) {
+        var record = _store.get(key);
+
+        // Earlier 'expiry' event listeners may have removed later cache items
+        if (typeof record !== 'undefined' && now >= record.expiresAt) {
+          expireRecord(self, record.key, record);
+        }
+      });
+    });
+  };
+
+
+  /**
+   * Restarts the expiration timeout of the provided cache item, after which an `'expiry'` event is
+   * emitted and the cache item is removed. If expiry is lazy, only the expiration time is updated.
+   *
+   * @param {RefreshableCache} self The cache which owns the cache item.
+   * @param {*} key The key whose expiration timeout to restart.
+   * @param {Object} record The cache item whose expiration timeout to restart.
+   * @param {number} [delay] Optional time, in milliseconds, until the cache item expires. Defaults to its expiration time.
+   */
+  var restartExpirationTimeout = function(self, key, record, delay) {
+    if (typeof delay === 'undefined') {
+      delay = record.duration;
+    }
+
+    record.expiresAt = _clock.now() + delay;
+
+    if (_isLazyExpiry) {
+      return;
+    }
+
+    if (typeof record.expirationTimeout === 'undefined') {
+      record.expirationTimeout = _scheduler.setTimeout(function() {
+        expireRecord(self, key, record);
+      }, delay);
+    } else {
+      _scheduler.restartTimeout(record.expirationTimeout, delay);
+    }
+  };
+
+
+  /**
+   * Cancels the expiration timeout of the provided cache item, so that it never expires.
+   *
+   * @param {Object} record The cache item whose expiration timeout to cancel.
+   */
+  var cancelExpirationTimeout = function(record) {
+    _scheduler.clearTimeout(record.expirationTimeout);
+    delete record.expirationTimeout;
+    delete record.expiresAt;
+    delete record.duration;
+  };
+
+  // In lazy mode, optionally sweep expired cache items on an interval in addition to on access
+  var _sweepInterval = null;
+  if (typeof options.sweepInterval !== 'undefined') {
+    _sweepInterval = _scheduler.setInterval(expireRecords.bind(null, this), options.sweepInterval);
+  }
+
+
+  /**
+   * Writes the provided `value` into the provided cache item, making the cache item fresh again if
+   * it has a fresh time.
+   *
+   * @param {Object} record The cache item to write to.
+   * @param {*} value The value to write.
+   */
+  var writeValue = function(record, value) {
+    record.value = value;
+    record.updatedAt = _clock.now();
+    record.isRevalidating = false;
+
+    if (_sizeOf !== null) {
+      var size = _sizeOf(value, record.key);
+      _totalSize += size - (record.size || 0);
+      record.size = size;
+    }
+
+    if (typeof record.freshDuration !== 'undefined') {
+      record.staleAt = _clock.now() + record.freshDuration;
+    }
+  };
+
+
+  /**
+   * Evicts cache items, as chosen by the eviction policy, until the cache is back within its
+   * bounds. An `'evict'` event is emitted for each evicted cache item after it is removed, along
+   * with the bound which caused its eviction: `'maxEntries'` or `'maxSize'`, followed by a
+   * `'delete'` event. Throws an error if the eviction policy chooses a key which is not in the cache.
+   *
+   * @param {RefreshableCache} self The cache to evict cache items from.
+   */
+  var evictIfNeeded = function(self) {
+    if (_evictionPolicy === null) {
+      return;
+    }
+
+    while (_entryCount > _maxEntries || _totalSize > _maxSize) {
+      var reason = (_entryCount > _maxEntries) ? 'maxEntries' : 'maxSize';
+      var record = _store.get(_evictionPolicy.victim());
+      if (typeof record === 'undefined') {
+        // Rather than failing with a TypeError below
+        throw new Error('Eviction policy must return a key in the cache from victim()');
+      }
+
+      removeRecord(record.key);
+      count('evictions');
+      self.emit('evict', record.key, record.value, reason);
+      self.emit('delete', record.key, record.value, 'eviction');
+    }
+  };
+
+
+  /**
+   * Moves the cache's circuit breaker to the provided state, emitting a `'circuitOpen'`,
+   * `'circuitHalfOpen'` or `'circuitClose'` event. Once the circuit breaker opens, it moves to the
+   * half-open state after the reset timeout.
+   *
+   * @param {RefreshableCache} self The cache whose circuit breaker to move.
+   * @param {string} state The new state: `'closed'`, `'open'` or `'halfOpen'`.
+   * @param {Error} [error] The refresh error which opened the circuit breaker, if any.
+   */
+  var setCircuitState = function(self, state, error) {
+    _circuitState = state;
+    _scheduler.clearTimeout(_circuitResetTimeout);
+    _circuitResetTimeout = null;
+
+    if (state === 'open') {
+      _circuitResetTimeout = _scheduler.setTimeout(function() {
+        setCircuitState(self, 'halfOpen');
+      }, _circuitBreakerResetTimeout);
+      self.emit('circuitOpen', error);
+    } else if (state === 'halfOpen') {
+      self.emit('circuitHalfOpen');
+    } else {
+      self.emit('circuitClose');
+    }
+  };
+
+
+  /**
+   * Clears the refresh failures of the provided cache item, cancelling any pending retry and
+   * resuming its refreshes if they were stopped.
+   *
+   * @param {Object} record The cache item whose refresh failures to clear.
+   */
+  var resetRefreshFailures = function(record) {
+    if (typeof record.refreshRetryTimeout !== 'undefined') {
+      _scheduler.clearTimeout(record.refreshRetryTimeout);
+      delete record.refreshRetryTimeout;
+      record.isRefreshing = false;
+    }
+
+    delete record.refreshFailures;
+    delete record.refreshRetries;
+    delete record.isRefreshStopped;
+  };
+
+
+  /**
+   * Counts a failed refresh of the provided cache item, opening the circuit breaker if there have
+   * been too many failures in a row across the cache. Once the cache item's refreshes have failed
+   * too many times in a row, a `'refreshStop'` event is emitted and the cache item either stops
+   * refreshing or expires. Otherwise, while the circuit breaker is closed and the cache item has
+   * retries left, returns the exponentially growing delay after which to retry the refresh.
+   *
+   * @param {RefreshableCache} self The cache which owns the cache item.
+   * @param {*} key The key whose refresh failed.
+   * @param {Object} record The cache item whose refresh failed.
+   * @param {Error} error The loader's error.
+   * @return {number|null} The time, in milliseconds, after which to retry the refresh, or `null` if
+   *     it should not be retried.
+   */
+  var handleRefreshFailure = function(self, key, record, error) {
+    _consecutiveRefreshFailures += 1;
+    if (_circuitState === 'halfOpen' || (_circuitState === 'closed' && _consecutiveRefreshFailures >= _circuitBreakerThreshold)) {
+      setCircuitState(self, 'open', error);
+    }
+
+    record.refreshFailures = (record.refreshFailures || 0) + 1;
+    if (record.refreshFailures >= _maxRefreshFailures) {
+      resetRefreshFailures(record);
+      record.isRefreshStopped = true;
+
+      self.emit('refreshStop', key, error);
+      if (_refreshFailureAction === 'expire') {
+        expireRecord(self, key, record);
+      }
+      return null;
+    }
+
+    record.refreshRetries = record.refreshRetries || 0;
+    if (record.refreshRetries >= _refreshRetries || _circuitState !== 'closed') {
+      delete record.refreshRetries;
+      return null;
+    }
+
+    record.refreshRetries += 1;
+    var delay = Math.min(_refreshRetryDelay * Math.pow(2, record.refreshRetries - 1), _refreshRetryMaxDelay);
+    return delay * (1 - _refreshRetryJitter * Math.random());
+  };
+
+
+  /**
+   * Runs the loader for the provided `key`, writing its result back into the cache item without
+   * touching the item's expiry, unless the refresh is revalidating a stale value or the cache item
+   * has a TTL function, which computes the refreshed value's expiry. A `'refreshed'`
+   * event is emitted on success; a `'refreshError'` event is emitted on failure, in which case the
+   * existing value is kept. A failed refresh may then be retried, which is announced with a
+   * `'refreshRetry'` event; the cache item counts as refreshing while it waits to be retried.
+   *
+   * A cache item only has a single refresh in flight at a time. The result of a refresh is
+   * discarded if the cache item was deleted or written to while the loader was running. No loaders
+   * are run while the circuit breaker is open, and only one is run at a time while it is half-open.
+   * Once the maximum number of loaders are running, the refresh is queued until one of them
+   * finishes; the cache item counts as refreshing while it is queued.
+   *
+   * @param {RefreshableCache} self The cache which owns the cache item.
+   * @param {*} key The key whose value to refresh.
+   * @param {Object} record The cache item to refresh.
+   * @param {boolean} isRevalidation Whether or not the refresh was triggered by reading a stale value.
+   */
+  var refreshRecord = function(self, key, record, isRevalidation) {
+    var loader = record.loader || _loader;
+    if (!loader || record.isRefreshing || record.isRefreshStopped) {
+      return;
+    }
+
+    if (_circuitState === 'open' || (_circuitState === 'halfOpen' && _isTrialRefreshRunning)) {
+      // Skipped refreshes neither count as failures nor are retried
+      record.isRevalidating = false;
+      delete record.refreshRetries;
+      return;
+    }
+
+    record.isRefreshing = true;
+
+    if (_runningRefreshCount >= _maxConcurrentRefreshes) {
+      _queuedRefreshes.push({
+        key: key,
+        record: record,
+        isRevalidation: isRevalidation
+      });
+      return;
+    }
+
+    var isTrialRefresh = _circuitState === 'halfOpen';
+    _isTrialRefreshRunning = isTrialRefresh;
+
+    _runningRefreshCount += 1;
+    var version = record.version;
+
+    invokeLoader(loader, key, function(error, value) {
+      var ttl;
+
+      record.isRefreshing = false;
+      if (isTrialRefresh) {
+        _isTrialRefreshRunning = false;
+      }
+
+      // Start the next queued refresh whose cache item is still in the cache, if any
+      _runningRefreshCount -= 1;
+      while (_queuedRefreshes.length !== 0 && _runningRefreshCount < _maxConcurrentRefreshes) {
+        var queuedRefresh = _queuedRefreshes.shift();
+        queuedRefresh.record.isRefreshing = false;
+        if (_store.get(toStoreKey(queuedRefresh.key)) === queuedRefresh.record) {
+          refreshRecord(self, queuedRefresh.key, queuedRefresh.record, queuedRefresh.isRevalidation);
+        }
+      }
+
+      if (_store.get(toStoreKey(key)) !== record || record.version !== version) {
+        return;
+      }
+
+      // A TTL function which fails counts as a failed refresh
+      if (!error && typeof record.ttlFunction !== 'undefined') {
+        try {
+          ttl = computeTtl(record.ttlFunction, key, value);
+        } catch (ttlError) {
+          error = ttlError;
+        }
+      }
+
+      if (error) {
+        record.isRevalidating = false;
+        count('refreshFailures');
+        self.emit('refreshError', key, error);
+
+        var retryDelay = handleRefreshFailure(self, key, record, error);
+        if (retryDelay !== null) {
+          record.isRefreshing = true;
+          record.refreshRetryTimeout = _scheduler.setTimeout(function() {
+            delete record.refreshRetryTimeout;
+            record.isRefreshing = false;
+            refreshRecord(self, key, record, isRevalidation);
+          }, retryDelay);
+
+          self.emit('refreshRetry', key, record.refreshRetries, retryDelay);
+        }
+      } else {
+        _consecutiveRefreshFailures = 0;
+        if (_circuitState === 'halfOpen') {
+          setCircuitState(self, 'closed');
+        }
+
+        resetRefreshFailures(record);
+        count('refreshSuccesses');
+
+        // A value which should not be cached expires the cache item
+        if (ttl === 0) {
+          expireRecord(self, key, record);
+          return;
+        }
+
+        var oldValue = record.value;
+        writeValue(record, value);
+
+        if (ttl === null) {
+          cancelExpirationTimeout(record);
+        } else if (typeof ttl !== 'undefined') {
+          record.duration = ttl;
+          restartExpirationTimeout(self, key, record);
+        } else if (isRevalidation && typeof record.duration !== 'undefined') {
+          restartExpirationTimeout(self, key, record);
+        }
+
+        _store.set(toStoreKey(key), record);
+
+        self.emit('update', key, value, oldValue);
+        self.emit('refreshed', key, value);
+
+        // The refreshed value may be larger than the previous one
+        evictIfNeeded(self);
+      }
+    });
+  };
+
+
+  /**
+   * Returns the time at which the refresh after the provided one is due, before any jitter: a
+   * refresh interval later, or the clock's next multiple of the refresh interval if refreshes are
+   * aligned.
+   *
+   * @param {number} refreshInterval The time, in milliseconds, between refreshes.
+   * @param {number} lastRefreshAt The time, in milliseconds, at which the previous refresh was due,
+   *     before any jitter, or at which the refresh interval started.
+   * @return {number} The time, in milliseconds, at which the next refresh is due.
+   */
+  var getNextRefreshTime = function(refreshInterval, lastRefreshAt) {
+    if (!_alignRefreshes) {
+      return lastRefreshAt + refreshInterval;
+    }
+
+    var now = _clock.now();
+    return now - (now % refreshInterval) + refreshInterval;
+  };
+
+
+  /**
+   * Returns a random delay of up to the refresh jitter for a refresh of a cache item with the
+   * provided refresh interval.
+   *
+   * @param {number} refreshInterval The time, in milliseconds, between refreshes.
+   * @return {number} The time, in milliseconds, by which to delay the refresh.
+   */
+  var getRefreshJitter = function(refreshInterval) {
+    if (_refreshJitter === null) {
+      return 0;
+    }
+
+    var maxJitter = (typeof _refreshJitter.fraction === 'undefined') ? _refreshJitter.milliseconds : refreshInterval * _refreshJitter.fraction;
+    return Math.floor(maxJitter * Math.random());
+  };
+
+
+  /**
+   * Starts a new refresh interval for the provided cache item, replacing its existing one, after
+   * each of which a `'refresh'` event is emitted and the cache item's loader, if any, is run.
+   *
+   * @param {RefreshableCache} self The cache which owns the cache item.
+   * @param {*} key The key whose refresh interval to start.
+   * @param {Object} record The cache item whose refresh interval to start.
+   * @param {number} refreshInterval The time, in milliseconds, between refreshes.
+   */
+  var startRefreshInterval = function(self, key, record, refreshInterval) {
+    _scheduler.clearInterval(record.refreshInterval);
+
+    var refresh = function() {
+      // With lazy expiry, a cache item may have expired without being removed yet
+      if (typeof getLiveRecord(self, key) !== 'undefined' && !record.isRefreshStopped) {
+        count('refreshes');
+        self.emit('refresh', key, record.value);
+        refreshRecord(self, key, record, false);
+      }
+    };
+
+    record.refreshIntervalDuration = refreshInterval;
+    if (_refreshJitter === null && !_alignRefreshes) {
+      record.refreshInterval = _scheduler.setInterval(refresh, refreshInterval);
+      return;
+    }
+
+    // Jittered and aligned refreshes are each scheduled once the previous one is due, reusing the
+    // same timeout so that it can be cancelled like an interval. Each one is jittered from when it
+    // would be due without jitter, rather than from the previous jittered refresh, so that jitter
+    // only shifts refreshes rather than making them less frequent.
+    var refreshAt = _clock.now();
+    var refreshDueAt;
+    var scheduleNextRefresh = function() {
+      refreshAt = getNextRefreshTime(refreshInterval, refreshAt);
+      refreshDueAt = refreshAt + getRefreshJitter(refreshInterval);
+      return Math.max(refreshDueAt - _clock.now(), 1);
+    };
+
+    record.refreshInterval = _scheduler.setTimeout(function() {
+      // A late refresh, such as after the process was busy, delays the following ones rather than
+      // having them run back to back to catch up
+      refreshAt += _clock.now() - refreshDueAt;
+      _scheduler.restartTimeout(record.refreshInterval, scheduleNextRefresh());
+      refresh();
+    }, scheduleNextRefresh());
+  };
+
+
+  /**
+   * Remembers the provided negative value for the provided key, which is either `ABSENT` or a
+   * `CachedError`, until the provided `ttl` passes. At that time, a `'negativeExpiry'` event is
+   * emitted for the key. If the cache then remembers more than `maxNegativeEntries` negative values,
+   * the oldest are forgotten.
+   *
+   * @param {RefreshableCache} self The cache which owns the negative entry.
+   * @param {*} key The key whose load found nothing or failed.
+   * @param {symbol|CachedError} value The negative value.
+   * @param {number} ttl The time, in milliseconds, for which to remember the negative value.
+   */
+  var cacheNegativeEntry = function(self, key, value, ttl) {
+    var storeKey = toStoreKey(key);
+    var entry = {
+      key: key,
+      value: value
+    };
+
+    entry.timeout = _scheduler.setTimeout(function() {
+      if (_negativeEntries.get(storeKey) === entry) {
+        _negativeEntries.delete(storeKey);
+        self.emit('negativeExpiry', key, value);
+      }
+    }, ttl);
+
+    var oldEntry = _negativeEntries.get(storeKey);
+    if (typeof oldEntry !== 'undefined') {
+      _scheduler.clearTimeout(oldEntry.timeout);
+      // Move the key to the end of the order in which negative values are forgotten
+      _negativeEntries.delete(storeKey);
+    }
+    _negativeEntries.set(storeKey, entry);
+
+    while (_negativeEntries.size > _maxNegativeEntries) {
+      var oldestEntry = _negativeEntries.values().next().value;
+      _scheduler.clearTimeout(oldestEntry.timeout);
+      _negativeEntries.delete(_negativeEntries.keys().next().value);
+    }
+  };
+
+
+  /**
+   * Forgets the negative value of the provided key, if any, without emitting a `'negativeExpiry'`
+   * event.
+   *
+   * @param {*} key The key whose negative value to forget.
+   * @return {boolean} Whether or not the key had a negative value.
+   */
+  var forgetNegativeEntry = function(key) {
+    var storeKey = toStoreKey(key);
+    var entry = _negativeEntries.get(storeKey);
+    if (typeof entry === 'undefined') {
+      return false;
+    }
+
+    _scheduler.clearTimeout(entry.timeout);
+    _negativeEntries.delete(storeKey);
+    return true;
+  };
+
+
+  /**
+   * Writes the provided `value` and write options into the cache item for the provided key, adding
+   * the cache item if it is not in the cache, then evicts cache items if the cache is over one of
+   * its bounds. Options which are `undefined` leave an existing cache item's setting unchanged.
+   *
+   * Once the value is written, a `'set'` event is emitted if the key was not in the cache, or an
+   * `'update'` event with the previous value if it was, before any cache items are evicted.
+   *
+   * If the `ttl` is a function, or the existing cache item has one and no new `ttl` is provided, it
+   * is called with the key and the new value to compute the expiration time. A computed expiration
+   * time of `0` means the value is not cached, so the existing cache item, if any, expires instead.
+   *
+   * Any negative value of the key is forgotten.
+   *
+   * @param {RefreshableCache} self The cache to write to.
+   * @param {*} key The key whose value to write.
+   * @param {Object|undefined} oldRecord The key's existing cache item, if any.
+   * @param {*} value The value to write.
+   * @param {Object} writeOptions The validated `ttl`, `refreshInterval`, `loader`, `freshTtl` and `tags` write options.
+   * @param {Object} [replacedRecord] The key's cache item which was removed so that it could be
+   *     replaced with a new one, if any.
+   */
+  var writeRecord = function(self, key, oldRecord, value, writeOptions, replacedRecord) {
+    forgetNegativeEntry(key);
+
+    var ttlFunction = (typeof writeOptions.ttl === 'function') ? writeOptions.ttl : undefined;
+    if (typeof writeOptions.ttl === 'undefined' && typeof oldRecord !== 'undefined') {
+      ttlFunction = oldRecord.ttlFunction;
+    }
+
+    var ttl = writeOptions.ttl;
+    if (typeof ttlFunction !== 'undefined') {
+      ttl = computeTtl(ttlFunction, key, value);
+      if (ttl === 0) {
+        if (typeof oldRecord !== 'undefined') {
+          expireRecord(self, key, oldRecord);
+        }
+        return;
+      }
+    }
+
+    var previousRecord = oldRecord || replacedRecord;
+    var previousValue = (typeof previousRecord === 'undefined') ? undefined : previousRecord.value;
+
+    // Copy the existing record's timeout and interval onto the new record; just update the record's value
+    var newRecord = oldRecord || {
+      key: key,
+      version: 0,
+      createdAt: _clock.now(),
+      lastAccessedAt: null
+    };
+    newRecord.version++;
+    resetRefreshFailures(newRecord);
+
+    if (typeof writeOptions.loader !== 'undefined') {
+      newRecord.loader = writeOptions.loader;
+    }
+
+    if (typeof writeOptions.freshTtl !== 'undefined') {
+      newRecord.freshDuration = writeOptions.freshTtl;
+    }
+
+    writeValue(newRecord, value);
+
+    if (typeof ttlFunction === 'undefined') {
+      delete newRecord.ttlFunction;
+    } else {
+      newRecord.ttlFunction = ttlFunction;
+    }
+
+    if (ttl === null) {
+      cancelExpirationTimeout(newRecord);
+    } else if (typeof ttl !== 'undefined') {
+      newRecord.duration = ttl;
+      restartExpirationTimeout(self, key, newRecord);
+    }
+
+    if (typeof writeOptions.refreshInterval !== 'undefined') {
+      startRefreshInterval(self, key, newRecord, writeOptions.refreshInterval);
+    }
+
+    if (typeof writeOptions.tags !== 'undefined') {
+      tagRecord(newRecord, writeOptions.tags);
+    }
+
+    _store.set(toStoreKey(key), newRecord);
+
+    if (typeof oldRecord === 'undefined') {
+      _entryCount++;
+      if (_evictionPolicy !== null) {
+        _evictionPolicy.add(toStoreKey(key));
+      }
+    } else if (_evictionPolicy !== null) {
+      _evictionPolicy.access(toStoreKey(key));
+    }
+    count('sets');
+
+    if (typeof previousRecord === 'undefined') {
+      self.emit('set', key, value);
+    } else {
+      self.emit('update', key, value, previousValue);
+    }
+
+    evictIfNeeded(self);
+  };
+
+
+  /**
+   * Starts tracking the provided cache item, which something other than the cache put in the store,
+   * such as a durable store which read it from disk, and restarts its timers. A cache item which
+   * has expired is removed from the store instead. The caller must evict cache items afterwards if
+   * the cache is over one of its bounds.
+   *
+   * @param {RefreshableCache} self The cache which adopts the cache item.
+   * @param {*} storeKey The key under which the cache item is in the store.
+   * @param {Object} record The cache item.
+   */
+  var adoptRecord = function(self, storeKey, record) {
+    var now = _clock.now();
+    if (typeof record.expiresAt !== 'undefined' && now >= record.expiresAt) {
+      _store.delete(storeKey);
+      return;
+    }
+
+    // Durable stores cannot know which key serializer the cache items were written with, so move
+    // any cache item which is not under its serialized key
+    var serializedKey = toStoreKey(record.key);
+    if (serializedKey !== storeKey) {
+      _store.delete(storeKey);
+      _store.set(serializedKey, record);
+    }
+
+    record.version = 0;
+    delete record.expirationTimeout;
+    delete record.refreshInterval;
+
+    // A cache item which was waiting to retry a failed refresh is no longer refreshing
+    if (typeof record.refreshRetryTimeout !== 'undefined') {
+      delete record.refreshRetryTimeout;
+      record.isRefreshing = false;
+    }
+
+    if (typeof record.duration !== 'undefined') {
+      restartExpirationTimeout(self, record.key, record, record.expiresAt - now);
+    }
+
+    if (typeof record.refreshIntervalDuration !== 'undefined') {
+      startRefreshInterval(self, record.key, record, record.refreshIntervalDuration);
+    }
+
+    if (_sizeOf !== null) {
+      record.size = _sizeOf(record.value, record.key);
+      _totalSize += record.size;
+    }
+
+    if (typeof record.tags !== 'undefined') {
+      tagRecord(record, record.tags);
+    }
+
+    _entryCount++;
+    if (_evictionPolicy !== null) {
+      _evictionPolicy.add(serializedKey);
+    }
+  };
+
+
+  /**
+   * Forgets any negative value of the provided key, which another process changed or deleted, and
+   * stops tracking its cache item, if the store had one and removed it, then emits a `'delete'`
+   * event for it with the reason `'invalidation'`. Every negative value is forgotten if the key is
+   * `null`, since another process deleted every key.
+   *
+   * @param {RefreshableCache} self The cache which owns the cache item.
+   * @param {*} storeKey The key under which the cache item was in the store, or `null`.
+   * @param {Object} [record] The cache item, if the store had one.
+   */
+  var invalidateRecord = function(self, storeKey, record) {
+    if (storeKey === null) {
+      _scheduler.batch(function() {
+        _negativeEntries.forEach(function(negativeEntry) {
+          _scheduler.clearTimeout(negativeEntry.timeout);
+        });
+      });
+      _negativeEntries.clear();
+    } else if (_negativeEntries.has(storeKey)) {
+      _scheduler.clearTimeout(_negativeEntries.get(storeKey).timeout);
+      _negativeEntries.delete(storeKey);
+    }
+
+    if (typeof record !== 'undefined') {
+      releaseRecord(storeKey, record);
+      self.emit('delete', record.key, record.value, 'invalidation');
+    }
+  };
+
+
+  /**
+   * Cancels the timers of every cache item and stops tracking them, without removing them from the
+   * store. Negative values are forgotten.
+   */
+  var forgetRecords = function() {
+    _scheduler.batch(function() {
+      _store.keys().forEach(function(key) {
+        var oldRecord = _store.get(key);
+        _scheduler.clearTimeout(oldRecord.expirationTimeout);
+        _scheduler.clearInterval(oldRecord.refreshInterval);
+        _scheduler.clearTimeout(oldRecord.refreshRetryTimeout);
+      });
+
+      _negativeEntries.forEach(function(entry) {
+        _scheduler.clearTimeout(entry.timeout);
+      });
+    });
+    _negativeEntries.clear();
+
+    _entryCount = 0;
+    _totalSize = 0;
+    _taggedKeys.clear();
+    if (_evictionPolicy !== null) {
+      _evictionPolicy.clear();
+    }
+  };
+
+
+  /**
+   * Returns an iterator over the cache items in the cache when it is created, without any side
+   * effects. Cache items which are removed or expire before they are reached are skipped.
+   *
+   * @param {function} toValue The function which is passed each cache item and returns the value
+   *     the iterator produces for it.
+   * @return {Object} The iterator.
+   */
+  var iterateRecords = function(toValue) {
+    var storeKeys = _store.keys();
+    var index = 0;
+
+    var iterator = {
+      next: function() {
+        while (index < storeKeys.length) {
+          var record = _store.get(storeKeys[index]);
+          index += 1;
+
+          if (typeof record !== 'undefined' && !(_isLazyExpiry && _clock.now() >= record.expiresAt)) {
+            return {
+              value: toValue(record),
+              done: false
+            };
+          }
+        }
+
+        return {
+          value: undefined,
+          done: true
+        };
+      }
+    };
+
+    iterator[Symbol.iterator] = function() {
+      return iterator;
+    };
+
+    return iterator;
+  };
+
+
+  /**
+   * Writes the entries of the provided snapshot, as returned by `dump()`, into the cache. The
+   * remaining time of each entry's expiry is reduced by the time which has passed since the snapshot
+   * was taken, and entries which have expired in that time are skipped.
+   *
+   * @param {RefreshableCache} self The cache to write to.
+   * @param {Object} snapshot The snapshot to load.
+   * @param {boolean} shouldOverwrite Whether or not to overwrite keys which are already in the cache.
+   * @return {number} The number of entries written to the cache.
+   */
+  var loadSnapshot = function(self, snapshot, shouldOverwrite) {
+    if (snapshot === null || typeof snapshot !== 'object' || typeof snapshot.timestamp !== 'number' || !Array.isArray(snapshot.entries)) {
+      throw new Error('Snapshot must have a numeric timestamp and an array of entries');
+    }
+
+    var elapsed = Math.max(_clock.now() - snapshot.timestamp, 0);
+
+    var entries = snapshot.entries.filter(function(entry) {
+      return entry.ttl === null || entry.ttl > elapsed;
+    }).map(function(entry) {
+      var writeOptions = {
+        ttl: (entry.ttl === null) ? undefined : entry.ttl - elapsed,
+        refreshInterval: (entry.refreshInterval === null) ? undefined : entry.refreshInterval,
+        freshTtl: (entry.freshTtl === null) ? undefined : entry.freshTtl,
+        tags: (entry.tags === null || typeof entry.tags === 'undefined') ? undefined : entry.tags
+      };
+
+      // Restored values start out fresh, but can never be fresh for longer than they are cached
+      if (typeof writeOptions.freshTtl !== 'undefined' && typeof writeOptions.ttl !== 'undefined' && writeOptions.freshTtl >= writeOptions.ttl) {
+        writeOptions.freshTtl = undefined;
+      }
+
+      validateWriteOptions(writeOptions);
+
+      return {
+        key: entry.key,
+        value: entry.value,
+        writeOptions: writeOptions
+      };
+    });
+
+    // Only write once every entry is known to be valid
+    var numEntriesWritten = 0;
+    entries.forEach(function(entry) {
+      var oldRecord = getLiveRecord(self, entry.key);
+      if (typeof oldRecord !== 'undefined') {
+        if (!shouldOverwrite) {
+          return;
+        }
+
+        // Replace the existing cache item, rather than keeping any of its settings
+        removeRecord(entry.key);
+      }
+
+      writeRecord(self, entry.key, undefined, entry.value, entry.writeOptions, oldRecord);
+      numEntriesWritten += 1;
+    });
+
+    return numEntriesWritten;
+  };
+
+
+  /**
+   * Retrieves the value of the provided `key` from the cache. If the provided `key` is not in the
+   * cache, `null` is returned.
+   *
+   * If the cache is set to reset expiry on cache access, the corresponding cache item's expiration
+   * timeout will be reset.
+   *
+   * If the cache item's fresh time has passed, its stale value is still returned, but a `'refresh'`
+   * event is emitted and its loader, if any, is run in the background.
+   *
+   * If the cache has negative caching enabled and the key's loader recently found nothing or failed,
+   * `RefreshableCache.ABSENT` or a `RefreshableCache.CachedError` is returned instead of `null`.
+   *
+   * @param {*} key The key whose value to retrieve.
+   * @return {*|null} The provided key's value, its negative value, or `null` if the provided key is
+   *     not in the cache.
+   */
+  this.get = function(key) {
+    var self = this;
+
+    var record = getLiveRecord(self, key);
+
+    var value = null;
+    if (typeof record === 'undefined') {
+      var negativeEntry = _negativeEntries.get(toStoreKey(key));
+      if (typeof negativeEntry === 'undefined') {
+        count('misses');
+      } else {
+        count('hits');
+        value = negativeEntry.value;
+      }
+    } else {
+      count('hits');
+      value = record.value;
+      record.lastAccessedAt = _clock.now();
+
+      if (_evictionPolicy !== null) {
+        _evictionPolicy.access(toStoreKey(key));
+      }
+
+      if (typeof record.duration !== 'undefined' && _resetExpiryOnAccess) {
+        restartExpirationTimeout(self, key, record);
+        _store.set(toStoreKey(key), record);
+      }
+
+      if (typeof record.staleAt !== 'undefined' && _clock.now() >= record.staleAt && !record.isRevalidating && !record.isRefreshStopped) {
+        // Only revalidate a stale value once, until it is written to or its loader fails
+        record.isRevalidating = true;
+        count('refreshes');
+        self.emit('refresh', key, value);
+        refreshRecord(self, key, record, true);
+      }
+    }
+
+    return value;
+  };
+
+
+  /**
+   * Returns whether or not the provided `key` is in the cache. Unlike `get()`, this has no side
+   * effects and can tell a key whose value is `null` apart from a missing key.
+   *
+   * @param {*} key The key to look up.
+   * @return {boolean} Whether or not the provided key is in the cache.
+   */
+  this.has = function(key) {
+    return typeof peekRecord(key) !== 'undefined';
+  };
+
+
+  /**
+   * Retrieves the value of the provided `key` from the cache without any side effects: it does not
+   * count as a use for eviction, reset the key's expiry or revalidate a stale value. Like `get()`, it
+   * returns a key's negative value, if any.
+   *
+   * @param {*} key The key whose value to retrieve.
+   * @return {*|null} The provided key's value, its negative value, or `null` if the provided key is
+   *     not in the cache.
+   */
+  this.peek = function(key) {
+    var record = peekRecord(key);
+    if (typeof record === 'undefined') {
+      var negativeEntry = _negativeEntries.get(toStoreKey(key));
+      return (typeof negativeEntry === 'undefined') ? null : negativeEntry.value;
+    }
+
+    return record.value;
+  };
+
+
+  /**
+   * Returns the time at which the provided `key` expires.
+   *
+   * @param {*} key The key to look up.
+   * @return {number|null} The time, in milliseconds, at which the key expires, `Infinity` if it
+   *     never expires or `null` if the key is not in the cache.
+   */
+  this.expiresAt = function(key) {
+    var record = peekRecord(key);
+    if (typeof record === 'undefined') {
+      return null;
+    }
+
+    return (typeof record.expiresAt === 'undefined') ? Infinity : record.expiresAt;
+  };
+
+
+  /**
+   * Returns the time remaining until the provided `key` expires.
+   *
+   * @param {*} key The key to look up.
+   * @return {number|null} The time, in milliseconds, until the key expires, `Infinity` if it never
+   *     expires or `null` if the key is not in the cache.
+   */
+  this.ttl = function(key) {
+    var expiresAt = this.expiresAt(key);
+    return (expiresAt === null) ? null : Math.max(expiresAt - _clock.now(), 0);
+  };
+
+
+  /**
+   * Returns the value of the provided `key` along with its metadata, without any side effects. The
+   * returned object is a copy, so changing it does not affect the cache.
+   *
+   * @param {*} key The key to look up.
+   * @return {Object|null} The key's `key`, `value`, `createdAt`, `updatedAt`, `lastAccessedAt`
+   *     (or `null` if it has never been read), `expiresAt` (or `Infinity`), `refreshInterval` (or
+   *     `null`), `staleAt` (or `null`) and `tags`, or `null` if the key is not in the cache.
+   */
+  this.getEntry = function(key) {
+    var record = peekRecord(key);
+    if (typeof record === 'undefined') {
+      return null;
+    }
+
+    return {
+      key: record.key,
+      value: record.value,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      lastAccessedAt: record.lastAccessedAt,
+      expiresAt: this.expiresAt(key),
+      refreshInterval: (typeof record.refreshIntervalDuration === 'undefined') ? null : record.refreshIntervalDuration,
+      staleAt: (typeof record.staleAt === 'undefined') ? null : record.staleAt,
+      tags: (typeof record.tags === 'undefined') ? [] : record.tags.slice()
+    };
+  };
+
+
+  /**
+   * Retrieves the value of the provided `key` from the cache, loading it if the `key` is not in the
+   * cache. Returns a Promise which resolves with the key's value.
+   *
+   * On a miss, the `loader` (or, if none is provided, the cache's loader) is invoked and its result
+   * is written to the cache in the same way as `put()`, using the optional `ttl`, `refreshInterval`,
+   * `freshTtl` and `tags` options or the cache's defaults. Concurrent misses for the same `key` share a
+   * single loader call and the options of the first call. If the loader fails, nothing is written to
+   * the cache and the Promise is rejected with the loader's error. If writing the loaded value
+   * throws, such as from a TTL function, the Promise is rejected with that error instead.
+   * Invalid arguments also reject the Promise rather than throwing.
+   *
+   * If the `key` is written to while its loader is running, the loaded value is not written to the
+   * cache.
+   *
+   * If the cache's store is shared with other processes and can read keys the cache does not have,
+   * such as a `RedisStore`, the `key` is first read from the store, and the cache item another
+   * process wrote is adopted, with its own expiry, refresh interval and tags, without running the
+   * loader or emitting a `'set'` event. The loader runs if the store does not have the `key` or
+   * fails to read it.
+   *
+   * With a `negativeTtl` (or the cache's), a loader result of `null` or `undefined` is remembered as
+   * `RefreshableCache.ABSENT` for that time instead of being written to the cache, and later calls
+   * resolve with `null` without running the loader. Similarly, with an `errorTtl` (or the cache's), a
+   * loader's error is remembered as a `RefreshableCache.CachedError` and later calls are rejected
+   * with the same error.
+   *
+   * @param {*} key The key whose value to retrieve.
+   * @param {function} [loader] Optional function which loads the key's value on a miss.
+   * @param {Object} [loadOptions] Optional `ttl`, `refreshInterval`, `freshTtl`, `negativeTtl` and
+   *     `errorTtl`, in milliseconds, and `tags` for a loaded value.
+   * @return {Promise<*>} A Promise which resolves with the provided key's value.
+   */
+  this.getOrLoad = function(key, loader, loadOptions) {
+    var self = this;
+
+    loadOptions = loadOptions || {};
+
+    var writeOptions;
+    try {
+      if (typeof loader !== 'undefined' && loader !== null && typeof loader !== 'function') {
+        throw new Error('Loader must be a function');
+      } else if (!loader && !_loader) {
+        throw new Error('Loader must be provided if the cache has no loader');
+      } else if (typeof loadOptions.negativeTtl !== 'undefined' && (typeof loadOptions.negativeTtl !== 'number' || isNaN(loadOptions.negativeTtl) || loadOptions.negativeTtl <= 0)) {
+        throw new Error('Negative TTL must be a positive number');
+      } else if (typeof loadOptions.errorTtl !== 'undefined' && (typeof loadOptions.errorTtl !== 'number' || isNaN(loadOptions.errorTtl) || loadOptions.errorTtl <= 0)) {
+        throw new Error('Error TTL must be a positive number');
+      }
+
+      writeOptions = resolveWriteOptions({
+        ttl: loadOptions.ttl,
+        refreshInterval: loadOptions.refreshInterval,
+        loader: loader || undefined,
+        freshTtl: loadOptions.freshTtl,
+        tags: loadOptions.tags
+      }, true);
+
+      // The key serializer can throw for keys it cannot serialize
+      toStoreKey(key);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    var negativeTtl = (typeof loadOptions.negativeTtl === 'undefined') ? _negativeTtl : loadOptions.negativeTtl;
+    var errorTtl = (typeof loadOptions.errorTtl === 'undefined') ? _errorTtl : loadOptions.errorTtl;
+
+    if (typeof getLiveRecord(self, key) !== 'undefined') {
+      return Promise.resolve(self.get(key));
+    }
+
+    var storeKey = toStoreKey(key);
+
+    var negativeEntry = _negativeEntries.get(storeKey);
+    if (typeof negativeEntry !== 'undefined') {
+      count('hits');
+      return (negativeEntry.value === ABSENT) ? Promise.resolve(null) : Promise.reject(negativeEntry.value.cause);
+    }
+
+    count('misses');
+
+    var pendingLoad = _pendingLoads.get(storeKey);
+    if (typeof pendingLoad === 'undefined') {
+      var isLoading = true;
+
+      var finishLoading = function() {
+        isLoading = false;
+
+        if (_pendingLoads.get(storeKey) === pendingLoad) {
+          _pendingLoads.delete(storeKey);
+        }
+      };
+
+      pendingLoad = new Promise(function(resolve, reject) {
+        var load = function() {
+          invokeLoader(loader || _loader, key, function(error, value) {
+            finishLoading();
+
+            var isWritable = !_isDestroyed && typeof getLiveRecord(self, key) === 'undefined';
+
+            if (error) {
+              if (isWritable && typeof errorTtl !== 'undefined') {
+                cacheNegativeEntry(self, key, new CachedError(error), errorTtl);
+              }
+
+              reject(error);
+            } else {
+              if (isWritable && typeof negativeTtl !== 'undefined' && (value === null || typeof value === 'undefined')) {
+                cacheNegativeEntry(self, key, ABSENT, negativeTtl);
+              } else if (isWritable) {
+                // A TTL function or a listener can throw, which would otherwise leave the Promise pending
+                try {
+                  self.put(key, value, writeOptions);
+                } catch (writeError) {
+                  reject(writeError);
+                  return;
+                }
+              }
+
+              resolve(value);
+            }
+          });
+        };
+
+        if (typeof _store.fetch !== 'function') {
+          load();
+          return;
+        }
+
+        // Another process sharing the store may have loaded the key already, in which case its cache
+        // item is adopted instead. The loader runs if the store does not have the key or fails.
+        _store.fetch(storeKey, function(fetchError, record) {
+          if (fetchError || record === null || typeof record === 'undefined' || _isDestroyed ||
+              (typeof record.expiresAt !== 'undefined' && _clock.now() >= record.expiresAt)) {
+            load();
+            return;
+          }
+
+          finishLoading();
+
+          // The key may have been written while it was read
+          var liveRecord = getLiveRecord(self, key);
+          if (typeof liveRecord !== 'undefined') {
+            resolve(liveRecord.value);
+            return;
+          }
+
+          // Refresh it with the loader it would otherwise have been loaded with
+          if (typeof writeOptions.loader !== 'undefined') {
+            record.loader = writeOptions.loader;
+          }
+
+          _store.set(storeKey, record);
+          adoptRecord(self, storeKey, record);
+          evictIfNeeded(self);
+          resolve(record.value);
+        });
+      });
+
+      // Synchronous loaders and stores have already finished, so later calls have nothing to share
+      if (isLoading) {
+        _pendingLoads.set(storeKey, pendingLoad);
+      }
+    }
+
+    return pendingLoad;
+  };
+
+
+  /**
+   * Removes the cache item corresponding to the provided key. If the provided key is not in the
+   * cache, the operation is a no-op.
+   *
+   * Returns whether or not the key was removed from the cache.
+   *
+   * Once the key is removed, a `'delete'` event is emitted for it with the reason `'manual'`. No
+   * further events will be emitted for the provided key. Any negative value of the key is also
+   * forgotten, without counting as a removal.
+   *
+   * @param {*} key The key to remove.
+   * @return {boolean} Whether or not the key was removed from the cache.
+   */
+  this.del = function(key) {
+    forgetNegativeEntry(key);
+
+    var record = getLiveRecord(this, key);
+    if (typeof record === 'undefined') {
+      return false;
+    }
+
+    removeRecord(key);
+    count('deletes');
+    this.emit('delete', record.key, record.value, 'manual');
+
+    return true;
+  };
+
+
+  /**
+   * Sets the `value` of the provided `key` in the cache. If the `key` is not in the cache, it is
+   * added; otherwise, its value is updated.
+   *
+   * For convenience, the `value` written to the cache is also returned.
+   *
+   * The cache item will be deleted after the optional `duration` time (in milliseconds) passes. At
+   * that time, an `'expiry'` event will be emitted for the provided key.
+   *
+   * A `'refresh'` event will be emitted for the provided key after the optional `refreshInterval`
+   * time (in milliseconds) passes. If the key has a `loader`, or the cache has one set via
+   * `setLoader()`, it is then invoked and its result is written back into the cache item without
+   * resetting the item's expiry.
+   *
+   * The value is considered stale once the optional `freshDuration` time (in milliseconds) passes.
+   * Reading a stale value with `get()` still returns it, but emits a `'refresh'` event and runs the
+   * key's loader in the background. A successful background refresh makes the value fresh again and
+   * restarts its expiration timeout, so `duration` bounds how long a stale value can be served.
+   *
+   * If no `duration` is specified for an existing cache item, its expiry will remain unchanged.
+   * Similarly, if no `refreshInterval`, `loader` or `freshDuration` is specified for an existing
+   * cache item, its refresh interval, loader or fresh time will remain unchanged.
+   *
+   * If the cache is bounded and the write pushes it over one of its bounds, cache items are evicted
+   * until it is back within its bounds.
+   *
+   * The `duration` can also be a function which is passed the key and value and returns the time
+   * until the value expires, `null` if it never expires or `0` if it should not be cached at all.
+   * It is called again with the new value on each later write which does not specify a `duration`
+   * and on each refresh by the key's loader.
+   *
+   * Instead of the positional arguments, an options object with `ttl`, `refreshInterval`, `loader`
+   * and `freshTtl` properties can be passed as the third argument. Either way, new cache items use
+   * the cache's defaults for any options which are not specified. The options object can also have
+   * a `tags` property, an array of strings which can later be passed to `invalidateTag()` to remove
+   * every cache item with that tag. Like the other options, it replaces an existing cache item's
+   * tags only if it is specified.
+   *
+   * @param {*} key The key whose value to write.
+   * @param {*} value The value to write.
+   * @param {number|function|Object} [duration] Optional time, in milliseconds, indicating how long the key should remain in the cache, a function which returns it, or an options object.
+   * @param {number} [refreshInterval] Optional interval, in milliseconds, indicating how often the 'refresh' event will be emitted.
+   * @param {function} [loader] Optional function which loads the key's latest value each time the key is refreshed.
+   * @param {number} [freshDuration] Optional time, in milliseconds, after which the key's value is stale. Must be less than `duration`.
+   * @return {any} The value written to the cache.
+   */
+  this.put = function(key, value, duration, refreshInterval, loader, freshDuration) {
+    var self = this;
+
+    if (_isDestroyed) {
+      throw new Error('Cannot write to a destroyed cache');
+    }
+
+    var oldRecord = getLiveRecord(self, key);
+
+    var writeOptions = resolveWriteOptions((duration !== null && typeof duration === 'object') ? duration : {
+      ttl: duration,
+      refreshInterval: refreshInterval,
+      loader: loader,
+      freshTtl: freshDuration
+    }, typeof oldRecord === 'undefined');
+
+    writeRecord(self, key, oldRecord, value, writeOptions);
+
+    return value;
+  };
+
+
+  /**
+   * Equivalent to `get()`, but returns a Promise which resolves with the provided key's value, or
+   * `null` if the provided key is not in the cache.
+   *
+   * @param {*} key The key whose value to retrieve.
+   * @return {Promise<*|null>} A Promise which resolves with the provided key's value.
+   */
+  this.getAsync = function(key) {
+    return callAsync(this.get.bind(this, key));
+  };
+
+
+  /**
+   * Equivalent to `put()`, but returns a Promise which resolves with the value written to the cache,
+   * or is rejected with the error `put()` would have thrown.
+   *
+   * @param {*} key The key whose value to write.
+   * @param {*} value The value to write.
+   * @param {number|function|Object} [duration] Optional time, in milliseconds, indicating how long the key should remain in the cache, a function which returns it, or an options object.
+   * @param {number} [refreshInterval] Optional interval, in milliseconds, indicating how often the 'refresh' event will be emitted.
+   * @param {function} [loader] Optional function which loads the key's latest value each time the key is refreshed.
+   * @param {number} [freshDuration] Optional time, in milliseconds, after which the key's value is stale. Must be less than `duration`.
+   * @return {Promise<*>} A Promise which resolves with the value written to the cache.
+   */
+  this.putAsync = function() {
+    return callAsync(Function.prototype.apply.bind(this.put, this, arguments));
+  };
+
+
+  /**
+   * Equivalent to `del()`, but returns a Promise which resolves with whether or not the key was
+   * removed from the cache.
+   *
+   * @param {*} key The key to remove.
+   * @return {Promise<boolean>} A Promise which resolves with whether or not the key was removed.
+   */
+  this.delAsync = function(key) {
+    return callAsync(this.del.bind(this, key));
+  };
+
+
+  /**
+   * Retrieves the values of the provided keys from the cache, as if by calling `get()` for each.
+   *
+   * @param {Array<*>} keys The keys whose values to retrieve.
+   * @return {Array<*|null>} The value of each key, or `null` for each key which is not in the cache.
+   */
+  this.getMany = function(keys) {
+    if (!Array.isArray(keys)) {
+      throw new Error('Keys must be an array');
+    }
+
+    return keys.map(this.get, this);
+  };
+
+
+  /**
+   * Writes the provided `[key, value]` pairs to the cache, as if by calling `put()` for each with
+   * the same options object. The options are only validated once, and the cache's timers are only
+   * rescheduled once every pair has been written. A single `'batch'` event is then emitted with
+   * `'put'` and the keys which were written.
+   *
+   * @param {Array<Array>} entries The `[key, value]` pairs to write.
+   * @param {Object} [writeOptions] Optional `ttl`, `refreshInterval`, `loader`, `freshTtl` and `tags` for every pair.
+   * @return {Array<*>} The values written to the cache.
+   */
+  this.putMany = function(entries, writeOptions) {
+    var self = this;
+
+    if (_isDestroyed) {
+      throw new Error('Cannot write to a destroyed cache');
+    } else if (!Array.isArray(entries) || entries.some(function(entry) {
+      return !Array.isArray(entry);
+    })) {
+      throw new Error('Entries must be an array of [key, value] pairs');
+    }
+
+    writeOptions = writeOptions || {};
+
+    var newRecordOptions = resolveWriteOptions(writeOptions, true);
+    var oldRecordOptions = resolveWriteOptions(writeOptions, false);
+
+    _scheduler.batch(function() {
+      entries.forEach(function(entry) {
+        var oldRecord = getLiveRecord(self, entry[0]);
+        writeRecord(self, entry[0], oldRecord, entry[1], (typeof oldRecord === 'undefined') ? newRecordOptions : oldRecordOptions);
+      });
+    });
+
+    if (entries.length !== 0) {
+      self.emit('batch', 'put', entries.map(function(entry) {
+        return entry[0];
+      }));
+    }
+
+    return entries.map(function(entry) {
+      return entry[1];
+    });
+  };
 
 
   /**
-   * Retrieves the value of the provided `key` from the cache. If the provided `key` is not in the
-   * cache, `null` is returned.
+   * Removes the provided keys from the cache, as if by calling `del()` for each. If any keys were
+   * removed, a single `'batch'` event is then emitted with `'del'` and the keys which were removed.
    *
-   * If the cache is set to reset expiry on cache access, the corresponding cache item's expiration
-   * timeout will be reset.
-   *
-   * @param {string} key The key whose value to retrieve.
-   * @return {*|null} The provided key's value, or `null` if the provided key is not in the cache.
+   * @param {Array<*>} keys The keys to remove.
+   * @return {boolean[]} Whether or not each key was removed from the cache.
    */
-  this.get = function(key) {
+  this.delMany = function(keys) {
     var self = this;
 
-    var record = _cache[key];
+    if (!Array.isArray(keys)) {
+      throw new Error('Keys must be an array');
+    }
 
-    var value = null;
-    if (typeof record !== 'undefined') {
-      value = record.value;
+    var removedKeys = [];
+    var results = _scheduler.batch(function() {
+      return keys.map(function(key) {
+        var wasRemoved = self.del(key);
+        if (wasRemoved) {
+          removedKeys.push(key);
+        }
+        return wasRemoved;
+      });
+    });
 
-      if (typeof record.duration !== 'undefined' && _resetExpiryOnAccess) {
-        // Restart the expiration timeout
-        clearTimeout(record.expirationTimeout);
-        record.expirationTimeout = setTimeout(function() {
-          self.emit('expiry', key, _cache[key].value);
-          self.del(key);
-        }, record.duration);
-      }
+    if (removedKeys.length !== 0) {
+      self.emit('batch', 'del', removedKeys);
     }
 
-    return value;
+    return results;
   };
 
 
   /**
-   * Removes the cache item corresponding to the provided key. If the provided key is not in the
-   * cache, the operation is a no-op.
-   *
-   * Returns whether or not the key was removed from the cache.
+   * Removes every key from the cache which matches the provided `predicate`, which is either a
+   * function that is passed each key and its value and returns whether or not to remove the key,
+   * or a glob pattern that string keys are matched against, in which `*` matches any number of
+   * characters and `?` matches a single character. If any keys were removed, a single `'batch'`
+   * event is then emitted with `'del'` and the keys which were removed.
    *
-   * No further events will be emitted for the provided key.
-   *
-   * @param {string} key The key to remove.
-   * @return {boolean} Whether or not the key was removed from the cache.
+   * @param {function|string} predicate The function or glob pattern which chooses the keys to remove.
+   * @return {number} The number of keys removed from the cache.
    */
-  this.del = function(key) {
-    var wasKeyDeleted = false;
+  this.delWhere = function(predicate) {
+    var self = this;
 
-    var oldRecord = _cache[key];
-    if (typeof oldRecord !== 'undefined') {
-      clearTimeout(oldRecord.expirationTimeout);
-      clearInterval(oldRecord.refreshInterval);
-      delete _cache[key];
-      wasKeyDeleted = true;
+    var matches;
+    if (typeof predicate === 'function') {
+      matches = predicate;
+    } else if (typeof predicate === 'string') {
+      var pattern = globToRegExp(predicate);
+      matches = function(key) {
+        return typeof key === 'string' && pattern.test(key);
+      };
+    } else {
+      throw new Error('Predicate must be a function or a glob pattern');
     }
 
-    return wasKeyDeleted;
+    if (_isLazyExpiry) {
+      expireRecords(self);
+    }
+
+    var matchingKeys = _store.keys().map(function(storeKey) {
+      return _store.get(storeKey);
+    }).filter(function(record) {
+      return matches(record.key, record.value);
+    }).map(function(record) {
+      return record.key;
+    });
+
+    return self.delMany(matchingKeys).filter(Boolean).length;
   };
 
 
   /**
-   * Sets the `value` of the provided `key` in the cache. If the `key` is not in the cache, it is
-   * added; otherwise, its value is updated.
-   *
-   * For convenience, the `value` written to the cache is also returned.
-   *
-   * The cache item will be deleted after the optional `duration` time (in milliseconds) passes. At
-   * that time, an `'expiry'` event will be emitted for the provided key.
-   *
-   * A `'refresh'` event will be emitted for the provided key after the optional `refreshInterval`
-   * time (in milliseconds) passes.
-   *
-   * If no `duration` is specified for an existing cache item, its expiry will remain unchanged.
-   * Similarly, if no `refreshInterval` is specified for an existing cache item, its refresh
-   * interval will remain unchanged.
+   * Restarts the expiry of the provided `key`, as if it had been written again, without reading or
+   * writing its value. Has no effect on a key which never expires.
    *
-   * @param {string} key The key whose value to write.
-   * @param {*} value The value to write.
-   * @param {number} [duration] Optional time, in milliseconds, indicating how long the key should remain in the cache.
-   * @param {number} [refreshInterval] Optional interval, in milliseconds, indicating how often the 'refresh' event will be emitted.
-   * @return {any} The value written to the cache.
+   * @param {*} key The key whose expiry to restart.
+   * @return {boolean} Whether or not the provided key is in the cache.
    */
-  this.put = function(key, value, duration, refreshInterval) {
-    var self = this;
+  this.touch = function(key) {
+    var record = getLiveRecord(this, key);
+    if (typeof record === 'undefined') {
+      return false;
+    }
 
-    if (typeof duration !== 'undefined' && (typeof duration !== 'number' || isNaN(duration) || duration <= 0)) {
-      throw new Error('Expiration time must be a positive number');
-    } else if (typeof refreshInterval !== 'undefined' && (typeof refreshInterval !== 'number' || isNaN(refreshInterval) || refreshInterval <= 0)) {
-      throw new Error('Refresh time must be a positive number');
+    if (typeof record.duration !== 'undefined') {
+      restartExpirationTimeout(this, key, record);
+      _store.set(toStoreKey(key), record);
     }
 
-    var oldRecord = _cache[key];
+    return true;
+  };
 
-    // Copy the existing record's timeout and interval onto the new record; just update the record's value
-    var newRecord = oldRecord || {};
-    newRecord.value = value;
 
-    if (typeof duration !== 'undefined') {
-      if (typeof oldRecord !== 'undefined') {
-        clearTimeout(oldRecord.expirationTimeout);
+  /**
+   * Sets how long the provided `key` should remain in the cache, starting from now, without writing
+   * its value. Passing `null` removes the key's expiry so that it stays in the cache until it is
+   * deleted or evicted. Either way, the key's TTL function, if any, is no longer used.
+   *
+   * @param {*} key The key whose expiry to set.
+   * @param {number|null} duration The time, in milliseconds, until the key expires, or `null`.
+   * @return {boolean} Whether or not the provided key is in the cache.
+   */
+  this.setTtl = function(key, duration) {
+    if (duration !== null) {
+      if (typeof duration === 'undefined') {
+        throw new Error('Expiration time must be a positive number');
       }
 
-      newRecord.duration = duration;
-      newRecord.expirationTimeout = setTimeout(function() {
-        self.emit('expiry', key, _cache[key].value);
-        self.del(key);
-      }, duration);
+      validateDuration(duration);
     }
 
-    if (typeof refreshInterval !== 'undefined') {
-      if (typeof oldRecord !== 'undefined') {
-        clearInterval(oldRecord.refreshInterval);
+    var record = getLiveRecord(this, key);
+    if (typeof record === 'undefined') {
+      return false;
+    }
+
+    if (duration === null) {
+      cancelExpirationTimeout(record);
+    } else {
+      validateFreshDuration(record.freshDuration, duration);
+      record.duration = duration;
+      restartExpirationTimeout(this, key, record);
+    }
+    delete record.ttlFunction;
+
+    _store.set(toStoreKey(key), record);
+
+    return true;
+  };
+
+
+  /**
+   * Sets how often the provided `key` is refreshed, starting from now, without writing its value.
+   * Passing `null` stops refreshing the key.
+   *
+   * @param {*} key The key whose refresh interval to set.
+   * @param {number|null} refreshInterval The time, in milliseconds, between refreshes, or `null`.
+   * @return {boolean} Whether or not the provided key is in the cache.
+   */
+  this.setRefreshInterval = function(key, refreshInterval) {
+    if (refreshInterval !== null) {
+      if (typeof refreshInterval === 'undefined') {
+        throw new Error('Refresh time must be a positive number');
       }
 
-      newRecord.refreshInterval = setInterval(function() {
-        self.emit('refresh', key, _cache[key].value);
-      }, refreshInterval);
+      validateRefreshInterval(refreshInterval);
     }
 
-    _cache[key] = newRecord;
+    var record = getLiveRecord(this, key);
+    if (typeof record === 'undefined') {
+      return false;
+    }
 
-    return value;
+    if (refreshInterval === null) {
+      _scheduler.clearInterval(record.refreshInterval);
+      delete record.refreshInterval;
+      delete record.refreshIntervalDuration;
+    } else {
+      startRefreshInterval(this, key, record, refreshInterval);
+    }
+
+    _store.set(toStoreKey(key), record);
+
+    return true;
+  };
+
+
+  /**
+   * Removes the expiry of the provided `key`, so that it stays in the cache until it is deleted or
+   * evicted. Equivalent to `setTtl(key, null)`.
+   *
+   * @param {*} key The key whose expiry to remove.
+   * @return {boolean} Whether or not the provided key is in the cache.
+   */
+  this.persist = function(key) {
+    return this.setTtl(key, null);
+  };
+
+
+  /**
+   * Removes every cache item with the provided tag from the cache, as if by calling `del()` for
+   * each of them.
+   *
+   * @param {string} tag The tag whose cache items to remove.
+   * @return {number} The number of keys removed from the cache.
+   */
+  this.invalidateTag = function(tag) {
+    if (typeof tag !== 'string') {
+      throw new Error('Tag must be a string');
+    }
+
+    var storeKeys = _taggedKeys.get(tag);
+    if (typeof storeKeys === 'undefined') {
+      return 0;
+    }
+
+    var self = this;
+    var numKeysRemoved = 0;
+    _scheduler.batch(function() {
+      Array.from(storeKeys).forEach(function(storeKey) {
+        var record = _store.get(storeKey);
+        if (typeof record !== 'undefined' && self.del(record.key)) {
+          numKeysRemoved += 1;
+        }
+      });
+    });
+
+    return numKeysRemoved;
+  };
+
+
+  /**
+   * Returns a view of the cache which only sees the keys which start with the provided prefix.
+   * Reading, writing, clearing, listing or counting keys through the view only affects the cache
+   * keys with the prefix, and the view's keys are the rest of those cache keys after the prefix.
+   *
+   * @param {string} prefix The prefix of the keys which the view sees.
+   * @return {Namespace} The view of the cache.
+   */
+  this.namespace = function(prefix) {
+    return new Namespace(this, prefix);
   };
 
 
   /**
    * Removes all items from the cache.
    *
-   * No further events will be emitted for any existing keys.
+   * Once every item is removed, a `'delete'` event is emitted for each of them with the reason
+   * `'clear'`, followed by a `'clear'` event with the number of items removed. No further events
+   * will be emitted for any existing keys.
    */
   this.clear = function() {
-    this.keys().forEach(function(key) {
-      var oldRecord = _cache[key];
-      clearTimeout(oldRecord.expirationTimeout);
-      clearInterval(oldRecord.refreshInterval);
+    var self = this;
+
+    if (_isLazyExpiry) {
+      expireRecords(self);
+    }
+
+    var records = _store.keys().map(function(storeKey) {
+      return _store.get(storeKey);
     });
 
-    _cache = Object.create(null);
+    forgetRecords();
+    _store.clear();
+
+    records.forEach(function(record) {
+      count('deletes');
+      self.emit('delete', record.key, record.value, 'clear');
+    });
+    self.emit('clear', records.length);
   };
 
 
@@ -165,26 +2257,484 @@ function RefreshableCache() {
   };
 
 
+  /**
+   * Sets the loader used to refresh cache items which were not given their own loader. Passing
+   * `null` removes the loader, after which such cache items only emit `'refresh'` events.
+   *
+   * @param {function|null} loader The function which loads a key's latest value.
+   */
+  this.setLoader = function(loader) {
+    if (loader !== null && typeof loader !== 'function') {
+      throw new Error('Loader must be a function or null');
+    }
+
+    _loader = loader;
+  };
+
+
   /**
    * Returns the number of items in the cache.
    *
    * @return {number} The number of keys in the cache.
    */
   this.size = function() {
-    return Object.keys(_cache).length;
+    if (_isLazyExpiry) {
+      expireRecords(this);
+    }
+
+    return _entryCount;
+  };
+
+
+  /**
+   * Returns the cache's statistics: the number of `hits` and `misses` of `get()` and `getOrLoad()`
+   * and the resulting `hitRatio` (or `null` before any reads), the number of writes (`sets`),
+   * removals by `del()` and `clear()` (`deletes`), `expirations` and `evictions`, the number of
+   * `refresh` ticks and of loader `refreshSuccesses` and `refreshFailures`, along with the current
+   * `size` and the `averageEntryAge`, in milliseconds, of the keys in the cache.
+   *
+   * The counters cover the time since the cache was created or `resetStats()` was last called, and
+   * are always zero if the `stats` option is `false`.
+   *
+   * @return {Object} The cache's statistics.
+   */
+  this.stats = function() {
+    var size = this.size();
+    var now = _clock.now();
+
+    var totalAge = 0;
+    _store.keys().forEach(function(storeKey) {
+      totalAge += now - _store.get(storeKey).createdAt;
+    });
+
+    var reads = _stats.hits + _stats.misses;
+
+    return {
+      hits: _stats.hits,
+      misses: _stats.misses,
+      hitRatio: (reads === 0) ? null : _stats.hits / reads,
+      sets: _stats.sets,
+      deletes: _stats.deletes,
+      expirations: _stats.expirations,
+      evictions: _stats.evictions,
+      refreshes: _stats.refreshes,
+      refreshSuccesses: _stats.refreshSuccesses,
+      refreshFailures: _stats.refreshFailures,
+      size: size,
+      averageEntryAge: (size === 0) ? 0 : totalAge / size
+    };
+  };
+
+
+  /**
+   * Resets every counter reported by `stats()` to zero. The `size` and `averageEntryAge` are not
+   * affected.
+   */
+  this.resetStats = function() {
+    resetCounters();
   };
 
 
   /**
-   * Returns an array of keys in the cache.
+   * Returns the state of the cache's circuit breaker: `'closed'` while refreshes run as usual,
+   * `'open'` while they are paused after too many failures in a row, or `'halfOpen'` while a trial
+   * refresh decides whether to close it again. A cache without a `circuitBreakerThreshold` is
+   * always `'closed'`.
    *
-   * @return {string[]} An array of keys in the cache.
+   * @return {string} The state of the circuit breaker.
+   */
+  this.circuitState = function() {
+    return _circuitState;
+  };
+
+
+  /**
+   * Returns an array of keys in the cache. Each key is the value it was written with, even if the
+   * cache has a key serializer.
+   *
+   * @return {Array<*>} An array of keys in the cache.
    */
   this.keys = function() {
-    return Object.keys(_cache);
+    if (_isLazyExpiry) {
+      expireRecords(this);
+    }
+
+    return _store.keys().map(function(storeKey) {
+      return _store.get(storeKey).key;
+    });
+  };
+
+
+  /**
+   * Returns an iterator over the `[key, value]` pairs of the cache. It covers the keys in the cache
+   * when it is created, skipping any which are removed or expire before they are reached, so the
+   * cache can safely be changed during iteration. Like `peek()`, it does not count as a use of any
+   * key. The cache itself is iterable in the same way.
+   *
+   * @return {Object} An iterator over the `[key, value]` pairs of the cache.
+   */
+  this.entries = function() {
+    return iterateRecords(function(record) {
+      return [record.key, record.value];
+    });
+  };
+
+  this[Symbol.iterator] = this.entries;
+
+
+  /**
+   * Returns an iterator over the values of the cache, in the same way as `entries()`.
+   *
+   * @return {Object} An iterator over the values of the cache.
+   */
+  this.values = function() {
+    return iterateRecords(function(record) {
+      return record.value;
+    });
+  };
+
+
+  /**
+   * Calls the provided `callback` with the value and key of each item in the cache, along with the
+   * cache itself, in the same way as `entries()`.
+   *
+   * @param {function} callback The function to call for each cache item.
+   * @param {*} [thisArg] Optional value to use as `this` when calling the callback.
+   */
+  this.forEach = function(callback, thisArg) {
+    if (typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+
+    var iterator = this.entries();
+    for (var result = iterator.next(); !result.done; result = iterator.next()) {
+      callback.call(thisArg, result.value[1], result.value[0], this);
+    }
+  };
+
+
+  /**
+   * Returns a snapshot of the cache which can be passed to `load()`, possibly in another process.
+   * Each entry of the snapshot has the `key` and `value` of a cache item along with its remaining
+   * `ttl`, `refreshInterval` and `freshTtl`, in milliseconds, or `null` for those it does not have,
+   * and its `tags`, which are empty if it has none.
+   * Loaders cannot be included in a snapshot, so loaded entries use the cache's loader instead.
+   *
+   * @return {Object} The snapshot, with the `timestamp` at which it was taken and its `entries`.
+   */
+  this.dump = function() {
+    if (_isLazyExpiry) {
+      expireRecords(this);
+    }
+
+    var now = _clock.now();
+
+    var entries = _store.keys().map(function(storeKey) {
+      var record = _store.get(storeKey);
+      return {
+        key: record.key,
+        value: record.value,
+        ttl: (typeof record.duration === 'undefined') ? null : Math.max(record.expiresAt - now, 0),
+        refreshInterval: (typeof record.refreshIntervalDuration === 'undefined') ? null : record.refreshIntervalDuration,
+        freshTtl: (typeof record.freshDuration === 'undefined') ? null : record.freshDuration,
+        tags: (typeof record.tags === 'undefined') ? [] : record.tags.slice()
+      };
+    });
+
+    return {
+      timestamp: now,
+      entries: entries
+    };
+  };
+
+
+  /**
+   * Writes the entries of the provided snapshot, as returned by `dump()`, into the cache, replacing
+   * any existing values for their keys. The time which has passed since the snapshot was taken
+   * counts towards each entry's expiry, so entries which have since expired are not written.
+   *
+   * Loaded values are fresh, even if they were stale when the snapshot was taken.
+   *
+   * @param {Object} snapshot The snapshot to load.
+   * @return {number} The number of entries written to the cache.
+   */
+  this.load = function(snapshot) {
+    if (_isDestroyed) {
+      throw new Error('Cannot write to a destroyed cache');
+    }
+
+    return loadSnapshot(this, snapshot, true);
+  };
+
+
+  /**
+   * Writes a snapshot of the cache with the cache's persistence adapter. Returns a Promise which
+   * resolves once the snapshot is written, or is rejected with the adapter's error.
+   *
+   * @return {Promise} A Promise which resolves once the snapshot is written.
+   */
+  this.save = function() {
+    if (_persistence === null) {
+      throw new Error('Cache must have a persistence adapter to be saved');
+    }
+
+    var snapshot = this.dump();
+
+    return new Promise(function(resolve, reject) {
+      _persistence.write(snapshot, function(error) {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  };
+
+
+  /**
+   * Returns a Promise which resolves the next time the provided event is emitted for the provided
+   * `key`, with the argument the event was emitted with after the key. For example, waiting for the
+   * `'expiry'` or `'refreshed'` event resolves with the key's value, while waiting for the
+   * `'refreshError'` event resolves with the loader's error.
+   *
+   * If the cache is destroyed before the event is emitted, the Promise is rejected.
+   *
+   * @param {string} eventName The name of the event to wait for.
+   * @param {*} key The key to wait for the event for.
+   * @return {Promise<*>} A Promise which resolves once the event is emitted for the key.
+   */
+  this.waitFor = function(eventName, key) {
+    var self = this;
+
+    if (typeof eventName !== 'string' || eventName === '') {
+      throw new Error('Event name must be a non-empty string');
+    } else if (_isDestroyed) {
+      return Promise.reject(new Error('Cache was destroyed before the event was emitted'));
+    }
+
+    var storeKey = toStoreKey(key);
+
+    return new Promise(function(resolve, reject) {
+      var pendingWait = {
+        reject: reject
+      };
+
+      pendingWait.listener = function(eventKey, eventValue) {
+        if (toStoreKey(eventKey) === storeKey) {
+          self.removeListener(eventName, pendingWait.listener);
+          _pendingWaits.splice(_pendingWaits.indexOf(pendingWait), 1);
+          resolve(eventValue);
+        }
+      };
+
+      _pendingWaits.push(pendingWait);
+      self.on(eventName, pendingWait.listener);
+    });
+  };
+
+
+  /**
+   * Returns an async iterator over the `[key, value]` pairs of the cache, for use with
+   * `for await...of`, in the same way as `entries()`.
+   *
+   * @return {Object} An async iterator whose `next()` method returns a Promise for the next pair.
+   */
+  var iterateAsync = function() {
+    var entries = this.entries();
+
+    var iterator = {
+      next: function() {
+        return callAsync(entries.next.bind(entries));
+      }
+    };
+
+    iterator[Symbol.asyncIterator] = function() {
+      return iterator;
+    };
+
+    return iterator;
+  };
+
+  if (typeof Symbol.asyncIterator !== 'undefined') {
+    this[Symbol.asyncIterator] = iterateAsync;
+  }
+
+
+  /**
+   * Removes all keys from the cache, cancels all of its timers and removes all of its event
+   * listeners. Any further writes to the cache throw an error, pending loads started by
+   * `getOrLoad()` are not written to it and Promises returned by `waitFor()` are rejected.
+   *
+   * The cache items are left in the cache's store, so that a durable store still has them for the
+   * next cache which uses it.
+   */
+  this.destroy = function() {
+    _isDestroyed = true;
+
+    if (_storeInvalidateListener !== null) {
+      _store.removeListener('invalidate', _storeInvalidateListener);
+      _storeInvalidateListener = null;
+    }
+
+    forgetRecords();
+    _store = new stores.MapStore();
+    _scheduler.clearInterval(_sweepInterval);
+    _sweepInterval = null;
+    _scheduler.clearInterval(_persistInterval);
+    _persistInterval = null;
+    _scheduler.clearTimeout(_circuitResetTimeout);
+    _circuitResetTimeout = null;
+    _queuedRefreshes.splice(0).forEach(function(queuedRefresh) {
+      queuedRefresh.record.isRefreshing = false;
+    });
+
+    _pendingWaits.splice(0).forEach(function(pendingWait) {
+      pendingWait.reject(new Error('Cache was destroyed before the event was emitted'));
+    });
+
+    this.removeAllListeners();
   };
+
+  this.close = this.destroy;
+
+
+  // Adopt the cache items which are already in the store, such as those a durable store read from
+  // disk, dropping any which expired in the meantime
+  var self = this;
+  _store.keys().forEach(function(storeKey) {
+    adoptRecord(self, storeKey, _store.get(storeKey));
+  });
+  evictIfNeeded(self);
+
+  if (typeof _store.on === 'function') {
+    _storeInvalidateListener = function(storeKey, record) {
+      invalidateRecord(self, storeKey, record);
+    };
+    _store.on('invalidate', _storeInvalidateListener);
+  }
+
+  // Restore the last snapshot written by the persistence adapter, without overwriting any keys
+  // written in the meantime, then periodically write new ones
+  if (_persistence !== null) {
+    _persistence.read(function(error, snapshot) {
+      if (_isDestroyed) {
+        return;
+      }
+
+      var numEntriesRestored = 0;
+      if (!error && snapshot !== null) {
+        try {
+          numEntriesRestored = loadSnapshot(self, snapshot, false);
+        } catch (loadError) {
+          error = loadError;
+        }
+      }
+
+      if (error) {
+        self.emit('persistenceError', error);
+      } else {
+        self.emit('restore', numEntriesRestored);
+      }
+    });
+
+    if (typeof options.persistInterval !== 'undefined') {
+      _persistInterval = _scheduler.setInterval(function() {
+        // Skip this write if the last one is still in progress
+        if (_isSaving) {
+          return;
+        }
+
+        _isSaving = true;
+        self.save().then(function() {
+          _isSaving = false;
+        }, function(error) {
+          _isSaving = false;
+          self.emit('persistenceError', error);
+        });
+      }, options.persistInterval);
+    }
+  }
 }
 
 inherits(RefreshableCache, EventEmitter);
 
+
+/**
+ * Returns a new cache for the results of the provided function to memoize, whose keys are the
+ * arrays of arguments the function is called with. The options are those of the cache's
+ * constructor, except that the `keySerializer` defaults to one which, unlike `JSON.stringify()`,
+ * keeps apart arguments which serialize to the same JSON and throws an error for arguments it cannot
+ * serialize.
+ *
+ * @param {function} fn The function to memoize.
+ * @param {Object} [options] Optional settings for the cache.
+ * @return {RefreshableCache} The cache.
+ */
+function createMemoizationCache(fn, options) {
+  if (typeof fn !== 'function') {
+    throw new Error('Memoized function must be a function');
+  }
+
+  var cacheOptions = {
+    keySerializer: memoization.serializeArguments
+  };
+  Object.keys(options || {}).forEach(function(name) {
+    cacheOptions[name] = options[name];
+  });
+
+  return new RefreshableCache(cacheOptions);
+}
+
+
+/**
+ * Returns a function which caches the results of the provided synchronous function by the
+ * arguments it is called with. The options are those of the cache's constructor, so the `ttl`,
+ * `refreshInterval` and `freshTtl` options apply to each result as with `put()`, and the
+ * `maxEntries` or `maxSize` options bound the number of results kept. Each result is cached under
+ * its array of arguments, serialized with the `keySerializer` option, which by default accepts
+ * primitives, arrays, plain objects and dates. Refreshes call the function again with the same
+ * arguments. The function is always called without a `this`, so methods must be bound first.
+ *
+ * The returned function has a `cache` property holding its cache, an `invalidate(...args)` method
+ * which removes the result for the provided arguments and a `refresh(...args)` method which calls
+ * the function again for the provided arguments and caches its result.
+ *
+ * @param {function} fn The function to memoize.
+ * @param {Object} [options] Optional settings for the function's cache.
+ * @return {function} The memoized function.
+ */
+RefreshableCache.memoize = function(fn, options) {
+  return memoization.memoize(createMemoizationCache(fn, options), fn);
+};
+
+
+/**
+ * Returns a function which caches the results of the provided function, which may return a
+ * Promise, by the arguments it is called with, in the same way as `memoize()`. The returned
+ * function always returns a Promise, and concurrent calls with the same arguments share a single
+ * call of the function, as with `getOrLoad()`. Its `refresh(...args)` method also returns a Promise.
+ *
+ * @param {function} fn The function to memoize.
+ * @param {Object} [options] Optional settings for the function's cache.
+ * @return {function} The memoized function.
+ */
+RefreshableCache.memoizeAsync = function(fn, options) {
+  return memoization.memoizeAsync(createMemoizationCache(fn, options), fn);
+};
+
+
+RefreshableCache.ManualClock = ManualClock;
+RefreshableCache.FilePersistence = FilePersistence;
+RefreshableCache.codecs = codecs;
+RefreshableCache.ObjectStore = stores.ObjectStore;
+RefreshableCache.MapStore = stores.MapStore;
+RefreshableCache.FileStore = stores.FileStore;
+RefreshableCache.RedisStore = stores.RedisStore;
+RefreshableCache.prometheus = prometheus;
+RefreshableCache.ttlFromHeaders = httpCaching.ttlFromHeaders;
+RefreshableCache.ABSENT = ABSENT;
+RefreshableCache.CachedError = CachedError;
+RefreshableCache.TieredCache = TieredCache;
+
 module.exports = RefreshableCache;
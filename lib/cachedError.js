@@ -0,0 +1,27 @@
+'use strict';
+
+var inherits = require('inherits');
+
+
+/**
+ * The value which a cache with an `errorTtl` returns from `get()` and `peek()` for a key whose
+ * loader recently failed, in place of a normal miss. The loader's error is kept as its `cause`.
+ *
+ * @param {Error} cause The error with which the key's loader failed.
+ */
+function CachedError(cause) {
+  Error.call(this);
+
+  this.name = 'CachedError';
+  this.cause = cause;
+  this.message = 'Cached loader error: ' + ((cause && cause.message) || String(cause));
+
+  if (typeof Error.captureStackTrace === 'function') {
+    Error.captureStackTrace(this, CachedError);
+  }
+}
+
+inherits(CachedError, Error);
+
+
+module.exports = CachedError;
@@ -0,0 +1,151 @@
+'use strict';
+
+
+/**
+ * Encodes snapshots as plain JSON. Values which JSON cannot represent, such as `Date`s, `Buffer`s
+ * and `Map`s, do not survive a round trip; use the `rich` codec for those.
+ */
+var json = {
+  /**
+   * Encodes the provided snapshot.
+   *
+   * @param {Object} snapshot The snapshot to encode.
+   * @return {string} The encoded snapshot.
+   */
+  encode: function(snapshot) {
+    return JSON.stringify(snapshot);
+  },
+
+  /**
+   * Decodes the provided encoded snapshot.
+   *
+   * @param {string|Buffer} data The encoded snapshot.
+   * @return {Object} The snapshot.
+   */
+  decode: function(data) {
+    return JSON.parse(String(data));
+  }
+};
+
+
+// The property which marks an encoded value as needing to be decoded by the rich codec
+var TYPE_PROPERTY = '$type';
+
+
+/**
+ * Converts the provided value into one which JSON can represent, tagging `Date`s, `Buffer`s,
+ * `Map`s and `Set`s with their type. Plain objects which happen to have the tag property are
+ * tagged as well, so that they are not mistaken for encoded values.
+ *
+ * @param {*} value The value to convert.
+ * @return {*} The converted value.
+ */
+function toTagged(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  } else if (value instanceof Date) {
+    return { $type: 'Date', value: value.toISOString() };
+  } else if (Buffer.isBuffer(value)) {
+    return { $type: 'Buffer', value: value.toString('base64') };
+  } else if (value instanceof Map) {
+    var entries = [];
+    value.forEach(function(mapValue, mapKey) {
+      entries.push([toTagged(mapKey), toTagged(mapValue)]);
+    });
+    return { $type: 'Map', value: entries };
+  } else if (value instanceof Set) {
+    var values = [];
+    value.forEach(function(setValue) {
+      values.push(toTagged(setValue));
+    });
+    return { $type: 'Set', value: values };
+  } else if (Array.isArray(value)) {
+    return value.map(toTagged);
+  }
+
+  var tagged = {};
+  Object.keys(value).forEach(function(key) {
+    tagged[key] = toTagged(value[key]);
+  });
+
+  if (Object.prototype.hasOwnProperty.call(value, TYPE_PROPERTY)) {
+    return { $type: 'Object', value: tagged };
+  }
+
+  return tagged;
+}
+
+
+/**
+ * Converts the provided value, as returned by `toTagged()`, back into the value it represents.
+ *
+ * @param {*} value The value to convert.
+ * @return {*} The converted value.
+ */
+function fromTagged(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  } else if (Array.isArray(value)) {
+    return value.map(fromTagged);
+  }
+
+  var untagged = {};
+  var source = value;
+
+  switch (value[TYPE_PROPERTY]) {
+    case 'Date':
+      return new Date(value.value);
+    case 'Buffer':
+      return Buffer.from(value.value, 'base64');
+    case 'Map':
+      return new Map(value.value.map(function(entry) {
+        return [fromTagged(entry[0]), fromTagged(entry[1])];
+      }));
+    case 'Set':
+      return new Set(value.value.map(fromTagged));
+    case 'Object':
+      source = value.value;
+      break;
+    default:
+      break;
+  }
+
+  Object.keys(source).forEach(function(key) {
+    untagged[key] = fromTagged(source[key]);
+  });
+
+  return untagged;
+}
+
+
+/**
+ * Encodes snapshots as JSON which also preserves `Date`s, `Buffer`s, `Map`s and `Set`s, anywhere
+ * within keys or values.
+ */
+var rich = {
+  /**
+   * Encodes the provided snapshot.
+   *
+   * @param {Object} snapshot The snapshot to encode.
+   * @return {string} The encoded snapshot.
+   */
+  encode: function(snapshot) {
+    return JSON.stringify(toTagged(snapshot));
+  },
+
+  /**
+   * Decodes the provided encoded snapshot.
+   *
+   * @param {string|Buffer} data The encoded snapshot.
+   * @return {Object} The snapshot.
+   */
+  decode: function(data) {
+    return fromTagged(JSON.parse(String(data)));
+  }
+};
+
+
+module.exports = {
+  json: json,
+  rich: rich
+};
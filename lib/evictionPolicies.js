@@ -0,0 +1,245 @@
+'use strict';
+
+
+/**
+ * Evicts the least recently used key. Both reads and writes count as uses.
+ */
+function LruPolicy() {
+  this._keys = new Map();
+}
+
+
+/**
+ * Starts tracking the provided key, which was just added to the cache.
+ *
+ * @param {string} key The key which was added.
+ */
+LruPolicy.prototype.add = function(key) {
+  this._keys.set(key, true);
+};
+
+
+/**
+ * Marks the provided key, which is already in the cache, as just used.
+ *
+ * @param {string} key The key which was read or written.
+ */
+LruPolicy.prototype.access = function(key) {
+  if (this._keys.has(key)) {
+    // Re-inserting the key moves it to the end of the Map's iteration order
+    this._keys.delete(key);
+    this._keys.set(key, true);
+  }
+};
+
+
+/**
+ * Stops tracking the provided key, which was just removed from the cache.
+ *
+ * @param {string} key The key which was removed.
+ */
+LruPolicy.prototype.remove = function(key) {
+  this._keys.delete(key);
+};
+
+
+/**
+ * Returns the key which should be evicted next.
+ *
+ * @return {string|undefined} The key to evict, or `undefined` if no keys are tracked.
+ */
+LruPolicy.prototype.victim = function() {
+  return this._keys.keys().next().value;
+};
+
+
+/**
+ * Stops tracking all keys.
+ */
+LruPolicy.prototype.clear = function() {
+  this._keys.clear();
+};
+
+
+/**
+ * Evicts the key which was added to the cache first, regardless of how it has been used since.
+ */
+function FifoPolicy() {
+  LruPolicy.call(this);
+}
+
+FifoPolicy.prototype.add = LruPolicy.prototype.add;
+FifoPolicy.prototype.remove = LruPolicy.prototype.remove;
+FifoPolicy.prototype.victim = LruPolicy.prototype.victim;
+FifoPolicy.prototype.clear = LruPolicy.prototype.clear;
+
+/**
+ * Ignores uses of existing keys, since they do not affect the eviction order.
+ */
+FifoPolicy.prototype.access = function() {};
+
+
+/**
+ * Evicts the least frequently used key. Ties are broken by evicting the least recently used of the
+ * tied keys. Both reads and writes count as uses.
+ */
+function LfuPolicy() {
+  // Maps each key to its use count
+  this._frequencies = new Map();
+
+  // Maps each use count to the keys with that count, in least recently used order
+  this._buckets = new Map();
+
+  this._minFrequency = 0;
+}
+
+
+/**
+ * Adds the provided key to the bucket for the provided use count.
+ *
+ * @param {string} key The key to add.
+ * @param {number} frequency The key's use count.
+ */
+LfuPolicy.prototype._addToBucket = function(key, frequency) {
+  var bucket = this._buckets.get(frequency);
+  if (typeof bucket === 'undefined') {
+    bucket = new Map();
+    this._buckets.set(frequency, bucket);
+  }
+
+  bucket.set(key, true);
+  this._frequencies.set(key, frequency);
+};
+
+
+/**
+ * Removes the provided key from the bucket for its current use count.
+ *
+ * @param {string} key The key to remove.
+ * @return {number|undefined} The key's use count, or `undefined` if the key is not tracked.
+ */
+LfuPolicy.prototype._removeFromBucket = function(key) {
+  var frequency = this._frequencies.get(key);
+  if (typeof frequency !== 'undefined') {
+    var bucket = this._buckets.get(frequency);
+    bucket.delete(key);
+    if (bucket.size === 0) {
+      this._buckets.delete(frequency);
+    }
+
+    this._frequencies.delete(key);
+  }
+
+  return frequency;
+};
+
+
+/**
+ * Starts tracking the provided key, which was just added to the cache.
+ *
+ * @param {string} key The key which was added.
+ */
+LfuPolicy.prototype.add = function(key) {
+  this._addToBucket(key, 1);
+  this._minFrequency = 1;
+};
+
+
+/**
+ * Marks the provided key, which is already in the cache, as just used.
+ *
+ * @param {string} key The key which was read or written.
+ */
+LfuPolicy.prototype.access = function(key) {
+  var frequency = this._removeFromBucket(key);
+  if (typeof frequency !== 'undefined') {
+    if (frequency === this._minFrequency && !this._buckets.has(frequency)) {
+      this._minFrequency = frequency + 1;
+    }
+
+    this._addToBucket(key, frequency + 1);
+  }
+};
+
+
+/**
+ * Stops tracking the provided key, which was just removed from the cache.
+ *
+ * @param {string} key The key which was removed.
+ */
+LfuPolicy.prototype.remove = function(key) {
+  this._removeFromBucket(key);
+};
+
+
+/**
+ * Returns the key which should be evicted next.
+ *
+ * @return {string|undefined} The key to evict, or `undefined` if no keys are tracked.
+ */
+LfuPolicy.prototype.victim = function() {
+  if (this._frequencies.size === 0) {
+    return undefined;
+  }
+
+  if (!this._buckets.has(this._minFrequency)) {
+    // The least frequently used bucket was emptied by a removal, so find the next one
+    var minFrequency = Infinity;
+    this._buckets.forEach(function(bucket, frequency) {
+      minFrequency = Math.min(minFrequency, frequency);
+    });
+    this._minFrequency = minFrequency;
+  }
+
+  return this._buckets.get(this._minFrequency).keys().next().value;
+};
+
+
+/**
+ * Stops tracking all keys.
+ */
+LfuPolicy.prototype.clear = function() {
+  this._frequencies.clear();
+  this._buckets.clear();
+  this._minFrequency = 0;
+};
+
+
+var policies = {
+  lru: LruPolicy,
+  lfu: LfuPolicy,
+  fifo: FifoPolicy
+};
+
+
+/**
+ * Returns a new eviction policy given the name of a built-in policy (`'lru'`, `'lfu'` or
+ * `'fifo'`), or returns the provided custom policy after checking that it implements the `add()`,
+ * `access()`, `remove()`, `victim()` and `clear()` methods.
+ *
+ * @param {string|Object} policy The name of a built-in policy, or a custom policy.
+ * @return {Object} The eviction policy.
+ */
+function createEvictionPolicy(policy) {
+  if (typeof policy === 'string' && Object.prototype.hasOwnProperty.call(policies, policy)) {
+    return new policies[policy]();
+  }
+
+  var isCustomPolicy = policy !== null && typeof policy === 'object' && ['add', 'access', 'remove', 'victim', 'clear'].every(function(method) {
+    return typeof policy[method] === 'function';
+  });
+
+  if (!isCustomPolicy) {
+    throw new Error('Eviction policy must be "lru", "lfu", "fifo" or an object implementing add(), access(), remove(), victim() and clear()');
+  }
+
+  return policy;
+}
+
+
+module.exports = {
+  LruPolicy: LruPolicy,
+  LfuPolicy: LfuPolicy,
+  FifoPolicy: FifoPolicy,
+  createEvictionPolicy: createEvictionPolicy
+};
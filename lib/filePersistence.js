@@ -0,0 +1,87 @@
+'use strict';
+
+var fs = require('fs');
+
+var codecs = require('./codecs');
+
+
+/**
+ * Persists cache snapshots to a single file on disk.
+ *
+ * Snapshots are encoded with the `codec` option, which is an object with `encode(snapshot)` and
+ * `decode(data)` methods and defaults to plain JSON. Each snapshot is first written to a temporary
+ * file next to `path` which is then renamed over it, so that a crash mid-write never leaves a
+ * partially written snapshot behind.
+ *
+ * @param {Object} options The `path` of the file and an optional `codec`.
+ */
+function FilePersistence(options) {
+  options = options || {};
+
+  if (typeof options.path !== 'string' || options.path === '') {
+    throw new Error('Path must be a non-empty string');
+  } else if (typeof options.codec !== 'undefined' && (options.codec === null || typeof options.codec.encode !== 'function' || typeof options.codec.decode !== 'function')) {
+    throw new Error('Codec must have encode() and decode() methods');
+  }
+
+  this.path = options.path;
+  this.codec = options.codec || codecs.json;
+}
+
+
+/**
+ * Reads the snapshot from the file. If the file does not exist, the callback is passed `null`.
+ *
+ * @param {function} callback The function which is passed an error, if any, and the snapshot.
+ */
+FilePersistence.prototype.read = function(callback) {
+  var self = this;
+
+  fs.readFile(self.path, function(error, data) {
+    if (error) {
+      callback(error.code === 'ENOENT' ? null : error, null);
+      return;
+    }
+
+    var snapshot;
+    try {
+      snapshot = self.codec.decode(data);
+    } catch (decodeError) {
+      callback(decodeError, null);
+      return;
+    }
+
+    callback(null, snapshot);
+  });
+};
+
+
+/**
+ * Writes the provided snapshot to the file, replacing any existing snapshot.
+ *
+ * @param {Object} snapshot The snapshot to write.
+ * @param {function} callback The function which is passed an error, if any.
+ */
+FilePersistence.prototype.write = function(snapshot, callback) {
+  var self = this;
+
+  var data;
+  try {
+    data = self.codec.encode(snapshot);
+  } catch (encodeError) {
+    callback(encodeError);
+    return;
+  }
+
+  var temporaryPath = self.path + '.tmp';
+  fs.writeFile(temporaryPath, data, function(writeError) {
+    if (writeError) {
+      callback(writeError);
+    } else {
+      fs.rename(temporaryPath, self.path, callback);
+    }
+  });
+};
+
+
+module.exports = FilePersistence;
@@ -0,0 +1,105 @@
+'use strict';
+
+
+/**
+ * Returns the value of the provided header, looking it up case-insensitively in a plain object of
+ * headers, such as a Node.js response's `headers`, or with the `get()` method of a Fetch API
+ * `Headers` object. Headers with several values are joined with commas.
+ *
+ * @param {Object} headers The headers to look the header up in.
+ * @param {string} name The lower case name of the header.
+ * @return {string|null} The header's value, or `null` if it is not present.
+ */
+function getHeader(headers, name) {
+  if (typeof headers.get === 'function') {
+    var fetchValue = headers.get(name);
+    return (typeof fetchValue === 'undefined') ? null : fetchValue;
+  }
+
+  var matchingNames = Object.keys(headers).filter(function(headerName) {
+    return headerName.toLowerCase() === name;
+  });
+  if (matchingNames.length === 0) {
+    return null;
+  }
+
+  var value = headers[matchingNames[0]];
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+
+/**
+ * Parses the provided `Cache-Control` header into an object of its directives, keyed by their lower
+ * case names. Directives without a value are `true`.
+ *
+ * @param {string} cacheControl The `Cache-Control` header.
+ * @return {Object} The header's directives.
+ */
+function parseCacheControl(cacheControl) {
+  var directives = {};
+  cacheControl.split(',').forEach(function(directive) {
+    var parts = directive.split('=');
+    var name = parts[0].trim().toLowerCase();
+    if (name !== '') {
+      directives[name] = (parts.length === 1) ? true : parts.slice(1).join('=').trim().replace(/^"|"$/g, '');
+    }
+  });
+  return directives;
+}
+
+
+/**
+ * Returns how long, in milliseconds, a response may be cached, as determined by its HTTP caching
+ * headers, so that it can be used in a cache's `ttl` function. A `Cache-Control` header with
+ * `no-store` or `no-cache`, or a `Pragma: no-cache` header without a `Cache-Control` header, means
+ * that the response should not be cached, so `0` is returned. Otherwise, the TTL is the
+ * `Cache-Control` header's `max-age` less the `Age` header, or the time from the `Date` header (or
+ * now) until the `Expires` header. Responses without any of these headers are cached for the
+ * `defaultTtl` option, which defaults to `0`.
+ *
+ * @param {Object} headers The response's headers, as a plain object or a Fetch API `Headers` object.
+ * @param {Object} [options] An optional `defaultTtl`, in milliseconds, for responses without freshness headers.
+ * @return {number|null} The time, in milliseconds, for which the response may be cached.
+ */
+function ttlFromHeaders(headers, options) {
+  options = options || {};
+
+  if (headers === null || typeof headers !== 'object') {
+    throw new Error('Headers must be an object');
+  } else if (typeof options.defaultTtl !== 'undefined' && options.defaultTtl !== null && (typeof options.defaultTtl !== 'number' || isNaN(options.defaultTtl) || options.defaultTtl < 0)) {
+    throw new Error('Default TTL must be a non-negative number or null');
+  }
+
+  var defaultTtl = (typeof options.defaultTtl === 'undefined') ? 0 : options.defaultTtl;
+
+  var cacheControl = getHeader(headers, 'cache-control');
+  var directives = (cacheControl === null) ? {} : parseCacheControl(cacheControl);
+
+  if (directives['no-store'] || directives['no-cache']) {
+    return 0;
+  } else if (cacheControl === null && /(^|,)\s*no-cache\s*(,|$)/i.test(getHeader(headers, 'pragma') || '')) {
+    return 0;
+  }
+
+  if (typeof directives['max-age'] === 'string' && /^\d+$/.test(directives['max-age'])) {
+    var age = parseInt(getHeader(headers, 'age'), 10);
+    var maxAge = parseInt(directives['max-age'], 10) - (isNaN(age) ? 0 : age);
+    return Math.max(maxAge, 0) * 1000;
+  }
+
+  var expires = getHeader(headers, 'expires');
+  if (expires !== null) {
+    // Invalid dates, such as "0", mean that the response has already expired
+    var expiresAt = Date.parse(expires);
+    var date = Date.parse(getHeader(headers, 'date'));
+    var now = isNaN(date) ? Date.now() : date;
+    return isNaN(expiresAt) ? 0 : Math.max(expiresAt - now, 0);
+  }
+
+  return defaultTtl;
+}
+
+
+module.exports = {
+  ttlFromHeaders: ttlFromHeaders
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+
+/**
+ * A clock whose time only moves forward when `tick()` is called, for deterministically testing code
+ * which uses a cache. Passing it as the cache's `clock` option makes every expiration timeout and
+ * refresh interval run from `tick()` rather than from real timers.
+ *
+ * @param {number} [startTime = 0] The initial time, in milliseconds.
+ */
+function ManualClock(startTime) {
+  if (typeof startTime !== 'undefined' && (typeof startTime !== 'number' || isNaN(startTime))) {
+    throw new Error('Start time must be a number');
+  }
+
+  this._now = startTime || 0;
+  this._timers = [];
+  this._nextId = 0;
+}
+
+
+/**
+ * Returns the current time.
+ *
+ * @return {number} The current time, in milliseconds.
+ */
+ManualClock.prototype.now = function() {
+  return this._now;
+};
+
+
+/**
+ * Calls the provided `callback` once the clock has been ticked past the provided `delay`.
+ *
+ * @param {function} callback The function to call.
+ * @param {number} delay The time, in milliseconds, to wait.
+ * @return {Object} A timer which can be passed to `clearTimeout()`.
+ */
+ManualClock.prototype.setTimeout = function(callback, delay) {
+  this._nextId += 1;
+
+  var timer = {
+    id: this._nextId,
+    dueAt: this._now + Math.max(delay, 0),
+    callback: callback
+  };
+
+  this._timers.push(timer);
+
+  return timer;
+};
+
+
+/**
+ * Cancels the provided timer. Cancelling a timer which has already run or been cancelled is a no-op.
+ *
+ * @param {Object} timer The timer to cancel.
+ */
+ManualClock.prototype.clearTimeout = function(timer) {
+  var index = this._timers.indexOf(timer);
+  if (index !== -1) {
+    this._timers.splice(index, 1);
+  }
+};
+
+
+/**
+ * Moves the clock forward by the provided amount of time, running each timer which becomes due in
+ * the order they are due. Timers set by those timers also run if they become due in that time.
+ *
+ * Note that Promises returned by loaders settle asynchronously, so their values are only written to
+ * the cache once the current tick of the event loop has finished.
+ *
+ * @param {number} ms The time, in milliseconds, to move the clock forward by.
+ */
+ManualClock.prototype.tick = function(ms) {
+  if (typeof ms !== 'number' || isNaN(ms) || ms < 0) {
+    throw new Error('Tick time must be a non-negative number');
+  }
+
+  var endTime = this._now + ms;
+
+  var timer = this._nextDueTimer(endTime);
+  while (typeof timer !== 'undefined') {
+    this.clearTimeout(timer);
+    this._now = timer.dueAt;
+    timer.callback();
+
+    timer = this._nextDueTimer(endTime);
+  }
+
+  this._now = endTime;
+};
+
+
+/**
+ * Returns the earliest timer which is due by the provided time. Timers which are due at the same
+ * time are returned in the order they were set.
+ *
+ * @param {number} time The time, in milliseconds, by which the timer must be due.
+ * @return {Object|undefined} The timer, or `undefined` if no timers are due by then.
+ */
+ManualClock.prototype._nextDueTimer = function(time) {
+  var next;
+  this._timers.forEach(function(timer) {
+    if (timer.dueAt <= time && (typeof next === 'undefined' || timer.dueAt < next.dueAt)) {
+      next = timer;
+    }
+  });
+
+  return next;
+};
+
+
+/**
+ * Returns the number of timers which have not yet run or been cancelled.
+ *
+ * @return {number} The number of pending timers.
+ */
+ManualClock.prototype.pendingTimers = function() {
+  return this._timers.length;
+};
+
+
+module.exports = ManualClock;
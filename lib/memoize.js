@@ -0,0 +1,162 @@
+'use strict';
+
+
+/**
+ * Serializes the provided argument, or array of arguments, into part of a cache key, throwing an
+ * error given a value which cannot be told apart from others of its type.
+ *
+ * @param {*} value The value to serialize.
+ * @param {Array} ancestors The arrays and objects which contain the value.
+ * @return {string} The serialized value.
+ */
+function serializeValue(value, ancestors) {
+  if (typeof value === 'undefined' || typeof value === 'boolean' || typeof value === 'number' || value === null) {
+    // Unlike JSON, keeps undefined, NaN and the infinities apart from null
+    return String(value);
+  } else if (typeof value === 'string') {
+    return JSON.stringify(value);
+  } else if (typeof value !== 'object') {
+    throw new Error('Memoized function arguments must be primitives, arrays, plain objects or dates');
+  } else if (ancestors.indexOf(value) !== -1) {
+    throw new Error('Memoized function arguments must not be circular');
+  }
+
+  var prototype = Object.getPrototypeOf(value);
+  var serialized;
+
+  if (prototype === Date.prototype) {
+    return 'Date(' + value.getTime() + ')';
+  } else if (Array.isArray(value)) {
+    ancestors.push(value);
+    serialized = '[' + Array.from(value, function(item) {
+      return serializeValue(item, ancestors);
+    }).join(',') + ']';
+  } else if (prototype === Object.prototype || prototype === null) {
+    ancestors.push(value);
+    serialized = '{' + Object.keys(value).map(function(name) {
+      return JSON.stringify(name) + ':' + serializeValue(value[name], ancestors);
+    }).join(',') + '}';
+  } else {
+    // Maps, Sets, class instances and the like would all look alike as JSON
+    throw new Error('Memoized function arguments must be primitives, arrays, plain objects or dates');
+  }
+
+  ancestors.pop();
+
+  return serialized;
+}
+
+
+/**
+ * The default key serializer of a memoized function's cache, which turns the array of arguments the
+ * function was called with into a string. Arguments which serialize the same way are equal as JSON,
+ * except that `undefined`, `null`, `NaN`, `Infinity` and `-Infinity` are all told apart and dates
+ * are compared by their time. Any argument which is not a primitive, array, plain object or date is
+ * rejected with an error, as are circular arguments.
+ *
+ * @param {Array} args The arguments the function was called with.
+ * @return {string} The cache key for the arguments.
+ */
+function serializeArguments(args) {
+  return serializeValue(args, []);
+}
+
+
+/**
+ * Sets the provided cache's loader to call the provided function with a key's arguments, so that
+ * refreshes and stale reads of the cache's keys call the function again. The cache does not know
+ * which `this` a key was computed with, so the function is called without one.
+ *
+ * @param {RefreshableCache} cache The cache whose keys are the function's arguments.
+ * @param {function} fn The function which computes a value from its arguments.
+ */
+function setArgumentsLoader(cache, fn) {
+  cache.setLoader(function(args) {
+    return fn.apply(null, args);
+  });
+}
+
+
+/**
+ * Adds the `cache`, `invalidate()` and `refresh()` properties shared by every memoized function.
+ *
+ * @param {function} memoized The memoized function.
+ * @param {RefreshableCache} cache The cache whose keys are the function's arguments.
+ * @param {function} refresh The function which calls the memoized function again for the provided
+ *     arguments array and writes its result to the cache.
+ * @return {function} The memoized function.
+ */
+function decorate(memoized, cache, refresh) {
+  memoized.cache = cache;
+
+  memoized.invalidate = function() {
+    return cache.del(Array.prototype.slice.call(arguments));
+  };
+
+  memoized.refresh = function() {
+    return refresh(Array.prototype.slice.call(arguments));
+  };
+
+  return memoized;
+}
+
+
+/**
+ * Returns a function which returns the provided function's result for its arguments from the
+ * provided cache, calling the function and writing its result to the cache on a miss. Each key of
+ * the cache is the array of arguments the function was called with.
+ *
+ * @param {RefreshableCache} cache The cache in which to keep the function's results.
+ * @param {function} fn The synchronous function to memoize.
+ * @return {function} The memoized function.
+ */
+function memoize(cache, fn) {
+  setArgumentsLoader(cache, fn);
+
+  var memoized = function() {
+    var args = Array.prototype.slice.call(arguments);
+    if (cache.has(args)) {
+      return cache.get(args);
+    }
+
+    return cache.put(args, fn.apply(null, args));
+  };
+
+  return decorate(memoized, cache, function(args) {
+    return cache.put(args, fn.apply(null, args));
+  });
+}
+
+
+/**
+ * Returns a function which returns a Promise for the provided function's result for its
+ * arguments, loading it with `getOrLoad()` on a miss so that concurrent calls with the same
+ * arguments share a single call of the function. Each key of the cache is the array of arguments
+ * the function was called with.
+ *
+ * @param {RefreshableCache} cache The cache in which to keep the function's results.
+ * @param {function} fn The function to memoize, which returns a value or a Promise.
+ * @return {function} The memoized function.
+ */
+function memoizeAsync(cache, fn) {
+  setArgumentsLoader(cache, fn);
+
+  var memoized = function() {
+    return cache.getOrLoad(Array.prototype.slice.call(arguments));
+  };
+
+  return decorate(memoized, cache, function(args) {
+    return new Promise(function(resolve) {
+      resolve(fn.apply(null, args));
+    }).then(function(value) {
+      return cache.put(args, value);
+    });
+  });
+}
+
+
+module.exports = {
+  memoize: memoize,
+  memoizeAsync: memoizeAsync,
+  serializeArguments: serializeArguments
+};
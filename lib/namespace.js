@@ -0,0 +1,122 @@
+'use strict';
+
+
+/**
+ * A view of a cache which only sees the cache's keys which start with the provided prefix, as
+ * returned by the cache's `namespace()` method. Each key of the view is the rest of the
+ * corresponding cache key after the prefix, so keys written through the view are always strings.
+ *
+ * @param {RefreshableCache} cache The cache to view.
+ * @param {string} prefix The prefix of the cache keys which the view sees.
+ */
+function Namespace(cache, prefix) {
+  if (typeof prefix !== 'string' || prefix === '') {
+    throw new Error('Namespace prefix must be a non-empty string');
+  }
+
+  this._cache = cache;
+  this._prefix = prefix;
+}
+
+
+/**
+ * Retrieves the value of the provided `key` from the namespace, as with the cache's `get()`.
+ *
+ * @param {string} key The key whose value to retrieve.
+ * @return {*|null} The provided key's value, or `null` if the provided key is not in the namespace.
+ */
+Namespace.prototype.get = function(key) {
+  return this._cache.get(this._prefix + key);
+};
+
+
+/**
+ * Returns whether or not the provided `key` is in the namespace, as with the cache's `has()`.
+ *
+ * @param {string} key The key to look up.
+ * @return {boolean} Whether or not the provided key is in the namespace.
+ */
+Namespace.prototype.has = function(key) {
+  return this._cache.has(this._prefix + key);
+};
+
+
+/**
+ * Sets the `value` of the provided `key` in the namespace. Takes the same arguments as the cache's
+ * `put()`.
+ *
+ * @param {string} key The key whose value to write.
+ * @param {*} value The value to write.
+ * @return {any} The value written to the namespace.
+ */
+Namespace.prototype.put = function(key) {
+  var args = Array.prototype.slice.call(arguments);
+  args[0] = this._prefix + key;
+  return this._cache.put.apply(this._cache, args);
+};
+
+
+/**
+ * Removes the provided `key` from the namespace, as with the cache's `del()`.
+ *
+ * @param {string} key The key to remove.
+ * @return {boolean} Whether or not the key was removed from the namespace.
+ */
+Namespace.prototype.del = function(key) {
+  return this._cache.del(this._prefix + key);
+};
+
+
+/**
+ * Removes every key in the namespace from the cache, leaving the cache's other keys in place.
+ */
+Namespace.prototype.clear = function() {
+  var self = this;
+  self.keys().forEach(function(key) {
+    self.del(key);
+  });
+};
+
+
+/**
+ * Returns an array of the keys in the namespace, without the namespace's prefix.
+ *
+ * @return {string[]} An array of keys in the namespace.
+ */
+Namespace.prototype.keys = function() {
+  var prefix = this._prefix;
+
+  return this._cache.keys().filter(function(key) {
+    return typeof key === 'string' && key.indexOf(prefix) === 0;
+  }).map(function(key) {
+    return key.slice(prefix.length);
+  });
+};
+
+
+/**
+ * Returns the number of keys in the namespace.
+ *
+ * @return {number} The number of keys in the namespace.
+ */
+Namespace.prototype.size = function() {
+  return this.keys().length;
+};
+
+
+/**
+ * Returns a view of the namespace which only sees its keys which start with the provided prefix.
+ *
+ * @param {string} prefix The prefix of the keys which the nested namespace sees.
+ * @return {Namespace} The nested namespace.
+ */
+Namespace.prototype.namespace = function(prefix) {
+  if (typeof prefix !== 'string' || prefix === '') {
+    throw new Error('Namespace prefix must be a non-empty string');
+  }
+
+  return new Namespace(this._cache, this._prefix + prefix);
+};
+
+
+module.exports = Namespace;
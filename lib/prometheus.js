@@ -0,0 +1,105 @@
+'use strict';
+
+
+// The metrics exported for a cache's statistics, in the order in which they are written
+var METRICS = [
+  { stat: 'hits', name: 'hits_total', type: 'counter', help: 'The number of reads which found their key in the cache.' },
+  { stat: 'misses', name: 'misses_total', type: 'counter', help: 'The number of reads which did not find their key in the cache.' },
+  { stat: 'hitRatio', name: 'hit_ratio', type: 'gauge', help: 'The fraction of reads which found their key in the cache.' },
+  { stat: 'sets', name: 'sets_total', type: 'counter', help: 'The number of values written to the cache.' },
+  { stat: 'deletes', name: 'deletes_total', type: 'counter', help: 'The number of keys deleted from the cache.' },
+  { stat: 'expirations', name: 'expirations_total', type: 'counter', help: 'The number of keys which expired from the cache.' },
+  { stat: 'evictions', name: 'evictions_total', type: 'counter', help: 'The number of keys evicted from the cache.' },
+  { stat: 'refreshes', name: 'refreshes_total', type: 'counter', help: 'The number of times a key was due to be refreshed.' },
+  { stat: 'refreshSuccesses', name: 'refresh_successes_total', type: 'counter', help: 'The number of refreshes whose loader succeeded.' },
+  { stat: 'refreshFailures', name: 'refresh_failures_total', type: 'counter', help: 'The number of refreshes whose loader failed.' },
+  { stat: 'size', name: 'size', type: 'gauge', help: 'The number of keys in the cache.' },
+  { stat: 'averageEntryAge', name: 'average_entry_age_seconds', type: 'gauge', help: 'The average time since the keys in the cache were added.', scale: 1 / 1000 }
+];
+
+var METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+var LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+
+/**
+ * Returns the provided label value escaped for the Prometheus text format.
+ *
+ * @param {string} value The label value to escape.
+ * @return {string} The escaped label value.
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+
+/**
+ * Returns the provided number formatted as a Prometheus sample value.
+ *
+ * @param {number|null} value The number to format. `null` is formatted as `NaN`.
+ * @return {string} The formatted number.
+ */
+function formatValue(value) {
+  if (value === null || isNaN(value)) {
+    return 'NaN';
+  } else if (value === Infinity) {
+    return '+Inf';
+  } else if (value === -Infinity) {
+    return '-Inf';
+  }
+
+  return String(value);
+}
+
+
+/**
+ * Formats the provided statistics, as returned by a cache's `stats()` method, in the Prometheus
+ * text exposition format. Each metric's name starts with the `prefix` option, which defaults to
+ * `'refreshable_cache'`, and every sample has the `labels` option's labels, which allows the
+ * statistics of several caches to be exported side by side. Ages are exported in seconds.
+ *
+ * @param {Object} stats The statistics to format.
+ * @param {Object} [options] An optional metric name `prefix` and `labels` object.
+ * @return {string} The statistics in the Prometheus text exposition format.
+ */
+function format(stats, options) {
+  options = options || {};
+
+  var prefix = (typeof options.prefix === 'undefined') ? 'refreshable_cache' : options.prefix;
+  var labels = options.labels || {};
+
+  if (stats === null || typeof stats !== 'object') {
+    throw new Error('Stats must be an object');
+  } else if (typeof prefix !== 'string' || !METRIC_NAME_PATTERN.test(prefix)) {
+    throw new Error('Prefix must be a valid Prometheus metric name');
+  } else if (typeof labels !== 'object' || Object.keys(labels).some(function(labelName) {
+    return !LABEL_NAME_PATTERN.test(labelName) || labelName.indexOf('__') === 0;
+  })) {
+    throw new Error('Labels must be an object whose keys are valid Prometheus label names');
+  }
+
+  var labelText = Object.keys(labels).map(function(labelName) {
+    return labelName + '="' + escapeLabelValue(labels[labelName]) + '"';
+  }).join(',');
+  if (labelText !== '') {
+    labelText = '{' + labelText + '}';
+  }
+
+  return METRICS.filter(function(metric) {
+    return typeof stats[metric.stat] !== 'undefined';
+  }).map(function(metric) {
+    var name = prefix + '_' + metric.name;
+    var value = stats[metric.stat];
+    if (typeof metric.scale !== 'undefined' && value !== null) {
+      value *= metric.scale;
+    }
+
+    return '# HELP ' + name + ' ' + metric.help + '\n' +
+      '# TYPE ' + name + ' ' + metric.type + '\n' +
+      name + labelText + ' ' + formatValue(value) + '\n';
+  }).join('');
+}
+
+
+module.exports = {
+  format: format
+};
@@ -0,0 +1,352 @@
+'use strict';
+
+
+/**
+ * Runs any number of timeouts and intervals off of a single underlying timer.
+ *
+ * Timers are kept in a binary min-heap ordered by when they are due, and the underlying timer is
+ * only ever set for the earliest of them. Timers which are due at the same time run in the order
+ * they were created, matching the behavior of Node's own timers.
+ *
+ * The underlying timer is set with the clock's own `setTimeout()` and `clearTimeout()` methods if it
+ * has them, or with the global ones otherwise. If `options.unref` is `true`, the underlying timer
+ * does not keep the Node.js process running.
+ *
+ * @param {Object} clock An object whose `now()` method returns the current time, in milliseconds,
+ *     and which optionally has `setTimeout()` and `clearTimeout()` methods.
+ * @param {Object} [options] Optional `unref` setting.
+ */
+function Scheduler(clock, options) {
+  this._clock = clock;
+  this._unref = Boolean(options && options.unref);
+  this._heap = [];
+  this._nextId = 0;
+
+  this._timer = null;
+  this._timerDueAt = null;
+  this._isRunning = false;
+  this._isBatching = false;
+}
+
+
+// The longest delay, in milliseconds, which setTimeout() accepts; longer delays fire after 1ms
+var MAX_TIMER_DELAY = 2147483647;
+
+
+/**
+ * Returns whether or not timer `a` is due before timer `b`.
+ *
+ * @param {Object} a The first timer.
+ * @param {Object} b The second timer.
+ * @return {boolean} Whether or not `a` is due before `b`.
+ */
+function isDueBefore(a, b) {
+  return a.dueAt < b.dueAt || (a.dueAt === b.dueAt && a.id < b.id);
+}
+
+
+/**
+ * Places the timer at the provided index of the heap.
+ *
+ * @param {Object[]} heap The heap.
+ * @param {number} index The index to place the timer at.
+ * @param {Object} timer The timer to place.
+ */
+function place(heap, index, timer) {
+  heap[index] = timer;
+  timer.index = index;
+}
+
+
+/**
+ * Moves the timer at the provided index of the heap up or down until the heap is ordered again.
+ *
+ * @param {Object[]} heap The heap.
+ * @param {number} index The index of the timer to move.
+ */
+function sift(heap, index) {
+  var timer = heap[index];
+
+  // Sift up
+  while (index > 0) {
+    var parentIndex = (index - 1) >> 1;
+    if (!isDueBefore(timer, heap[parentIndex])) {
+      break;
+    }
+
+    place(heap, index, heap[parentIndex]);
+    index = parentIndex;
+  }
+
+  // Sift down
+  var childIndex = 2 * index + 1;
+  while (childIndex < heap.length) {
+    if (childIndex + 1 < heap.length && isDueBefore(heap[childIndex + 1], heap[childIndex])) {
+      childIndex++;
+    }
+
+    if (!isDueBefore(heap[childIndex], timer)) {
+      break;
+    }
+
+    place(heap, index, heap[childIndex]);
+    index = childIndex;
+    childIndex = 2 * index + 1;
+  }
+
+  place(heap, index, timer);
+}
+
+
+/**
+ * Adds the provided timer to the heap.
+ *
+ * @param {Object} timer The timer to add.
+ */
+Scheduler.prototype._push = function(timer) {
+  this._heap.push(timer);
+  sift(this._heap, this._heap.length - 1);
+};
+
+
+/**
+ * Removes the provided timer from the heap.
+ *
+ * @param {Object} timer The timer to remove.
+ */
+Scheduler.prototype._remove = function(timer) {
+  var last = this._heap.pop();
+  if (last !== timer) {
+    place(this._heap, timer.index, last);
+    sift(this._heap, last.index);
+  }
+
+  timer.index = -1;
+};
+
+
+/**
+ * Sets the underlying timer for the earliest due timer, unless it is already set for it.
+ */
+Scheduler.prototype._arm = function() {
+  var self = this;
+
+  if (self._isRunning || self._isBatching) {
+    // _run() and batch() arm the underlying timer once they are done
+    return;
+  }
+
+  var next = self._heap[0];
+  var nextDueAt = (typeof next === 'undefined') ? null : next.dueAt;
+  if (nextDueAt === self._timerDueAt) {
+    return;
+  }
+
+  var hasOwnTimers = typeof self._clock.setTimeout === 'function';
+
+  if (self._timer !== null) {
+    if (hasOwnTimers) {
+      self._clock.clearTimeout(self._timer);
+    } else {
+      clearTimeout(self._timer);
+    }
+
+    self._timer = null;
+  }
+
+  self._timerDueAt = nextDueAt;
+  if (nextDueAt !== null) {
+    var run = function() {
+      self._run();
+    };
+    // Timers due further away than the longest delay are reached in steps, since _run() re-arms the
+    // underlying timer whenever nothing is due yet
+    var delay = Math.min(Math.max(nextDueAt - self._clock.now(), 1), MAX_TIMER_DELAY);
+
+    self._timer = hasOwnTimers ? self._clock.setTimeout(run, delay) : setTimeout(run, delay);
+
+    if (self._unref && self._timer && typeof self._timer.unref === 'function') {
+      self._timer.unref();
+    }
+  }
+};
+
+
+/**
+ * Runs all of the timers which are due, then sets the underlying timer for the next one.
+ */
+Scheduler.prototype._run = function() {
+  this._timer = null;
+  this._timerDueAt = null;
+  this._isRunning = true;
+
+  try {
+    var now = this._clock.now();
+    while (this._heap.length !== 0 && this._heap[0].dueAt <= now) {
+      var timer = this._heap[0];
+
+      if (timer.deferredDueAt !== null) {
+        // The timeout was restarted with a later due time, so move it to its actual place
+        timer.dueAt = timer.deferredDueAt;
+        timer.id = timer.deferredId;
+        timer.deferredDueAt = null;
+        sift(this._heap, 0);
+        continue;
+      }
+
+      if (timer.interval === null) {
+        this._remove(timer);
+      } else {
+        // Reschedule intervals before running them so that they can clear themselves, without
+        // running them repeatedly to catch up if the process was busy for longer than the interval
+        timer.dueAt = Math.max(timer.dueAt + timer.interval, now + 1);
+        sift(this._heap, 0);
+      }
+
+      timer.callback();
+    }
+  } finally {
+    this._isRunning = false;
+    this._arm();
+  }
+};
+
+
+/**
+ * Schedules a new timer.
+ *
+ * @param {function} callback The function to call when the timer is due.
+ * @param {number} delay The time, in milliseconds, until the timer is due.
+ * @param {number|null} interval The time, in milliseconds, between repetitions, or `null` to run once.
+ * @return {Object} The new timer.
+ */
+Scheduler.prototype._schedule = function(callback, delay, interval) {
+  this._nextId += 1;
+
+  var timer = {
+    id: this._nextId,
+    dueAt: this._clock.now() + delay,
+    interval: interval,
+    callback: callback,
+    index: -1,
+    deferredDueAt: null,
+    deferredId: null
+  };
+
+  this._push(timer);
+  this._arm();
+
+  return timer;
+};
+
+
+/**
+ * Calls the provided `callback` once the provided `delay` passes.
+ *
+ * @param {function} callback The function to call.
+ * @param {number} delay The time, in milliseconds, to wait.
+ * @return {Object} A timer which can be passed to `clearTimeout()` or `restartTimeout()`.
+ */
+Scheduler.prototype.setTimeout = function(callback, delay) {
+  return this._schedule(callback, delay, null);
+};
+
+
+/**
+ * Calls the provided `callback` each time the provided `interval` passes.
+ *
+ * @param {function} callback The function to call.
+ * @param {number} interval The time, in milliseconds, between calls.
+ * @return {Object} A timer which can be passed to `clearInterval()`.
+ */
+Scheduler.prototype.setInterval = function(callback, interval) {
+  return this._schedule(callback, interval, interval);
+};
+
+
+/**
+ * Cancels the provided timer. Cancelling a timer which has already run or been cancelled, or
+ * passing `undefined` or `null`, is a no-op.
+ *
+ * @param {Object} [timer] The timer to cancel.
+ */
+Scheduler.prototype.clearTimeout = function(timer) {
+  if (timer && timer.index !== -1) {
+    this._remove(timer);
+    this._arm();
+  }
+};
+
+Scheduler.prototype.clearInterval = Scheduler.prototype.clearTimeout;
+
+
+/**
+ * Makes the provided timeout due once the provided `delay` passes from now, as if it had been
+ * cancelled and a new timeout had been set in its place. This is cheaper than cancelling the
+ * timeout and setting a new one, and also works on timeouts which have already run.
+ *
+ * @param {Object} timer The timeout to restart.
+ * @param {number} delay The time, in milliseconds, until the timeout is due.
+ * @return {Object} The restarted timeout.
+ */
+Scheduler.prototype.restartTimeout = function(timer, delay) {
+  this._nextId += 1;
+
+  var dueAt = this._clock.now() + delay;
+  if (timer.index !== -1 && dueAt >= timer.dueAt) {
+    // Timeouts are usually pushed back, so rather than moving them in the heap each time, leave them
+    // where they are and only move them once they would otherwise run
+    timer.deferredDueAt = dueAt;
+    timer.deferredId = this._nextId;
+    return timer;
+  }
+
+  timer.id = this._nextId;
+  timer.dueAt = dueAt;
+  timer.deferredDueAt = null;
+
+  if (timer.index === -1) {
+    this._push(timer);
+  } else {
+    sift(this._heap, timer.index);
+  }
+
+  this._arm();
+
+  return timer;
+};
+
+
+/**
+ * Calls the provided `callback`, only setting the underlying timer once it returns rather than
+ * each time it schedules, cancels or restarts a timer.
+ *
+ * @param {function} callback The function to call.
+ * @return {*} The value returned by the callback.
+ */
+Scheduler.prototype.batch = function(callback) {
+  if (this._isBatching) {
+    return callback();
+  }
+
+  this._isBatching = true;
+  try {
+    return callback();
+  } finally {
+    this._isBatching = false;
+    this._arm();
+  }
+};
+
+
+/**
+ * Returns the number of timers which are scheduled.
+ *
+ * @return {number} The number of scheduled timers.
+ */
+Scheduler.prototype.size = function() {
+  return this._heap.length;
+};
+
+
+module.exports = Scheduler;
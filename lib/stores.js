@@ -0,0 +1,743 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var inherits = require('inherits');
+
+var codecs = require('./codecs');
+var FilePersistence = require('./filePersistence');
+
+
+/**
+ * Stores cache items in a plain object, which converts every key to a string.
+ *
+ * Every store has synchronous `get(key)`, `set(key, record)`, `delete(key)`, `keys()` and `clear()`
+ * methods. Keys are passed to a store as returned by the cache's key serializer, which by default
+ * leaves them as they are. The cache item records passed to `set()` are owned by the cache, which
+ * may continue to update them after they are set.
+ *
+ * Stores shared with other processes may also have an asynchronous `fetch(key, callback)` method,
+ * which `getOrLoad()` calls before the loader to read a key the cache does not have. They may also
+ * emit an `'invalidate'` event once another process changes a key, with the key and its record,
+ * if the store had one and removed it, or with the key `null` once another process deleted every
+ * key. The cache then stops tracking the record and forgets the key's negative value.
+ */
+function ObjectStore() {
+  this._records = Object.create(null);
+}
+
+
+/**
+ * Returns the cache item record for the provided key.
+ *
+ * @param {*} key The key whose record to return.
+ * @return {Object|undefined} The record, or `undefined` if the key is not in the store.
+ */
+ObjectStore.prototype.get = function(key) {
+  return this._records[key];
+};
+
+
+/**
+ * Sets the cache item record for the provided key.
+ *
+ * @param {*} key The key whose record to set.
+ * @param {Object} record The record to set.
+ */
+ObjectStore.prototype.set = function(key, record) {
+  this._records[key] = record;
+};
+
+
+/**
+ * Removes the cache item record for the provided key.
+ *
+ * @param {*} key The key whose record to remove.
+ */
+ObjectStore.prototype.delete = function(key) {
+  delete this._records[key];
+};
+
+
+/**
+ * Returns the keys in the store, in the order they were first set.
+ *
+ * @return {string[]} The keys in the store.
+ */
+ObjectStore.prototype.keys = function() {
+  return Object.keys(this._records);
+};
+
+
+/**
+ * Removes every cache item record from the store.
+ */
+ObjectStore.prototype.clear = function() {
+  this._records = Object.create(null);
+};
+
+
+/**
+ * Stores cache items in a `Map`, which keeps keys of any type apart and avoids the performance
+ * cliffs plain objects can have when many keys are deleted. This is the default store.
+ */
+function MapStore() {
+  this._records = new Map();
+}
+
+
+/**
+ * Returns the cache item record for the provided key.
+ *
+ * @param {*} key The key whose record to return.
+ * @return {Object|undefined} The record, or `undefined` if the key is not in the store.
+ */
+MapStore.prototype.get = function(key) {
+  return this._records.get(key);
+};
+
+
+/**
+ * Sets the cache item record for the provided key.
+ *
+ * @param {*} key The key whose record to set.
+ * @param {Object} record The record to set.
+ */
+MapStore.prototype.set = function(key, record) {
+  this._records.set(key, record);
+};
+
+
+/**
+ * Removes the cache item record for the provided key.
+ *
+ * @param {*} key The key whose record to remove.
+ */
+MapStore.prototype.delete = function(key) {
+  this._records.delete(key);
+};
+
+
+/**
+ * Returns the keys in the store, in the order they were first set.
+ *
+ * @return {Array<*>} The keys in the store.
+ */
+MapStore.prototype.keys = function() {
+  var keys = [];
+  this._records.forEach(function(record, key) {
+    keys.push(key);
+  });
+  return keys;
+};
+
+
+/**
+ * Removes every cache item record from the store.
+ */
+MapStore.prototype.clear = function() {
+  this._records.clear();
+};
+
+
+// The fields of a cache item record which are written to durable stores. The cache restores the
+// rest, such as timers, when it adopts the record.
+var STORED_FIELDS = ['key', 'value', 'createdAt', 'updatedAt', 'lastAccessedAt', 'expiresAt', 'duration',
+  'refreshIntervalDuration', 'freshDuration', 'staleAt', 'tags'];
+
+
+/**
+ * Returns a copy of the provided cache item record with only the fields which durable stores write.
+ *
+ * @param {Object} record The record to copy.
+ * @return {Object} The copy of the record.
+ */
+function toStoredRecord(record) {
+  var storedRecord = {};
+  STORED_FIELDS.forEach(function(field) {
+    if (typeof record[field] !== 'undefined') {
+      storedRecord[field] = record[field];
+    }
+  });
+  return storedRecord;
+}
+
+
+/**
+ * Stores cache items in memory and writes them through to a single file on disk, so that a new
+ * cache created with the same file after a restart starts out with them.
+ *
+ * The file is read by `open()`, which must be called before the store is passed to a cache. Every
+ * change rewrites the whole file, with changes made while a write is in progress combined into the
+ * next write, so this store is best suited to small caches. Failed writes emit a `'writeError'`
+ * event. Keys are read back from the file as strings, so caches with keys of other types should
+ * use a key serializer.
+ *
+ * @param {Object} options The `path` of the file and an optional `codec`, as for `FilePersistence`.
+ */
+function FileStore(options) {
+  EventEmitter.call(this);
+
+  this._file = new FilePersistence(options);
+  this._records = new Map();
+
+  this._isWriting = false;
+  this._isWriteNeeded = false;
+  this._lastWriteError = null;
+  this._flushCallbacks = [];
+}
+
+inherits(FileStore, EventEmitter);
+
+FileStore.prototype.get = MapStore.prototype.get;
+FileStore.prototype.keys = MapStore.prototype.keys;
+
+
+/**
+ * Reads the cache items in the file into the store.
+ *
+ * @param {function} callback The function which is passed an error, if any, once the file is read.
+ */
+FileStore.prototype.open = function(callback) {
+  var self = this;
+
+  self._file.read(function(error, data) {
+    if (!error && data !== null) {
+      if (Array.isArray(data.records)) {
+        data.records.forEach(function(record) {
+          self._records.set(String(record.key), record);
+        });
+      } else {
+        error = new Error('File must contain an array of records');
+      }
+    }
+
+    callback(error);
+  });
+};
+
+
+/**
+ * Sets the cache item record for the provided key and writes the store to the file.
+ *
+ * @param {*} key The key whose record to set.
+ * @param {Object} record The record to set.
+ */
+FileStore.prototype.set = function(key, record) {
+  this._records.set(key, record);
+  this._write();
+};
+
+
+/**
+ * Removes the cache item record for the provided key and writes the store to the file.
+ *
+ * @param {*} key The key whose record to remove.
+ */
+FileStore.prototype.delete = function(key) {
+  if (this._records.delete(key)) {
+    this._write();
+  }
+};
+
+
+/**
+ * Removes every cache item record from the store and writes the store to the file.
+ */
+FileStore.prototype.clear = function() {
+  this._records.clear();
+  this._write();
+};
+
+
+/**
+ * Calls the provided callback once every change made so far has been written to the file.
+ *
+ * @param {function} callback The function which is passed the error of the last write, if any.
+ */
+FileStore.prototype.flush = function(callback) {
+  if (this._isWriting || this._isWriteNeeded) {
+    this._flushCallbacks.push(callback);
+  } else {
+    var error = this._lastWriteError;
+    process.nextTick(function() {
+      callback(error);
+    });
+  }
+};
+
+
+/**
+ * Writes the store to the file on the next tick, or once the write in progress is done.
+ */
+FileStore.prototype._write = function() {
+  var self = this;
+
+  if (self._isWriteNeeded) {
+    return;
+  }
+
+  self._isWriteNeeded = true;
+  if (self._isWriting) {
+    return;
+  }
+
+  // Combine all of the changes made in the current tick into a single write
+  process.nextTick(function() {
+    self._isWriteNeeded = false;
+    self._isWriting = true;
+
+    var records = [];
+    self._records.forEach(function(record) {
+      records.push(toStoredRecord(record));
+    });
+
+    self._file.write({ records: records }, function(error) {
+      self._isWriting = false;
+      self._lastWriteError = error || null;
+
+      if (error) {
+        self.emit('writeError', error);
+      }
+
+      if (self._isWriteNeeded) {
+        self._isWriteNeeded = false;
+        self._write();
+      } else {
+        var flushCallbacks = self._flushCallbacks;
+        self._flushCallbacks = [];
+        flushCallbacks.forEach(function(flushCallback) {
+          flushCallback(self._lastWriteError);
+        });
+      }
+    });
+  });
+};
+
+
+// The number of keys which each SCAN command asks Redis to look through when a store is opened
+var REDIS_SCAN_COUNT = 100;
+
+
+/**
+ * Stores cache items in memory and writes them through to Redis, so that a new cache created with
+ * the same Redis database and prefix after a restart starts out with them.
+ *
+ * The `client` option is a Redis client with the callback-style `get()`, `set()`, `del()`, `scan()`,
+ * `mget()` and `publish()` methods of the `redis` package. Each cache item is written to the key
+ * `prefix` + `key` (the prefix defaults to `'refreshable-cache:'`), encoded with the optional
+ * `codec`, and is given a matching expiry in Redis, as measured by the optional `clock` (which
+ * should be the same as the cache's). The keys with the prefix are read by `open()`, which must be
+ * called before the store is passed to a cache. Failed writes emit a `'writeError'` event. Redis
+ * keys are strings, so caches with keys of other types should use a key serializer.
+ *
+ * Stores in several processes can share the same Redis database and prefix. A cache reads a key
+ * it does not have through to Redis with `fetch()` before calling its loader. If the optional
+ * `subscriber` is given, which must be a separate client of the same Redis (such as one created
+ * with `client.duplicate()`), since a subscribed client cannot send other commands, each change to
+ * a key's value and each deletion is also published to the other stores with the same prefix.
+ * They then drop their copy of the key, emitting an `'invalidate'` event so that their cache stops
+ * tracking it, and read the new value through on their next load. `close()` unsubscribes.
+ *
+ * @param {Object} options The Redis `client`, and an optional `prefix`, `codec`, `clock` and
+ *     `subscriber`.
+ */
+function RedisStore(options) {
+  EventEmitter.call(this);
+
+  options = options || {};
+
+  if (options.client === null || typeof options.client !== 'object') {
+    throw new Error('Redis client must be provided');
+  } else if (typeof options.prefix !== 'undefined' && typeof options.prefix !== 'string') {
+    throw new Error('Prefix must be a string');
+  } else if (typeof options.codec !== 'undefined' && (options.codec === null || typeof options.codec.encode !== 'function' || typeof options.codec.decode !== 'function')) {
+    throw new Error('Codec must have encode() and decode() methods');
+  } else if (typeof options.subscriber !== 'undefined' && (options.subscriber === null || typeof options.subscriber !== 'object')) {
+    throw new Error('Redis subscriber must be a client');
+  } else if (options.subscriber === options.client) {
+    throw new Error('Redis subscriber must be a different client than the Redis client');
+  }
+
+  var self = this;
+
+  this._client = options.client;
+  this._prefix = (typeof options.prefix === 'undefined') ? 'refreshable-cache:' : options.prefix;
+  this._codec = options.codec || codecs.json;
+  this._clock = options.clock || Date;
+  this._records = new Map();
+
+  this._numPendingWrites = 0;
+  this._lastWriteError = null;
+  this._flushCallbacks = [];
+
+  this._subscriber = options.subscriber || null;
+  this._channel = this._prefix + 'invalidations';
+  // Identifies the store's own messages, which it receives as well
+  this._id = Math.random().toString(36).slice(2) + Date.now().toString(36);
+  // The value and update time each key had when its change was last published or read
+  this._publishedVersions = new Map();
+  // The records read by fetch(), which are already in Redis when the cache sets them
+  this._fetchedRecords = new WeakSet();
+  // The keys of the reads in progress, and whether or not they were invalidated since they began
+  this._pendingFetches = [];
+
+  this._onMessage = function(channel, message) {
+    if (channel === self._channel) {
+      self._invalidate(message);
+    }
+  };
+}
+
+inherits(RedisStore, EventEmitter);
+
+RedisStore.prototype.get = MapStore.prototype.get;
+RedisStore.prototype.keys = MapStore.prototype.keys;
+
+
+/**
+ * Reads the cache items with the store's prefix from Redis into the store. The keys are found with
+ * `SCAN` rather than `KEYS`, which would block a shared Redis while it looks through every key, and
+ * their values are read one batch at a time. With a subscriber, the store first subscribes to the
+ * changes other stores publish, so that none made while Redis is read are missed.
+ *
+ * @param {function} callback The function which is passed an error, if any, once Redis is read.
+ */
+RedisStore.prototype.open = function(callback) {
+  var self = this;
+
+  var pattern = self._prefix.replace(/[*?[\]\\]/g, '\\$&') + '*';
+
+  var scan = function(cursor) {
+    self._client.scan(cursor, 'MATCH', pattern, 'COUNT', REDIS_SCAN_COUNT, function(scanError, reply) {
+      if (scanError) {
+        callback(scanError);
+        return;
+      }
+
+      var nextCursor = String(reply[0]);
+      var redisKeys = reply[1];
+
+      var readNextBatch = function() {
+        if (nextCursor === '0') {
+          callback(null);
+        } else {
+          scan(nextCursor);
+        }
+      };
+
+      if (redisKeys.length === 0) {
+        readNextBatch();
+        return;
+      }
+
+      // Changes published while the values are read may not be in them
+      var pendingFetches = redisKeys.map(function(redisKey) {
+        return { key: redisKey.slice(self._prefix.length), isInvalidated: false };
+      });
+      self._pendingFetches = self._pendingFetches.concat(pendingFetches);
+
+      self._client.mget(redisKeys, function(mgetError, values) {
+        self._pendingFetches = self._pendingFetches.filter(function(pendingFetch) {
+          return pendingFetches.indexOf(pendingFetch) === -1;
+        });
+
+        if (mgetError) {
+          callback(mgetError);
+          return;
+        }
+
+        try {
+          values.forEach(function(value, i) {
+            // Keys may have expired in Redis between the two commands
+            if (value !== null && !pendingFetches[i].isInvalidated) {
+              var record = self._codec.decode(value);
+              self._records.set(String(record.key), record);
+              self._rememberVersion(String(record.key), record);
+            }
+          });
+        } catch (decodeError) {
+          callback(decodeError);
+          return;
+        }
+
+        readNextBatch();
+      });
+    });
+  };
+
+  if (self._subscriber === null) {
+    scan('0');
+    return;
+  }
+
+  self._subscriber.on('message', self._onMessage);
+  self._subscriber.subscribe(self._channel, function(subscribeError) {
+    if (subscribeError) {
+      self._subscriber.removeListener('message', self._onMessage);
+      callback(subscribeError);
+    } else {
+      scan('0');
+    }
+  });
+};
+
+
+/**
+ * Reads the cache item record for the provided key from Redis, where another process may have
+ * written it, without setting it in the store. If a change to the key is published while it is
+ * read, it is read again, since the reply may be from before the change.
+ *
+ * @param {*} key The key whose record to read.
+ * @param {function} callback The function which is passed an error, if any, and the record, or
+ *     `null` if the key is not in Redis.
+ */
+RedisStore.prototype.fetch = function(key, callback) {
+  var self = this;
+
+  var pendingFetch = { key: key, isInvalidated: false };
+  self._pendingFetches.push(pendingFetch);
+
+  self._client.get(self._prefix + key, function(getError, value) {
+    self._pendingFetches.splice(self._pendingFetches.indexOf(pendingFetch), 1);
+
+    if (getError) {
+      callback(getError, null);
+      return;
+    } else if (pendingFetch.isInvalidated) {
+      self.fetch(key, callback);
+      return;
+    } else if (value === null) {
+      callback(null, null);
+      return;
+    }
+
+    var record;
+    try {
+      record = self._codec.decode(value);
+    } catch (decodeError) {
+      callback(decodeError, null);
+      return;
+    }
+
+    self._fetchedRecords.add(record);
+    callback(null, record);
+  });
+};
+
+
+/**
+ * Sets the cache item record for the provided key and writes it to Redis.
+ *
+ * @param {*} key The key whose record to set.
+ * @param {Object} record The record to set.
+ */
+RedisStore.prototype.set = function(key, record) {
+  this._records.set(key, record);
+
+  if (this._fetchedRecords.has(record)) {
+    // The record was just read from Redis, so there is nothing to write
+    this._fetchedRecords.delete(record);
+    this._rememberVersion(key, record);
+    return;
+  }
+
+  var data;
+  try {
+    data = this._codec.encode(toStoredRecord(record));
+  } catch (encodeError) {
+    this.emit('writeError', encodeError);
+    return;
+  }
+
+  if (typeof record.expiresAt === 'undefined') {
+    this._client.set(this._prefix + key, data, this._onWritten());
+  } else {
+    // Also expire the key in Redis, in case no cache is running to remove it
+    var remainingTime = Math.max(Math.ceil(record.expiresAt - this._clock.now()), 1);
+    this._client.set(this._prefix + key, data, 'PX', remainingTime, this._onWritten());
+  }
+
+  // Records are also set when only their timing changes, which other processes need not know about
+  var version = this._publishedVersions.get(key);
+  if (typeof version === 'undefined' || version.value !== record.value || version.updatedAt !== record.updatedAt) {
+    this._rememberVersion(key, record);
+    this._publish(key);
+  }
+};
+
+
+/**
+ * Removes the cache item record for the provided key and deletes it from Redis.
+ *
+ * @param {*} key The key whose record to remove.
+ */
+RedisStore.prototype.delete = function(key) {
+  if (this._records.delete(key)) {
+    this._client.del(this._prefix + key, this._onWritten());
+    this._publishedVersions.delete(key);
+    this._publish(key);
+  }
+};
+
+
+/**
+ * Removes every cache item record from the store and deletes them from Redis.
+ */
+RedisStore.prototype.clear = function() {
+  var self = this;
+
+  var redisKeys = self.keys().map(function(key) {
+    return self._prefix + key;
+  });
+
+  self._records.clear();
+  self._publishedVersions.clear();
+
+  if (redisKeys.length !== 0) {
+    self._client.del(redisKeys, self._onWritten());
+    self._publish(null);
+  }
+};
+
+
+/**
+ * Unsubscribes from the changes other stores publish. The store keeps the cache items it has, but
+ * no longer drops them when other processes change them.
+ */
+RedisStore.prototype.close = function() {
+  if (this._subscriber !== null) {
+    this._subscriber.removeListener('message', this._onMessage);
+    this._subscriber.unsubscribe(this._channel);
+  }
+};
+
+
+/**
+ * Calls the provided callback once every change made so far has been written to Redis.
+ *
+ * @param {function} callback The function which is passed the first error of the writes since the
+ *     last flush, if any.
+ */
+RedisStore.prototype.flush = function(callback) {
+  if (this._numPendingWrites !== 0) {
+    this._flushCallbacks.push(callback);
+  } else {
+    var error = this._lastWriteError;
+    this._lastWriteError = null;
+    process.nextTick(function() {
+      callback(error);
+    });
+  }
+};
+
+
+/**
+ * Remembers the value and update time of the provided key's record, so that the key's change is
+ * only published when either changes. Nothing is remembered without a subscriber.
+ *
+ * @param {*} key The key whose record to remember.
+ * @param {Object} record The record.
+ */
+RedisStore.prototype._rememberVersion = function(key, record) {
+  if (this._subscriber !== null) {
+    this._publishedVersions.set(key, { value: record.value, updatedAt: record.updatedAt });
+  }
+};
+
+
+/**
+ * Tells the other stores with the same prefix to drop the provided key, or every key if it is
+ * `null`. Nothing is published without a subscriber.
+ *
+ * @param {*} key The key which changed, or `null` if every key was deleted.
+ */
+RedisStore.prototype._publish = function(key) {
+  if (this._subscriber !== null) {
+    var message = JSON.stringify({ source: this._id, key: key });
+    this._client.publish(this._channel, message, this._onWritten());
+  }
+};
+
+
+/**
+ * Drops the key named by the provided message published by another store, emitting an
+ * `'invalidate'` event with the key and its record, if the store had one. If the message names no
+ * key, every key is dropped, emitting an event for each, followed by one with the key `null`. Reads
+ * of the key in progress are marked, so that they read it again.
+ *
+ * @param {string} message The published message.
+ */
+RedisStore.prototype._invalidate = function(message) {
+  var self = this;
+
+  var change;
+  try {
+    change = JSON.parse(message);
+  } catch (parseError) {
+    return;
+  }
+
+  if (change === null || typeof change !== 'object' || change.source === self._id) {
+    return;
+  }
+
+  self._pendingFetches.forEach(function(pendingFetch) {
+    if (change.key === null || pendingFetch.key === change.key) {
+      pendingFetch.isInvalidated = true;
+    }
+  });
+
+  if (change.key !== null) {
+    var record = self._records.get(change.key);
+    self._records.delete(change.key);
+    self._publishedVersions.delete(change.key);
+    self.emit('invalidate', change.key, record);
+    return;
+  }
+
+  self.keys().forEach(function(key) {
+    var keyRecord = self._records.get(key);
+    self._records.delete(key);
+    self.emit('invalidate', key, keyRecord);
+  });
+  self._publishedVersions.clear();
+  self.emit('invalidate', null);
+};
+
+
+/**
+ * Returns a callback for a Redis write which tracks when all writes are done.
+ *
+ * @return {function} The callback for the write.
+ */
+RedisStore.prototype._onWritten = function() {
+  var self = this;
+
+  self._numPendingWrites += 1;
+
+  return function(error) {
+    self._numPendingWrites -= 1;
+    if (error) {
+      self._lastWriteError = self._lastWriteError || error;
+      self.emit('writeError', error);
+    }
+
+    if (self._numPendingWrites === 0 && self._flushCallbacks.length !== 0) {
+      var flushError = self._lastWriteError;
+      var flushCallbacks = self._flushCallbacks;
+      self._lastWriteError = null;
+      self._flushCallbacks = [];
+      flushCallbacks.forEach(function(flushCallback) {
+        flushCallback(flushError);
+      });
+    }
+  };
+};
+
+
+module.exports = {
+  ObjectStore: ObjectStore,
+  MapStore: MapStore,
+  FileStore: FileStore,
+  RedisStore: RedisStore
+};
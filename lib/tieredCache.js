@@ -0,0 +1,232 @@
+'use strict';
+
+
+/**
+ * Returns whether or not the provided value looks like a `RefreshableCache`.
+ *
+ * @param {*} cache The value to check.
+ * @return {boolean} Whether or not the value is a cache.
+ */
+function isCache(cache) {
+  return cache !== null && typeof cache === 'object' && typeof cache.getOrLoad === 'function' &&
+    typeof cache.on === 'function';
+}
+
+
+/**
+ * A two-tier cache in which a small in-process L1 cache sits in front of a larger L2 cache, such as
+ * one whose `RedisStore` is shared with other processes.
+ *
+ * Reads which miss L1 fall through to L2, and values found in L2 are promoted into L1. Writes go
+ * through to L2 and then to L1. L2 is the source of truth: whenever one of its keys is updated,
+ * including by a refresh, or removed, including when it expires or another process sharing its
+ * store changes it, the key is removed from L1 so that the next read promotes its latest value. A
+ * promoted key never stays in L1 longer than it has left in L2.
+ *
+ * On a miss in both tiers, `getOrLoad()` reads the key through L2's store, if it is shared, before
+ * running the loader, so that a key another process loaded is not loaded again. `get()`, `peek()`
+ * and `has()` are synchronous, so they only see the keys L2 already has.
+ *
+ * @param {Object} options The `l1` and `l2` caches.
+ */
+function TieredCache(options) {
+  options = options || {};
+
+  if (!isCache(options.l1)) {
+    throw new Error('L1 cache must be a RefreshableCache');
+  } else if (!isCache(options.l2)) {
+    throw new Error('L2 cache must be a RefreshableCache');
+  } else if (options.l1 === options.l2) {
+    throw new Error('L1 and L2 caches must be different caches');
+  }
+
+  var l1 = options.l1;
+
+  this.l1 = l1;
+  this.l2 = options.l2;
+
+  this._invalidateL1 = function(key) {
+    l1.del(key);
+  };
+  this._clearL1 = function() {
+    l1.clear();
+  };
+
+  this.l2.on('update', this._invalidateL1);
+  this.l2.on('delete', this._invalidateL1);
+  this.l2.on('clear', this._clearL1);
+}
+
+
+/**
+ * Copies the value of the provided `key` from L2 into L1, with an expiration time no later than
+ * its expiration time in L2. Keys which are not in L2 are not promoted.
+ *
+ * @param {*} key The key to promote.
+ */
+TieredCache.prototype._promote = function(key) {
+  var l2Ttl = this.l2.ttl(key);
+  if (l2Ttl === null || l2Ttl === 0) {
+    return;
+  }
+
+  this.l1.put(key, this.l2.peek(key));
+
+  var l1Ttl = this.l1.ttl(key);
+  if (l1Ttl !== null && l1Ttl > l2Ttl) {
+    this.l1.setTtl(key, l2Ttl);
+  }
+};
+
+
+/**
+ * Retrieves the value of the provided `key`, from L1 if it is there and otherwise from L2, in
+ * which case it is promoted into L1. Reads served by L1 do not count as accesses of L2.
+ *
+ * @param {*} key The key whose value to retrieve.
+ * @return {*|null} The provided key's value, or L2's result for a key in neither tier.
+ */
+TieredCache.prototype.get = function(key) {
+  if (this.l1.has(key)) {
+    return this.l1.get(key);
+  }
+
+  var value = this.l2.get(key);
+  this._promote(key);
+
+  return value;
+};
+
+
+/**
+ * Retrieves the value of the provided `key` from either tier without any side effects, including
+ * promotion.
+ *
+ * @param {*} key The key whose value to retrieve.
+ * @return {*|null} The provided key's value, or L2's result for a key in neither tier.
+ */
+TieredCache.prototype.peek = function(key) {
+  return this.l1.has(key) ? this.l1.peek(key) : this.l2.peek(key);
+};
+
+
+/**
+ * Returns whether or not the provided `key` is in either tier.
+ *
+ * @param {*} key The key to look up.
+ * @return {boolean} Whether or not the provided key is in the cache.
+ */
+TieredCache.prototype.has = function(key) {
+  return this.l1.has(key) || this.l2.has(key);
+};
+
+
+/**
+ * Retrieves the value of the provided `key` as with `get()`, loading it into L2 with L2's
+ * `getOrLoad()` if it is in neither tier, which first reads it through L2's store if the store is
+ * shared with other processes, then promoting it into L1. Takes the same arguments as the cache's
+ * `getOrLoad()`.
+ *
+ * @param {*} key The key whose value to retrieve.
+ * @param {function} [loader] Optional function which loads the key's value on a miss.
+ * @param {Object} [loadOptions] Optional options for a loaded value, as with `getOrLoad()`.
+ * @return {Promise<*>} A Promise which resolves with the provided key's value.
+ */
+TieredCache.prototype.getOrLoad = function(key, loader, loadOptions) {
+  var self = this;
+
+  if (self.l1.has(key)) {
+    return Promise.resolve(self.l1.get(key));
+  }
+
+  return self.l2.getOrLoad(key, loader, loadOptions).then(function(value) {
+    self._promote(key);
+    return value;
+  });
+};
+
+
+/**
+ * Writes the `value` of the provided `key` to L2 and then to L1. Takes the same arguments as the
+ * cache's `put()`, which are applied to L2; refresh intervals and loaders therefore run in L2.
+ *
+ * @param {*} key The key whose value to write.
+ * @param {*} value The value to write.
+ * @return {any} The value written to the cache.
+ */
+TieredCache.prototype.put = function(key, value) {
+  this.l2.put.apply(this.l2, arguments);
+  this._promote(key);
+
+  return value;
+};
+
+
+/**
+ * Removes the provided `key` from both tiers.
+ *
+ * @param {*} key The key to remove.
+ * @return {boolean} Whether or not the key was removed from either tier.
+ */
+TieredCache.prototype.del = function(key) {
+  var wasInL1 = this.l1.del(key);
+  var wasInL2 = this.l2.del(key);
+
+  return wasInL1 || wasInL2;
+};
+
+
+/**
+ * Removes every key with the provided tag from L2, and therefore from L1.
+ *
+ * @param {string} tag The tag whose keys to remove.
+ * @return {number} The number of keys removed from L2.
+ */
+TieredCache.prototype.invalidateTag = function(tag) {
+  return this.l2.invalidateTag(tag);
+};
+
+
+/**
+ * Removes every key from both tiers.
+ */
+TieredCache.prototype.clear = function() {
+  this.l2.clear();
+  this.l1.clear();
+};
+
+
+/**
+ * Returns an array of the keys in L2, which holds every key in the cache.
+ *
+ * @return {Array} An array of keys in the cache.
+ */
+TieredCache.prototype.keys = function() {
+  return this.l2.keys();
+};
+
+
+/**
+ * Returns the number of keys in L2, which holds every key in the cache.
+ *
+ * @return {number} The number of keys in the cache.
+ */
+TieredCache.prototype.size = function() {
+  return this.l2.size();
+};
+
+
+/**
+ * Stops propagating L2's changes to L1 and destroys both tiers.
+ */
+TieredCache.prototype.destroy = function() {
+  this.l2.removeListener('update', this._invalidateL1);
+  this.l2.removeListener('delete', this._invalidateL1);
+  this.l2.removeListener('clear', this._clearL1);
+
+  this.l1.destroy();
+  this.l2.destroy();
+};
+
+
+module.exports = TieredCache;
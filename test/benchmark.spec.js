@@ -0,0 +1,56 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+var RefreshableCache = require('../index.js');
+
+
+// Timings and memory vary too much between machines to test, so `gulp bench` reports those, while
+// this checks the number of native timers, which is what they depend on
+describe('benchmark', function() {
+  // The number of times each cache item is read, resetting its expiration timeout
+  var NUM_ACCESSES = 5;
+
+  /**
+   * Writes, reads and clears the provided number of keys, each with an expiration timeout and a
+   * refresh interval, returning the number of native timers the cache created. With one native
+   * timeout and one native interval per key, this would take `(2 + NUM_ACCESSES) * numKeys`.
+   */
+  var countNativeTimers = function(numKeys) {
+    var manualClock = new RefreshableCache.ManualClock();
+    var cache = new RefreshableCache({
+      clock: manualClock,
+      ttl: 60000,
+      refreshInterval: 30000,
+      resetExpiryOnAccess: true
+    });
+    sinon.spy(manualClock, 'setTimeout');
+
+    var i;
+    var j;
+    for (i = 0; i < numKeys; i++) {
+      cache.put('key' + i, i);
+      manualClock.tick(1);
+    }
+
+    // Nothing becomes due, since each timer which is due at its own time fires on its own either way
+    for (j = 0; j < NUM_ACCESSES; j++) {
+      for (i = 0; i < numKeys; i++) {
+        cache.get('key' + i);
+      }
+      manualClock.tick(1000);
+    }
+
+    cache.clear();
+    cache.destroy();
+
+    return manualClock.setTimeout.callCount;
+  };
+
+  it('should create the same few native timers however many keys have timers', function() {
+    var numNativeTimers = countNativeTimers(1000);
+    expect(numNativeTimers).to.be.at.most(5);
+    expect(countNativeTimers(10000)).to.equal(numNativeTimers);
+  });
+});
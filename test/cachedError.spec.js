@@ -0,0 +1,22 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var CachedError = require('../lib/cachedError.js');
+
+
+describe('CachedError', function() {
+  it('should be an error which keeps the error it was created with as its cause', function() {
+    var cause = new Error('Loader failed');
+    var cachedError = new CachedError(cause);
+    expect(cachedError).to.be.an.instanceof(Error);
+    expect(cachedError.name).to.equal('CachedError');
+    expect(cachedError.cause).to.equal(cause);
+    expect(cachedError.message).to.equal('Cached loader error: Loader failed');
+    expect(cachedError.stack).to.be.a('string');
+  });
+
+  it('should describe causes which are not errors', function() {
+    expect(new CachedError('foo').message).to.equal('Cached loader error: foo');
+  });
+});
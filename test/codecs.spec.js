@@ -0,0 +1,81 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var codecs = require('../lib/codecs.js');
+
+
+describe('codecs', function() {
+  var snapshot = {
+    timestamp: 1000,
+    entries: [{
+      key: 'key',
+      value: {
+        name: 'value',
+        numbers: [1, 2, 3]
+      },
+      ttl: 500,
+      refreshInterval: null,
+      freshTtl: null
+    }]
+  };
+
+
+  describe('json', function() {
+    it('should round trip a snapshot of plain values', function() {
+      expect(codecs.json.decode(codecs.json.encode(snapshot))).to.deep.equal(snapshot);
+    });
+
+    it('should encode snapshots as JSON', function() {
+      expect(JSON.parse(codecs.json.encode(snapshot))).to.deep.equal(snapshot);
+    });
+
+    it('should decode a Buffer', function() {
+      expect(codecs.json.decode(Buffer.from(codecs.json.encode(snapshot)))).to.deep.equal(snapshot);
+    });
+  });
+
+
+  describe('rich', function() {
+    var roundTrip = function(value) {
+      return codecs.rich.decode(codecs.rich.encode(value));
+    };
+
+    it('should round trip a snapshot of plain values', function() {
+      expect(roundTrip(snapshot)).to.deep.equal(snapshot);
+    });
+
+    it('should round trip Dates', function() {
+      var date = new Date(1234567890000);
+      var decoded = roundTrip({ date: date });
+      expect(decoded.date).to.be.an.instanceof(Date);
+      expect(decoded.date.getTime()).to.equal(date.getTime());
+    });
+
+    it('should round trip Buffers', function() {
+      var decoded = roundTrip([Buffer.from('value')]);
+      expect(Buffer.isBuffer(decoded[0])).to.be.true;
+      expect(decoded[0].toString()).to.equal('value');
+    });
+
+    it('should round trip Maps and Sets, including their nested values', function() {
+      var map = new Map();
+      map.set('date', new Date(0));
+      map.set(1, new Set(['a', 'b']));
+
+      var decoded = roundTrip(map);
+      expect(decoded).to.be.an.instanceof(Map);
+      expect(decoded.get('date')).to.be.an.instanceof(Date);
+      expect(decoded.get(1)).to.be.an.instanceof(Set);
+      expect(decoded.get(1).has('b')).to.be.true;
+    });
+
+    it('should round trip plain objects which have the type tag property', function() {
+      var value = {
+        $type: 'Date',
+        value: 'not a date'
+      };
+      expect(roundTrip(value)).to.deep.equal(value);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var evictionPolicies = require('../lib/evictionPolicies.js');
+
+
+describe('evictionPolicies', function() {
+  describe('LruPolicy', function() {
+    var policy;
+
+    beforeEach(function() {
+      policy = new evictionPolicies.LruPolicy();
+    });
+
+    it('should return undefined given no keys', function() {
+      expect(policy.victim()).to.be.undefined;
+    });
+
+    it('should evict the least recently added key given no accesses', function() {
+      policy.add('key1');
+      policy.add('key2');
+      expect(policy.victim()).to.equal('key1');
+    });
+
+    it('should evict the least recently accessed key', function() {
+      policy.add('key1');
+      policy.add('key2');
+      policy.add('key3');
+      policy.access('key1');
+      expect(policy.victim()).to.equal('key2');
+      policy.access('key2');
+      expect(policy.victim()).to.equal('key3');
+    });
+
+    it('should ignore accesses of untracked keys', function() {
+      policy.access('key1');
+      expect(policy.victim()).to.be.undefined;
+    });
+
+    it('should not evict removed keys', function() {
+      policy.add('key1');
+      policy.add('key2');
+      policy.remove('key1');
+      expect(policy.victim()).to.equal('key2');
+    });
+
+    it('should stop tracking all keys when cleared', function() {
+      policy.add('key1');
+      policy.add('key2');
+      policy.clear();
+      expect(policy.victim()).to.be.undefined;
+    });
+  });
+
+
+  describe('FifoPolicy', function() {
+    var policy;
+
+    beforeEach(function() {
+      policy = new evictionPolicies.FifoPolicy();
+    });
+
+    it('should evict the first added key regardless of accesses', function() {
+      policy.add('key1');
+      policy.add('key2');
+      policy.access('key1');
+      expect(policy.victim()).to.equal('key1');
+    });
+
+    it('should not evict removed keys', function() {
+      policy.add('key1');
+      policy.add('key2');
+      policy.remove('key1');
+      expect(policy.victim()).to.equal('key2');
+    });
+  });
+
+
+  describe('LfuPolicy', function() {
+    var policy;
+
+    beforeEach(function() {
+      policy = new evictionPolicies.LfuPolicy();
+    });
+
+    it('should return undefined given no keys', function() {
+      expect(policy.victim()).to.be.undefined;
+    });
+
+    it('should evict the least frequently accessed key', function() {
+      policy.add('key1');
+      policy.add('key2');
+      policy.add('key3');
+      policy.access('key1');
+      policy.access('key1');
+      policy.access('key3');
+      expect(policy.victim()).to.equal('key2');
+    });
+
+    it('should evict the least recently accessed key given a tie', function() {
+      policy.add('key1');
+      policy.add('key2');
+      policy.access('key2');
+      policy.access('key1');
+      expect(policy.victim()).to.equal('key2');
+    });
+
+    it('should evict a newly added key before keys which have been accessed', function() {
+      policy.add('key1');
+      policy.access('key1');
+      policy.add('key2');
+      expect(policy.victim()).to.equal('key2');
+    });
+
+    it('should find the next least frequently accessed key after a removal', function() {
+      policy.add('key1');
+      policy.add('key2');
+      policy.access('key2');
+      policy.access('key2');
+      policy.remove('key1');
+      expect(policy.victim()).to.equal('key2');
+    });
+
+    it('should ignore accesses of untracked keys', function() {
+      policy.add('key1');
+      policy.access('key2');
+      expect(policy.victim()).to.equal('key1');
+    });
+
+    it('should stop tracking all keys when cleared', function() {
+      policy.add('key1');
+      policy.access('key1');
+      policy.clear();
+      expect(policy.victim()).to.be.undefined;
+      policy.add('key2');
+      expect(policy.victim()).to.equal('key2');
+    });
+  });
+
+
+  describe('createEvictionPolicy()', function() {
+    it('should create the built-in policies by name', function() {
+      expect(evictionPolicies.createEvictionPolicy('lru')).to.be.an.instanceof(evictionPolicies.LruPolicy);
+      expect(evictionPolicies.createEvictionPolicy('lfu')).to.be.an.instanceof(evictionPolicies.LfuPolicy);
+      expect(evictionPolicies.createEvictionPolicy('fifo')).to.be.an.instanceof(evictionPolicies.FifoPolicy);
+    });
+
+    it('should return a custom policy as is', function() {
+      var policy = {
+        add: function() {},
+        access: function() {},
+        remove: function() {},
+        victim: function() {},
+        clear: function() {}
+      };
+      expect(evictionPolicies.createEvictionPolicy(policy)).to.equal(policy);
+    });
+
+    it('should throw an error given an unknown policy name', function() {
+      expect(function() {
+        evictionPolicies.createEvictionPolicy('toString');
+      }).to.throw('Eviction policy must be "lru", "lfu", "fifo" or an object implementing add(), access(), remove(), victim() and clear()');
+    });
+
+    it('should throw an error given an object missing a method', function() {
+      expect(function() {
+        evictionPolicies.createEvictionPolicy({ add: function() {} });
+      }).to.throw();
+    });
+  });
+});
@@ -0,0 +1,196 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var inherits = require('inherits');
+
+/**
+ * An in-process stand-in for a client of the `redis` package, implementing only the callback-style
+ * commands used by `RedisStore`. Keys set with a `PX` expiry are treated as missing once it passes.
+ * Setting `writeError` makes every write command fail with that error. Clients created with
+ * `duplicate()` share the same data and deliver each other's published messages.
+ */
+function FakeRedisClient(server) {
+  EventEmitter.call(this);
+
+  this._server = server || {
+    data: Object.create(null),
+    expiresAt: Object.create(null),
+    subscribers: []
+  };
+  this.data = this._server.data;
+  this.expiresAt = this._server.expiresAt;
+  this.writeError = null;
+  this.channels = [];
+}
+
+inherits(FakeRedisClient, EventEmitter);
+
+
+/**
+ * Returns a new client of the same server.
+ */
+FakeRedisClient.prototype.duplicate = function() {
+  return new FakeRedisClient(this._server);
+};
+
+
+/**
+ * Calls the provided callback asynchronously, as a real client would.
+ */
+function reply(callback, error, result) {
+  process.nextTick(function() {
+    callback(error, result);
+  });
+}
+
+
+/**
+ * Returns whether or not the provided key is set and has not expired.
+ */
+FakeRedisClient.prototype._has = function(key) {
+  return key in this.data && !(key in this.expiresAt && Date.now() >= this.expiresAt[key]);
+};
+
+
+FakeRedisClient.prototype.get = function(key, callback) {
+  reply(callback, null, this._has(key) ? this.data[key] : null);
+};
+
+
+FakeRedisClient.prototype.mget = function(keys, callback) {
+  var self = this;
+  reply(callback, null, keys.map(function(key) {
+    return self._has(key) ? self.data[key] : null;
+  }));
+};
+
+
+FakeRedisClient.prototype.set = function(key, value) {
+  var callback = arguments[arguments.length - 1];
+  if (this.writeError) {
+    reply(callback, this.writeError);
+    return;
+  }
+
+  this.data[key] = String(value);
+  delete this.expiresAt[key];
+  if (arguments[2] === 'PX') {
+    this.expiresAt[key] = Date.now() + arguments[3];
+  }
+
+  reply(callback, null, 'OK');
+};
+
+
+FakeRedisClient.prototype.del = function(keys, callback) {
+  var self = this;
+  if (self.writeError) {
+    reply(callback, self.writeError);
+    return;
+  }
+
+  var numDeleted = 0;
+  [].concat(keys).forEach(function(key) {
+    if (self._has(key)) {
+      numDeleted += 1;
+    }
+    delete self.data[key];
+    delete self.expiresAt[key];
+  });
+
+  reply(callback, null, numDeleted);
+};
+
+
+/**
+ * Returns whether or not the provided key matches the provided `MATCH` pattern. Only supports `*`
+ * wildcards and backslash-escaped characters.
+ */
+function matches(pattern, key) {
+  var source = pattern.replace(/\\(.)|([.+^${}()|[\]\\?])|(\*)/g, function(match, escaped, special, star) {
+    if (star) {
+      return '.*';
+    }
+    return '\\' + (escaped || special);
+  });
+  return new RegExp('^' + source + '$').test(key);
+}
+
+
+/**
+ * Looks through the next `COUNT` keys (10 by default, as in Redis) after the cursor, which is the
+ * number of keys looked through so far, and replies with the next cursor and the matching keys.
+ */
+FakeRedisClient.prototype.scan = function(cursor) {
+  var self = this;
+  var args = Array.prototype.slice.call(arguments, 1, -1);
+  var callback = arguments[arguments.length - 1];
+
+  var pattern = '*';
+  var count = 10;
+  for (var i = 0; i < args.length; i += 2) {
+    if (String(args[i]).toUpperCase() === 'MATCH') {
+      pattern = args[i + 1];
+    } else if (String(args[i]).toUpperCase() === 'COUNT') {
+      count = args[i + 1];
+    }
+  }
+
+  var allKeys = Object.keys(self.data).sort();
+  var start = parseInt(cursor, 10);
+  var end = Math.min(start + count, allKeys.length);
+  var nextCursor = (end >= allKeys.length) ? '0' : String(end);
+
+  reply(callback, null, [nextCursor, allKeys.slice(start, end).filter(function(key) {
+    return matches(pattern, key) && self._has(key);
+  })]);
+};
+
+
+FakeRedisClient.prototype.publish = function(channel, message, callback) {
+  if (this.writeError) {
+    reply(callback, this.writeError);
+    return;
+  }
+
+  var subscribers = this._server.subscribers.filter(function(subscriber) {
+    return subscriber.channels.indexOf(channel) !== -1;
+  });
+
+  subscribers.forEach(function(subscriber) {
+    process.nextTick(function() {
+      subscriber.emit('message', channel, String(message));
+    });
+  });
+
+  reply(callback, null, subscribers.length);
+};
+
+
+FakeRedisClient.prototype.subscribe = function(channel, callback) {
+  if (this.channels.indexOf(channel) === -1) {
+    this.channels.push(channel);
+  }
+  if (this._server.subscribers.indexOf(this) === -1) {
+    this._server.subscribers.push(this);
+  }
+
+  if (callback) {
+    reply(callback, null, channel);
+  }
+};
+
+
+FakeRedisClient.prototype.unsubscribe = function(channel, callback) {
+  var index = this.channels.indexOf(channel);
+  if (index !== -1) {
+    this.channels.splice(index, 1);
+  }
+
+  if (callback) {
+    reply(callback, null, channel);
+  }
+};
+
+
+module.exports = FakeRedisClient;
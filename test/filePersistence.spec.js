@@ -0,0 +1,138 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var chai = require('chai');
+var expect = chai.expect;
+var FilePersistence = require('../lib/filePersistence.js');
+var codecs = require('../lib/codecs.js');
+
+
+describe('FilePersistence', function() {
+  var filePath;
+  var persistence;
+
+  var snapshot = {
+    timestamp: 1000,
+    entries: [{
+      key: 'key',
+      value: 'value',
+      ttl: null,
+      refreshInterval: null,
+      freshTtl: null
+    }]
+  };
+
+  beforeEach(function() {
+    filePath = path.join(os.tmpdir(), 'refreshable-cache-' + process.pid + '-' + Math.random().toString(36).slice(2) + '.json');
+    persistence = new FilePersistence({ path: filePath });
+  });
+
+  afterEach(function(done) {
+    fs.unlink(filePath, function() {
+      done();
+    });
+  });
+
+
+  describe('constructor', function() {
+    it('should throw an error given no path', function() {
+      expect(function() {
+        return new FilePersistence();
+      }).to.throw('Path must be a non-empty string');
+    });
+
+    it('should throw an error given an invalid codec', function() {
+      expect(function() {
+        return new FilePersistence({ path: filePath, codec: {} });
+      }).to.throw('Codec must have encode() and decode() methods');
+    });
+
+    it('should use the JSON codec by default', function() {
+      expect(persistence.codec).to.equal(codecs.json);
+    });
+  });
+
+
+  describe('read()', function() {
+    it('should pass null given a file which does not exist', function(done) {
+      persistence.read(function(error, result) {
+        expect(error).to.be.null;
+        expect(result).to.be.null;
+        done();
+      });
+    });
+
+    it('should pass an error given a file which cannot be decoded', function(done) {
+      fs.writeFile(filePath, 'not json', function() {
+        persistence.read(function(error, result) {
+          expect(error).to.be.an.instanceof(SyntaxError);
+          expect(result).to.be.null;
+          done();
+        });
+      });
+    });
+
+    it('should pass an error given a path which cannot be read', function(done) {
+      persistence = new FilePersistence({ path: os.tmpdir() });
+      persistence.read(function(error) {
+        expect(error).to.be.an.instanceof(Error);
+        done();
+      });
+    });
+  });
+
+
+  describe('write()', function() {
+    it('should write a snapshot which can be read back', function(done) {
+      persistence.write(snapshot, function(writeError) {
+        expect(writeError).to.not.be.ok;
+        persistence.read(function(readError, result) {
+          expect(readError).to.be.null;
+          expect(result).to.deep.equal(snapshot);
+          done();
+        });
+      });
+    });
+
+    it('should replace the existing snapshot without leaving a temporary file behind', function(done) {
+      var newSnapshot = {
+        timestamp: 2000,
+        entries: []
+      };
+
+      persistence.write(snapshot, function() {
+        persistence.write(newSnapshot, function() {
+          fs.stat(filePath + '.tmp', function(statError) {
+            expect(statError.code).to.equal('ENOENT');
+            persistence.read(function(error, result) {
+              expect(result).to.deep.equal(newSnapshot);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should encode the snapshot with the provided codec', function(done) {
+      var date = new Date(0);
+      persistence = new FilePersistence({ path: filePath, codec: codecs.rich });
+      persistence.write({ timestamp: 0, entries: [{ key: 'key', value: date }] }, function() {
+        persistence.read(function(error, result) {
+          expect(result.entries[0].value).to.be.an.instanceof(Date);
+          done();
+        });
+      });
+    });
+
+    it('should pass an error given a snapshot which cannot be encoded', function(done) {
+      var circular = {};
+      circular.self = circular;
+      persistence.write(circular, function(error) {
+        expect(error).to.be.an.instanceof(TypeError);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+var httpCaching = require('../lib/httpCaching.js');
+var RefreshableCache = require('../index.js');
+
+
+describe('httpCaching', function() {
+  var clock;
+
+  beforeEach(function() {
+    clock = sinon.useFakeTimers(Date.parse('Mon, 19 Oct 2026 12:00:00 GMT'));
+  });
+
+  afterEach(function() {
+    clock.restore();
+  });
+
+
+  describe('ttlFromHeaders()', function() {
+    var ttlFromHeaders = httpCaching.ttlFromHeaders;
+
+    it('should return the max-age of the Cache-Control header in milliseconds', function() {
+      expect(ttlFromHeaders({ 'cache-control': 'public, max-age=60' })).to.equal(60000);
+    });
+
+    it('should subtract the Age header from the max-age', function() {
+      expect(ttlFromHeaders({ 'cache-control': 'max-age=60', age: '15' })).to.equal(45000);
+      expect(ttlFromHeaders({ 'cache-control': 'max-age=60', age: '90' })).to.equal(0);
+    });
+
+    it('should return 0 given no-store or no-cache', function() {
+      expect(ttlFromHeaders({ 'cache-control': 'no-store' })).to.equal(0);
+      expect(ttlFromHeaders({ 'cache-control': 'max-age=60, no-store' })).to.equal(0);
+      expect(ttlFromHeaders({ 'cache-control': 'no-cache, max-age=60' })).to.equal(0);
+      expect(ttlFromHeaders({ 'cache-control': 'No-Store' })).to.equal(0);
+    });
+
+    it('should return 0 given a Pragma: no-cache header without a Cache-Control header', function() {
+      expect(ttlFromHeaders({ pragma: 'no-cache' })).to.equal(0);
+      expect(ttlFromHeaders({ pragma: 'no-cache', 'cache-control': 'max-age=60' })).to.equal(60000);
+    });
+
+    it('should fall back to the time until the Expires header', function() {
+      expect(ttlFromHeaders({ expires: 'Mon, 19 Oct 2026 12:05:00 GMT' })).to.equal(300000);
+      expect(ttlFromHeaders({ 'cache-control': 'public', expires: 'Mon, 19 Oct 2026 12:05:00 GMT' })).to.equal(300000);
+    });
+
+    it('should measure the Expires header from the Date header if there is one', function() {
+      expect(ttlFromHeaders({
+        date: 'Mon, 19 Oct 2026 11:59:00 GMT',
+        expires: 'Mon, 19 Oct 2026 12:00:30 GMT'
+      })).to.equal(90000);
+    });
+
+    it('should return 0 given an Expires header which is in the past or invalid', function() {
+      expect(ttlFromHeaders({ expires: 'Mon, 19 Oct 2026 11:00:00 GMT' })).to.equal(0);
+      expect(ttlFromHeaders({ expires: '0' })).to.equal(0);
+    });
+
+    it('should prefer max-age over the Expires header', function() {
+      expect(ttlFromHeaders({ 'cache-control': 'max-age=10', expires: 'Mon, 19 Oct 2026 12:05:00 GMT' })).to.equal(10000);
+    });
+
+    it('should ignore an invalid max-age', function() {
+      expect(ttlFromHeaders({ 'cache-control': 'max-age=soon' })).to.equal(0);
+      expect(ttlFromHeaders({ 'cache-control': 'max-age=-1', expires: 'Mon, 19 Oct 2026 12:05:00 GMT' })).to.equal(300000);
+    });
+
+    it('should return the default ttl given no freshness headers', function() {
+      expect(ttlFromHeaders({})).to.equal(0);
+      expect(ttlFromHeaders({ 'content-type': 'text/plain' }, { defaultTtl: 5000 })).to.equal(5000);
+      expect(ttlFromHeaders({}, { defaultTtl: null })).to.be.null;
+    });
+
+    it('should look headers up case-insensitively', function() {
+      expect(ttlFromHeaders({ 'Cache-Control': 'MAX-AGE=60', Age: '10' })).to.equal(50000);
+    });
+
+    it('should join headers with several values', function() {
+      expect(ttlFromHeaders({ 'cache-control': ['public', 'max-age=60'] })).to.equal(60000);
+    });
+
+    it('should accept a Headers object with a get() method', function() {
+      var values = { 'cache-control': 'max-age=60' };
+      var headers = {
+        get: function(name) {
+          return (name in values) ? values[name] : null;
+        }
+      };
+      expect(ttlFromHeaders(headers)).to.equal(60000);
+    });
+
+    it('should throw an error given invalid arguments', function() {
+      [undefined, null, 'max-age=60'].forEach(function(headers) {
+        expect(function() {
+          ttlFromHeaders(headers);
+        }).to.throw('Headers must be an object');
+      });
+
+      [-1, NaN, '1000'].forEach(function(defaultTtl) {
+        expect(function() {
+          ttlFromHeaders({}, { defaultTtl: defaultTtl });
+        }).to.throw('Default TTL must be a non-negative number or null');
+      });
+    });
+
+    it('should work as a cache\'s ttl function', function() {
+      var cache = new RefreshableCache({
+        ttl: function(key, response) {
+          return RefreshableCache.ttlFromHeaders(response.headers);
+        }
+      });
+      cache.put('cached', { headers: { 'cache-control': 'max-age=60' } });
+      cache.put('uncached', { headers: { 'cache-control': 'no-store' } });
+      expect(cache.ttl('cached')).to.equal(60000);
+      expect(cache.has('uncached')).to.be.false;
+      cache.destroy();
+    });
+  });
+});
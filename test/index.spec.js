@@ -1,22 +1,34 @@
 'use strict';
 
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
 var chai = require('chai');
 var expect = chai.expect;
 var sinon = require('sinon');
 var RefreshableCache = require('../index.js');
+var FakeRedisClient = require('./fakeRedisClient.js');
 
 chai.use(require('sinon-chai'));
 
 
+var LIFECYCLE_EVENT_NAMES = ['set', 'update', 'delete', 'clear'];
+
+
 describe('node-cache', function() {
   var clock;
   var emittedEvents;
   var cache = new RefreshableCache();
 
   beforeEach(function() {
-    // Mock the cache's emit() method to add the emitted events to an emittedEvents array
+    // Mock the cache's emit() method to add the emitted events to an emittedEvents array, leaving
+    // out the lifecycle events which every write and removal emits; those are tested separately
     emittedEvents = [];
     sinon.stub(cache, 'emit', function(eventName, key, value) {
+      if (LIFECYCLE_EVENT_NAMES.indexOf(eventName) !== -1) {
+        return;
+      }
+
       emittedEvents.push({
         eventName: eventName,
         key: key,
@@ -28,6 +40,7 @@ describe('node-cache', function() {
 
     cache.clear();
     cache.resetExpiryOnAccess(false);
+    cache.setLoader(null);
   });
 
   afterEach(function() {
@@ -45,6 +58,221 @@ describe('node-cache', function() {
       cache.put('key', 'value');
       expect(cache2.get('key')).to.be.null;
     });
+
+    it('should throw an error given an invalid default ttl', function() {
+      expect(function() {
+        return new RefreshableCache({ ttl: -100 });
+      }).to.throw('Expiration time must be a positive number');
+    });
+
+    it('should throw an error given an invalid default refresh interval', function() {
+      expect(function() {
+        return new RefreshableCache({ refreshInterval: NaN });
+      }).to.throw('Refresh time must be a positive number');
+    });
+
+    it('should throw an error given a default fresh time which is not less than the default ttl', function() {
+      expect(function() {
+        return new RefreshableCache({ ttl: 100, freshTtl: 100 });
+      }).to.throw('Fresh time must be less than the expiration time');
+    });
+
+    it('should throw an error given invalid default tags', function() {
+      expect(function() {
+        return new RefreshableCache({ tags: 'foo' });
+      }).to.throw('Tags must be an array of strings');
+    });
+
+    it('should throw an error given a non-function loader', function() {
+      expect(function() {
+        return new RefreshableCache({ loader: 'foo' });
+      }).to.throw('Loader must be a function');
+    });
+
+    it('should throw an error given a non-boolean reset expiry on access flag', function() {
+      expect(function() {
+        return new RefreshableCache({ resetExpiryOnAccess: 'foo' });
+      }).to.throw('Reset expiry on get flag must be a boolean');
+    });
+
+    it('should throw an error given a clock without a now() method', function() {
+      expect(function() {
+        return new RefreshableCache({ clock: {} });
+      }).to.throw('Clock must have a now() method');
+    });
+
+    it('should throw an error given a clock with setTimeout() but not clearTimeout()', function() {
+      expect(function() {
+        return new RefreshableCache({
+          clock: {
+            now: Date.now,
+            setTimeout: setTimeout
+          }
+        });
+      }).to.throw('Clock must have both setTimeout() and clearTimeout() methods or neither');
+    });
+
+    it('should throw an error given a non-integer max entries', function() {
+      expect(function() {
+        return new RefreshableCache({ maxEntries: 1.5 });
+      }).to.throw('Max entries must be a positive integer');
+    });
+
+    it('should throw an error given a max entries of 0', function() {
+      expect(function() {
+        return new RefreshableCache({ maxEntries: 0 });
+      }).to.throw('Max entries must be a positive integer');
+    });
+
+    it('should throw an error given a non-numeric max size', function() {
+      expect(function() {
+        return new RefreshableCache({ maxSize: 'foo', sizeOf: function() {} });
+      }).to.throw('Max size must be a positive number');
+    });
+
+    it('should throw an error given a max size without a size function', function() {
+      expect(function() {
+        return new RefreshableCache({ maxSize: 100 });
+      }).to.throw('Size function must be provided with a max size');
+    });
+
+    it('should throw an error given an unknown eviction policy', function() {
+      expect(function() {
+        return new RefreshableCache({ maxEntries: 10, evictionPolicy: 'foo' });
+      }).to.throw();
+    });
+
+    it('should throw an error given an unknown expiry mode', function() {
+      expect(function() {
+        return new RefreshableCache({ expiry: 'foo' });
+      }).to.throw('Expiry mode must be "active" or "lazy"');
+    });
+
+    it('should throw an error given an invalid sweep interval', function() {
+      expect(function() {
+        return new RefreshableCache({ expiry: 'lazy', sweepInterval: -1 });
+      }).to.throw('Sweep interval must be a positive number');
+    });
+
+    it('should throw an error given a sweep interval without lazy expiry', function() {
+      expect(function() {
+        return new RefreshableCache({ sweepInterval: 1000 });
+      }).to.throw('Sweep interval can only be used with lazy expiry');
+    });
+  });
+
+
+  describe('constructor options', function() {
+    it('should use the default ttl for new keys put without a duration', function() {
+      var cache2 = new RefreshableCache({ ttl: 1000 });
+      cache2.put('key', 'value');
+      clock.tick(999);
+      expect(cache2.get('key')).to.equal('value');
+      clock.tick(1);
+      expect(cache2.get('key')).to.be.null;
+    });
+
+    it('should prefer a duration passed to put() over the default ttl', function() {
+      var cache2 = new RefreshableCache({ ttl: 1000 });
+      cache2.put('key', 'value', 2000);
+      clock.tick(1000);
+      expect(cache2.get('key')).to.equal('value');
+      cache2.clear();
+    });
+
+    it('should not apply the default ttl to existing keys put without a duration', function() {
+      var cache2 = new RefreshableCache({ ttl: 1000 });
+      cache2.put('key', 'value1', 2000);
+      clock.tick(500);
+      cache2.put('key', 'value2');
+      clock.tick(1000);
+      expect(cache2.get('key')).to.equal('value2');
+      cache2.clear();
+    });
+
+    it('should use the default refresh interval and fresh time for new keys', function() {
+      var spy = sinon.spy();
+      var cache2 = new RefreshableCache({ refreshInterval: 10, freshTtl: 5 });
+      cache2.on('refresh', spy);
+      cache2.put('key', 'value');
+      clock.tick(5);
+      cache2.get('key');
+      expect(spy).to.have.been.calledOnce;
+      clock.tick(5);
+      expect(spy).to.have.been.calledTwice;
+      cache2.clear();
+    });
+
+    it('should use the default tags for new keys put without their own', function() {
+      var cache2 = new RefreshableCache({ tags: ['tag1'] });
+      cache2.put('key1', 'value1');
+      cache2.put('key2', 'value2', { tags: ['tag2'] });
+      expect(cache2.getEntry('key1').tags).to.deep.equal(['tag1']);
+      expect(cache2.getEntry('key2').tags).to.deep.equal(['tag2']);
+      expect(cache2.invalidateTag('tag1')).to.equal(1);
+      expect(cache2.keys()).to.deep.equal(['key2']);
+      cache2.clear();
+    });
+
+    it('should not apply the default tags to existing keys put without their own', function() {
+      var cache2 = new RefreshableCache({ tags: ['tag1'] });
+      cache2.put('key', 'value1', { tags: ['tag2'] });
+      cache2.put('key', 'value2');
+      expect(cache2.getEntry('key').tags).to.deep.equal(['tag2']);
+      cache2.clear();
+    });
+
+    it('should use the loader option as the cache-wide loader', function() {
+      var cache2 = new RefreshableCache({
+        loader: function(key) {
+          return key + '-loaded';
+        }
+      });
+      cache2.put('key', 'value', undefined, 10);
+      clock.tick(10);
+      expect(cache2.get('key')).to.equal('key-loaded');
+      cache2.clear();
+    });
+
+    it('should reset expiry on access given the resetExpiryOnAccess option', function() {
+      var cache2 = new RefreshableCache({ resetExpiryOnAccess: true });
+      cache2.put('key', 'value', 1000);
+      clock.tick(500);
+      cache2.get('key');
+      clock.tick(500);
+      expect(cache2.get('key')).to.equal('value');
+      cache2.clear();
+    });
+
+    it('should use the clock option to tell whether a value is stale', function() {
+      var now = 0;
+      var spy = sinon.spy();
+      var cache2 = new RefreshableCache({
+        clock: {
+          now: function() {
+            return now;
+          }
+        }
+      });
+      cache2.on('refresh', spy);
+      cache2.put('key', 'value', { freshTtl: 100 });
+      clock.tick(1000);
+      cache2.get('key');
+      expect(spy).to.not.have.been.called;
+      now = 100;
+      cache2.get('key');
+      expect(spy).to.have.been.calledOnce;
+    });
+
+    it('should apply the defaults to values loaded by getOrLoad()', function() {
+      var cache2 = new RefreshableCache({ ttl: 1000 });
+      return cache2.getOrLoad('key', function() {
+        return 'value';
+      }).then(function() {
+        clock.tick(1000);
+        expect(cache2.get('key')).to.be.null;
+      });
+    });
   });
 
 
@@ -121,6 +349,30 @@ describe('node-cache', function() {
       }).to.throw();
     });
 
+    it('should throw an error given a non-function loader', function() {
+      expect(function() {
+        cache.put('key', 'value', undefined, 10, 'foo');
+      }).to.throw('Loader must be a function');
+    });
+
+    it('should throw an error given a non-numeric fresh time', function() {
+      expect(function() {
+        cache.put('key', 'value', 1000, undefined, undefined, 'foo');
+      }).to.throw('Fresh time must be a positive number');
+    });
+
+    it('should throw an error given a fresh time of 0', function() {
+      expect(function() {
+        cache.put('key', 'value', 1000, undefined, undefined, 0);
+      }).to.throw('Fresh time must be a positive number');
+    });
+
+    it('should throw an error given a fresh time which is not less than the expiration time', function() {
+      expect(function() {
+        cache.put('key', 'value', 1000, undefined, undefined, 1000);
+      }).to.throw('Fresh time must be less than the expiration time');
+    });
+
     it('should emit a "expiry" event once the cache key expires', function() {
       cache.put('key', 'value', 1000);
       clock.tick(999);
@@ -340,6 +592,51 @@ describe('node-cache', function() {
     it('should return the cached value', function() {
       expect(cache.put('key', 'value')).to.equal('value');
     });
+
+    it('should accept an options object instead of positional arguments', function() {
+      cache.put('key', 'value', { ttl: 25, refreshInterval: 10 });
+      clock.tick(25);
+      expect(emittedEvents).to.deep.equal([
+        { eventName: 'refresh', key: 'key', value: 'value' },
+        { eventName: 'refresh', key: 'key', value: 'value' },
+        { eventName: 'expiry', key: 'key', value: 'value' }
+      ]);
+    });
+
+    it('should accept a loader and fresh time in an options object', function() {
+      cache.put('key', 'value1', {
+        ttl: 1000,
+        freshTtl: 100,
+        loader: function() {
+          return 'value2';
+        }
+      });
+      clock.tick(100);
+      cache.get('key');
+      expect(cache.get('key')).to.equal('value2');
+    });
+
+    it('should accept an empty options object', function() {
+      cache.put('key', 'value', {});
+      clock.tick(100000);
+      expect(cache.get('key')).to.equal('value');
+      expect(emittedEvents).to.deep.equal([]);
+    });
+
+    it('should validate an options object the same way as positional arguments', function() {
+      expect(function() {
+        cache.put('key', 'value', { ttl: 0 });
+      }).to.throw('Expiration time must be a positive number');
+      expect(function() {
+        cache.put('key', 'value', { refreshInterval: 'foo' });
+      }).to.throw('Refresh time must be a positive number');
+      expect(function() {
+        cache.put('key', 'value', { loader: 'foo' });
+      }).to.throw('Loader must be a function');
+      expect(function() {
+        cache.put('key', 'value', { ttl: 100, freshTtl: 200 });
+      }).to.throw('Fresh time must be less than the expiration time');
+    });
   });
 
 
@@ -412,178 +709,4521 @@ describe('node-cache', function() {
   });
 
 
-  describe('del()', function() {
-    it('should return false given an empty cache', function() {
-      expect(cache.del('miss')).to.be.false;
-    });
-
-    it('should return false given a key not in a non-empty cache', function() {
-      cache.put('key', 'value');
-      expect(cache.del('miss')).to.be.false;
+  describe('has()', function() {
+    it('should return false given a key which is not in the cache', function() {
+      expect(cache.has('key')).to.be.false;
     });
 
     it('should return true given a key in the cache', function() {
       cache.put('key', 'value');
-      expect(cache.del('key')).to.be.true;
+      expect(cache.has('key')).to.be.true;
     });
 
-    it('should remove the provided key from the cache', function() {
-      cache.put('key', 'value');
-      expect(cache.get('key')).to.equal('value');
-      expect(cache.del('key')).to.be.true;
+    it('should return true given a key whose value is null', function() {
+      cache.put('key', null);
+      expect(cache.has('key')).to.be.true;
       expect(cache.get('key')).to.be.null;
     });
 
-    it('should decrement the cache size by 1', function() {
-      cache.put('key', 'value');
-      expect(cache.size()).to.equal(1);
-      expect(cache.del('key')).to.be.true;
-      expect(cache.size()).to.equal(0);
+    it('should return false once a key has expired', function() {
+      cache.put('key', 'value', 1000);
+      clock.tick(1000);
+      expect(cache.has('key')).to.be.false;
     });
 
-    it('should not remove other keys in the cache', function() {
-      cache.put('key1', 'value1');
-      cache.put('key2', 'value2');
-      cache.put('key3', 'value3');
-      expect(cache.get('key1')).to.equal('value1');
-      expect(cache.get('key2')).to.equal('value2');
-      expect(cache.get('key3')).to.equal('value3');
-      cache.del('key1');
-      expect(cache.get('key1')).to.be.null;
-      expect(cache.get('key2')).to.equal('value2');
-      expect(cache.get('key3')).to.equal('value3');
+    it('should not reset the expiry of a key', function() {
+      cache.resetExpiryOnAccess();
+      cache.put('key', 'value', 1000);
+      clock.tick(999);
+      expect(cache.has('key')).to.be.true;
+      clock.tick(1);
+      expect(cache.has('key')).to.be.false;
     });
 
-    it('should only delete a key from the cache once even if called multiple times in a row', function() {
-      cache.put('key1', 'value1');
-      cache.put('key2', 'value2');
-      cache.put('key3', 'value3');
-      expect(cache.size()).to.equal(3);
-      cache.del('key1');
-      cache.del('key1');
-      cache.del('key1');
-      expect(cache.size()).to.equal(2);
+    it('should not remove or emit an "expiry" event for an expired key with lazy expiry', function() {
+      var lazyCache = new RefreshableCache({ expiry: 'lazy' });
+      var spy = sinon.spy();
+      lazyCache.on('expiry', spy);
+      lazyCache.put('key', 'value', 1000);
+      clock.tick(1000);
+      expect(lazyCache.has('key')).to.be.false;
+      expect(spy).to.not.have.been.called;
+      lazyCache.get('key');
+      expect(spy).to.have.been.calledOnce;
     });
+  });
 
-    it('should handle deleting keys which were previously deleted and then re-added to the cache', function() {
-      cache.put('key', 'value');
-      expect(cache.get('key')).to.equal('value');
-      cache.del('key');
-      expect(cache.get('key')).to.be.null;
+
+  describe('peek()', function() {
+    it('should return null given a key which is not in the cache', function() {
+      expect(cache.peek('key')).to.be.null;
+    });
+
+    it('should return the value of a key in the cache', function() {
       cache.put('key', 'value');
-      expect(cache.get('key')).to.equal('value');
-      cache.del('key');
-      expect(cache.get('key')).to.be.null;
+      expect(cache.peek('key')).to.equal('value');
     });
 
-    it('should return true given an non-expired key', function() {
+    it('should not reset the expiry of a key', function() {
+      cache.resetExpiryOnAccess();
       cache.put('key', 'value', 1000);
       clock.tick(999);
-      expect(cache.del('key')).to.be.true;
+      expect(cache.peek('key')).to.equal('value');
+      clock.tick(1);
+      expect(cache.peek('key')).to.be.null;
     });
 
-    it('should return false given an expired key', function() {
-      cache.put('key', 'value', 1000);
-      clock.tick(1000);
-      expect(cache.del('key')).to.be.false;
+    it('should not revalidate a stale value', function() {
+      cache.put('key', 'value', { ttl: 1000, freshTtl: 100 });
+      clock.tick(100);
+      expect(cache.peek('key')).to.equal('value');
+      expect(emittedEvents).to.deep.equal([]);
     });
 
-    it('should cancel the "expiry" event for the deleted key', function() {
-      cache.put('key', 'value', 1000);
-      cache.del('key');
-      clock.tick(1000);
-      expect(emittedEvents).to.have.length(0);
+    it('should not count as a use for eviction', function() {
+      var boundedCache = new RefreshableCache({ maxEntries: 2 });
+      boundedCache.put('key1', 'value1');
+      boundedCache.put('key2', 'value2');
+      boundedCache.peek('key1');
+      boundedCache.put('key3', 'value3');
+      expect(boundedCache.keys()).to.deep.equal(['key2', 'key3']);
     });
+  });
 
-    it('should cancel the "refresh" events for the deleted key', function() {
-      cache.put('key', 'value', undefined, 10);
-      cache.del('key');
-      clock.tick(1000);
-      expect(emittedEvents).to.have.length(0);
+
+  describe('expiresAt()', function() {
+    it('should return null given a key which is not in the cache', function() {
+      expect(cache.expiresAt('key')).to.be.null;
     });
 
-    it('should cancel the "expiry" event for the deleted key whose value was falsy', function() {
-      cache.put('key', false, 1000);
-      cache.del('key');
-      clock.tick(1000);
-      expect(emittedEvents).to.have.length(0);
+    it('should return Infinity given a key without an expiry', function() {
+      cache.put('key', 'value');
+      expect(cache.expiresAt('key')).to.equal(Infinity);
     });
 
-    it('should cancel the "refresh" events for the deleted key whose value was falsy', function() {
-      cache.put('key', false, undefined, 10);
-      cache.del('key');
-      clock.tick(1000);
-      expect(emittedEvents).to.have.length(0);
+    it('should return the time at which a key expires', function() {
+      clock.tick(500);
+      cache.put('key', 'value', 1000);
+      expect(cache.expiresAt('key')).to.equal(1500);
+    });
+
+    it('should update when the expiry of a key is reset', function() {
+      cache.resetExpiryOnAccess();
+      cache.put('key', 'value', 1000);
+      clock.tick(400);
+      cache.get('key');
+      expect(cache.expiresAt('key')).to.equal(1400);
     });
   });
 
 
-  describe('clear()', function() {
-    it('should have no effect given an empty cache', function() {
-      expect(cache.size()).to.equal(0);
-      cache.clear();
-      expect(cache.size()).to.equal(0);
+  describe('ttl()', function() {
+    it('should return null given a key which is not in the cache', function() {
+      expect(cache.ttl('key')).to.be.null;
     });
 
-    it('should remove all existing keys in the cache', function() {
-      cache.put('key1', 'value1');
-      cache.put('key2', 'value2');
-      cache.put('key3', 'value3');
-      expect(cache.size()).to.equal(3);
-      cache.clear();
-      expect(cache.size()).to.equal(0);
+    it('should return Infinity given a key without an expiry', function() {
+      cache.put('key', 'value');
+      expect(cache.ttl('key')).to.equal(Infinity);
     });
 
-    it('should remove the keys in the cache', function() {
-      cache.put('key1', 'value1');
-      cache.put('key2', 'value2');
-      cache.put('key3', 'value3');
-      expect(cache.get('key1')).to.equal('value1');
-      expect(cache.get('key2')).to.equal('value2');
-      expect(cache.get('key3')).to.equal('value3');
-      cache.clear();
-      expect(cache.get('key1')).to.be.null;
-      expect(cache.get('key2')).to.be.null;
-      expect(cache.get('key3')).to.be.null;
+    it('should return the time remaining until a key expires', function() {
+      cache.put('key', 'value', 1000);
+      expect(cache.ttl('key')).to.equal(1000);
+      clock.tick(300);
+      expect(cache.ttl('key')).to.equal(700);
     });
 
-    it('should reset the cache size to 0', function() {
-      cache.put('key1', 'value1');
-      cache.put('key2', 'value2');
-      cache.put('key3', 'value3');
-      expect(cache.size()).to.equal(3);
-      cache.clear();
-      expect(cache.size()).to.equal(0);
+    it('should return null once a key has expired with lazy expiry', function() {
+      var lazyCache = new RefreshableCache({ expiry: 'lazy' });
+      lazyCache.put('key', 'value', 1000);
+      clock.tick(1500);
+      expect(lazyCache.ttl('key')).to.be.null;
+    });
+  });
+
+
+  describe('getEntry()', function() {
+    it('should return null given a key which is not in the cache', function() {
+      expect(cache.getEntry('key')).to.be.null;
+    });
+
+    it('should return the value and metadata of a key', function() {
+      clock.tick(100);
+      cache.put('key', 'value', { ttl: 1000, refreshInterval: 500, freshTtl: 200, tags: ['tag'] });
+      expect(cache.getEntry('key')).to.deep.equal({
+        key: 'key',
+        value: 'value',
+        createdAt: 100,
+        updatedAt: 100,
+        lastAccessedAt: null,
+        expiresAt: 1100,
+        refreshInterval: 500,
+        staleAt: 300,
+        tags: ['tag']
+      });
+    });
+
+    it('should return null for metadata which is not set', function() {
+      cache.put('key', 'value');
+      expect(cache.getEntry('key')).to.deep.equal({
+        key: 'key',
+        value: 'value',
+        createdAt: 0,
+        updatedAt: 0,
+        lastAccessedAt: null,
+        expiresAt: Infinity,
+        refreshInterval: null,
+        staleAt: null,
+        tags: []
+      });
+    });
+
+    it('should track when a key was last updated and read', function() {
+      cache.put('key', 'value1');
+      clock.tick(100);
+      cache.put('key', 'value2');
+      clock.tick(100);
+      cache.get('key');
+      clock.tick(100);
+
+      var entry = cache.getEntry('key');
+      expect(entry.value).to.equal('value2');
+      expect(entry.createdAt).to.equal(0);
+      expect(entry.updatedAt).to.equal(100);
+      expect(entry.lastAccessedAt).to.equal(200);
+    });
+
+    it('should track refreshed values as updates', function() {
+      cache.setLoader(function() {
+        return 'value2';
+      });
+      cache.put('key', 'value1', undefined, 100);
+      clock.tick(100);
+      expect(cache.getEntry('key').updatedAt).to.equal(100);
+    });
+
+    it('should not count as a read', function() {
+      cache.put('key', 'value');
+      cache.getEntry('key');
+      expect(cache.getEntry('key').lastAccessedAt).to.be.null;
+    });
+  });
+
+
+  describe('getOrLoad()', function() {
+    var expectGetOrLoadRejection = function(promise, message) {
+      return promise.then(function() {
+        throw new Error('Expected getOrLoad() to be rejected');
+      }, function(error) {
+        expect(error.message).to.equal(message);
+      });
+    };
+
+    it('should be rejected given a non-function loader instead of throwing an error', function() {
+      return expectGetOrLoadRejection(cache.getOrLoad('key', 'foo'), 'Loader must be a function');
+    });
+
+    it('should be rejected given no loader if the cache has no loader', function() {
+      return expectGetOrLoadRejection(cache.getOrLoad('key'), 'Loader must be provided if the cache has no loader');
+    });
+
+    it('should be rejected given an invalid ttl', function() {
+      return expectGetOrLoadRejection(cache.getOrLoad('key', function() {}, { ttl: -100 }), 'Expiration time must be a positive number');
+    });
+
+    it('should be rejected given an invalid refresh interval without calling the loader', function() {
+      var loader = sinon.spy();
+      return expectGetOrLoadRejection(cache.getOrLoad('key', loader, { refreshInterval: 'foo' }), 'Refresh time must be a positive number').then(function() {
+        expect(loader).to.not.have.been.called;
+        expect(cache.has('key')).to.be.false;
+      });
+    });
+
+    it('should be rejected if the key serializer throws', function() {
+      var cache2 = new RefreshableCache({
+        keySerializer: function() {
+          throw new Error('Invalid key');
+        }
+      });
+      return expectGetOrLoadRejection(cache2.getOrLoad('key', function() {}), 'Invalid key').then(function() {
+        cache2.destroy();
+      });
+    });
+
+    it('should resolve with the cached value without calling the loader given a key in the cache', function() {
+      var loader = sinon.spy();
+      cache.put('key', 'value');
+      return cache.getOrLoad('key', loader).then(function(value) {
+        expect(value).to.equal('value');
+        expect(loader).to.not.have.been.called;
+      });
+    });
+
+    it('should treat a cached null value as a hit', function() {
+      var loader = sinon.spy();
+      cache.put('key', null);
+      return cache.getOrLoad('key', loader).then(function(value) {
+        expect(value).to.be.null;
+        expect(loader).to.not.have.been.called;
+      });
+    });
+
+    it('should load, cache and resolve with the value given a key not in the cache', function() {
+      return cache.getOrLoad('key', function(key) {
+        return key + '-loaded';
+      }).then(function(value) {
+        expect(value).to.equal('key-loaded');
+        expect(cache.get('key')).to.equal('key-loaded');
+      });
+    });
+
+    it('should support loaders which accept a callback or return a Promise', function() {
+      return Promise.all([
+        cache.getOrLoad('key1', function(key, callback) {
+          callback(null, 'value1');
+        }),
+        cache.getOrLoad('key2', function() {
+          return Promise.resolve('value2');
+        })
+      ]).then(function(values) {
+        expect(values).to.deep.equal(['value1', 'value2']);
+        expect(cache.get('key1')).to.equal('value1');
+        expect(cache.get('key2')).to.equal('value2');
+      });
+    });
+
+    it('should share a single loader call between concurrent misses for the same key', function() {
+      var loader = sinon.spy(function(key, callback) {
+        setTimeout(function() {
+          callback(null, 'value');
+        }, 10);
+      });
+      var promises = [
+        cache.getOrLoad('key', loader),
+        cache.getOrLoad('key', loader),
+        cache.getOrLoad('key', loader)
+      ];
+      clock.tick(10);
+      return Promise.all(promises).then(function(values) {
+        expect(values).to.deep.equal(['value', 'value', 'value']);
+        expect(loader).to.have.been.calledOnce;
+      });
+    });
+
+    it('should not share loader calls between different keys', function() {
+      var loader = sinon.spy(function(key) {
+        return Promise.resolve(key + '-loaded');
+      });
+      return Promise.all([
+        cache.getOrLoad('key1', loader),
+        cache.getOrLoad('key2', loader)
+      ]).then(function(values) {
+        expect(values).to.deep.equal(['key1-loaded', 'key2-loaded']);
+        expect(loader).to.have.been.calledTwice;
+      });
+    });
+
+    it('should reject all concurrent misses and cache nothing when the loader fails', function() {
+      var error = new Error('oops');
+      var loader = sinon.spy(function() {
+        return Promise.reject(error);
+      });
+      var expectRejection = function(promise) {
+        return promise.then(function() {
+          throw new Error('Expected the Promise to be rejected');
+        }, function(rejection) {
+          expect(rejection).to.equal(error);
+        });
+      };
+      return Promise.all([
+        expectRejection(cache.getOrLoad('key', loader)),
+        expectRejection(cache.getOrLoad('key', loader))
+      ]).then(function() {
+        expect(loader).to.have.been.calledOnce;
+        expect(cache.size()).to.equal(0);
+      });
+    });
+
+    it('should call the loader again after a failed load', function() {
+      var loader = sinon.stub();
+      loader.onFirstCall().throws(new Error('oops'));
+      loader.onSecondCall().returns('value');
+      return cache.getOrLoad('key', loader).catch(function() {
+        return cache.getOrLoad('key', loader);
+      }).then(function(value) {
+        expect(value).to.equal('value');
+        expect(loader).to.have.been.calledTwice;
+      });
+    });
+
+    it('should use the cache-wide loader given no loader', function() {
+      cache.setLoader(function(key) {
+        return key + '-loaded';
+      });
+      return cache.getOrLoad('key').then(function(value) {
+        expect(value).to.equal('key-loaded');
+      });
+    });
+
+    it('should expire the loaded value after the provided ttl', function() {
+      return cache.getOrLoad('key', function() {
+        return 'value';
+      }, { ttl: 1000 }).then(function() {
+        clock.tick(1000);
+        expect(cache.get('key')).to.be.null;
+        expect(emittedEvents).to.deep.equal([
+          { eventName: 'expiry', key: 'key', value: 'value' }
+        ]);
+      });
+    });
+
+    it('should refresh the loaded value with the loader after the provided refresh interval', function() {
+      var values = ['value1', 'value2'];
+      return cache.getOrLoad('key', function() {
+        return values.shift();
+      }, { refreshInterval: 10 }).then(function() {
+        clock.tick(10);
+        expect(cache.get('key')).to.equal('value2');
+      });
+    });
+
+    it('should not overwrite a value written to the cache while the loader is running', function() {
+      var promise = cache.getOrLoad('key', function(key, callback) {
+        setTimeout(function() {
+          callback(null, 'loaded');
+        }, 10);
+      });
+      cache.put('key', 'written');
+      clock.tick(10);
+      return promise.then(function(value) {
+        expect(value).to.equal('loaded');
+        expect(cache.get('key')).to.equal('written');
+      });
+    });
+
+    it('should be rejected if writing a value loaded by a Promise throws', function() {
+      var error = new Error('TTL function failed');
+      var cache2 = new RefreshableCache({
+        ttl: function() {
+          throw error;
+        }
+      });
+      return cache2.getOrLoad('key', function() {
+        return Promise.resolve('value');
+      }).then(function() {
+        throw new Error('Expected the Promise to be rejected');
+      }, function(loadError) {
+        expect(loadError).to.equal(error);
+        expect(cache2.has('key')).to.be.false;
+        cache2.destroy();
+      });
+    });
+
+    it('should be rejected if writing a value loaded by a callback throws', function() {
+      var error = new Error('Listener failed');
+      var cache2 = new RefreshableCache();
+      cache2.on('set', function() {
+        throw error;
+      });
+      var promise = cache2.getOrLoad('key', function(key, callback) {
+        setTimeout(function() {
+          callback(null, 'value');
+        }, 10);
+      });
+      clock.tick(10);
+      return promise.then(function() {
+        throw new Error('Expected the Promise to be rejected');
+      }, function(loadError) {
+        expect(loadError).to.equal(error);
+        cache2.destroy();
+      });
+    });
+
+    it('should be rejected if the loaded value is invalid for the ttl function', function() {
+      var cache2 = new RefreshableCache({
+        ttl: function() {
+          return -1;
+        }
+      });
+      return cache2.getOrLoad('key', function() {
+        return 'value';
+      }).then(function() {
+        throw new Error('Expected the Promise to be rejected');
+      }, function(loadError) {
+        expect(loadError.message).to.equal('TTL function must return a non-negative number or null');
+        cache2.destroy();
+      });
+    });
+  });
+
+
+  describe('negative caching', function() {
+    var cache2;
+    var events;
+
+    var createCache = function(options) {
+      events = [];
+      cache2 = new RefreshableCache(options);
+      ['negativeExpiry', 'expiry', 'set'].forEach(function(eventName) {
+        cache2.on(eventName, function() {
+          events.push([eventName].concat(Array.prototype.slice.call(arguments)));
+        });
+      });
+      return cache2;
+    };
+
+    var failingLoader = function(error) {
+      return sinon.spy(function(key, callback) {
+        callback(error);
+      });
+    };
+
+    afterEach(function() {
+      if (cache2) {
+        cache2.destroy();
+        cache2 = null;
+      }
+    });
+
+    it('should throw an error given an invalid negative ttl', function() {
+      [0, -100, NaN, 'foo'].forEach(function(negativeTtl) {
+        expect(function() {
+          return new RefreshableCache({ negativeTtl: negativeTtl });
+        }).to.throw('Negative TTL must be a positive number');
+      });
+    });
+
+    it('should throw an error given an invalid error ttl', function() {
+      [0, -100, NaN, 'foo'].forEach(function(errorTtl) {
+        expect(function() {
+          return new RefreshableCache({ errorTtl: errorTtl });
+        }).to.throw('Error TTL must be a positive number');
+      });
+    });
+
+    it('should throw an error given an invalid max negative entries', function() {
+      [0, -1, 1.5, NaN, 'foo'].forEach(function(maxNegativeEntries) {
+        expect(function() {
+          return new RefreshableCache({ maxNegativeEntries: maxNegativeEntries });
+        }).to.throw('Max negative entries must be a positive integer');
+      });
+    });
+
+    it('should reject getOrLoad() given invalid negative or error ttl load options', function() {
+      return cache.getOrLoad('key', function() {}, { negativeTtl: -1 }).then(function() {
+        throw new Error('Expected the Promise to be rejected');
+      }, function(error) {
+        expect(error.message).to.equal('Negative TTL must be a positive number');
+        return cache.getOrLoad('key', function() {}, { errorTtl: 'foo' });
+      }).then(function() {
+        throw new Error('Expected the Promise to be rejected');
+      }, function(error) {
+        expect(error.message).to.equal('Error TTL must be a positive number');
+      });
+    });
+
+    it('should write loaded null values to the cache and not remember errors by default', function() {
+      var error = new Error('Loader failed');
+      return cache.getOrLoad('key1', function() {
+        return null;
+      }).then(function() {
+        expect(cache.has('key1')).to.be.true;
+        return cache.getOrLoad('key2', failingLoader(error));
+      }).then(function() {
+        throw new Error('Expected the Promise to be rejected');
+      }, function(loadError) {
+        expect(loadError).to.equal(error);
+        expect(cache.get('key2')).to.be.null;
+      });
+    });
+
+    it('should remember a loader which finds nothing as absent', function() {
+      var loader = sinon.stub().returns(null);
+      createCache({ negativeTtl: 1000 });
+      return cache2.getOrLoad('key', loader).then(function(value) {
+        expect(value).to.be.null;
+        expect(cache2.get('key')).to.equal(RefreshableCache.ABSENT);
+        expect(cache2.peek('key')).to.equal(RefreshableCache.ABSENT);
+        return cache2.getOrLoad('key', loader);
+      }).then(function(value) {
+        expect(value).to.be.null;
+        expect(loader).to.have.been.calledOnce;
+      });
+    });
+
+    it('should treat undefined loaded values as absent', function() {
+      createCache({ negativeTtl: 1000 });
+      return cache2.getOrLoad('key', function() {}).then(function(value) {
+        expect(value).to.be.undefined;
+        expect(cache2.get('key')).to.equal(RefreshableCache.ABSENT);
+      });
+    });
+
+    it('should only remember as many absent keys as max entries, forgetting the oldest first', function() {
+      var loader = sinon.stub().returns(null);
+      var keys = [];
+      for (var i = 0; i < 100; i++) {
+        keys.push('key' + i);
+      }
+      createCache({ maxEntries: 10, negativeTtl: 60000 });
+      return Promise.all(keys.map(function(key) {
+        return cache2.getOrLoad(key, loader);
+      })).then(function() {
+        expect(keys.filter(function(key) {
+          return cache2.peek(key) === RefreshableCache.ABSENT;
+        })).to.deep.equal(keys.slice(90));
+        return cache2.getOrLoad('key0', loader);
+      }).then(function() {
+        expect(loader).to.have.callCount(101);
+        expect(events).to.deep.equal([]);
+      });
+    });
+
+    it('should bound remembered absent keys and errors by max negative entries', function() {
+      var error = new Error('Loader failed');
+      createCache({ maxEntries: 10, maxNegativeEntries: 2, negativeTtl: 60000, errorTtl: 60000 });
+      return cache2.getOrLoad('key1', function() {
+        return null;
+      }).then(function() {
+        return cache2.getOrLoad('key2', failingLoader(error)).catch(function() {});
+      }).then(function() {
+        // Forgetting key1 and remembering it again makes it the newest
+        cache2.del('key1');
+        return cache2.getOrLoad('key1', function() {
+          return null;
+        });
+      }).then(function() {
+        return cache2.getOrLoad('key3', function() {
+          return null;
+        });
+      }).then(function() {
+        expect(cache2.peek('key1')).to.equal(RefreshableCache.ABSENT);
+        expect(cache2.peek('key2')).to.be.null;
+        expect(cache2.peek('key3')).to.equal(RefreshableCache.ABSENT);
+      });
+    });
+
+    it('should not count absent keys as cache items', function() {
+      createCache({ negativeTtl: 1000 });
+      return cache2.getOrLoad('key', function() {
+        return null;
+      }).then(function() {
+        expect(cache2.has('key')).to.be.false;
+        expect(cache2.getEntry('key')).to.be.null;
+        expect(cache2.size()).to.equal(0);
+        expect(cache2.keys()).to.deep.equal([]);
+        expect(events).to.deep.equal([]);
+      });
+    });
+
+    it('should remember a loader error as a cached error', function() {
+      var error = new Error('Loader failed');
+      var loader = failingLoader(error);
+      createCache({ errorTtl: 1000 });
+      return cache2.getOrLoad('key', loader).then(function() {
+        throw new Error('Expected the Promise to be rejected');
+      }, function(loadError) {
+        expect(loadError).to.equal(error);
+
+        var cachedError = cache2.get('key');
+        expect(cachedError).to.be.an.instanceof(RefreshableCache.CachedError);
+        expect(cachedError.cause).to.equal(error);
+        expect(cache2.peek('key')).to.equal(cachedError);
+        expect(cache2.has('key')).to.be.false;
+
+        return cache2.getOrLoad('key', loader);
+      }).then(function() {
+        throw new Error('Expected the Promise to be rejected');
+      }, function(loadError) {
+        expect(loadError).to.equal(error);
+        expect(loader).to.have.been.calledOnce;
+      });
+    });
+
+    it('should forget absent keys and emit a negative expiry event once the negative ttl passes', function() {
+      var loader = sinon.stub().returns(null);
+      createCache({ negativeTtl: 1000, errorTtl: 5000 });
+      return cache2.getOrLoad('key', loader).then(function() {
+        clock.tick(999);
+        expect(cache2.get('key')).to.equal(RefreshableCache.ABSENT);
+        clock.tick(1);
+        expect(cache2.get('key')).to.be.null;
+        expect(events).to.deep.equal([['negativeExpiry', 'key', RefreshableCache.ABSENT]]);
+        return cache2.getOrLoad('key', loader);
+      }).then(function() {
+        expect(loader).to.have.been.calledTwice;
+      });
+    });
+
+    it('should forget cached errors and emit a negative expiry event once the error ttl passes', function() {
+      createCache({ negativeTtl: 5000, errorTtl: 1000 });
+      return cache2.getOrLoad('key', failingLoader(new Error('Loader failed'))).catch(function() {
+        var cachedError = cache2.get('key');
+        clock.tick(1000);
+        expect(cache2.get('key')).to.be.null;
+        expect(events).to.deep.equal([['negativeExpiry', 'key', cachedError]]);
+      });
+    });
+
+    it('should use the negative and error ttl load options over the cache\'s', function() {
+      createCache({ negativeTtl: 5000, errorTtl: 5000 });
+      return Promise.all([
+        cache2.getOrLoad('key1', function() {
+          return null;
+        }, { negativeTtl: 100 }),
+        cache2.getOrLoad('key2', failingLoader(new Error('Loader failed')), { errorTtl: 200 }).catch(function() {})
+      ]).then(function() {
+        clock.tick(100);
+        expect(cache2.get('key1')).to.be.null;
+        expect(cache2.get('key2')).to.be.an.instanceof(RefreshableCache.CachedError);
+        clock.tick(100);
+        expect(cache2.get('key2')).to.be.null;
+      });
+    });
+
+    it('should support negative caching with only the load options', function() {
+      return cache.getOrLoad('key', function() {
+        return null;
+      }, { negativeTtl: 100 }).then(function() {
+        expect(cache.get('key')).to.equal(RefreshableCache.ABSENT);
+        expect(cache.has('key')).to.be.false;
+        clock.tick(100);
+        expect(cache.get('key')).to.be.null;
+      });
+    });
+
+    it('should write loaded values as usual', function() {
+      createCache({ negativeTtl: 1000, errorTtl: 1000 });
+      return cache2.getOrLoad('key', function() {
+        return 'value';
+      }).then(function() {
+        expect(cache2.get('key')).to.equal('value');
+        expect(events).to.deep.equal([['set', 'key', 'value']]);
+      });
+    });
+
+    it('should forget a negative value once the key is written to', function() {
+      createCache({ negativeTtl: 1000 });
+      return cache2.getOrLoad('key', function() {
+        return null;
+      }).then(function() {
+        cache2.put('key', 'value');
+        expect(cache2.get('key')).to.equal('value');
+        cache2.del('key');
+        expect(cache2.get('key')).to.be.null;
+        clock.tick(1000);
+        expect(events).to.deep.equal([['set', 'key', 'value']]);
+      });
+    });
+
+    it('should forget a negative value once the key is deleted', function() {
+      createCache({ errorTtl: 1000 });
+      return cache2.getOrLoad('key', failingLoader(new Error('Loader failed'))).catch(function() {
+        expect(cache2.del('key')).to.be.false;
+        expect(cache2.get('key')).to.be.null;
+        clock.tick(1000);
+        expect(events).to.deep.equal([]);
+      });
+    });
+
+    it('should forget every negative value once the cache is cleared', function() {
+      createCache({ negativeTtl: 1000 });
+      return cache2.getOrLoad('key', function() {
+        return null;
+      }).then(function() {
+        cache2.clear();
+        expect(cache2.get('key')).to.be.null;
+        clock.tick(1000);
+        expect(events).to.deep.equal([]);
+      });
+    });
+
+    it('should not remember a negative value for a key written to while its loader is running', function() {
+      createCache({ negativeTtl: 1000 });
+      var promise = cache2.getOrLoad('key', function(key, callback) {
+        setTimeout(function() {
+          callback(null, null);
+        }, 10);
+      });
+      cache2.put('key', 'written');
+      clock.tick(10);
+      return promise.then(function(value) {
+        expect(value).to.be.null;
+        expect(cache2.get('key')).to.equal('written');
+        cache2.del('key');
+        expect(cache2.get('key')).to.be.null;
+      });
+    });
+
+    it('should count reads of negative values as hits', function() {
+      createCache({ negativeTtl: 1000 });
+      return cache2.getOrLoad('key', function() {
+        return null;
+      }).then(function() {
+        cache2.get('key');
+        return cache2.getOrLoad('key', function() {});
+      }).then(function() {
+        expect(cache2.stats()).to.include({ hits: 2, misses: 1, sets: 0 });
+      });
+    });
+  });
+
+  describe('del()', function() {
+    it('should return false given an empty cache', function() {
+      expect(cache.del('miss')).to.be.false;
+    });
+
+    it('should return false given a key not in a non-empty cache', function() {
+      cache.put('key', 'value');
+      expect(cache.del('miss')).to.be.false;
+    });
+
+    it('should return true given a key in the cache', function() {
+      cache.put('key', 'value');
+      expect(cache.del('key')).to.be.true;
+    });
+
+    it('should remove the provided key from the cache', function() {
+      cache.put('key', 'value');
+      expect(cache.get('key')).to.equal('value');
+      expect(cache.del('key')).to.be.true;
+      expect(cache.get('key')).to.be.null;
+    });
+
+    it('should decrement the cache size by 1', function() {
+      cache.put('key', 'value');
+      expect(cache.size()).to.equal(1);
+      expect(cache.del('key')).to.be.true;
+      expect(cache.size()).to.equal(0);
+    });
+
+    it('should not remove other keys in the cache', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      cache.put('key3', 'value3');
+      expect(cache.get('key1')).to.equal('value1');
+      expect(cache.get('key2')).to.equal('value2');
+      expect(cache.get('key3')).to.equal('value3');
+      cache.del('key1');
+      expect(cache.get('key1')).to.be.null;
+      expect(cache.get('key2')).to.equal('value2');
+      expect(cache.get('key3')).to.equal('value3');
+    });
+
+    it('should only delete a key from the cache once even if called multiple times in a row', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      cache.put('key3', 'value3');
+      expect(cache.size()).to.equal(3);
+      cache.del('key1');
+      cache.del('key1');
+      cache.del('key1');
+      expect(cache.size()).to.equal(2);
+    });
+
+    it('should handle deleting keys which were previously deleted and then re-added to the cache', function() {
+      cache.put('key', 'value');
+      expect(cache.get('key')).to.equal('value');
+      cache.del('key');
+      expect(cache.get('key')).to.be.null;
+      cache.put('key', 'value');
+      expect(cache.get('key')).to.equal('value');
+      cache.del('key');
+      expect(cache.get('key')).to.be.null;
+    });
+
+    it('should return true given an non-expired key', function() {
+      cache.put('key', 'value', 1000);
+      clock.tick(999);
+      expect(cache.del('key')).to.be.true;
+    });
+
+    it('should return false given an expired key', function() {
+      cache.put('key', 'value', 1000);
+      clock.tick(1000);
+      expect(cache.del('key')).to.be.false;
+    });
+
+    it('should cancel the "expiry" event for the deleted key', function() {
+      cache.put('key', 'value', 1000);
+      cache.del('key');
+      clock.tick(1000);
+      expect(emittedEvents).to.have.length(0);
+    });
+
+    it('should cancel the "refresh" events for the deleted key', function() {
+      cache.put('key', 'value', undefined, 10);
+      cache.del('key');
+      clock.tick(1000);
+      expect(emittedEvents).to.have.length(0);
+    });
+
+    it('should cancel the "expiry" event for the deleted key whose value was falsy', function() {
+      cache.put('key', false, 1000);
+      cache.del('key');
+      clock.tick(1000);
+      expect(emittedEvents).to.have.length(0);
+    });
+
+    it('should cancel the "refresh" events for the deleted key whose value was falsy', function() {
+      cache.put('key', false, undefined, 10);
+      cache.del('key');
+      clock.tick(1000);
+      expect(emittedEvents).to.have.length(0);
+    });
+  });
+
+
+  describe('getAsync()', function() {
+    it('should resolve with null given a key not in the cache', function() {
+      return cache.getAsync('miss').then(function(value) {
+        expect(value).to.be.null;
+      });
+    });
+
+    it('should resolve with the value of a key in the cache', function() {
+      cache.put('key', 'value');
+      return cache.getAsync('key').then(function(value) {
+        expect(value).to.equal('value');
+      });
+    });
+
+    it('should reset the expiry of the key if the cache is set to reset expiry on access', function() {
+      cache.resetExpiryOnAccess();
+      cache.put('key', 'value', 1000);
+      clock.tick(500);
+      return cache.getAsync('key').then(function() {
+        clock.tick(999);
+        expect(cache.get('key')).to.equal('value');
+      });
+    });
+  });
+
+
+  describe('putAsync()', function() {
+    it('should resolve with the value written to the cache', function() {
+      return cache.putAsync('key', 'value').then(function(value) {
+        expect(value).to.equal('value');
+        expect(cache.get('key')).to.equal('value');
+      });
+    });
+
+    it('should accept the same arguments as put()', function() {
+      return cache.putAsync('key', 'value', 1000, 100).then(function() {
+        expect(cache.ttl('key')).to.equal(1000);
+        expect(cache.getEntry('key').refreshInterval).to.equal(100);
+      });
+    });
+
+    it('should accept an options object', function() {
+      return cache.putAsync('key', 'value', { ttl: 1000 }).then(function() {
+        expect(cache.ttl('key')).to.equal(1000);
+      });
+    });
+
+    it('should be rejected given invalid arguments instead of throwing an error', function() {
+      return cache.putAsync('key', 'value', -1).then(function() {
+        throw new Error('Expected putAsync() to be rejected');
+      }, function(error) {
+        expect(error.message).to.equal('Expiration time must be a positive number');
+        expect(cache.has('key')).to.be.false;
+      });
+    });
+
+    it('should be rejected given a destroyed cache', function() {
+      var cache2 = new RefreshableCache();
+      cache2.destroy();
+      return cache2.putAsync('key', 'value').then(function() {
+        throw new Error('Expected putAsync() to be rejected');
+      }, function(error) {
+        expect(error.message).to.equal('Cannot write to a destroyed cache');
+      });
+    });
+  });
+
+
+  describe('delAsync()', function() {
+    it('should resolve with false given a key not in the cache', function() {
+      return cache.delAsync('miss').then(function(wasRemoved) {
+        expect(wasRemoved).to.be.false;
+      });
+    });
+
+    it('should remove the key and resolve with true given a key in the cache', function() {
+      cache.put('key', 'value');
+      return cache.delAsync('key').then(function(wasRemoved) {
+        expect(wasRemoved).to.be.true;
+        expect(cache.has('key')).to.be.false;
+      });
+    });
+  });
+
+
+  describe('getMany()', function() {
+    it('should throw an error given keys which are not an array', function() {
+      expect(function() {
+        cache.getMany('key');
+      }).to.throw('Keys must be an array');
+    });
+
+    it('should return the value of each key, or null for each key not in the cache', function() {
+      cache.put('key1', 'value1');
+      cache.put('key3', 'value3');
+      expect(cache.getMany(['key1', 'key2', 'key3'])).to.deep.equal(['value1', null, 'value3']);
+      expect(cache.getMany([])).to.deep.equal([]);
+    });
+
+    it('should reset the expiry of each key if the cache is set to reset expiry on access', function() {
+      cache.resetExpiryOnAccess();
+      cache.put('key1', 'value1', 1000);
+      cache.put('key2', 'value2', 1000);
+      clock.tick(500);
+      cache.getMany(['key1', 'key2']);
+      clock.tick(999);
+      expect(cache.size()).to.equal(2);
+    });
+  });
+
+
+  describe('putMany()', function() {
+    it('should throw an error given entries which are not an array of pairs', function() {
+      ['key', { key: 'value' }, ['key', 'value']].forEach(function(entries) {
+        expect(function() {
+          cache.putMany(entries);
+        }).to.throw('Entries must be an array of [key, value] pairs');
+      });
+    });
+
+    it('should throw an error given invalid options without writing any entries', function() {
+      expect(function() {
+        cache.putMany([['key', 'value']], { ttl: -1 });
+      }).to.throw('Expiration time must be a positive number');
+      expect(cache.size()).to.equal(0);
+    });
+
+    it('should throw an error given a destroyed cache', function() {
+      var cache2 = new RefreshableCache();
+      cache2.destroy();
+      expect(function() {
+        cache2.putMany([['key', 'value']]);
+      }).to.throw('Cannot write to a destroyed cache');
+    });
+
+    it('should write every entry and return their values', function() {
+      expect(cache.putMany([['key1', 'value1'], ['key2', 'value2']])).to.deep.equal(['value1', 'value2']);
+      expect(cache.get('key1')).to.equal('value1');
+      expect(cache.get('key2')).to.equal('value2');
+    });
+
+    it('should apply the options to every entry', function() {
+      cache.putMany([['key1', 'value1'], ['key2', 'value2']], { ttl: 1000, tags: ['tag'] });
+      expect(cache.ttl('key1')).to.equal(1000);
+      expect(cache.ttl('key2')).to.equal(1000);
+      clock.tick(1000);
+      expect(cache.size()).to.equal(0);
+    });
+
+    it('should leave the settings of existing keys unchanged when options are not specified', function() {
+      var cache2 = new RefreshableCache({ ttl: 5000 });
+      cache2.put('key1', 'value1', 1000);
+      cache2.putMany([['key1', 'value2'], ['key2', 'value3']]);
+      expect(cache2.ttl('key1')).to.equal(1000);
+      expect(cache2.ttl('key2')).to.equal(5000);
+      cache2.destroy();
+    });
+
+    it('should emit a single "batch" event with the keys which were written', function() {
+      cache.putMany([['key1', 'value1'], ['key2', 'value2']]);
+      expect(emittedEvents).to.deep.equal([
+        { eventName: 'batch', key: 'put', value: ['key1', 'key2'] }
+      ]);
+    });
+
+    it('should not emit a "batch" event given no entries', function() {
+      expect(cache.putMany([])).to.deep.equal([]);
+      expect(emittedEvents).to.deep.equal([]);
+    });
+
+    it('should only set the underlying timer once', function() {
+      var manualClock = new RefreshableCache.ManualClock();
+      var cache2 = new RefreshableCache({ clock: manualClock });
+      sinon.spy(manualClock, 'setTimeout');
+      cache2.putMany([['key1', 'value1'], ['key2', 'value2'], ['key3', 'value3']], { ttl: 1000, refreshInterval: 100 });
+      expect(manualClock.setTimeout).to.have.been.calledOnce;
+      cache2.destroy();
+    });
+
+    it('should evict keys once the cache is over one of its bounds', function() {
+      var cache2 = new RefreshableCache({ maxEntries: 2 });
+      cache2.putMany([['key1', 'value1'], ['key2', 'value2'], ['key3', 'value3']]);
+      expect(cache2.keys()).to.deep.equal(['key2', 'key3']);
+      cache2.destroy();
+    });
+  });
+
+
+  describe('delMany()', function() {
+    it('should throw an error given keys which are not an array', function() {
+      expect(function() {
+        cache.delMany('key');
+      }).to.throw('Keys must be an array');
+    });
+
+    it('should remove each key and return whether or not it was removed', function() {
+      cache.put('key1', 'value1', 1000);
+      cache.put('key2', 'value2');
+      cache.put('key3', 'value3');
+      expect(cache.delMany(['key1', 'miss', 'key3', 'key1'])).to.deep.equal([true, false, true, false]);
+      expect(cache.keys()).to.deep.equal(['key2']);
+      clock.tick(1000);
+      expect(emittedEvents.map(function(event) {
+        return event.eventName;
+      })).to.deep.equal(['batch']);
+    });
+
+    it('should emit a single "batch" event with the keys which were removed', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      cache.delMany(['key1', 'miss', 'key2']);
+      expect(emittedEvents).to.deep.equal([
+        { eventName: 'batch', key: 'del', value: ['key1', 'key2'] }
+      ]);
+    });
+
+    it('should not emit a "batch" event if no keys were removed', function() {
+      cache.delMany(['miss']);
+      expect(emittedEvents).to.deep.equal([]);
+    });
+  });
+
+
+  describe('delWhere()', function() {
+    beforeEach(function() {
+      cache.put('user:1', { admin: true });
+      cache.put('user:2', { admin: false });
+      cache.put('user:10', { admin: false });
+      cache.put('post:1', { admin: false });
+      cache.put(1, { admin: true });
+    });
+
+    it('should throw an error given a predicate which is neither a function nor a string', function() {
+      expect(function() {
+        cache.delWhere(/user/);
+      }).to.throw('Predicate must be a function or a glob pattern');
+    });
+
+    it('should remove every key for which the function returns true', function() {
+      var predicate = sinon.spy(function(key, value) {
+        return value.admin;
+      });
+      expect(cache.delWhere(predicate)).to.equal(2);
+      expect(predicate).to.have.been.calledWith('user:1', { admin: true });
+      expect(cache.keys()).to.deep.equal(['user:2', 'user:10', 'post:1']);
+    });
+
+    it('should remove every string key which matches the glob pattern', function() {
+      expect(cache.delWhere('user:*')).to.equal(3);
+      expect(cache.keys()).to.deep.equal(['post:1', 1]);
+    });
+
+    it('should match a single character with "?"', function() {
+      expect(cache.delWhere('user:?')).to.equal(2);
+      expect(cache.keys()).to.deep.equal(['user:10', 'post:1', 1]);
+    });
+
+    it('should match other characters literally', function() {
+      cache.put('a.b+c', 'value1');
+      cache.put('aXb+c', 'value2');
+      expect(cache.delWhere('a.b+c')).to.equal(1);
+      expect(cache.has('aXb+c')).to.be.true;
+      expect(cache.delWhere('user')).to.equal(0);
+    });
+
+    it('should emit a single "batch" event with the keys which were removed', function() {
+      cache.delWhere('user:1*');
+      expect(emittedEvents).to.deep.equal([
+        { eventName: 'batch', key: 'del', value: ['user:1', 'user:10'] }
+      ]);
+    });
+
+    it('should not match keys which have expired with lazy expiry', function() {
+      var cache2 = new RefreshableCache({ expiry: 'lazy' });
+      var predicate = sinon.spy();
+      cache2.put('key', 'value', 1000);
+      clock.tick(1000);
+      expect(cache2.delWhere(predicate)).to.equal(0);
+      expect(predicate).to.not.have.been.called;
+      cache2.destroy();
+    });
+  });
+
+
+  describe('touch()', function() {
+    it('should return false given a key which is not in the cache', function() {
+      expect(cache.touch('key')).to.be.false;
+    });
+
+    it('should restart the expiry of a key', function() {
+      cache.put('key', 'value', 1000);
+      clock.tick(600);
+      expect(cache.touch('key')).to.be.true;
+      clock.tick(999);
+      expect(cache.get('key')).to.equal('value');
+      clock.tick(1);
+      expect(cache.get('key')).to.be.null;
+      expect(emittedEvents).to.deep.equal([{
+        eventName: 'expiry',
+        key: 'key',
+        value: 'value'
+      }]);
+    });
+
+    it('should not give an expiry to a key without one', function() {
+      cache.put('key', 'value');
+      expect(cache.touch('key')).to.be.true;
+      expect(cache.ttl('key')).to.equal(Infinity);
+    });
+
+    it('should not count as a read', function() {
+      cache.put('key', 'value', 1000);
+      cache.touch('key');
+      expect(cache.getEntry('key').lastAccessedAt).to.be.null;
+    });
+  });
+
+
+  describe('ttl functions', function() {
+    var expiresIn = function(key, value) {
+      return value.expiresIn;
+    };
+
+    it('should expire a key after the time returned by its ttl function', function() {
+      var ttl = sinon.spy(expiresIn);
+      var value = { expiresIn: 1000 };
+      cache.put('key', value, { ttl: ttl });
+      expect(ttl).to.have.been.calledOnce.and.calledWith('key', value);
+      expect(cache.ttl('key')).to.equal(1000);
+      clock.tick(1000);
+      expect(cache.get('key')).to.be.null;
+    });
+
+    it('should accept a ttl function as the duration argument', function() {
+      cache.put('key', { expiresIn: 500 }, expiresIn);
+      expect(cache.ttl('key')).to.equal(500);
+    });
+
+    it('should call the ttl function again on each write which does not specify a ttl', function() {
+      cache.put('key', { expiresIn: 1000 }, { ttl: expiresIn });
+      clock.tick(500);
+      cache.put('key', { expiresIn: 2000 });
+      expect(cache.ttl('key')).to.equal(2000);
+      cache.put('key', { expiresIn: 300 }, { refreshInterval: 100 });
+      expect(cache.ttl('key')).to.equal(300);
+    });
+
+    it('should stop using the ttl function once a key is written with a fixed ttl', function() {
+      cache.put('key', { expiresIn: 1000 }, { ttl: expiresIn });
+      cache.put('key', { expiresIn: 1000 }, { ttl: 5000 });
+      clock.tick(1000);
+      cache.put('key', { expiresIn: 1000 });
+      expect(cache.ttl('key')).to.equal(4000);
+    });
+
+    it('should never expire a key whose ttl function returns null or Infinity', function() {
+      cache.put('key1', { expiresIn: null }, { ttl: expiresIn });
+      cache.put('key2', { expiresIn: 1000 }, { ttl: expiresIn });
+      cache.put('key2', { expiresIn: Infinity });
+      clock.tick(10000);
+      expect(cache.ttl('key1')).to.equal(Infinity);
+      expect(cache.ttl('key2')).to.equal(Infinity);
+    });
+
+    it('should not cache a value whose ttl function returns 0', function() {
+      var value = { expiresIn: 0 };
+      expect(cache.put('key', value, { ttl: expiresIn })).to.equal(value);
+      expect(cache.has('key')).to.be.false;
+      expect(cache.size()).to.equal(0);
+    });
+
+    it('should expire an existing key when its new value\'s ttl is 0', function() {
+      var cache2 = new RefreshableCache({ ttl: expiresIn });
+      var spy = sinon.spy();
+      cache2.on('set', spy);
+      cache2.on('update', spy);
+      cache2.on('expiry', spy);
+      cache2.on('delete', spy);
+      cache2.put('key', { expiresIn: 1000 });
+      cache2.put('key', { expiresIn: 0 });
+      expect(cache2.has('key')).to.be.false;
+      expect(spy.args).to.deep.equal([
+        ['key', { expiresIn: 1000 }],
+        ['key', { expiresIn: 1000 }],
+        ['key', { expiresIn: 1000 }, 'expiry']
+      ]);
+      cache2.destroy();
+    });
+
+    it('should use a ttl function as the cache\'s default ttl', function() {
+      var cache2 = new RefreshableCache({ ttl: expiresIn });
+      cache2.put('key1', { expiresIn: 1000 });
+      cache2.put('key2', { expiresIn: 2000 }, { ttl: 3000 });
+      expect(cache2.ttl('key1')).to.equal(1000);
+      expect(cache2.ttl('key2')).to.equal(3000);
+      cache2.destroy();
+    });
+
+    it('should use a ttl function for values loaded by getOrLoad()', function() {
+      var loader = sinon.stub();
+      loader.onCall(0).returns({ expiresIn: 0 });
+      loader.onCall(1).returns({ expiresIn: 1000 });
+      return cache.getOrLoad('key', loader, { ttl: expiresIn }).then(function(value) {
+        expect(value).to.deep.equal({ expiresIn: 0 });
+        expect(cache.has('key')).to.be.false;
+        return cache.getOrLoad('key', loader, { ttl: expiresIn });
+      }).then(function() {
+        expect(cache.ttl('key')).to.equal(1000);
+      });
+    });
+
+    it('should call the ttl function again for each refreshed value', function() {
+      var loader = sinon.stub().returns({ expiresIn: 5000 });
+      cache.put('key', { expiresIn: 1000 }, { ttl: expiresIn, refreshInterval: 500, loader: loader });
+      clock.tick(500);
+      expect(cache.get('key')).to.deep.equal({ expiresIn: 5000 });
+      expect(cache.ttl('key')).to.equal(5000);
+    });
+
+    it('should expire a key whose refreshed value\'s ttl is 0', function() {
+      cache.put('key', { expiresIn: 1000 }, { ttl: expiresIn, refreshInterval: 500, loader: sinon.stub().returns({ expiresIn: 0 }) });
+      clock.tick(500);
+      expect(cache.has('key')).to.be.false;
+      expect(emittedEvents).to.deep.equal([
+        { eventName: 'refresh', key: 'key', value: { expiresIn: 1000 } },
+        { eventName: 'expiry', key: 'key', value: { expiresIn: 1000 } }
+      ]);
+    });
+
+    it('should treat a ttl function which throws during a refresh as a failed refresh', function() {
+      var error = new Error('Invalid value');
+      var ttl = sinon.stub();
+      ttl.onCall(0).returns(1000);
+      ttl.onCall(1).throws(error);
+      cache.put('key', 'value1', { ttl: ttl, refreshInterval: 500, loader: sinon.stub().returns('value2') });
+      clock.tick(500);
+      expect(cache.get('key')).to.equal('value1');
+      expect(emittedEvents[1]).to.deep.equal({ eventName: 'refreshError', key: 'key', value: error });
+    });
+
+    it('should throw an error if the ttl function returns an invalid ttl', function() {
+      [-1, NaN, '1000', undefined, {}].forEach(function(ttl) {
+        expect(function() {
+          cache.put('key', 'value', {
+            ttl: function() {
+              return ttl;
+            }
+          });
+        }).to.throw('TTL function must return a non-negative number or null');
+      });
+      expect(cache.has('key')).to.be.false;
+    });
+
+    it('should allow a fresh time with a ttl function', function() {
+      cache.put('key', { expiresIn: 1000 }, { ttl: expiresIn, freshTtl: 5000 });
+      expect(cache.ttl('key')).to.equal(1000);
+    });
+
+    it('should stop using the ttl function once setTtl() is called', function() {
+      cache.put('key', { expiresIn: 1000 }, { ttl: expiresIn });
+      cache.setTtl('key', 3000);
+      cache.put('key', { expiresIn: 1000 });
+      expect(cache.ttl('key')).to.equal(3000);
+    });
+
+    it('should dump the remaining ttl of a key with a ttl function', function() {
+      cache.put('key', { expiresIn: 1000 }, { ttl: expiresIn });
+      clock.tick(400);
+      expect(cache.dump().entries[0].ttl).to.equal(600);
+    });
+  });
+
+
+  describe('setTtl()', function() {
+    it('should return false given a key which is not in the cache', function() {
+      expect(cache.setTtl('key', 1000)).to.be.false;
+    });
+
+    it('should throw an error given an invalid expiration time', function() {
+      expect(function() {
+        cache.setTtl('key', -1);
+      }).to.throw('Expiration time must be a positive number');
+      expect(function() {
+        cache.setTtl('key');
+      }).to.throw('Expiration time must be a positive number');
+    });
+
+    it('should throw an error given an expiration time which is not greater than the fresh time', function() {
+      cache.put('key', 'value', { ttl: 1000, freshTtl: 500 });
+      expect(function() {
+        cache.setTtl('key', 500);
+      }).to.throw('Fresh time must be less than the expiration time');
+    });
+
+    it('should shorten the expiry of a key', function() {
+      cache.put('key', 'value', 1000);
+      expect(cache.setTtl('key', 100)).to.be.true;
+      clock.tick(100);
+      expect(cache.get('key')).to.be.null;
+      expect(emittedEvents).to.deep.equal([{
+        eventName: 'expiry',
+        key: 'key',
+        value: 'value'
+      }]);
+    });
+
+    it('should extend the expiry of a key', function() {
+      cache.put('key', 'value', 1000);
+      clock.tick(500);
+      cache.setTtl('key', 2000);
+      clock.tick(1999);
+      expect(cache.get('key')).to.equal('value');
+      clock.tick(1);
+      expect(cache.get('key')).to.be.null;
+    });
+
+    it('should give an expiry to a key without one', function() {
+      cache.put('key', 'value');
+      cache.setTtl('key', 1000);
+      clock.tick(1000);
+      expect(cache.get('key')).to.be.null;
+    });
+
+    it('should use the new expiration time when the expiry is reset on access', function() {
+      cache.resetExpiryOnAccess();
+      cache.put('key', 'value', 1000);
+      cache.setTtl('key', 100);
+      clock.tick(99);
+      cache.get('key');
+      clock.tick(99);
+      expect(cache.get('key')).to.equal('value');
+      clock.tick(100);
+      expect(cache.get('key')).to.be.null;
+    });
+
+    it('should remove the expiry of a key given null', function() {
+      cache.put('key', 'value', 1000);
+      expect(cache.setTtl('key', null)).to.be.true;
+      clock.tick(10000);
+      expect(cache.get('key')).to.equal('value');
+      expect(cache.ttl('key')).to.equal(Infinity);
+      expect(emittedEvents).to.deep.equal([]);
+    });
+
+    it('should not change the value or refresh interval of a key', function() {
+      cache.put('key', 'value', 1000, 100);
+      cache.setTtl('key', 2000);
+      clock.tick(100);
+      expect(cache.get('key')).to.equal('value');
+      expect(emittedEvents).to.deep.equal([{
+        eventName: 'refresh',
+        key: 'key',
+        value: 'value'
+      }]);
+    });
+  });
+
+
+  describe('setRefreshInterval()', function() {
+    it('should return false given a key which is not in the cache', function() {
+      expect(cache.setRefreshInterval('key', 1000)).to.be.false;
+    });
+
+    it('should throw an error given an invalid refresh interval', function() {
+      expect(function() {
+        cache.setRefreshInterval('key', 'foo');
+      }).to.throw('Refresh time must be a positive number');
+      expect(function() {
+        cache.setRefreshInterval('key');
+      }).to.throw('Refresh time must be a positive number');
+    });
+
+    it('should start refreshing a key without a refresh interval', function() {
+      cache.put('key', 'value');
+      expect(cache.setRefreshInterval('key', 100)).to.be.true;
+      clock.tick(200);
+      expect(emittedEvents).to.deep.equal([{
+        eventName: 'refresh',
+        key: 'key',
+        value: 'value'
+      }, {
+        eventName: 'refresh',
+        key: 'key',
+        value: 'value'
+      }]);
+    });
+
+    it('should replace the refresh interval of a key', function() {
+      cache.put('key', 'value', undefined, 100);
+      clock.tick(50);
+      cache.setRefreshInterval('key', 200);
+      clock.tick(199);
+      expect(emittedEvents).to.deep.equal([]);
+      clock.tick(1);
+      expect(emittedEvents).to.have.length(1);
+      expect(cache.getEntry('key').refreshInterval).to.equal(200);
+    });
+
+    it('should run the loader of a key on the new refresh interval', function() {
+      var loader = sinon.spy(function() {
+        return 'value2';
+      });
+      cache.put('key', 'value1', { loader: loader });
+      cache.setRefreshInterval('key', 100);
+      clock.tick(100);
+      expect(loader).to.have.been.calledOnce;
+      expect(cache.get('key')).to.equal('value2');
+    });
+
+    it('should stop refreshing a key given null', function() {
+      cache.put('key', 'value', undefined, 100);
+      expect(cache.setRefreshInterval('key', null)).to.be.true;
+      clock.tick(1000);
+      expect(emittedEvents).to.deep.equal([]);
+      expect(cache.getEntry('key').refreshInterval).to.be.null;
+    });
+
+    it('should not change the expiry of a key', function() {
+      cache.put('key', 'value', 1000, 100);
+      clock.tick(500);
+      cache.setRefreshInterval('key', null);
+      clock.tick(500);
+      expect(cache.get('key')).to.be.null;
+    });
+  });
+
+
+  describe('persist()', function() {
+    it('should return false given a key which is not in the cache', function() {
+      expect(cache.persist('key')).to.be.false;
+    });
+
+    it('should remove the expiry of a key', function() {
+      cache.put('key', 'value', 1000);
+      expect(cache.persist('key')).to.be.true;
+      clock.tick(10000);
+      expect(cache.get('key')).to.equal('value');
+    });
+
+    it('should not reset the expiry of a persisted key on access', function() {
+      cache.resetExpiryOnAccess();
+      cache.put('key', 'value', 1000);
+      cache.persist('key');
+      cache.get('key');
+      clock.tick(10000);
+      expect(cache.get('key')).to.equal('value');
+    });
+
+    it('should remove the expiry of a key with lazy expiry', function() {
+      var lazyCache = new RefreshableCache({ expiry: 'lazy' });
+      lazyCache.put('key', 'value', 1000);
+      lazyCache.persist('key');
+      clock.tick(10000);
+      expect(lazyCache.get('key')).to.equal('value');
+    });
+  });
+
+
+  describe('invalidateTag()', function() {
+    it('should only set the underlying timer once', function() {
+      var manualClock = new RefreshableCache.ManualClock();
+      var cache2 = new RefreshableCache({ clock: manualClock });
+      cache2.put('key1', 'value1', { refreshInterval: 100, tags: ['tag'] });
+      cache2.put('key2', 'value2', { refreshInterval: 200, tags: ['tag'] });
+      cache2.put('key3', 'value3', { refreshInterval: 300 });
+      sinon.spy(manualClock, 'setTimeout');
+      expect(cache2.invalidateTag('tag')).to.equal(2);
+      expect(manualClock.setTimeout).to.have.been.calledOnce;
+      cache2.destroy();
+    });
+
+    it('should throw an error given invalid tags', function() {
+      [1, 'tag', [1], [null]].forEach(function(tags) {
+        expect(function() {
+          cache.put('key', 'value', { tags: tags });
+        }).to.throw('Tags must be an array of strings');
+      });
+    });
+
+    it('should throw an error given a tag which is not a string', function() {
+      expect(function() {
+        cache.invalidateTag(1);
+      }).to.throw('Tag must be a string');
+    });
+
+    it('should return 0 given a tag no key has', function() {
+      cache.put('key', 'value', { tags: ['tag1'] });
+      expect(cache.invalidateTag('tag2')).to.equal(0);
+      expect(cache.has('key')).to.be.true;
+    });
+
+    it('should remove every key with the tag and return the number removed', function() {
+      cache.put('key1', 'value1', { tags: ['user:1'] });
+      cache.put('key2', 'value2', { tags: ['user:1', 'user:2'] });
+      cache.put('key3', 'value3', { tags: ['user:2'] });
+      cache.put('key4', 'value4');
+      expect(cache.invalidateTag('user:1')).to.equal(2);
+      expect(cache.keys()).to.deep.equal(['key3', 'key4']);
+      expect(cache.invalidateTag('user:1')).to.equal(0);
+      expect(cache.invalidateTag('user:2')).to.equal(1);
+      expect(cache.keys()).to.deep.equal(['key4']);
+    });
+
+    it('should cancel the timers of the removed keys', function() {
+      cache.put('key', 'value', { ttl: 1000, refreshInterval: 100, tags: ['tag'] });
+      cache.invalidateTag('tag');
+      clock.tick(1000);
+      expect(emittedEvents).to.deep.equal([]);
+    });
+
+    it('should keep the tags of an existing key which is written without tags', function() {
+      cache.put('key', 'value1', { tags: ['tag'] });
+      cache.put('key', 'value2');
+      expect(cache.invalidateTag('tag')).to.equal(1);
+    });
+
+    it('should replace the tags of an existing key which is written with tags', function() {
+      cache.put('key', 'value1', { tags: ['tag1'] });
+      cache.put('key', 'value2', { tags: ['tag2'] });
+      expect(cache.invalidateTag('tag1')).to.equal(0);
+      expect(cache.getEntry('key').tags).to.deep.equal(['tag2']);
+      cache.put('key', 'value3', { tags: [] });
+      expect(cache.invalidateTag('tag2')).to.equal(0);
+      expect(cache.has('key')).to.be.true;
+    });
+
+    it('should not remove keys whose tags were removed by being deleted or expiring', function() {
+      cache.put('key', 'value1', { ttl: 1000, tags: ['tag'] });
+      clock.tick(1000);
+      cache.put('key', 'value2');
+      expect(cache.invalidateTag('tag')).to.equal(0);
+      expect(cache.get('key')).to.equal('value2');
+    });
+
+    it('should not remove keys after the cache is cleared', function() {
+      cache.put('key', 'value1', { tags: ['tag'] });
+      cache.clear();
+      cache.put('key', 'value2');
+      expect(cache.invalidateTag('tag')).to.equal(0);
+    });
+
+    it('should not copy the provided tags by reference', function() {
+      var tags = ['tag1'];
+      cache.put('key', 'value', { tags: tags });
+      tags.push('tag2');
+      expect(cache.invalidateTag('tag2')).to.equal(0);
+      cache.getEntry('key').tags.push('tag3');
+      expect(cache.getEntry('key').tags).to.deep.equal(['tag1']);
+    });
+
+    it('should tag keys loaded by getOrLoad()', function() {
+      return cache.getOrLoad('key', function() {
+        return 'value';
+      }, { tags: ['tag'] }).then(function() {
+        expect(cache.invalidateTag('tag')).to.equal(1);
+      });
+    });
+
+    it('should tag keys with serialized keys', function() {
+      var cache2 = new RefreshableCache({ keySerializer: JSON.stringify });
+      cache2.put(['user', 1], 'value', { tags: ['tag'] });
+      expect(cache2.invalidateTag('tag')).to.equal(1);
+      expect(cache2.size()).to.equal(0);
+    });
+
+    it('should restore the tags of loaded and adopted keys', function() {
+      var store = new RefreshableCache.MapStore();
+      var cache2 = new RefreshableCache({ store: store });
+      cache2.put('key1', 'value1', { tags: ['tag'] });
+      cache.load(cache2.dump());
+      expect(cache.invalidateTag('tag')).to.equal(1);
+      cache2.destroy();
+
+      var cache3 = new RefreshableCache({ store: store });
+      expect(cache3.invalidateTag('tag')).to.equal(1);
+      cache3.destroy();
+    });
+  });
+
+
+  describe('clear()', function() {
+    it('should only clear the underlying timer once', function() {
+      var manualClock = new RefreshableCache.ManualClock();
+      var cache2 = new RefreshableCache({ clock: manualClock });
+      cache2.put('key1', 'value1', { refreshInterval: 100 });
+      cache2.put('key2', 'value2', { refreshInterval: 200 });
+      cache2.put('key3', 'value3', { refreshInterval: 300 });
+      sinon.spy(manualClock, 'setTimeout');
+      sinon.spy(manualClock, 'clearTimeout');
+      cache2.clear();
+      expect(manualClock.setTimeout).to.not.have.been.called;
+      expect(manualClock.clearTimeout).to.have.been.calledOnce;
+      cache2.destroy();
+    });
+
+    it('should have no effect given an empty cache', function() {
+      expect(cache.size()).to.equal(0);
+      cache.clear();
+      expect(cache.size()).to.equal(0);
+    });
+
+    it('should remove all existing keys in the cache', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      cache.put('key3', 'value3');
+      expect(cache.size()).to.equal(3);
+      cache.clear();
+      expect(cache.size()).to.equal(0);
+    });
+
+    it('should remove the keys in the cache', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      cache.put('key3', 'value3');
+      expect(cache.get('key1')).to.equal('value1');
+      expect(cache.get('key2')).to.equal('value2');
+      expect(cache.get('key3')).to.equal('value3');
+      cache.clear();
+      expect(cache.get('key1')).to.be.null;
+      expect(cache.get('key2')).to.be.null;
+      expect(cache.get('key3')).to.be.null;
+    });
+
+    it('should reset the cache size to 0', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      cache.put('key3', 'value3');
+      expect(cache.size()).to.equal(3);
+      cache.clear();
+      expect(cache.size()).to.equal(0);
     });
 
     it('should cancel the "expiry" events for the deleted keys', function() {
       cache.put('key1', 'value1', 1000);
       cache.put('key2', 'value2', 1000);
-      cache.put('key3', 'value3', 1000);
-      cache.clear();
+      cache.put('key3', 'value3', 1000);
+      cache.clear();
+      clock.tick(1000);
+      expect(emittedEvents).to.have.length(0);
+    });
+
+    it('should cancel the "refresh" events for the deleted keys', function() {
+      cache.put('key', 'value', undefined, 10);
+      cache.clear();
+      clock.tick(1000);
+      expect(emittedEvents).to.have.length(0);
+    });
+
+    it('should cancel the "expiry" event for a deleted key whose value was falsy', function() {
+      cache.put('key', false, 1000);
+      cache.clear();
+      clock.tick(1000);
+      expect(emittedEvents).to.have.length(0);
+    });
+
+    it('should cancel the "refresh" events for a deleted key whose value was falsy', function() {
+      cache.put('key', false, undefined, 10);
+      cache.clear();
+      clock.tick(1000);
+      expect(emittedEvents).to.have.length(0);
+    });
+  });
+
+
+  describe('loaders', function() {
+    // Waits for pending Promise callbacks, which fake timers do not control, to run
+    var flushPromises = function() {
+      return Promise.resolve().then(function() {}).then(function() {});
+    };
+
+    it('should write the result of a synchronous loader into the cache on each refresh', function() {
+      var values = ['value2', 'value3'];
+      cache.put('key', 'value1', undefined, 10, function() {
+        return values.shift();
+      });
+      clock.tick(10);
+      expect(cache.get('key')).to.equal('value2');
+      clock.tick(10);
+      expect(cache.get('key')).to.equal('value3');
+    });
+
+    it('should pass the key being refreshed to the loader', function() {
+      var loader = sinon.stub().returns('value2');
+      cache.put('key', 'value1', undefined, 10, loader);
+      clock.tick(10);
+      expect(loader).to.have.been.calledOnce.and.calledWith('key');
+    });
+
+    it('should emit a "refreshed" event after the "refresh" event', function() {
+      cache.put('key', 'value1', undefined, 10, function() {
+        return 'value2';
+      });
+      clock.tick(10);
+      expect(emittedEvents).to.deep.equal([
+        { eventName: 'refresh', key: 'key', value: 'value1' },
+        { eventName: 'refreshed', key: 'key', value: 'value2' }
+      ]);
+    });
+
+    it('should support loaders which accept a callback', function() {
+      cache.put('key', 'value1', undefined, 10, function(key, callback) {
+        setTimeout(function() {
+          callback(null, 'value2');
+        }, 5);
+      });
+      clock.tick(10);
+      expect(cache.get('key')).to.equal('value1');
+      clock.tick(5);
+      expect(cache.get('key')).to.equal('value2');
+    });
+
+    it('should support loaders which return a Promise', function() {
+      cache.put('key', 'value1', undefined, 10, function() {
+        return Promise.resolve('value2');
+      });
+      clock.tick(10);
+      return flushPromises().then(function() {
+        expect(cache.get('key')).to.equal('value2');
+        expect(emittedEvents[1]).to.deep.equal({ eventName: 'refreshed', key: 'key', value: 'value2' });
+      });
+    });
+
+    it('should keep the existing value and emit a "refreshError" event when a loader throws', function() {
+      var error = new Error('oops');
+      cache.put('key', 'value1', undefined, 10, function() {
+        throw error;
+      });
+      clock.tick(10);
+      expect(cache.get('key')).to.equal('value1');
+      expect(emittedEvents[1]).to.deep.equal({ eventName: 'refreshError', key: 'key', value: error });
+    });
+
+    it('should keep the existing value and emit a "refreshError" event when a loader calls back with an error', function() {
+      var error = new Error('oops');
+      cache.put('key', 'value1', undefined, 10, function(key, callback) {
+        callback(error);
+      });
+      clock.tick(10);
+      expect(cache.get('key')).to.equal('value1');
+      expect(emittedEvents[1]).to.deep.equal({ eventName: 'refreshError', key: 'key', value: error });
+    });
+
+    it('should keep the existing value and emit a "refreshError" event when a loader rejects', function() {
+      var error = new Error('oops');
+      cache.put('key', 'value1', undefined, 10, function() {
+        return Promise.reject(error);
+      });
+      clock.tick(10);
+      return flushPromises().then(function() {
+        expect(cache.get('key')).to.equal('value1');
+        expect(emittedEvents[1]).to.deep.equal({ eventName: 'refreshError', key: 'key', value: error });
+      });
+    });
+
+    it('should not reset the expiration timeout when a loader refreshes the value', function() {
+      cache.put('key', 'value1', 25, 10, function() {
+        return 'value2';
+      });
+      clock.tick(25);
+      expect(emittedEvents).to.deep.equal([
+        { eventName: 'refresh', key: 'key', value: 'value1' },
+        { eventName: 'refreshed', key: 'key', value: 'value2' },
+        { eventName: 'refresh', key: 'key', value: 'value2' },
+        { eventName: 'refreshed', key: 'key', value: 'value2' },
+        { eventName: 'expiry', key: 'key', value: 'value2' }
+      ]);
+    });
+
+    it('should only run a single loader at a time for a given key', function() {
+      var loader = sinon.spy(function(key, callback) {
+        setTimeout(function() {
+          callback(null, 'value2');
+        }, 25);
+      });
+      cache.put('key', 'value1', undefined, 10, loader);
+      clock.tick(30);
+      expect(loader).to.have.been.calledOnce;
+      clock.tick(10);
+      expect(loader).to.have.been.calledTwice;
+    });
+
+    it('should discard the loaded value if the key is deleted while the loader is running', function() {
+      var loaderCallback;
+      cache.put('key', 'value1', undefined, 10, function(key, callback) {
+        loaderCallback = callback;
+      });
+      clock.tick(10);
+      cache.del('key');
+      loaderCallback(null, 'value2');
+      expect(cache.get('key')).to.be.null;
+      expect(emittedEvents).to.have.length(1);
+    });
+
+    it('should discard the loaded value if the key is written to while the loader is running', function() {
+      var loaderCallback;
+      cache.put('key', 'value1', undefined, 10, function(key, callback) {
+        loaderCallback = callback;
+      });
+      clock.tick(10);
+      cache.put('key', 'value3');
+      loaderCallback(null, 'value2');
+      expect(cache.get('key')).to.equal('value3');
+    });
+
+    it('should keep the loader on a new put() without a new specified loader', function() {
+      cache.put('key', 'value1', undefined, 10, function() {
+        return 'value2';
+      });
+      cache.put('key', 'value3');
+      clock.tick(10);
+      expect(cache.get('key')).to.equal('value2');
+    });
+
+    it('should use the cache-wide loader for keys without their own loader', function() {
+      cache.setLoader(function(key) {
+        return key + '-loaded';
+      });
+      cache.put('key', 'value1', undefined, 10);
+      clock.tick(10);
+      expect(cache.get('key')).to.equal('key-loaded');
+    });
+
+    it('should prefer a key\'s own loader over the cache-wide loader', function() {
+      cache.setLoader(function() {
+        return 'cache-wide';
+      });
+      cache.put('key', 'value1', undefined, 10, function() {
+        return 'per-key';
+      });
+      clock.tick(10);
+      expect(cache.get('key')).to.equal('per-key');
+    });
+  });
+
+
+  describe('stale-while-revalidate', function() {
+    it('should return a fresh value without refreshing it', function() {
+      var loader = sinon.spy();
+      cache.put('key', 'value1', 1000, undefined, loader, 100);
+      clock.tick(99);
+      expect(cache.get('key')).to.equal('value1');
+      expect(loader).to.not.have.been.called;
+      expect(emittedEvents).to.deep.equal([]);
+    });
+
+    it('should return a stale value and refresh it in the background', function() {
+      var loaderCallback;
+      cache.put('key', 'value1', 1000, undefined, function(key, callback) {
+        loaderCallback = callback;
+      }, 100);
+      clock.tick(100);
+      expect(cache.get('key')).to.equal('value1');
+      loaderCallback(null, 'value2');
+      expect(cache.get('key')).to.equal('value2');
+      expect(emittedEvents).to.deep.equal([
+        { eventName: 'refresh', key: 'key', value: 'value1' },
+        { eventName: 'refreshed', key: 'key', value: 'value2' }
+      ]);
+    });
+
+    it('should only refresh a stale value once while its refresh is in flight', function() {
+      var loader = sinon.spy(function() {
+        return new Promise(function() {});
+      });
+      cache.put('key', 'value1', 1000, undefined, loader, 100);
+      clock.tick(100);
+      cache.get('key');
+      cache.get('key');
+      cache.get('key');
+      expect(loader).to.have.been.calledOnce;
+      expect(emittedEvents).to.have.length(1);
+    });
+
+    it('should make the value fresh again after a successful refresh', function() {
+      var loader = sinon.stub().returns('value2');
+      cache.put('key', 'value1', 1000, undefined, loader, 100);
+      clock.tick(100);
+      cache.get('key');
+      clock.tick(99);
+      cache.get('key');
+      expect(loader).to.have.been.calledOnce;
+      clock.tick(1);
+      cache.get('key');
+      expect(loader).to.have.been.calledTwice;
+    });
+
+    it('should restart the expiration timeout after a successful refresh', function() {
+      cache.put('key', 'value1', 1000, undefined, function() {
+        return 'value2';
+      }, 100);
+      clock.tick(500);
+      cache.get('key');
+      clock.tick(999);
+      expect(cache.size()).to.equal(1);
+      clock.tick(1);
+      expect(cache.size()).to.equal(0);
+    });
+
+    it('should keep serving the stale value until it expires when refreshes fail', function() {
+      var loader = sinon.stub().throws(new Error('oops'));
+      cache.put('key', 'value1', 1000, undefined, loader, 100);
+      clock.tick(100);
+      expect(cache.get('key')).to.equal('value1');
+      clock.tick(100);
+      expect(cache.get('key')).to.equal('value1');
+      expect(loader).to.have.been.calledTwice;
+      clock.tick(800);
+      expect(cache.get('key')).to.be.null;
+      expect(emittedEvents[emittedEvents.length - 1]).to.deep.equal({ eventName: 'expiry', key: 'key', value: 'value1' });
+    });
+
+    it('should emit a single "refresh" event for a stale value without a loader until it is written to', function() {
+      cache.put('key', 'value1', 1000, undefined, undefined, 100);
+      clock.tick(100);
+      cache.get('key');
+      cache.get('key');
+      expect(emittedEvents).to.deep.equal([
+        { eventName: 'refresh', key: 'key', value: 'value1' }
+      ]);
+      cache.put('key', 'value2');
+      cache.get('key');
+      expect(emittedEvents).to.have.length(1);
+      clock.tick(100);
+      cache.get('key');
+      expect(emittedEvents).to.deep.equal([
+        { eventName: 'refresh', key: 'key', value: 'value1' },
+        { eventName: 'refresh', key: 'key', value: 'value2' }
+      ]);
+    });
+
+    it('should keep the fresh time on a new put() without a new specified fresh time', function() {
+      cache.put('key', 'value1', 1000, undefined, undefined, 100);
+      clock.tick(50);
+      cache.put('key', 'value2');
+      clock.tick(99);
+      cache.get('key');
+      expect(emittedEvents).to.deep.equal([]);
+      clock.tick(1);
+      cache.get('key');
+      expect(emittedEvents).to.have.length(1);
+    });
+
+    it('should allow a fresh time without an expiration time', function() {
+      cache.put('key', 'value1', undefined, undefined, undefined, 100);
+      clock.tick(100000);
+      expect(cache.get('key')).to.equal('value1');
+      expect(emittedEvents).to.deep.equal([
+        { eventName: 'refresh', key: 'key', value: 'value1' }
+      ]);
+    });
+
+    it('should apply the freshTtl option of getOrLoad()', function() {
+      var loader = sinon.stub().returns('value');
+      return cache.getOrLoad('key', loader, { ttl: 1000, freshTtl: 100 }).then(function() {
+        clock.tick(100);
+        cache.get('key');
+        expect(loader).to.have.been.calledTwice;
+      });
+    });
+  });
+
+
+  describe('refresh failures', function() {
+    var cache2;
+    var events;
+
+    var createCache = function(options) {
+      events = [];
+      cache2 = new RefreshableCache(options);
+      ['refresh', 'refreshed', 'refreshError', 'refreshRetry', 'refreshStop', 'expiry', 'delete'].forEach(function(eventName) {
+        cache2.on(eventName, function() {
+          events.push([eventName].concat(Array.prototype.slice.call(arguments)));
+        });
+      });
+      return cache2;
+    };
+
+    var eventNames = function() {
+      return events.map(function(event) {
+        return event[0];
+      });
+    };
+
+    beforeEach(function() {
+      sinon.stub(Math, 'random').returns(0);
+    });
+
+    afterEach(function() {
+      Math.random.restore();
+      cache2.destroy();
+    });
+
+    it('should not retry failed refreshes by default', function() {
+      var loader = sinon.stub().throws(new Error('Loader failed'));
+      createCache().put('key', 'value', { refreshInterval: 100, loader: loader });
+      clock.tick(1000);
+      expect(loader).to.have.callCount(10);
+      expect(eventNames()).to.not.contain('refreshRetry');
+    });
+
+    it('should retry a failed refresh with an exponentially growing delay', function() {
+      var error = new Error('Loader failed');
+      var loader = sinon.stub().throws(error);
+      loader.onCall(2).returns('value2');
+      createCache({ refreshRetries: 3, refreshRetryDelay: 100 }).put('key', 'value1', { refreshInterval: 1000, loader: loader });
+
+      clock.tick(1000);
+      expect(loader).to.have.been.calledOnce;
+      clock.tick(99);
+      expect(loader).to.have.been.calledOnce;
+      clock.tick(1);
+      expect(loader).to.have.been.calledTwice;
+      clock.tick(199);
+      expect(loader).to.have.been.calledTwice;
+      clock.tick(1);
+      expect(loader).to.have.been.calledThrice;
+
+      expect(cache2.get('key')).to.equal('value2');
+      expect(events).to.deep.equal([
+        ['refresh', 'key', 'value1'],
+        ['refreshError', 'key', error],
+        ['refreshRetry', 'key', 1, 100],
+        ['refreshError', 'key', error],
+        ['refreshRetry', 'key', 2, 200],
+        ['refreshed', 'key', 'value2']
+      ]);
+    });
+
+    it('should shorten retry delays by a random fraction of up to the jitter', function() {
+      Math.random.returns(0.5);
+      var spy = sinon.spy();
+      createCache({ refreshRetries: 1, refreshRetryDelay: 100 }).on('refreshRetry', spy);
+      cache2.put('key', 'value', { refreshInterval: 1000, loader: sinon.stub().throws(new Error('Loader failed')) });
+      clock.tick(1000);
+      expect(spy).to.have.been.calledWith('key', 1, 75);
+    });
+
+    it('should use the provided jitter', function() {
+      Math.random.returns(0.5);
+      var spy = sinon.spy();
+      createCache({ refreshRetries: 1, refreshRetryDelay: 100, refreshRetryJitter: 1 }).on('refreshRetry', spy);
+      cache2.put('key', 'value', { refreshInterval: 1000, loader: sinon.stub().throws(new Error('Loader failed')) });
+      clock.tick(1000);
+      expect(spy).to.have.been.calledWith('key', 1, 50);
+    });
+
+    it('should not let retry delays grow past the max delay', function() {
+      var spy = sinon.spy();
+      createCache({ refreshRetries: 4, refreshRetryDelay: 100, refreshRetryMaxDelay: 250 }).on('refreshRetry', spy);
+      cache2.put('key', 'value', { refreshInterval: 10000, loader: sinon.stub().throws(new Error('Loader failed')) });
+      clock.tick(10000 + 100 + 200 + 250 + 250);
+      expect(spy.args.map(function(args) {
+        return args[2];
+      })).to.deep.equal([100, 200, 250, 250]);
+    });
+
+    it('should wait for the next refresh once the retries are used up', function() {
+      var loader = sinon.stub().throws(new Error('Loader failed'));
+      createCache({ refreshRetries: 1, refreshRetryDelay: 100 }).put('key', 'value', { refreshInterval: 1000, loader: loader });
+      clock.tick(1999);
+      expect(loader).to.have.been.calledTwice;
+      clock.tick(1);
+      expect(loader).to.have.been.calledThrice;
+      clock.tick(100);
+      expect(loader).to.have.callCount(4);
+    });
+
+    it('should not start another refresh while a retry is pending', function() {
+      var loader = sinon.stub().throws(new Error('Loader failed'));
+      loader.onCall(1).returns('value2');
+      createCache({ refreshRetries: 1, refreshRetryDelay: 150 }).put('key', 'value1', { refreshInterval: 100, loader: loader });
+      clock.tick(200);
+      expect(loader).to.have.been.calledOnce;
+      clock.tick(50);
+      expect(loader).to.have.been.calledTwice;
+      expect(cache2.get('key')).to.equal('value2');
+    });
+
+    it('should cancel a pending retry when the key is written to', function() {
+      var loader = sinon.stub().throws(new Error('Loader failed'));
+      createCache({ refreshRetries: 1, refreshRetryDelay: 100 }).put('key', 'value1', { refreshInterval: 1000, loader: loader });
+      clock.tick(1000);
+      cache2.put('key', 'value2');
+      clock.tick(100);
+      expect(loader).to.have.been.calledOnce;
+      expect(cache2.get('key')).to.equal('value2');
+    });
+
+    it('should cancel a pending retry when the key is deleted', function() {
+      var loader = sinon.stub().throws(new Error('Loader failed'));
+      createCache({ refreshRetries: 1, refreshRetryDelay: 100 }).put('key', 'value1', { refreshInterval: 1000, loader: loader });
+      clock.tick(1000);
+      cache2.del('key');
+      clock.tick(100);
+      expect(loader).to.have.been.calledOnce;
+    });
+
+    it('should retry a failed revalidation of a stale value', function() {
+      var loader = sinon.stub().throws(new Error('Loader failed'));
+      loader.onCall(1).returns('value2');
+      createCache({ refreshRetries: 1, refreshRetryDelay: 100 }).put('key', 'value1', { ttl: 1000, freshTtl: 100, loader: loader });
+      clock.tick(100);
+      expect(cache2.get('key')).to.equal('value1');
+      clock.tick(100);
+      expect(cache2.get('key')).to.equal('value2');
+      expect(cache2.ttl('key')).to.equal(1000);
+    });
+
+    it('should stop refreshing a key once its refreshes fail too many times in a row', function() {
+      var error = new Error('Loader failed');
+      var loader = sinon.stub().throws(error);
+      createCache({ maxRefreshFailures: 2 }).put('key', 'value', { refreshInterval: 100, loader: loader });
+      clock.tick(1000);
+      expect(loader).to.have.been.calledTwice;
+      expect(cache2.get('key')).to.equal('value');
+      expect(events).to.deep.equal([
+        ['refresh', 'key', 'value'],
+        ['refreshError', 'key', error],
+        ['refresh', 'key', 'value'],
+        ['refreshError', 'key', error],
+        ['refreshStop', 'key', error]
+      ]);
+    });
+
+    it('should count retries as refresh failures', function() {
+      var loader = sinon.stub().throws(new Error('Loader failed'));
+      createCache({ maxRefreshFailures: 2, refreshRetries: 5, refreshRetryDelay: 100 }).put('key', 'value', { refreshInterval: 1000, loader: loader });
+      clock.tick(5000);
+      expect(loader).to.have.been.calledTwice;
+      expect(eventNames()).to.deep.equal(['refresh', 'refreshError', 'refreshRetry', 'refreshError', 'refreshStop']);
+    });
+
+    it('should only stop refreshing a key after failures in a row', function() {
+      var loader = sinon.stub().throws(new Error('Loader failed'));
+      loader.onCall(1).returns('value2');
+      createCache({ maxRefreshFailures: 2 }).put('key', 'value1', { refreshInterval: 100, loader: loader });
+      clock.tick(300);
+      expect(loader).to.have.been.calledThrice;
+      expect(eventNames()).to.not.contain('refreshStop');
+    });
+
+    it('should expire a key whose refreshes fail too many times in a row if the action is "expire"', function() {
+      var error = new Error('Loader failed');
+      createCache({ maxRefreshFailures: 1, refreshFailureAction: 'expire' }).put('key', 'value', {
+        refreshInterval: 100,
+        loader: sinon.stub().throws(error)
+      });
+      clock.tick(100);
+      expect(cache2.has('key')).to.be.false;
+      expect(events).to.deep.equal([
+        ['refresh', 'key', 'value'],
+        ['refreshError', 'key', error],
+        ['refreshStop', 'key', error],
+        ['expiry', 'key', 'value'],
+        ['delete', 'key', 'value', 'expiry']
+      ]);
+    });
+
+    it('should resume refreshing a stopped key once it is written to', function() {
+      var loader = sinon.stub().throws(new Error('Loader failed'));
+      createCache({ maxRefreshFailures: 1 }).put('key', 'value1', { refreshInterval: 100, loader: loader });
+      clock.tick(200);
+      expect(loader).to.have.been.calledOnce;
+      loader.returns('value3');
+      cache2.put('key', 'value2');
+      clock.tick(100);
+      expect(loader).to.have.been.calledTwice;
+      expect(cache2.get('key')).to.equal('value3');
+    });
+
+    it('should stop revalidating a stale key once its refreshes fail too many times in a row', function() {
+      var loader = sinon.stub().throws(new Error('Loader failed'));
+      createCache({ maxRefreshFailures: 1 }).put('key', 'value', { ttl: 1000, freshTtl: 100, loader: loader });
+      clock.tick(100);
+      cache2.get('key');
+      cache2.get('key');
+      expect(loader).to.have.been.calledOnce;
+      expect(eventNames()).to.deep.equal(['refresh', 'refreshError', 'refreshStop']);
+    });
+
+    it('should throw an error given invalid retry options', function() {
+      [-1, 1.5, '1', null].forEach(function(refreshRetries) {
+        expect(function() {
+          return new RefreshableCache({ refreshRetries: refreshRetries });
+        }).to.throw('Refresh retries must be a non-negative integer');
+      });
+
+      [0, -1, NaN, '1', null].forEach(function(refreshRetryDelay) {
+        expect(function() {
+          return new RefreshableCache({ refreshRetryDelay: refreshRetryDelay });
+        }).to.throw('Refresh retry delay must be a positive number');
+      });
+
+      expect(function() {
+        return new RefreshableCache({ refreshRetryDelay: 100, refreshRetryMaxDelay: 99 });
+      }).to.throw('Refresh retry max delay must be a number no less than the refresh retry delay');
+      expect(function() {
+        return new RefreshableCache({ refreshRetryMaxDelay: 999 });
+      }).to.throw('Refresh retry max delay must be a number no less than the refresh retry delay');
+      expect(function() {
+        return new RefreshableCache({ refreshRetryMaxDelay: NaN });
+      }).to.throw('Refresh retry max delay must be a number no less than the refresh retry delay');
+
+      [-0.1, 1.1, NaN, '0.5', null].forEach(function(refreshRetryJitter) {
+        expect(function() {
+          return new RefreshableCache({ refreshRetryJitter: refreshRetryJitter });
+        }).to.throw('Refresh retry jitter must be a number between 0 and 1');
+      });
+
+      createCache({ refreshRetries: 0, refreshRetryDelay: 100, refreshRetryMaxDelay: Infinity, refreshRetryJitter: 0 });
+    });
+
+    it('should throw an error given invalid max failures options', function() {
+      [0, -1, 1.5, '1', null].forEach(function(maxRefreshFailures) {
+        expect(function() {
+          return new RefreshableCache({ maxRefreshFailures: maxRefreshFailures });
+        }).to.throw('Max refresh failures must be a positive integer');
+      });
+
+      [null, 'delete', true].forEach(function(refreshFailureAction) {
+        expect(function() {
+          return new RefreshableCache({ maxRefreshFailures: 1, refreshFailureAction: refreshFailureAction });
+        }).to.throw('Refresh failure action must be "stop" or "expire"');
+      });
+
+      expect(function() {
+        return new RefreshableCache({ refreshFailureAction: 'stop' });
+      }).to.throw('Refresh failure action can only be used with max refresh failures');
+
+      createCache({ maxRefreshFailures: 1, refreshFailureAction: 'stop' });
+    });
+  });
+
+
+  describe('refresh scheduling', function() {
+    var cache2;
+
+    beforeEach(function() {
+      cache2 = null;
+      sinon.stub(Math, 'random').returns(0.5);
+    });
+
+    afterEach(function() {
+      Math.random.restore();
+      if (cache2 !== null) {
+        cache2.destroy();
+      }
+    });
+
+    it('should delay each refresh by a random amount of up to the jitter', function() {
+      var spy = sinon.spy();
+      cache2 = new RefreshableCache({ refreshJitter: 100 });
+      cache2.on('refresh', spy);
+      cache2.put('key', 'value', { refreshInterval: 1000 });
+      clock.tick(1049);
+      expect(spy).to.not.have.been.called;
+      clock.tick(1);
+      expect(spy).to.have.been.calledOnce;
+      clock.tick(999);
+      expect(spy).to.have.been.calledOnce;
+      clock.tick(1);
+      expect(spy).to.have.been.calledTwice;
+    });
+
+    it('should keep refreshing once per refresh interval on average', function() {
+      var spy = sinon.spy();
+      var numRandomCalls = 0;
+      Math.random.restore();
+      sinon.stub(Math, 'random', function() {
+        numRandomCalls += 1;
+        return (numRandomCalls % 10) / 10;
+      });
+      cache2 = new RefreshableCache({ refreshJitter: '100%' });
+      cache2.on('refresh', spy);
+      cache2.put('key', 'value', { refreshInterval: 1000 });
+      clock.tick(100000);
+      expect(spy.callCount).to.be.within(99, 100);
+    });
+
+    it('should delay the following refreshes after a late refresh rather than catching up', function() {
+      var spy = sinon.spy();
+      var now = 0;
+      cache2 = new RefreshableCache({
+        clock: {
+          now: function() {
+            return now;
+          }
+        },
+        refreshJitter: 100
+      });
+      cache2.on('refresh', spy);
+      cache2.put('key', 'value', { refreshInterval: 1000 });
+
+      // The process is busy until long after the first refresh is due
+      now = 5000;
+      clock.tick(1050);
+      expect(spy).to.have.been.calledOnce;
+      now += 999;
+      clock.tick(999);
+      expect(spy).to.have.been.calledOnce;
+      now += 1;
+      clock.tick(1);
+      expect(spy).to.have.been.calledTwice;
+    });
+
+    it('should accept a jitter as a percentage of the refresh interval', function() {
+      var spy = sinon.spy();
+      cache2 = new RefreshableCache({ refreshJitter: '10%' });
+      cache2.on('refresh', spy);
+      cache2.put('key1', 'value1', { refreshInterval: 1000 });
+      cache2.put('key2', 'value2', { refreshInterval: 2000 });
+      clock.tick(1050);
+      expect(spy).to.have.been.calledOnce.and.calledWith('key1');
+      clock.tick(1050);
+      expect(spy).to.have.been.calledThrice.and.calledWith('key2');
+    });
+
+    it('should spread out keys with the same refresh interval', function() {
+      var spy = sinon.spy();
+      Math.random.onCall(0).returns(0);
+      Math.random.onCall(1).returns(0.9);
+      cache2 = new RefreshableCache({ refreshJitter: 100 });
+      cache2.on('refresh', spy);
+      cache2.putMany([['key1', 'value1'], ['key2', 'value2']], { refreshInterval: 1000 });
+      clock.tick(1000);
+      expect(spy).to.have.been.calledOnce.and.calledWith('key1');
+      clock.tick(90);
+      expect(spy).to.have.been.calledTwice.and.calledWith('key2');
+    });
+
+    it('should align refreshes to the clock\'s multiples of the refresh interval', function() {
+      var spy = sinon.spy();
+      cache2 = new RefreshableCache({ alignRefreshes: true });
+      cache2.on('refresh', spy);
+      clock.tick(250);
+      cache2.put('key', 'value', { refreshInterval: 1000 });
+      clock.tick(749);
+      expect(spy).to.not.have.been.called;
+      clock.tick(1);
+      expect(spy).to.have.been.calledOnce;
+      clock.tick(1000);
+      expect(spy).to.have.been.calledTwice;
+    });
+
+    it('should jitter aligned refreshes after each multiple of the refresh interval', function() {
+      var spy = sinon.spy();
+      cache2 = new RefreshableCache({ alignRefreshes: true, refreshJitter: 100 });
+      cache2.on('refresh', spy);
+      clock.tick(250);
+      cache2.put('key', 'value', { refreshInterval: 1000 });
+      clock.tick(799);
+      expect(spy).to.not.have.been.called;
+      clock.tick(1);
+      expect(spy).to.have.been.calledOnce;
+      clock.tick(1000);
+      expect(spy).to.have.been.calledTwice;
+    });
+
+    it('should run the loaders of jittered refreshes', function() {
+      cache2 = new RefreshableCache({ refreshJitter: 100 });
+      cache2.put('key', 'value1', { refreshInterval: 1000, loader: sinon.stub().returns('value2') });
+      clock.tick(1050);
+      expect(cache2.get('key')).to.equal('value2');
+      expect(cache2.getEntry('key').refreshInterval).to.equal(1000);
+    });
+
+    it('should stop jittered refreshes when the key\'s refresh interval is removed or the key is deleted', function() {
+      var spy = sinon.spy();
+      cache2 = new RefreshableCache({ refreshJitter: 100 });
+      cache2.on('refresh', spy);
+      cache2.put('key1', 'value1', { refreshInterval: 1000 });
+      cache2.put('key2', 'value2', { refreshInterval: 1000 });
+      cache2.setRefreshInterval('key1', null);
+      clock.tick(1050);
+      expect(spy).to.have.been.calledOnce.and.calledWith('key2');
+      cache2.del('key2');
+      clock.tick(1050);
+      expect(spy).to.have.been.calledOnce;
+    });
+
+    it('should not run more than the max concurrent loaders at once, queueing the rest in order', function() {
+      var loaderCallbacks = {};
+      var loader = sinon.spy(function(key, callback) {
+        loaderCallbacks[key] = callback;
+      });
+      cache2 = new RefreshableCache({ maxConcurrentRefreshes: 2, loader: loader });
+      ['key1', 'key2', 'key3', 'key4'].forEach(function(key) {
+        cache2.put(key, 'value', { refreshInterval: 1000 });
+      });
+
+      clock.tick(1000);
+      expect(loader.args.map(function(args) {
+        return args[0];
+      })).to.deep.equal(['key1', 'key2']);
+
+      loaderCallbacks.key2(null, 'value2');
+      expect(loader).to.have.been.calledThrice.and.calledWith('key3');
+      loaderCallbacks.key1(null, 'value1');
+      expect(loader).to.have.callCount(4);
+      expect(loader.lastCall).to.have.been.calledWith('key4');
+      expect(cache2.get('key2')).to.equal('value2');
+    });
+
+    it('should not queue a key\'s refresh again while it is queued', function() {
+      var loaderCallbacks = [];
+      var loader = sinon.spy(function(key, callback) {
+        loaderCallbacks.push(callback);
+      });
+      cache2 = new RefreshableCache({ maxConcurrentRefreshes: 1, loader: loader });
+      cache2.put('key1', 'value1', { refreshInterval: 1000 });
+      cache2.put('key2', 'value2', { refreshInterval: 1000 });
+      clock.tick(3000);
+      expect(loader).to.have.been.calledOnce;
+
+      loaderCallbacks[0](null, 'value3');
+      expect(loader).to.have.been.calledTwice.and.calledWith('key2');
+      loaderCallbacks[1](null, 'value4');
+      expect(loader).to.have.been.calledTwice;
+    });
+
+    it('should skip queued refreshes of keys which were deleted', function() {
+      var loaderCallback;
+      var loader = sinon.spy(function(key, callback) {
+        loaderCallback = callback;
+      });
+      cache2 = new RefreshableCache({ maxConcurrentRefreshes: 1, loader: loader });
+      cache2.put('key1', 'value1', { refreshInterval: 1000 });
+      cache2.put('key2', 'value2', { refreshInterval: 1000 });
+      cache2.put('key3', 'value3', { refreshInterval: 1000 });
+      clock.tick(1000);
+      cache2.del('key2');
+      loaderCallback(null, 'value4');
+      expect(loader).to.have.been.calledTwice.and.calledWith('key3');
+      expect(loader).to.not.have.been.calledWith('key2');
+    });
+
+    it('should queue the revalidation of stale values', function() {
+      var loaderCallback;
+      var loader = sinon.spy(function(key, callback) {
+        loaderCallback = callback;
+      });
+      cache2 = new RefreshableCache({ maxConcurrentRefreshes: 1, loader: loader });
+      cache2.put('key1', 'value1', { refreshInterval: 100 });
+      cache2.put('key2', 'value2', { ttl: 1000, freshTtl: 100 });
+      clock.tick(100);
+      expect(cache2.get('key2')).to.equal('value2');
+      expect(loader).to.have.been.calledOnce.and.calledWith('key1');
+
+      loaderCallback(null, 'value3');
+      expect(loader).to.have.been.calledTwice.and.calledWith('key2');
+      loaderCallback(null, 'value4');
+      expect(cache2.get('key2')).to.equal('value4');
+      expect(cache2.ttl('key2')).to.equal(1000);
+    });
+
+    it('should throw an error given invalid scheduling options', function() {
+      [-1, Infinity, NaN, '10', '-10%', '101%', '10 %', null, {}].forEach(function(refreshJitter) {
+        expect(function() {
+          return new RefreshableCache({ refreshJitter: refreshJitter });
+        }).to.throw('Refresh jitter must be a non-negative number or a percentage between 0% and 100%');
+      });
+
+      [null, 1, 'true'].forEach(function(alignRefreshes) {
+        expect(function() {
+          return new RefreshableCache({ alignRefreshes: alignRefreshes });
+        }).to.throw('Align refreshes flag must be a boolean');
+      });
+
+      [0, -1, 1.5, '1', null].forEach(function(maxConcurrentRefreshes) {
+        expect(function() {
+          return new RefreshableCache({ maxConcurrentRefreshes: maxConcurrentRefreshes });
+        }).to.throw('Max concurrent refreshes must be a positive integer');
+      });
+
+      [0, 10, '0%', '12.5%', '100%'].forEach(function(refreshJitter) {
+        new RefreshableCache({ refreshJitter: refreshJitter }).destroy();
+      });
+    });
+  });
+
+
+  describe('circuit breaker', function() {
+    var cache2;
+    var events;
+
+    var createCache = function(options) {
+      events = [];
+      cache2 = new RefreshableCache(options);
+      ['refreshRetry', 'circuitOpen', 'circuitHalfOpen', 'circuitClose'].forEach(function(eventName) {
+        cache2.on(eventName, function() {
+          events.push([eventName].concat(Array.prototype.slice.call(arguments)));
+        });
+      });
+      return cache2;
+    };
+
+    afterEach(function() {
+      cache2.destroy();
+    });
+
+    it('should be closed by default', function() {
+      var loader = sinon.stub().throws(new Error('Loader failed'));
+      createCache().put('key', 'value', { refreshInterval: 100, loader: loader });
+      clock.tick(1000);
+      expect(cache2.circuitState()).to.equal('closed');
+      expect(loader).to.have.callCount(10);
+    });
+
+    it('should open once refreshes across the cache fail too many times in a row', function() {
+      var error = new Error('Loader failed');
+      var loader1 = sinon.stub().throws(new Error('Loader failed'));
+      var loader2 = sinon.stub().throws(error);
+      createCache({ circuitBreakerThreshold: 2 });
+      cache2.put('key1', 'value1', { refreshInterval: 100, loader: loader1 });
+      cache2.put('key2', 'value2', { refreshInterval: 100, loader: loader2 });
+      clock.tick(100);
+      expect(cache2.circuitState()).to.equal('open');
+      expect(events).to.deep.equal([['circuitOpen', error]]);
+
+      clock.tick(1000);
+      expect(loader1).to.have.been.calledOnce;
+      expect(loader2).to.have.been.calledOnce;
+    });
+
+    it('should keep emitting refresh events while open', function() {
+      var spy = sinon.spy();
+      createCache({ circuitBreakerThreshold: 1 }).on('refresh', spy);
+      cache2.put('key', 'value', { refreshInterval: 100, loader: sinon.stub().throws(new Error('Loader failed')) });
+      clock.tick(300);
+      expect(spy).to.have.been.calledThrice;
+    });
+
+    it('should only open after failures in a row', function() {
+      var loader = sinon.stub().throws(new Error('Loader failed'));
+      loader.onCall(1).returns('value2');
+      createCache({ circuitBreakerThreshold: 2 }).put('key', 'value1', { refreshInterval: 100, loader: loader });
+      clock.tick(300);
+      expect(cache2.circuitState()).to.equal('closed');
+      clock.tick(100);
+      expect(cache2.circuitState()).to.equal('open');
+    });
+
+    it('should move to half-open after the reset timeout and close after a successful trial refresh', function() {
+      var error = new Error('Loader failed');
+      var loader = sinon.stub().throws(error);
+      createCache({ circuitBreakerThreshold: 1, circuitBreakerResetTimeout: 1050 });
+      cache2.put('key', 'value1', { refreshInterval: 100, loader: loader });
+      clock.tick(100);
+      expect(cache2.circuitState()).to.equal('open');
+
+      loader.returns('value2');
+      clock.tick(1049);
+      expect(cache2.circuitState()).to.equal('open');
+      expect(loader).to.have.been.calledOnce;
+      clock.tick(1);
+      expect(cache2.circuitState()).to.equal('halfOpen');
+
+      clock.tick(50);
+      expect(cache2.circuitState()).to.equal('closed');
+      expect(cache2.get('key')).to.equal('value2');
+      expect(events).to.deep.equal([
+        ['circuitOpen', error],
+        ['circuitHalfOpen'],
+        ['circuitClose']
+      ]);
+    });
+
+    it('should only run a single trial refresh at a time while half-open', function() {
+      var loaderCallback;
+      var loader1 = sinon.spy(function(key, callback) {
+        loaderCallback = callback;
+      });
+      var loader2 = sinon.spy();
+      createCache({ circuitBreakerThreshold: 1, circuitBreakerResetTimeout: 1000 });
+      cache2.put('key1', 'value1', { refreshInterval: 100, loader: sinon.stub().throws(new Error('Loader failed')) });
+      clock.tick(100);
+      cache2.del('key1');
+      clock.tick(1000);
+      expect(cache2.circuitState()).to.equal('halfOpen');
+
+      cache2.put('key2', 'value2', { refreshInterval: 100, loader: loader1 });
+      cache2.put('key3', 'value3', { refreshInterval: 100, loader: loader2 });
+      clock.tick(200);
+      expect(loader1).to.have.been.calledOnce;
+      expect(loader2).to.not.have.been.called;
+
+      loaderCallback(null, 'value4');
+      expect(cache2.circuitState()).to.equal('closed');
+      clock.tick(100);
+      expect(loader2).to.have.been.calledOnce;
+    });
+
+    it('should open again if the trial refresh fails', function() {
+      var error = new Error('Trial failed');
+      var loader = sinon.stub().throws(new Error('Loader failed'));
+      createCache({ circuitBreakerThreshold: 3, circuitBreakerResetTimeout: 1050 });
+      cache2.put('key', 'value', { refreshInterval: 100, loader: loader });
+      clock.tick(300);
+      expect(cache2.circuitState()).to.equal('open');
+
+      loader.throws(error);
+      clock.tick(1100);
+      expect(cache2.circuitState()).to.equal('open');
+      expect(events.map(function(event) {
+        return event[0];
+      })).to.deep.equal(['circuitOpen', 'circuitHalfOpen', 'circuitOpen']);
+      expect(events[2][1]).to.equal(error);
+      expect(loader).to.have.callCount(4);
+
+      clock.tick(1049);
+      expect(cache2.circuitState()).to.equal('open');
+      clock.tick(1);
+      expect(cache2.circuitState()).to.equal('halfOpen');
+    });
+
+    it('should not retry failed refreshes while open', function() {
+      var loader = sinon.stub().throws(new Error('Loader failed'));
+      createCache({ circuitBreakerThreshold: 1, refreshRetries: 3, refreshRetryDelay: 10 });
+      cache2.put('key', 'value', { refreshInterval: 1000, loader: loader });
+      clock.tick(1500);
+      expect(loader).to.have.been.calledOnce;
+      expect(events.map(function(event) {
+        return event[0];
+      })).to.deep.equal(['circuitOpen']);
+    });
+
+    it('should skip retries which become due while open', function() {
+      var loader1 = sinon.stub().throws(new Error('Loader failed'));
+      var loader2 = sinon.stub().throws(new Error('Loader failed'));
+      createCache({ circuitBreakerThreshold: 2, refreshRetries: 1, refreshRetryDelay: 500 });
+      cache2.put('key1', 'value1', { refreshInterval: 1000, loader: loader1 });
+      clock.tick(100);
+      cache2.put('key2', 'value2', { refreshInterval: 1000, loader: loader2 });
+      clock.tick(1000);
+      expect(cache2.circuitState()).to.equal('open');
+      clock.tick(500);
+      expect(loader1).to.have.been.calledOnce;
+      expect(loader2).to.have.been.calledOnce;
+    });
+
+    it('should not revalidate stale values while open', function() {
+      var loader = sinon.stub().returns('value2');
+      createCache({ circuitBreakerThreshold: 1, circuitBreakerResetTimeout: 1000 });
+      cache2.put('key1', 'value', { refreshInterval: 100, loader: sinon.stub().throws(new Error('Loader failed')) });
+      clock.tick(100);
+      cache2.del('key1');
+
+      cache2.put('key2', 'value1', { ttl: 10000, freshTtl: 100, loader: loader });
+      clock.tick(100);
+      expect(cache2.get('key2')).to.equal('value1');
+      expect(loader).to.not.have.been.called;
+
+      clock.tick(900);
+      expect(cache2.get('key2')).to.equal('value1');
+      expect(cache2.get('key2')).to.equal('value2');
+      expect(cache2.circuitState()).to.equal('closed');
+    });
+
+    it('should stop the reset timeout when the cache is destroyed', function() {
+      var spy = sinon.spy();
+      createCache({ circuitBreakerThreshold: 1, circuitBreakerResetTimeout: 1000 }).on('circuitHalfOpen', spy);
+      cache2.put('key', 'value', { refreshInterval: 100, loader: sinon.stub().throws(new Error('Loader failed')) });
+      clock.tick(100);
+      cache2.destroy();
+      clock.tick(1000);
+      expect(spy).to.not.have.been.called;
+    });
+
+    it('should throw an error given invalid options', function() {
+      [0, -1, 1.5, '1', null].forEach(function(circuitBreakerThreshold) {
+        expect(function() {
+          return new RefreshableCache({ circuitBreakerThreshold: circuitBreakerThreshold });
+        }).to.throw('Circuit breaker threshold must be a positive integer');
+      });
+
+      [0, -1, NaN, '1', null].forEach(function(circuitBreakerResetTimeout) {
+        expect(function() {
+          return new RefreshableCache({ circuitBreakerThreshold: 1, circuitBreakerResetTimeout: circuitBreakerResetTimeout });
+        }).to.throw('Circuit breaker reset timeout must be a positive number');
+      });
+
+      expect(function() {
+        return new RefreshableCache({ circuitBreakerResetTimeout: 1000 });
+      }).to.throw('Circuit breaker reset timeout can only be used with a circuit breaker threshold');
+
+      createCache({ circuitBreakerThreshold: 1, circuitBreakerResetTimeout: 1000 });
+    });
+  });
+
+
+  describe('setLoader()', function() {
+    it('should throw an error given a non-function', function() {
+      expect(function() {
+        cache.setLoader('foo');
+      }).to.throw('Loader must be a function or null');
+    });
+
+    it('should stop refreshing values once the loader is removed', function() {
+      cache.setLoader(function() {
+        return 'value2';
+      });
+      cache.put('key', 'value1', undefined, 10);
+      cache.setLoader(null);
+      clock.tick(10);
+      expect(cache.get('key')).to.equal('value1');
+      expect(emittedEvents).to.deep.equal([
+        { eventName: 'refresh', key: 'key', value: 'value1' }
+      ]);
+    });
+  });
+
+
+  describe('eviction', function() {
+    var boundedCache;
+    var evictions;
+
+    var createBoundedCache = function(options) {
+      boundedCache = new RefreshableCache(options);
+      boundedCache.on('evict', function(key, value, reason) {
+        evictions.push({ key: key, value: value, reason: reason });
+      });
+    };
+
+    beforeEach(function() {
+      evictions = [];
+    });
+
+    afterEach(function() {
+      boundedCache.clear();
+    });
+
+    it('should evict the least recently used key once max entries is exceeded by default', function() {
+      createBoundedCache({ maxEntries: 2 });
+      boundedCache.put('key1', 'value1');
+      boundedCache.put('key2', 'value2');
+      boundedCache.get('key1');
+      boundedCache.put('key3', 'value3');
+      expect(boundedCache.keys()).to.deep.equal(['key1', 'key3']);
+      expect(evictions).to.deep.equal([
+        { key: 'key2', value: 'value2', reason: 'maxEntries' }
+      ]);
+    });
+
+    it('should count updating an existing key as a use', function() {
+      createBoundedCache({ maxEntries: 2 });
+      boundedCache.put('key1', 'value1');
+      boundedCache.put('key2', 'value2');
+      boundedCache.put('key1', 'value3');
+      boundedCache.put('key3', 'value3');
+      expect(boundedCache.keys()).to.deep.equal(['key1', 'key3']);
+    });
+
+    it('should not evict when updating an existing key in a full cache', function() {
+      createBoundedCache({ maxEntries: 2 });
+      boundedCache.put('key1', 'value1');
+      boundedCache.put('key2', 'value2');
+      boundedCache.put('key2', 'value3');
+      expect(boundedCache.size()).to.equal(2);
+      expect(evictions).to.deep.equal([]);
+    });
+
+    it('should not evict after keys are removed from a full cache', function() {
+      createBoundedCache({ maxEntries: 2 });
+      boundedCache.put('key1', 'value1', 1000);
+      boundedCache.put('key2', 'value2');
+      boundedCache.del('key2');
+      clock.tick(1000);
+      boundedCache.put('key3', 'value3');
+      boundedCache.put('key4', 'value4');
+      expect(boundedCache.keys()).to.deep.equal(['key3', 'key4']);
+      expect(evictions).to.deep.equal([]);
+    });
+
+    it('should evict the first added key with the "fifo" policy', function() {
+      createBoundedCache({ maxEntries: 2, evictionPolicy: 'fifo' });
+      boundedCache.put('key1', 'value1');
+      boundedCache.put('key2', 'value2');
+      boundedCache.get('key1');
+      boundedCache.put('key3', 'value3');
+      expect(boundedCache.keys()).to.deep.equal(['key2', 'key3']);
+    });
+
+    it('should evict the least frequently used key with the "lfu" policy', function() {
+      createBoundedCache({ maxEntries: 3, evictionPolicy: 'lfu' });
+      boundedCache.put('key1', 'value1');
+      boundedCache.get('key1');
+      boundedCache.put('key2', 'value2');
+      boundedCache.get('key2');
+      boundedCache.get('key2');
+      boundedCache.get('key1');
+      boundedCache.get('key1');
+      boundedCache.put('key3', 'value3');
+      boundedCache.put('key4', 'value4');
+      expect(boundedCache.keys()).to.deep.equal(['key1', 'key2', 'key4']);
+    });
+
+    it('should evict the key chosen by a custom policy', function() {
+      createBoundedCache({
+        maxEntries: 2,
+        evictionPolicy: {
+          add: function() {},
+          access: function() {},
+          remove: function() {},
+          victim: function() {
+            return 'key2';
+          },
+          clear: function() {}
+        }
+      });
+      boundedCache.put('key1', 'value1');
+      boundedCache.put('key2', 'value2');
+      boundedCache.put('key3', 'value3');
+      expect(boundedCache.keys()).to.deep.equal(['key1', 'key3']);
+    });
+
+    it('should throw an error if a custom policy chooses a key which is not in the cache', function() {
+      [undefined, 'key3'].forEach(function(victim) {
+        createBoundedCache({
+          maxEntries: 1,
+          evictionPolicy: {
+            add: function() {},
+            access: function() {},
+            remove: function() {},
+            victim: function() {
+              return victim;
+            },
+            clear: function() {}
+          }
+        });
+        boundedCache.put('key1', 'value1');
+        expect(function() {
+          boundedCache.put('key2', 'value2');
+        }).to.throw('Eviction policy must return a key in the cache from victim()');
+        expect(evictions).to.deep.equal([]);
+        boundedCache.clear();
+      });
+    });
+
+    it('should evict keys until the total size is no more than max size', function() {
+      createBoundedCache({
+        maxSize: 10,
+        sizeOf: function(value) {
+          return value.length;
+        }
+      });
+      boundedCache.put('key1', 'aaaa');
+      boundedCache.put('key2', 'bbbb');
+      boundedCache.put('key3', 'cccccccc');
+      expect(boundedCache.keys()).to.deep.equal(['key3']);
+      expect(evictions).to.deep.equal([
+        { key: 'key1', value: 'aaaa', reason: 'maxSize' },
+        { key: 'key2', value: 'bbbb', reason: 'maxSize' }
+      ]);
+    });
+
+    it('should pass the key to the size function', function() {
+      var sizeOf = sinon.stub().returns(1);
+      createBoundedCache({ maxSize: 10, sizeOf: sizeOf });
+      boundedCache.put('key', 'value');
+      expect(sizeOf).to.have.been.calledOnce.and.calledWith('value', 'key');
+    });
+
+    it('should account for the new size of an updated value', function() {
+      createBoundedCache({
+        maxSize: 10,
+        sizeOf: function(value) {
+          return value.length;
+        }
+      });
+      boundedCache.put('key1', 'aaaa');
+      boundedCache.put('key2', 'bbbb');
+      boundedCache.put('key2', 'bb');
+      boundedCache.put('key3', 'cccc');
+      expect(evictions).to.deep.equal([]);
+      boundedCache.put('key2', 'bbbbbb');
+      expect(evictions).to.deep.equal([
+        { key: 'key1', value: 'aaaa', reason: 'maxSize' }
+      ]);
+    });
+
+    it('should evict a value which is larger than max size by itself', function() {
+      createBoundedCache({
+        maxSize: 10,
+        sizeOf: function(value) {
+          return value.length;
+        }
+      });
+      expect(boundedCache.put('key', 'aaaaaaaaaaaa')).to.equal('aaaaaaaaaaaa');
+      expect(boundedCache.size()).to.equal(0);
+      expect(evictions).to.have.length(1);
+    });
+
+    it('should evict keys when a refreshed value is larger than the previous one', function() {
+      createBoundedCache({
+        maxSize: 10,
+        sizeOf: function(value) {
+          return value.length;
+        }
+      });
+      boundedCache.put('key1', 'aaaa');
+      boundedCache.put('key2', 'bbbb', undefined, 10, function() {
+        return 'bbbbbbbb';
+      });
+      clock.tick(10);
+      expect(boundedCache.keys()).to.deep.equal(['key2']);
+      expect(evictions).to.deep.equal([
+        { key: 'key1', value: 'aaaa', reason: 'maxSize' }
+      ]);
+    });
+
+    it('should reset the total size when the cache is cleared', function() {
+      createBoundedCache({
+        maxSize: 10,
+        sizeOf: function(value) {
+          return value.length;
+        }
+      });
+      boundedCache.put('key1', 'aaaaaaaa');
+      boundedCache.clear();
+      boundedCache.put('key2', 'bbbbbbbb');
+      expect(evictions).to.deep.equal([]);
+    });
+
+    it('should cancel the timers of evicted keys', function() {
+      createBoundedCache({ maxEntries: 1 });
+      var spy = sinon.spy();
+      boundedCache.on('expiry', spy);
+      boundedCache.on('refresh', spy);
+      boundedCache.put('key1', 'value1', 100, 10);
+      boundedCache.put('key2', 'value2');
+      clock.tick(100);
+      expect(spy).to.not.have.been.called;
+    });
+  });
+
+
+  describe('lazy expiry', function() {
+    var lazyCache;
+    var expiries;
+
+    var createLazyCache = function(options) {
+      options = options || {};
+      options.expiry = 'lazy';
+      lazyCache = new RefreshableCache(options);
+      lazyCache.on('expiry', function(key, value) {
+        expiries.push({ key: key, value: value });
+      });
+    };
+
+    beforeEach(function() {
+      expiries = [];
+    });
+
+    afterEach(function() {
+      lazyCache.destroy();
+    });
+
+    it('should not set a timer for expiration timeouts', function() {
+      var setTimeoutSpy = sinon.spy(global, 'setTimeout');
+      createLazyCache();
+      lazyCache.put('key1', 'value1', 1000);
+      lazyCache.put('key2', 'value2', 2000);
+      setTimeoutSpy.restore();
+      expect(setTimeoutSpy).to.not.have.been.called;
+    });
+
+    it('should not remove expired keys until they are accessed', function() {
+      createLazyCache();
+      lazyCache.put('key', 'value', 1000);
+      clock.tick(1000);
+      expect(expiries).to.deep.equal([]);
+      expect(lazyCache.get('key')).to.be.null;
+      expect(expiries).to.deep.equal([
+        { key: 'key', value: 'value' }
+      ]);
+    });
+
+    it('should return the value of a key until it expires', function() {
+      createLazyCache();
+      lazyCache.put('key', 'value', 1000);
+      clock.tick(999);
+      expect(lazyCache.get('key')).to.equal('value');
+      clock.tick(1);
+      expect(lazyCache.get('key')).to.be.null;
+    });
+
+    it('should reset the expiration time on access if enabled', function() {
+      createLazyCache({ resetExpiryOnAccess: true });
+      lazyCache.put('key', 'value', 1000);
+      clock.tick(999);
+      expect(lazyCache.get('key')).to.equal('value');
+      clock.tick(999);
+      expect(lazyCache.get('key')).to.equal('value');
+      clock.tick(1000);
+      expect(lazyCache.get('key')).to.be.null;
+    });
+
+    it('should treat expired keys as missing when deleting them', function() {
+      createLazyCache();
+      lazyCache.put('key', 'value', 1000);
+      clock.tick(1000);
+      expect(lazyCache.del('key')).to.be.false;
+      expect(expiries).to.have.length(1);
+    });
+
+    it('should treat expired keys as new when putting them', function() {
+      createLazyCache();
+      lazyCache.put('key', 'value1', 1000);
+      clock.tick(1000);
+      lazyCache.put('key', 'value2');
+      expect(expiries).to.deep.equal([
+        { key: 'key', value: 'value1' }
+      ]);
+      clock.tick(1000);
+      expect(lazyCache.get('key')).to.equal('value2');
+    });
+
+    it('should load expired keys with getOrLoad()', function() {
+      createLazyCache();
+      lazyCache.put('key', 'value1', 1000);
+      clock.tick(1000);
+      return lazyCache.getOrLoad('key', function() {
+        return 'value2';
+      }).then(function(value) {
+        expect(value).to.equal('value2');
+        expect(expiries).to.have.length(1);
+      });
+    });
+
+    it('should remove expired keys before returning the size or keys', function() {
+      createLazyCache();
+      lazyCache.put('key1', 'value1', 1000);
+      lazyCache.put('key2', 'value2', 2000);
+      clock.tick(1000);
+      expect(lazyCache.size()).to.equal(1);
+      expect(lazyCache.keys()).to.deep.equal(['key2']);
+      expect(expiries).to.deep.equal([
+        { key: 'key1', value: 'value1' }
+      ]);
+    });
+
+    it('should only set the underlying timer once while removing expired keys', function() {
+      var manualClock = new RefreshableCache.ManualClock();
+      createLazyCache({ clock: manualClock });
+      lazyCache.put('key1', 'value1', { ttl: 1000, refreshInterval: 2000 });
+      lazyCache.put('key2', 'value2', { ttl: 1000, refreshInterval: 3000 });
+      lazyCache.put('key3', 'value3', { refreshInterval: 4000 });
+      manualClock.tick(1000);
+      sinon.spy(manualClock, 'setTimeout');
+      expect(lazyCache.keys()).to.deep.equal(['key3']);
+      expect(manualClock.setTimeout).to.have.been.calledOnce;
+    });
+
+    it('should remove expired keys on each sweep interval', function() {
+      createLazyCache({ sweepInterval: 500 });
+      lazyCache.put('key1', 'value1', 1000);
+      lazyCache.put('key2', 'value2', 1200);
+      clock.tick(1000);
+      expect(expiries).to.deep.equal([
+        { key: 'key1', value: 'value1' }
+      ]);
+      clock.tick(500);
+      expect(expiries).to.have.length(2);
+    });
+
+    it('should unref the underlying timer', function() {
+      var unref = sinon.spy();
+      var setTimeoutStub = sinon.stub(global, 'setTimeout', function() {
+        return { unref: unref };
+      });
+
+      try {
+        createLazyCache({ sweepInterval: 500 });
+      } finally {
+        setTimeoutStub.restore();
+      }
+
+      expect(unref).to.have.been.calledOnce;
+    });
+
+    it('should keep refreshing keys on their refresh interval', function() {
+      createLazyCache();
+      var spy = sinon.spy();
+      lazyCache.on('refresh', spy);
+      lazyCache.put('key', 'value', 1000, 100);
+      clock.tick(300);
+      expect(spy).to.have.been.calledThrice;
+    });
+
+    it('should stop refreshing keys once they expire', function() {
+      createLazyCache();
+      var spy = sinon.spy();
+      lazyCache.on('refresh', spy);
+      lazyCache.put('key', 'value', 250, 100);
+      clock.tick(1000);
+      expect(spy).to.have.been.calledTwice;
+      expect(expiries).to.deep.equal([
+        { key: 'key', value: 'value' }
+      ]);
+    });
+  });
+
+
+  describe('manual clock', function() {
+    var manualClock;
+    var cache2;
+
+    beforeEach(function() {
+      manualClock = new RefreshableCache.ManualClock();
+    });
+
+    afterEach(function() {
+      cache2.destroy();
+    });
+
+    it('should expire keys when the clock is ticked', function() {
+      cache2 = new RefreshableCache({ clock: manualClock });
+      cache2.put('key', 'value', 1000);
+      manualClock.tick(999);
+      expect(cache2.get('key')).to.equal('value');
+      manualClock.tick(1);
+      expect(cache2.size()).to.equal(0);
+    });
+
+    it('should not use the global timers', function() {
+      cache2 = new RefreshableCache({ clock: manualClock });
+      cache2.put('key', 'value', 1000, 100);
+      expect(clock.timers).to.be.undefined;
+      expect(manualClock.pendingTimers()).to.equal(1);
+    });
+
+    it('should refresh keys when the clock is ticked', function() {
+      var loader = sinon.spy(function(key) {
+        return key + manualClock.now();
+      });
+      cache2 = new RefreshableCache({ clock: manualClock, loader: loader });
+      cache2.put('key', 'value', 1000, 100);
+      manualClock.tick(250);
+      expect(loader).to.have.been.calledTwice;
+      expect(cache2.get('key')).to.equal('key200');
+    });
+
+    it('should reset expiry on access when the clock is ticked', function() {
+      cache2 = new RefreshableCache({ clock: manualClock, resetExpiryOnAccess: true });
+      cache2.put('key', 'value', 1000);
+      manualClock.tick(999);
+      expect(cache2.get('key')).to.equal('value');
+      manualClock.tick(999);
+      expect(cache2.get('key')).to.equal('value');
+      manualClock.tick(1000);
+      expect(cache2.get('key')).to.be.null;
+    });
+
+    it('should run the sweep interval of lazy expiry when the clock is ticked', function() {
+      var spy = sinon.spy();
+      cache2 = new RefreshableCache({ clock: manualClock, expiry: 'lazy', sweepInterval: 500 });
+      cache2.on('expiry', spy);
+      cache2.put('key', 'value', 1000);
+      manualClock.tick(1000);
+      expect(spy).to.have.been.calledOnce;
+    });
+  });
+
+
+  describe('stores', function() {
+    var cache2;
+
+    afterEach(function() {
+      if (cache2) {
+        cache2.destroy();
+        cache2 = null;
+      }
+    });
+
+    it('should throw an error given a store missing a method', function() {
+      expect(function() {
+        return new RefreshableCache({
+          store: {
+            get: function() {},
+            set: function() {},
+            keys: function() {},
+            clear: function() {}
+          }
+        });
+      }).to.throw('Store must have get(), set(), delete(), keys() and clear() methods');
+    });
+
+    it('should keep its cache items in the provided store', function() {
+      var store = new RefreshableCache.MapStore();
+      cache2 = new RefreshableCache({ store: store });
+      cache2.put('key1', 'value1', 1000);
+      cache2.put(2, 'value2');
+      expect(store.keys()).to.deep.equal(['key1', 2]);
+      expect(store.get('key1').value).to.equal('value1');
+      expect(cache2.get(2)).to.equal('value2');
+      expect(cache2.del('key1')).to.be.true;
+      expect(store.keys()).to.deep.equal([2]);
+      cache2.clear();
+      expect(store.keys()).to.deep.equal([]);
+    });
+
+    it('should expire, refresh and evict cache items in the provided store', function() {
+      var store = new RefreshableCache.MapStore();
+      cache2 = new RefreshableCache({
+        store: store,
+        maxEntries: 2,
+        loader: function(key) {
+          return key + '-refreshed';
+        }
+      });
+      cache2.put('key1', 'value1', 1000);
+      cache2.put('key2', 'value2', undefined, 100);
+      cache2.put('key3', 'value3');
+      expect(store.keys()).to.deep.equal(['key2', 'key3']);
+      clock.tick(100);
+      expect(store.get('key2').value).to.equal('key2-refreshed');
+    });
+
+    it('should write cache items back to the store when their timing changes', function() {
+      var store = new RefreshableCache.MapStore();
+      cache2 = new RefreshableCache({ store: store, resetExpiryOnAccess: true });
+      cache2.put('key', 'value', 1000);
+
+      var setSpy = sinon.spy(store, 'set');
+      cache2.get('key');
+      cache2.touch('key');
+      cache2.setTtl('key', 2000);
+      cache2.setRefreshInterval('key', 100);
+      expect(setSpy).to.have.callCount(4);
+      expect(setSpy).to.always.have.been.calledWith('key', store.get('key'));
+    });
+
+    it('should adopt the cache items already in the store', function() {
+      var store = new RefreshableCache.MapStore();
+      store.set('key1', { key: 'key1', value: 'value1', duration: 1000, expiresAt: 500 });
+      store.set('key2', { key: 'key2', value: 'value2', refreshIntervalDuration: 100 });
+      store.set('key3', { key: 'key3', value: 'value3' });
+
+      cache2 = new RefreshableCache({ store: store });
+      var expiries = [];
+      var refreshes = [];
+      cache2.on('expiry', function(key) {
+        expiries.push(key);
+      });
+      cache2.on('refresh', function(key) {
+        refreshes.push(key);
+      });
+
+      expect(cache2.size()).to.equal(3);
+      expect(cache2.get('key1')).to.equal('value1');
+      clock.tick(500);
+      expect(expiries).to.deep.equal(['key1']);
+      expect(refreshes).to.deep.equal(['key2', 'key2', 'key2', 'key2', 'key2']);
+      expect(cache2.keys()).to.deep.equal(['key2', 'key3']);
+    });
+
+    it('should drop cache items in the store which have already expired', function() {
+      clock.tick(1000);
+      var store = new RefreshableCache.MapStore();
+      store.set('key1', { key: 'key1', value: 'value1', duration: 1000, expiresAt: 1000 });
+      store.set('key2', { key: 'key2', value: 'value2', duration: 1000, expiresAt: 1001 });
+      cache2 = new RefreshableCache({ store: store });
+      expect(cache2.keys()).to.deep.equal(['key2']);
+      expect(store.keys()).to.deep.equal(['key2']);
+    });
+
+    it('should evict adopted cache items beyond the cache\'s bounds', function() {
+      var store = new RefreshableCache.MapStore();
+      store.set('key1', { key: 'key1', value: 'value1' });
+      store.set('key2', { key: 'key2', value: 'value2' });
+      cache2 = new RefreshableCache({ store: store, maxEntries: 1 });
+      expect(cache2.keys()).to.deep.equal(['key2']);
+    });
+
+    it('should restore cache items from a file store after a restart', function() {
+      var filePath = path.join(os.tmpdir(), 'refreshable-cache-store-' + process.pid + '.json');
+      var store = new RefreshableCache.FileStore({ path: filePath });
+      var oldCache = new RefreshableCache({ store: store });
+      oldCache.put('key1', 'value1', 1000);
+      oldCache.put('key2', 'value2');
+
+      return new Promise(function(resolve) {
+        store.flush(resolve);
+      }).then(function() {
+        var newStore = new RefreshableCache.FileStore({ path: filePath });
+        return new Promise(function(resolve) {
+          newStore.open(function() {
+            resolve(newStore);
+          });
+        });
+      }).then(function(newStore) {
+        clock.tick(400);
+        cache2 = new RefreshableCache({ store: newStore });
+        expect(cache2.get('key1')).to.equal('value1');
+        expect(cache2.get('key2')).to.equal('value2');
+        clock.tick(600);
+        expect(cache2.keys()).to.deep.equal(['key2']);
+
+        oldCache.destroy();
+        return new Promise(function(resolve) {
+          newStore.flush(function() {
+            fs.unlink(filePath, resolve);
+          });
+        });
+      });
+    });
+
+    it('should restore cache items from a Redis store after a restart', function() {
+      var client = new FakeRedisClient();
+      var store = new RefreshableCache.RedisStore({ client: client });
+      var oldCache = new RefreshableCache({ store: store });
+      oldCache.put('key1', 'value1', 1000);
+      oldCache.put('key2', 'value2', undefined, 100);
+
+      return new Promise(function(resolve) {
+        store.flush(resolve);
+      }).then(function() {
+        oldCache.destroy();
+
+        var newStore = new RefreshableCache.RedisStore({ client: client });
+        return new Promise(function(resolve) {
+          newStore.open(function() {
+            resolve(newStore);
+          });
+        });
+      }).then(function(newStore) {
+        var spy = sinon.spy();
+        cache2 = new RefreshableCache({ store: newStore });
+        cache2.on('refresh', spy);
+        expect(cache2.keys()).to.deep.equal(['key1', 'key2']);
+        clock.tick(1000);
+        expect(cache2.keys()).to.deep.equal(['key2']);
+        expect(spy).to.have.callCount(10);
+      });
+    });
+
+    describe('shared with other processes', function() {
+      var client;
+      var store1;
+      var store2;
+      var cache1;
+
+      /**
+       * Returns a Promise which resolves with an opened Redis store which shares the fake Redis
+       * with the other stores.
+       */
+      var openSharedStore = function() {
+        var storeClient = client.duplicate();
+        var store = new RefreshableCache.RedisStore({ client: storeClient, subscriber: storeClient.duplicate() });
+        return new Promise(function(resolve) {
+          store.open(function() {
+            resolve(store);
+          });
+        });
+      };
+
+      /**
+       * Returns a Promise which resolves once the provided store's changes have been written and
+       * published.
+       */
+      var flush = function(store) {
+        return new Promise(function(resolve) {
+          store.flush(resolve);
+        });
+      };
+
+      beforeEach(function() {
+        client = new FakeRedisClient();
+        return openSharedStore().then(function(store) {
+          store1 = store;
+          return openSharedStore();
+        }).then(function(store) {
+          store2 = store;
+          cache1 = new RefreshableCache({ store: store1 });
+          cache2 = new RefreshableCache({ store: store2 });
+        });
+      });
+
+      afterEach(function() {
+        cache1.destroy();
+        store1.close();
+        store2.close();
+      });
+
+      it('should adopt a cache item which another process wrote instead of loading it', function() {
+        var loader = sinon.spy();
+        cache1.put('key', 'value', { ttl: 1000, tags: ['tag'] });
+
+        return flush(store1).then(function() {
+          expect(cache2.has('key')).to.be.false;
+          return cache2.getOrLoad('key', loader);
+        }).then(function(value) {
+          expect(value).to.equal('value');
+          expect(loader).not.to.have.been.called;
+          expect(cache2.get('key')).to.equal('value');
+          expect(cache2.expiresAt('key')).to.equal(cache1.expiresAt('key'));
+          expect(cache2.getEntry('key').tags).to.deep.equal(['tag']);
+
+          clock.tick(1000);
+          expect(cache2.has('key')).to.be.false;
+        });
+      });
+
+      it('should run the loader if the store does not have the key or fails to read it', function() {
+        var loader = sinon.spy(function() {
+          return 'loadedValue';
+        });
+
+        return cache2.getOrLoad('key1', loader).then(function(value) {
+          expect(value).to.equal('loadedValue');
+
+          sinon.stub(store2, 'fetch', function(key, callback) {
+            callback(new Error('read failed'), null);
+          });
+          return cache2.getOrLoad('key2', loader);
+        }).then(function(value) {
+          expect(value).to.equal('loadedValue');
+          expect(loader).to.have.been.calledTwice;
+        });
+      });
+
+      it('should refresh an adopted cache item with the loader passed to getOrLoad()', function() {
+        var loader = sinon.spy(function() {
+          return 'refreshedValue';
+        });
+        cache1.put('key', 'value', { refreshInterval: 100 });
+
+        return flush(store1).then(function() {
+          return cache2.getOrLoad('key', loader);
+        }).then(function() {
+          var promise = cache2.waitFor('update', 'key');
+          clock.tick(100);
+          expect(loader).to.have.been.calledOnce;
+          return promise;
+        }).then(function() {
+          expect(cache2.get('key')).to.equal('refreshedValue');
+        });
+      });
+
+      it('should stop tracking cache items which another process changes or deletes', function() {
+        var spy = sinon.spy();
+        cache1.put('key1', 'value1');
+        cache1.put('key2', 'value2');
+
+        return flush(store1).then(function() {
+          return Promise.all([cache2.getOrLoad('key1', spy), cache2.getOrLoad('key2', spy)]);
+        }).then(function() {
+          cache2.on('delete', spy);
+          cache1.put('key1', 'newValue1');
+          cache1.del('key2');
+          return flush(store1);
+        }).then(function() {
+          expect(spy).to.have.been.calledTwice;
+          expect(spy).to.have.been.calledWithExactly('key1', 'value1', 'invalidation');
+          expect(spy).to.have.been.calledWithExactly('key2', 'value2', 'invalidation');
+          expect(cache2.keys()).to.deep.equal([]);
+          expect(cache2.size()).to.equal(0);
+          return cache2.getOrLoad('key1', function() {
+            return 'loadedValue';
+          });
+        }).then(function(value) {
+          expect(value).to.equal('newValue1');
+        });
+      });
+
+      it('should stop tracking every cache item and negative value when another process clears', function() {
+        var loader = sinon.spy(function() {
+          return null;
+        });
+        cache1.put('key1', 'value1');
+
+        return flush(store1).then(function() {
+          return Promise.all([
+            cache2.getOrLoad('key1', loader),
+            cache2.getOrLoad('key2', loader, { negativeTtl: 1000 })
+          ]);
+        }).then(function() {
+          cache1.put('key2', 'value2');
+          cache1.clear();
+          return flush(store1);
+        }).then(function() {
+          expect(cache2.size()).to.equal(0);
+          return cache2.getOrLoad('key2', loader, { negativeTtl: 1000 });
+        }).then(function() {
+          expect(loader).to.have.been.calledTwice;
+        });
+      });
+
+      it('should forget negative values of keys which another process writes', function() {
+        var loader = sinon.spy(function() {
+          return null;
+        });
+
+        return cache2.getOrLoad('key', loader, { negativeTtl: 1000 }).then(function() {
+          cache1.put('key', 'value');
+          return flush(store1);
+        }).then(function() {
+          return cache2.getOrLoad('key', loader, { negativeTtl: 1000 });
+        }).then(function(value) {
+          expect(value).to.equal('value');
+          expect(loader).to.have.been.calledOnce;
+        });
+      });
+
+      it('should stop listening to its store once destroyed', function() {
+        cache2.destroy();
+        expect(store2.listeners('invalidate')).to.have.length(0);
+        cache2 = null;
+      });
+    });
+  });
+
+
+  describe('non-string keys', function() {
+    var cache2;
+
+    afterEach(function() {
+      if (cache2) {
+        cache2.destroy();
+        cache2 = null;
+      }
+    });
+
+    it('should throw an error given a key serializer which is not a function', function() {
+      [null, 'json', {}].forEach(function(keySerializer) {
+        expect(function() {
+          return new RefreshableCache({ keySerializer: keySerializer });
+        }).to.throw('Key serializer must be a function');
+      });
+    });
+
+    it('should not treat keys of different types as the same key', function() {
+      cache.put(1, 'number');
+      cache.put('1', 'string');
+      cache.put(true, 'boolean');
+      cache.put('true', 'string');
+      expect(cache.size()).to.equal(4);
+      expect(cache.get(1)).to.equal('number');
+      expect(cache.get('1')).to.equal('string');
+      expect(cache.get(true)).to.equal('boolean');
+      expect(cache.keys()).to.deep.equal([1, '1', true, 'true']);
+    });
+
+    it('should treat object keys as the same key only if they are the same object', function() {
+      var key1 = { id: 1 };
+      var key2 = { id: 1 };
+      cache.put(key1, 'value1');
+      cache.put(key2, 'value2');
+      expect(cache.get(key1)).to.equal('value1');
+      expect(cache.get(key2)).to.equal('value2');
+      expect(cache.get({ id: 1 })).to.be.null;
+      expect(cache.keys()[0]).to.equal(key1);
+      expect(cache.del(key1)).to.be.true;
+      expect(cache.keys()).to.have.length(1);
+      expect(cache.keys()[0]).to.equal(key2);
+    });
+
+    it('should treat keys which serialize to the same value as the same key', function() {
+      cache2 = new RefreshableCache({ keySerializer: JSON.stringify });
+      cache2.put(['user', 1, 'profile'], 'value1');
+      expect(cache2.get(['user', 1, 'profile'])).to.equal('value1');
+      expect(cache2.has(['user', 2, 'profile'])).to.be.false;
+      cache2.put(['user', 1, 'profile'], 'value2');
+      expect(cache2.size()).to.equal(1);
+      expect(cache2.get(['user', 1, 'profile'])).to.equal('value2');
+      expect(cache2.del(['user', 1, 'profile'])).to.be.true;
+      expect(cache2.size()).to.equal(0);
+    });
+
+    it('should keep cache items in the store under their serialized keys', function() {
+      var store = new RefreshableCache.MapStore();
+      cache2 = new RefreshableCache({ store: store, keySerializer: JSON.stringify });
+      cache2.put(['user', 1], 'value');
+      expect(store.keys()).to.deep.equal(['["user",1]']);
+    });
+
+    it('should return the original keys from keys()', function() {
+      var key = ['user', 1, 'profile'];
+      cache2 = new RefreshableCache({ keySerializer: JSON.stringify });
+      cache2.put(key, 'value');
+      expect(cache2.keys()).to.have.length(1);
+      expect(cache2.keys()[0]).to.equal(key);
+      expect(cache2.getEntry(['user', 1, 'profile']).key).to.equal(key);
+    });
+
+    it('should emit events with the original keys', function() {
+      var key = { id: 1 };
+      var spy = sinon.spy();
+      cache2 = new RefreshableCache({ maxEntries: 1 });
+      cache2.on('expiry', spy);
+      cache2.on('evict', spy);
+      cache2.put(key, 'value1', 1000);
+      clock.tick(1000);
+      expect(spy).to.have.been.calledOnce.and.calledWith(key, 'value1');
+      cache2.put(key, 'value2');
+      cache2.put('key', 'value3');
+      expect(spy).to.have.been.calledTwice.and.calledWith(key, 'value2', 'maxEntries');
+    });
+
+    it('should wait for events for keys which serialize to the same value', function() {
+      cache2 = new RefreshableCache({ keySerializer: JSON.stringify });
+      cache2.put(['user', 1], 'value', 1000);
+      var promise = cache2.waitFor('expiry', ['user', 1]);
+      clock.tick(1000);
+      return promise.then(function(value) {
+        expect(value).to.equal('value');
+      });
+    });
+
+    it('should share a single load between keys which serialize to the same value', function() {
+      var loader = sinon.spy(function() {
+        return Promise.resolve('value');
+      });
+      cache2 = new RefreshableCache({ keySerializer: JSON.stringify });
+      return Promise.all([
+        cache2.getOrLoad(['user', 1], loader),
+        cache2.getOrLoad(['user', 1], loader)
+      ]).then(function(values) {
+        expect(values).to.deep.equal(['value', 'value']);
+        expect(loader).to.have.been.calledOnce;
+        expect(cache2.get(['user', 1])).to.equal('value');
+      });
+    });
+
+    it('should convert keys to strings given an ObjectStore', function() {
+      cache2 = new RefreshableCache({ store: new RefreshableCache.ObjectStore() });
+      cache2.put(1, 'value1');
+      cache2.put('1', 'value2');
+      expect(cache2.size()).to.equal(1);
+      expect(cache2.get(1)).to.equal('value2');
+    });
+
+    it('should move adopted cache items under their serialized keys', function() {
+      var store = new RefreshableCache.MapStore();
+      store.set('user,1', { key: ['user', 1], value: 'value', createdAt: 0 });
+      cache2 = new RefreshableCache({ store: store, keySerializer: JSON.stringify });
+      expect(store.keys()).to.deep.equal(['["user",1]']);
+      expect(cache2.get(['user', 1])).to.equal('value');
+      expect(cache2.size()).to.equal(1);
+    });
+
+    it('should restore non-string keys from a durable store given a key serializer', function() {
+      var filePath = path.join(os.tmpdir(), 'refreshable-cache-keys-' + process.pid + '.json');
+      var store = new RefreshableCache.FileStore({ path: filePath });
+      cache2 = new RefreshableCache({ store: store, keySerializer: JSON.stringify });
+      cache2.put(['user', 1], 'value');
+
+      return new Promise(function(resolve, reject) {
+        store.flush(function(flushError) {
+          var newStore = new RefreshableCache.FileStore({ path: filePath });
+          newStore.open(function(openError) {
+            var newCache;
+            try {
+              expect(flushError).to.be.null;
+              expect(openError).to.be.null;
+              newCache = new RefreshableCache({ store: newStore, keySerializer: JSON.stringify });
+              expect(newCache.get(['user', 1])).to.equal('value');
+              expect(newCache.keys()).to.deep.equal([['user', 1]]);
+            } catch (error) {
+              reject(error);
+              return;
+            }
+
+            newCache.destroy();
+            newStore.flush(function() {
+              fs.unlink(filePath, resolve);
+            });
+          });
+        });
+      });
+    });
+  });
+
+
+  describe('dump()', function() {
+    it('should return an empty snapshot given an empty cache', function() {
+      clock.tick(100);
+      expect(cache.dump()).to.deep.equal({
+        timestamp: 100,
+        entries: []
+      });
+    });
+
+    it('should include the remaining timing of each key', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', { name: 'value2' }, { ttl: 1000, refreshInterval: 100, freshTtl: 500, tags: ['tag'] });
+      clock.tick(400);
+      expect(cache.dump()).to.deep.equal({
+        timestamp: 400,
+        entries: [{
+          key: 'key1',
+          value: 'value1',
+          ttl: null,
+          refreshInterval: null,
+          freshTtl: null,
+          tags: []
+        }, {
+          key: 'key2',
+          value: { name: 'value2' },
+          ttl: 600,
+          refreshInterval: 100,
+          freshTtl: 500,
+          tags: ['tag']
+        }]
+      });
+    });
+
+    it('should report the same tags for a key as getEntry()', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2', { tags: ['tag'] });
+      cache.dump().entries.forEach(function(entry) {
+        expect(entry.tags).to.deep.equal(cache.getEntry(entry.key).tags);
+      });
+    });
+
+    it('should not include keys which have expired with lazy expiry', function() {
+      var lazyCache = new RefreshableCache({ expiry: 'lazy' });
+      lazyCache.put('key1', 'value1', 1000);
+      lazyCache.put('key2', 'value2', 2000);
+      clock.tick(1000);
+      expect(lazyCache.dump().entries).to.have.length(1);
+    });
+  });
+
+
+  describe('load()', function() {
+    it('should throw an error given an invalid snapshot', function() {
+      expect(function() {
+        cache.load({ entries: [] });
+      }).to.throw('Snapshot must have a numeric timestamp and an array of entries');
+      expect(function() {
+        cache.load(null);
+      }).to.throw('Snapshot must have a numeric timestamp and an array of entries');
+    });
+
+    it('should throw an error without writing anything given an entry with invalid timing', function() {
+      expect(function() {
+        cache.load({
+          timestamp: 0,
+          entries: [
+            { key: 'key1', value: 'value1', ttl: null, refreshInterval: null, freshTtl: null },
+            { key: 'key2', value: 'value2', ttl: null, refreshInterval: -1, freshTtl: null }
+          ]
+        });
+      }).to.throw('Refresh time must be a positive number');
+      expect(cache.size()).to.equal(0);
+    });
+
+    it('should restore the keys and timing of a dumped cache', function() {
+      var cache2 = new RefreshableCache();
+      cache2.put('key1', 'value1');
+      cache2.put('key2', 'value2', 1000, 100);
+
+      expect(cache.load(cache2.dump())).to.equal(2);
+      expect(cache.get('key1')).to.equal('value1');
+      expect(cache.get('key2')).to.equal('value2');
+      clock.tick(1000);
+      expect(cache.keys()).to.deep.equal(['key1']);
+      expect(emittedEvents.filter(function(event) {
+        return event.eventName === 'refresh';
+      })).to.have.length(9);
+      cache2.clear();
+    });
+
+    it('should count the time since the snapshot was taken towards the expiry of each key', function() {
+      var count = cache.load({
+        timestamp: 0,
+        entries: [
+          { key: 'key1', value: 'value1', ttl: 1000, refreshInterval: null, freshTtl: null },
+          { key: 'key2', value: 'value2', ttl: 2000, refreshInterval: null, freshTtl: null }
+        ]
+      });
+      expect(count).to.equal(2);
+
+      clock.tick(1500);
+      var count2 = cache.load({
+        timestamp: 0,
+        entries: [
+          { key: 'key3', value: 'value3', ttl: 1000, refreshInterval: null, freshTtl: null },
+          { key: 'key4', value: 'value4', ttl: 2000, refreshInterval: null, freshTtl: null }
+        ]
+      });
+      expect(count2).to.equal(1);
+      expect(cache.keys()).to.deep.equal(['key2', 'key4']);
+      expect(cache.ttl('key4')).to.equal(500);
+    });
+
+    it('should replace existing keys along with their timing', function() {
+      cache.put('key', 'value1', 1000, 100);
+      cache.load({
+        timestamp: 0,
+        entries: [{ key: 'key', value: 'value2', ttl: null, refreshInterval: null, freshTtl: null }]
+      });
+      clock.tick(1000);
+      expect(cache.get('key')).to.equal('value2');
+      expect(emittedEvents).to.deep.equal([]);
+    });
+
+    it('should not apply the default timing to loaded keys', function() {
+      var cache2 = new RefreshableCache({ ttl: 1000, freshTtl: 500 });
+      cache2.load({
+        timestamp: 0,
+        entries: [{ key: 'key', value: 'value', ttl: null, refreshInterval: null, freshTtl: null }]
+      });
+      expect(cache2.getEntry('key').expiresAt).to.equal(Infinity);
+      expect(cache2.getEntry('key').staleAt).to.be.null;
+    });
+
+    it('should not let a loaded key stay fresh for longer than its remaining time', function() {
+      cache.load({
+        timestamp: 0,
+        entries: [{ key: 'key', value: 'value', ttl: 1000, refreshInterval: null, freshTtl: 500 }]
+      });
+      expect(cache.getEntry('key').staleAt).to.equal(500);
+
+      cache.load({
+        timestamp: 0,
+        entries: [{ key: 'key', value: 'value', ttl: 400, refreshInterval: null, freshTtl: 500 }]
+      });
+      expect(cache.getEntry('key').staleAt).to.be.null;
+    });
+
+    it('should throw an error given a destroyed cache', function() {
+      var cache2 = new RefreshableCache();
+      cache2.destroy();
+      expect(function() {
+        cache2.load({ timestamp: 0, entries: [] });
+      }).to.throw('Cannot write to a destroyed cache');
+    });
+  });
+
+
+  describe('persistence', function() {
+    var cache2;
+    var persistence;
+
+    /**
+     * Returns a persistence adapter which reads the provided snapshot, or fails with the provided
+     * error, and records the snapshots written to it. Its callbacks are called asynchronously.
+     */
+    var createPersistence = function(snapshot, error) {
+      return {
+        snapshots: [],
+        read: function(callback) {
+          Promise.resolve().then(function() {
+            callback(error || null, error ? null : snapshot);
+          });
+        },
+        write: function(newSnapshot, callback) {
+          this.snapshots.push(newSnapshot);
+          Promise.resolve().then(function() {
+            callback(error || null);
+          });
+        }
+      };
+    };
+
+    /**
+     * Returns a Promise which resolves with the arguments of the next instance of the provided
+     * event emitted by the provided cache.
+     */
+    var nextEvent = function(eventCache, eventName) {
+      return new Promise(function(resolve) {
+        eventCache.once(eventName, function() {
+          resolve(Array.prototype.slice.call(arguments));
+        });
+      });
+    };
+
+    afterEach(function() {
+      if (cache2) {
+        cache2.destroy();
+        cache2 = null;
+      }
+    });
+
+    it('should throw an error given an invalid persistence adapter', function() {
+      expect(function() {
+        return new RefreshableCache({ persistence: {} });
+      }).to.throw('Persistence adapter must have read() and write() methods');
+    });
+
+    it('should throw an error given an invalid persist interval', function() {
+      expect(function() {
+        return new RefreshableCache({ persistence: createPersistence(null), persistInterval: 0 });
+      }).to.throw('Persist interval must be a positive number');
+    });
+
+    it('should throw an error given a persist interval without a persistence adapter', function() {
+      expect(function() {
+        return new RefreshableCache({ persistInterval: 1000 });
+      }).to.throw('Persist interval can only be used with a persistence adapter');
+    });
+
+    it('should restore the snapshot read by the adapter and emit a "restore" event', function() {
+      persistence = createPersistence({
+        timestamp: 0,
+        entries: [{ key: 'key', value: 'value', ttl: 1000, refreshInterval: null, freshTtl: null }]
+      });
+      cache2 = new RefreshableCache({ persistence: persistence });
+      return nextEvent(cache2, 'restore').then(function(args) {
+        expect(args).to.deep.equal([1]);
+        expect(cache2.get('key')).to.equal('value');
+      });
+    });
+
+    it('should not overwrite keys written before the snapshot is restored', function() {
+      persistence = createPersistence({
+        timestamp: 0,
+        entries: [
+          { key: 'key1', value: 'old1', ttl: null, refreshInterval: null, freshTtl: null },
+          { key: 'key2', value: 'old2', ttl: null, refreshInterval: null, freshTtl: null }
+        ]
+      });
+      cache2 = new RefreshableCache({ persistence: persistence });
+      cache2.put('key1', 'new1');
+      return nextEvent(cache2, 'restore').then(function(args) {
+        expect(args).to.deep.equal([1]);
+        expect(cache2.get('key1')).to.equal('new1');
+        expect(cache2.get('key2')).to.equal('old2');
+      });
+    });
+
+    it('should emit a "restore" event given no snapshot to restore', function() {
+      cache2 = new RefreshableCache({ persistence: createPersistence(null) });
+      return nextEvent(cache2, 'restore').then(function(args) {
+        expect(args).to.deep.equal([0]);
+      });
+    });
+
+    it('should emit a "persistenceError" event if the snapshot cannot be read', function() {
+      var error = new Error('read failed');
+      cache2 = new RefreshableCache({ persistence: createPersistence(null, error) });
+      return nextEvent(cache2, 'persistenceError').then(function(args) {
+        expect(args).to.deep.equal([error]);
+      });
+    });
+
+    it('should emit a "persistenceError" event if the snapshot is invalid', function() {
+      cache2 = new RefreshableCache({ persistence: createPersistence({ foo: 'bar' }) });
+      return nextEvent(cache2, 'persistenceError').then(function(args) {
+        expect(args[0].message).to.equal('Snapshot must have a numeric timestamp and an array of entries');
+      });
+    });
+
+    it('should not restore the snapshot into a destroyed cache', function() {
+      var spy = sinon.spy();
+      persistence = createPersistence({
+        timestamp: 0,
+        entries: [{ key: 'key', value: 'value', ttl: null, refreshInterval: null, freshTtl: null }]
+      });
+      cache2 = new RefreshableCache({ persistence: persistence });
+      cache2.destroy();
+      cache2.on('restore', spy);
+      return Promise.resolve().then(function() {}).then(function() {
+        expect(spy).to.not.have.been.called;
+        expect(cache2.size()).to.equal(0);
+      });
+    });
+
+    it('should write a snapshot on each persist interval', function() {
+      persistence = createPersistence(null);
+      cache2 = new RefreshableCache({ persistence: persistence, persistInterval: 1000 });
+      cache2.put('key', 'value');
+      clock.tick(1000);
+      expect(persistence.snapshots).to.have.length(1);
+      expect(persistence.snapshots[0]).to.deep.equal({
+        timestamp: 1000,
+        entries: [{ key: 'key', value: 'value', ttl: null, refreshInterval: null, freshTtl: null, tags: [] }]
+      });
+    });
+
+    it('should skip a persist interval while the last snapshot is still being written', function() {
+      persistence = createPersistence(null);
+      cache2 = new RefreshableCache({ persistence: persistence, persistInterval: 1000 });
+      clock.tick(2000);
+      expect(persistence.snapshots).to.have.length(1);
+      return Promise.resolve().then(function() {}).then(function() {
+        clock.tick(1000);
+        expect(persistence.snapshots).to.have.length(2);
+      });
+    });
+
+    it('should emit a "persistenceError" event if a snapshot cannot be written', function() {
+      var error = new Error('write failed');
+      persistence = createPersistence(null, error);
+      cache2 = new RefreshableCache({ persistence: persistence, persistInterval: 1000 });
+      cache2.on('persistenceError', function() {});
+      clock.tick(1000);
+      return nextEvent(cache2, 'persistenceError').then(function(args) {
+        expect(args).to.deep.equal([error]);
+      });
+    });
+
+    it('should stop writing snapshots once destroyed', function() {
+      persistence = createPersistence(null);
+      cache2 = new RefreshableCache({ persistence: persistence, persistInterval: 1000 });
+      cache2.destroy();
+      clock.tick(1000);
+      expect(persistence.snapshots).to.have.length(0);
+    });
+
+    it('should restore a snapshot saved by another cache through a file', function() {
+      var filePath = path.join(os.tmpdir(), 'refreshable-cache-' + process.pid + '.json');
+      var filePersistence = new RefreshableCache.FilePersistence({ path: filePath });
+      var savingCache = new RefreshableCache({ persistence: filePersistence });
+      savingCache.put('key', new Date(0), 1000);
+
+      return savingCache.save().then(function() {
+        savingCache.destroy();
+        cache2 = new RefreshableCache({ persistence: filePersistence });
+        return nextEvent(cache2, 'restore');
+      }).then(function() {
+        expect(cache2.get('key')).to.equal(new Date(0).toJSON());
+        fs.unlink(filePath, function() {});
+      });
+    });
+  });
+
+
+  describe('save()', function() {
+    it('should throw an error given a cache without a persistence adapter', function() {
+      expect(function() {
+        cache.save();
+      }).to.throw('Cache must have a persistence adapter to be saved');
+    });
+
+    it('should write a snapshot with the persistence adapter', function() {
+      var write = sinon.spy(function(snapshot, callback) {
+        callback(null);
+      });
+      var cache2 = new RefreshableCache({
+        persistence: {
+          read: function() {},
+          write: write
+        }
+      });
+      cache2.put('key', 'value');
+      return cache2.save().then(function() {
+        expect(write).to.have.been.calledOnce;
+        expect(write.args[0][0]).to.deep.equal(cache2.dump());
+      });
+    });
+
+    it('should reject with the error of the persistence adapter', function() {
+      var error = new Error('write failed');
+      var cache2 = new RefreshableCache({
+        persistence: {
+          read: function() {},
+          write: function(snapshot, callback) {
+            callback(error);
+          }
+        }
+      });
+      return cache2.save().then(function() {
+        throw new Error('Expected save() to be rejected');
+      }, function(saveError) {
+        expect(saveError).to.equal(error);
+      });
+    });
+  });
+
+
+  describe('waitFor()', function() {
+    var cache2;
+
+    beforeEach(function() {
+      cache2 = new RefreshableCache();
+    });
+
+    afterEach(function() {
+      cache2.destroy();
+    });
+
+    it('should throw an error given an invalid event name', function() {
+      [undefined, null, '', 1, {}].forEach(function(eventName) {
+        expect(function() {
+          cache2.waitFor(eventName, 'key');
+        }).to.throw('Event name must be a non-empty string');
+      });
+    });
+
+    it('should resolve with the value of the key when it expires', function() {
+      cache2.put('key', 'value', 1000);
+      var promise = cache2.waitFor('expiry', 'key');
+      clock.tick(1000);
+      return promise.then(function(value) {
+        expect(value).to.equal('value');
+      });
+    });
+
+    it('should only resolve once the event is emitted for the provided key', function() {
+      var isResolved = false;
+      cache2.put('key1', 'value1', 1000);
+      cache2.put('key2', 'value2', 2000);
+      var promise = cache2.waitFor('expiry', 'key2').then(function(value) {
+        isResolved = true;
+        return value;
+      });
+
+      clock.tick(1000);
+      return Promise.resolve().then(function() {
+        expect(isResolved).to.be.false;
+        clock.tick(1000);
+        return promise;
+      }).then(function(value) {
+        expect(value).to.equal('value2');
+      });
+    });
+
+    it('should resolve with the refreshed value of the key', function() {
+      cache2.put('key', 'value1', { refreshInterval: 100, loader: sinon.stub().returns('value2') });
+      var promise = cache2.waitFor('refreshed', 'key');
+      clock.tick(100);
+      return promise.then(function(value) {
+        expect(value).to.equal('value2');
+      });
+    });
+
+    it('should resolve with the error of a failed refresh', function() {
+      var error = new Error('Failed to load');
+      cache2.put('key', 'value', { refreshInterval: 100, loader: sinon.stub().throws(error) });
+      var promise = cache2.waitFor('refreshError', 'key');
+      clock.tick(100);
+      return promise.then(function(refreshError) {
+        expect(refreshError).to.equal(error);
+      });
+    });
+
+    it('should remove its listener once the event is emitted', function() {
+      cache2.put('key', 'value', 1000);
+      var promise = cache2.waitFor('expiry', 'key');
+      expect(cache2.listenerCount('expiry')).to.equal(1);
+      clock.tick(1000);
+      return promise.then(function() {
+        expect(cache2.listenerCount('expiry')).to.equal(0);
+      });
+    });
+
+    it('should be rejected if the cache is destroyed before the event is emitted', function() {
+      cache2.put('key', 'value', 1000);
+      var promise = cache2.waitFor('expiry', 'key');
+      cache2.destroy();
+      return promise.then(function() {
+        throw new Error('Expected waitFor() to be rejected');
+      }, function(error) {
+        expect(error.message).to.equal('Cache was destroyed before the event was emitted');
+      });
+    });
+
+    it('should be rejected given a destroyed cache', function() {
+      cache2.destroy();
+      return cache2.waitFor('expiry', 'key').then(function() {
+        throw new Error('Expected waitFor() to be rejected');
+      }, function(error) {
+        expect(error.message).to.equal('Cache was destroyed before the event was emitted');
+      });
+    });
+  });
+
+
+  describe('entries()', function() {
+    it('should iterate over no pairs given an empty cache', function() {
+      expect(Array.from(cache.entries())).to.deep.equal([]);
+    });
+
+    it('should iterate over the key and value of each item in the cache', function() {
+      var key = { id: 3 };
+      cache.put('key1', 'value1');
+      cache.put(2, { foo: 'bar' });
+      cache.put(key, 'value3');
+      expect(Array.from(cache.entries())).to.deep.equal([['key1', 'value1'], [2, { foo: 'bar' }], [key, 'value3']]);
+    });
+
+    it('should return an iterator which is itself iterable', function() {
+      var iterator = cache.entries();
+      expect(iterator[Symbol.iterator]()).to.equal(iterator);
+    });
+
+    it('should skip keys which are removed before they are reached', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      cache.put('key3', 'value3');
+      var iterator = cache.entries();
+      expect(iterator.next().value).to.deep.equal(['key1', 'value1']);
+      cache.del('key2');
+      expect(Array.from(iterator)).to.deep.equal([['key3', 'value3']]);
+    });
+
+    it('should skip keys which expire before they are reached', function() {
+      cache.put('key1', 'value1', 1000);
+      cache.put('key2', 'value2', 1000);
+      cache.put('key3', 'value3');
+      var iterator = cache.entries();
+      expect(iterator.next().value).to.deep.equal(['key1', 'value1']);
       clock.tick(1000);
-      expect(emittedEvents).to.have.length(0);
+      expect(Array.from(iterator)).to.deep.equal([['key3', 'value3']]);
     });
 
-    it('should cancel the "refresh" events for the deleted keys', function() {
-      cache.put('key', 'value', undefined, 10);
-      cache.clear();
+    it('should skip keys which have expired with lazy expiry, without removing them', function() {
+      var cache2 = new RefreshableCache({ expiry: 'lazy' });
+      var spy = sinon.spy();
+      cache2.on('expiry', spy);
+      cache2.put('key1', 'value1', 1000);
+      cache2.put('key2', 'value2');
       clock.tick(1000);
-      expect(emittedEvents).to.have.length(0);
+      expect(Array.from(cache2.entries())).to.deep.equal([['key2', 'value2']]);
+      expect(spy).to.not.have.been.called;
+      cache2.destroy();
     });
 
-    it('should cancel the "expiry" event for a deleted key whose value was falsy', function() {
-      cache.put('key', false, 1000);
-      cache.clear();
-      clock.tick(1000);
-      expect(emittedEvents).to.have.length(0);
+    it('should not iterate over keys added after iteration starts', function() {
+      cache.put('key1', 'value1');
+      var iterator = cache.entries();
+      cache.put('key2', 'value2');
+      expect(Array.from(iterator)).to.deep.equal([['key1', 'value1']]);
     });
 
-    it('should cancel the "refresh" events for a deleted key whose value was falsy', function() {
-      cache.put('key', false, undefined, 10);
-      cache.clear();
-      clock.tick(1000);
-      expect(emittedEvents).to.have.length(0);
+    it('should allow keys to be deleted during iteration', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      var iterator = cache.entries();
+      for (var result = iterator.next(); !result.done; result = iterator.next()) {
+        cache.del(result.value[0]);
+      }
+      expect(cache.size()).to.equal(0);
+    });
+
+    it('should not reset expiry or count as a use of any key', function() {
+      var cache2 = new RefreshableCache({ maxEntries: 2, resetExpiryOnAccess: true });
+      cache2.put('key1', 'value1', 1000);
+      cache2.put('key2', 'value2');
+      clock.tick(500);
+      Array.from(cache2.entries());
+      expect(cache2.getEntry('key1').lastAccessedAt).to.be.null;
+      expect(cache2.ttl('key1')).to.equal(500);
+      cache2.put('key3', 'value3');
+      expect(cache2.keys()).to.deep.equal(['key2', 'key3']);
+      cache2.destroy();
+    });
+  });
+
+
+  describe('values()', function() {
+    it('should iterate over the value of each item in the cache', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', { foo: 'bar' });
+      expect(Array.from(cache.values())).to.deep.equal(['value1', { foo: 'bar' }]);
+    });
+
+    it('should skip keys which are removed before they are reached', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      var iterator = cache.values();
+      cache.del('key1');
+      expect(Array.from(iterator)).to.deep.equal(['value2']);
+    });
+  });
+
+
+  describe('forEach()', function() {
+    it('should throw an error given a callback which is not a function', function() {
+      expect(function() {
+        cache.forEach('callback');
+      }).to.throw('Callback must be a function');
+    });
+
+    it('should call the callback with the value and key of each item and the cache', function() {
+      var spy = sinon.spy();
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      cache.forEach(spy);
+      expect(spy).to.have.been.calledTwice;
+      expect(spy.firstCall).to.have.been.calledWithExactly('value1', 'key1', cache);
+      expect(spy.secondCall).to.have.been.calledWithExactly('value2', 'key2', cache);
+    });
+
+    it('should call the callback with the provided this value', function() {
+      var thisArg = {};
+      var spy = sinon.spy();
+      cache.put('key', 'value');
+      cache.forEach(spy, thisArg);
+      expect(spy).to.have.been.calledOn(thisArg);
+    });
+
+    it('should allow keys to be deleted by the callback', function() {
+      var spy = sinon.spy(function(value, key) {
+        cache.del(key);
+        cache.del('key2');
+      });
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      cache.put('key3', 'value3');
+      cache.forEach(spy);
+      expect(spy).to.have.been.calledTwice;
+      expect(spy).to.have.been.calledWith('value3', 'key3');
+      expect(cache.size()).to.equal(0);
+    });
+  });
+
+
+  describe('[Symbol.iterator]()', function() {
+    it('should make the cache iterable over its [key, value] pairs', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      expect(Array.from(cache)).to.deep.equal([['key1', 'value1'], ['key2', 'value2']]);
+      expect(new Map(cache).get('key2')).to.equal('value2');
+    });
+  });
+
+
+  // Symbol.asyncIterator is only defined from Node.js 10
+  (typeof Symbol.asyncIterator === 'undefined' ? describe.skip : describe)('async iteration', function() {
+    var iterateAll = function(iterator) {
+      var pairs = [];
+      var next = function() {
+        return iterator.next().then(function(result) {
+          if (result.done) {
+            return pairs;
+          }
+
+          pairs.push(result.value);
+          return next();
+        });
+      };
+
+      return next();
+    };
+
+    it('should iterate over no pairs given an empty cache', function() {
+      return iterateAll(cache[Symbol.asyncIterator]()).then(function(pairs) {
+        expect(pairs).to.deep.equal([]);
+      });
+    });
+
+    it('should iterate over the key and value of each item in the cache', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', { foo: 'bar' });
+      return iterateAll(cache[Symbol.asyncIterator]()).then(function(pairs) {
+        expect(pairs).to.deep.equal([['key1', 'value1'], ['key2', { foo: 'bar' }]]);
+      });
+    });
+
+    it('should skip keys which are removed before they are reached', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      cache.put('key3', 'value3');
+      var iterator = cache[Symbol.asyncIterator]();
+      return iterator.next().then(function(result) {
+        expect(result.value).to.deep.equal(['key1', 'value1']);
+        cache.del('key2');
+        return iterateAll(iterator);
+      }).then(function(pairs) {
+        expect(pairs).to.deep.equal([['key3', 'value3']]);
+      });
+    });
+
+    it('should not iterate over keys added after iteration starts', function() {
+      cache.put('key1', 'value1');
+      var iterator = cache[Symbol.asyncIterator]();
+      cache.put('key2', 'value2');
+      return iterateAll(iterator).then(function(pairs) {
+        expect(pairs).to.deep.equal([['key1', 'value1']]);
+      });
+    });
+
+    it('should not count as a use of any key', function() {
+      var cache2 = new RefreshableCache({ maxEntries: 2 });
+      cache2.put('key1', 'value1');
+      cache2.put('key2', 'value2');
+      return iterateAll(cache2[Symbol.asyncIterator]()).then(function() {
+        cache2.put('key3', 'value3');
+        expect(cache2.keys()).to.deep.equal(['key2', 'key3']);
+        cache2.destroy();
+      });
+    });
+
+    it('should return an iterator which is itself async iterable', function() {
+      var iterator = cache[Symbol.asyncIterator]();
+      expect(iterator[Symbol.asyncIterator]()).to.equal(iterator);
+    });
+  });
+
+
+  describe('destroy()', function() {
+    var cache2;
+
+    beforeEach(function() {
+      cache2 = new RefreshableCache();
+    });
+
+    it('should leave the cache items in the store', function() {
+      var store = new RefreshableCache.MapStore();
+      var storeCache = new RefreshableCache({ store: store });
+      storeCache.put('key', 'value', 1000);
+      storeCache.destroy();
+      expect(storeCache.size()).to.equal(0);
+      expect(storeCache.get('key')).to.be.null;
+      expect(store.keys()).to.deep.equal(['key']);
+      expect(Object.keys(clock.timers)).to.have.length(0);
+    });
+
+    it('should remove all keys', function() {
+      cache2.put('key1', 'value1');
+      cache2.put('key2', 'value2');
+      cache2.destroy();
+      expect(cache2.size()).to.equal(0);
+    });
+
+    it('should cancel all timers', function() {
+      cache2.put('key1', 'value1', 1000, 100);
+      cache2.put('key2', 'value2', 2000);
+      cache2.destroy();
+      expect(Object.keys(clock.timers)).to.have.length(0);
+    });
+
+    it('should cancel the sweep interval', function() {
+      cache2 = new RefreshableCache({ expiry: 'lazy', sweepInterval: 500 });
+      cache2.destroy();
+      expect(Object.keys(clock.timers)).to.have.length(0);
+    });
+
+    it('should remove all event listeners', function() {
+      var spy = sinon.spy();
+      cache2.on('expiry', spy);
+      cache2.destroy();
+      expect(cache2.listenerCount('expiry')).to.equal(0);
+    });
+
+    it('should throw an error when writing to the cache afterwards', function() {
+      cache2.destroy();
+      expect(function() {
+        cache2.put('key', 'value');
+      }).to.throw('Cannot write to a destroyed cache');
+    });
+
+    it('should not write pending loads to the cache', function() {
+      var promise = cache2.getOrLoad('key', function() {
+        return Promise.resolve('value');
+      });
+      cache2.destroy();
+      return promise.then(function(value) {
+        expect(value).to.equal('value');
+        expect(cache2.get('key')).to.be.null;
+      });
+    });
+
+    it('should be aliased as close()', function() {
+      expect(cache2.close).to.equal(cache2.destroy);
     });
   });
 
@@ -658,6 +5298,393 @@ describe('node-cache', function() {
   });
 
 
+  describe('stats()', function() {
+    var cache2;
+
+    beforeEach(function() {
+      cache2 = new RefreshableCache();
+    });
+
+    afterEach(function() {
+      cache2.destroy();
+    });
+
+    it('should return zeroed stats given a new cache', function() {
+      expect(cache2.stats()).to.deep.equal({
+        hits: 0,
+        misses: 0,
+        hitRatio: null,
+        sets: 0,
+        deletes: 0,
+        expirations: 0,
+        evictions: 0,
+        refreshes: 0,
+        refreshSuccesses: 0,
+        refreshFailures: 0,
+        size: 0,
+        averageEntryAge: 0
+      });
+    });
+
+    it('should count the hits and misses of get()', function() {
+      cache2.put('key', 'value');
+      cache2.get('key');
+      cache2.get('key');
+      cache2.get('key');
+      cache2.get('missing');
+      expect(cache2.stats()).to.include({ hits: 3, misses: 1, hitRatio: 0.75 });
+    });
+
+    it('should count the hits and misses of getMany() and getOrLoad()', function() {
+      cache2.put('key1', 'value1');
+      cache2.getMany(['key1', 'key2']);
+      return cache2.getOrLoad('key1', sinon.stub()).then(function() {
+        return cache2.getOrLoad('key3', sinon.stub().returns('value3'));
+      }).then(function() {
+        expect(cache2.stats()).to.include({ hits: 2, misses: 2 });
+      });
+    });
+
+    it('should not count reads which have no side effects', function() {
+      cache2.put('key', 'value');
+      cache2.has('key');
+      cache2.peek('key');
+      cache2.getEntry('key');
+      cache2.keys();
+      cache2.values();
+      expect(cache2.stats()).to.include({ hits: 0, misses: 0, hitRatio: null });
+    });
+
+    it('should count writes', function() {
+      cache2.put('key1', 'value1');
+      cache2.put('key1', 'value2');
+      cache2.putMany([['key2', 'value3'], ['key3', 'value4']]);
+      expect(cache2.stats().sets).to.equal(4);
+    });
+
+    it('should count deletes and cleared keys', function() {
+      cache2.put('key1', 'value1');
+      cache2.put('key2', 'value2');
+      cache2.put('key3', 'value3');
+      cache2.del('key1');
+      cache2.del('key1');
+      cache2.clear();
+      expect(cache2.stats()).to.include({ deletes: 3, size: 0 });
+    });
+
+    it('should count expirations and evictions', function() {
+      var boundedCache = new RefreshableCache({ maxEntries: 1 });
+      boundedCache.put('key1', 'value1', 1000);
+      boundedCache.put('key2', 'value2', 1000);
+      clock.tick(1000);
+      expect(boundedCache.stats()).to.include({ expirations: 1, evictions: 1, deletes: 0 });
+      boundedCache.destroy();
+    });
+
+    it('should count refresh ticks and the outcomes of their loaders', function() {
+      var loader = sinon.stub();
+      loader.onCall(0).returns('value2');
+      loader.onCall(1).throws(new Error('Loader failed'));
+      loader.onCall(2).returns('value3');
+      cache2.put('key', 'value1', { refreshInterval: 100, loader: loader });
+      clock.tick(300);
+      expect(cache2.stats()).to.include({ refreshes: 3, refreshSuccesses: 2, refreshFailures: 1, sets: 1 });
+    });
+
+    it('should count the refreshes of stale values', function() {
+      cache2.put('key', 'value1', { ttl: 1000, freshTtl: 100, loader: sinon.stub().returns('value2') });
+      clock.tick(100);
+      cache2.get('key');
+      expect(cache2.stats()).to.include({ refreshes: 1, refreshSuccesses: 1 });
+    });
+
+    it('should return the average age of the keys in the cache', function() {
+      cache2.put('key1', 'value1');
+      clock.tick(1000);
+      cache2.put('key2', 'value2');
+      clock.tick(1000);
+      cache2.put('key1', 'value3');
+      expect(cache2.stats()).to.include({ size: 2, averageEntryAge: 1500 });
+    });
+
+    it('should not include keys which have expired lazily', function() {
+      var lazyCache = new RefreshableCache({ expiry: 'lazy' });
+      lazyCache.put('key1', 'value1', 1000);
+      lazyCache.put('key2', 'value2');
+      clock.tick(1000);
+      expect(lazyCache.stats()).to.include({ size: 1, averageEntryAge: 1000, expirations: 1 });
+      lazyCache.destroy();
+    });
+
+    it('should not count anything if the stats option is false', function() {
+      var quietCache = new RefreshableCache({ stats: false });
+      quietCache.put('key1', 'value1', 1000);
+      quietCache.put('key2', 'value2');
+      quietCache.get('key1');
+      quietCache.get('missing');
+      quietCache.del('key2');
+      clock.tick(1000);
+      expect(quietCache.stats()).to.deep.equal({
+        hits: 0,
+        misses: 0,
+        hitRatio: null,
+        sets: 0,
+        deletes: 0,
+        expirations: 0,
+        evictions: 0,
+        refreshes: 0,
+        refreshSuccesses: 0,
+        refreshFailures: 0,
+        size: 0,
+        averageEntryAge: 0
+      });
+      quietCache.destroy();
+    });
+
+    it('should throw an error given an invalid stats option', function() {
+      [null, 0, 'false', {}].forEach(function(stats) {
+        expect(function() {
+          return new RefreshableCache({ stats: stats });
+        }).to.throw('Stats flag must be a boolean');
+      });
+    });
+
+    it('should return a copy of the stats', function() {
+      cache2.stats().hits = 10;
+      expect(cache2.stats().hits).to.equal(0);
+    });
+  });
+
+
+  describe('resetStats()', function() {
+    it('should reset the counters but not the size or average age', function() {
+      var cache2 = new RefreshableCache();
+      cache2.put('key1', 'value1');
+      cache2.put('key2', 'value2');
+      cache2.get('key1');
+      cache2.get('missing');
+      cache2.del('key2');
+      clock.tick(1000);
+
+      cache2.resetStats();
+
+      expect(cache2.stats()).to.deep.equal({
+        hits: 0,
+        misses: 0,
+        hitRatio: null,
+        sets: 0,
+        deletes: 0,
+        expirations: 0,
+        evictions: 0,
+        refreshes: 0,
+        refreshSuccesses: 0,
+        refreshFailures: 0,
+        size: 1,
+        averageEntryAge: 1000
+      });
+
+      cache2.get('key1');
+      expect(cache2.stats()).to.include({ hits: 1, hitRatio: 1 });
+      cache2.destroy();
+    });
+  });
+
+
+  describe('lifecycle events', function() {
+    var cache2;
+    var events;
+
+    beforeEach(function() {
+      events = [];
+      cache2 = new RefreshableCache();
+      ['set', 'update', 'delete', 'clear', 'expiry', 'evict', 'refreshed', 'batch'].forEach(function(eventName) {
+        cache2.on(eventName, function() {
+          events.push([eventName].concat(Array.prototype.slice.call(arguments)));
+        });
+      });
+    });
+
+    afterEach(function() {
+      cache2.destroy();
+    });
+
+    it('should emit a "set" event when a new key is written', function() {
+      cache2.put('key', 'value');
+      expect(events).to.deep.equal([['set', 'key', 'value']]);
+    });
+
+    it('should emit an "update" event with the old value when an existing key is written', function() {
+      cache2.put('key', 'value1');
+      cache2.put('key', 'value2');
+      expect(events).to.deep.equal([
+        ['set', 'key', 'value1'],
+        ['update', 'key', 'value2', 'value1']
+      ]);
+    });
+
+    it('should emit a "set" event for a loaded key', function() {
+      return cache2.getOrLoad('key', function() {
+        return 'value';
+      }).then(function() {
+        expect(events).to.deep.equal([['set', 'key', 'value']]);
+      });
+    });
+
+    it('should emit "set" and "update" events for each key written by putMany()', function() {
+      cache2.put('key1', 'value1');
+      cache2.putMany([['key1', 'value2'], ['key2', 'value3']]);
+      expect(events).to.deep.equal([
+        ['set', 'key1', 'value1'],
+        ['update', 'key1', 'value2', 'value1'],
+        ['set', 'key2', 'value3'],
+        ['batch', 'put', ['key1', 'key2']]
+      ]);
+    });
+
+    it('should emit an "update" event before the "refreshed" event when a loader refreshes a key', function() {
+      cache2.put('key', 'value1', { refreshInterval: 100, loader: sinon.stub().returns('value2') });
+      clock.tick(100);
+      expect(events).to.deep.equal([
+        ['set', 'key', 'value1'],
+        ['update', 'key', 'value2', 'value1'],
+        ['refreshed', 'key', 'value2']
+      ]);
+    });
+
+    it('should emit "set" and "update" events for keys written by load()', function() {
+      cache2.put('key1', 'value1');
+      cache2.load({
+        timestamp: 0,
+        entries: [
+          { key: 'key1', value: 'value2', ttl: null, refreshInterval: null, freshTtl: null },
+          { key: 'key2', value: 'value3', ttl: null, refreshInterval: null, freshTtl: null }
+        ]
+      });
+      expect(events).to.deep.equal([
+        ['set', 'key1', 'value1'],
+        ['update', 'key1', 'value2', 'value1'],
+        ['set', 'key2', 'value3']
+      ]);
+    });
+
+    it('should emit a "delete" event with the reason "manual" when a key is deleted', function() {
+      cache2.put('key', 'value');
+      cache2.del('key');
+      cache2.del('key');
+      expect(events).to.deep.equal([
+        ['set', 'key', 'value'],
+        ['delete', 'key', 'value', 'manual']
+      ]);
+    });
+
+    it('should emit "delete" events with the reason "manual" when keys are deleted in bulk or by tag', function() {
+      cache2.put('key1', 'value1', { tags: ['tag'] });
+      cache2.put('key2', 'value2');
+      events = [];
+      cache2.invalidateTag('tag');
+      cache2.delMany(['key2']);
+      expect(events).to.deep.equal([
+        ['delete', 'key1', 'value1', 'manual'],
+        ['delete', 'key2', 'value2', 'manual'],
+        ['batch', 'del', ['key2']]
+      ]);
+    });
+
+    it('should emit a "delete" event with the reason "expiry" after the "expiry" event', function() {
+      cache2.put('key', 'value', 1000);
+      clock.tick(1000);
+      expect(events).to.deep.equal([
+        ['set', 'key', 'value'],
+        ['expiry', 'key', 'value'],
+        ['delete', 'key', 'value', 'expiry']
+      ]);
+    });
+
+    it('should emit a "delete" event with the reason "expiry" with lazy expiry', function() {
+      var lazyCache = new RefreshableCache({ expiry: 'lazy' });
+      var spy = sinon.spy();
+      lazyCache.on('delete', spy);
+      lazyCache.put('key', 'value', 1000);
+      clock.tick(1000);
+      expect(spy).to.not.have.been.called;
+      expect(lazyCache.get('key')).to.be.null;
+      expect(spy).to.have.been.calledOnce.and.calledWith('key', 'value', 'expiry');
+      lazyCache.destroy();
+    });
+
+    it('should emit a "delete" event with the reason "eviction" after the "evict" event', function() {
+      var boundedCache = new RefreshableCache({ maxEntries: 1 });
+      var spy = sinon.spy();
+      boundedCache.on('set', spy);
+      boundedCache.on('evict', spy);
+      boundedCache.on('delete', spy);
+      boundedCache.put('key1', 'value1');
+      boundedCache.put('key2', 'value2');
+      expect(spy.args).to.deep.equal([
+        ['key1', 'value1'],
+        ['key2', 'value2'],
+        ['key1', 'value1', 'maxEntries'],
+        ['key1', 'value1', 'eviction']
+      ]);
+      boundedCache.destroy();
+    });
+
+    it('should emit a "delete" event with the reason "clear" for each key, then a "clear" event', function() {
+      cache2.put('key1', 'value1');
+      cache2.put('key2', 'value2');
+      events = [];
+      cache2.clear();
+      expect(events).to.deep.equal([
+        ['delete', 'key1', 'value1', 'clear'],
+        ['delete', 'key2', 'value2', 'clear'],
+        ['clear', 2]
+      ]);
+    });
+
+    it('should emit a "clear" event given an empty cache', function() {
+      cache2.clear();
+      expect(events).to.deep.equal([['clear', 0]]);
+    });
+
+    it('should emit "set", "update", "delete" and "clear" events after the change is made', function() {
+      cache2.on('set', function(key) {
+        expect(cache2.get(key)).to.equal('value1');
+      });
+      cache2.on('update', function(key) {
+        expect(cache2.get(key)).to.equal('value2');
+      });
+      cache2.on('delete', function(key) {
+        expect(cache2.has(key)).to.be.false;
+      });
+      cache2.on('clear', function() {
+        expect(cache2.size()).to.equal(0);
+      });
+      cache2.put('key', 'value1');
+      cache2.put('key', 'value2');
+      cache2.del('key');
+      cache2.put('key', 'value1');
+      cache2.clear();
+    });
+
+    it('should emit the "expiry" event before the key is removed', function() {
+      cache2.on('expiry', function(key) {
+        expect(cache2.has(key)).to.be.true;
+      });
+      cache2.put('key', 'value', 1000);
+      clock.tick(1000);
+      expect(cache2.has('key')).to.be.false;
+    });
+
+    it('should not emit any events when the cache is destroyed', function() {
+      var spy = sinon.spy(cache2, 'emit');
+      cache2.put('key', 'value');
+      spy.reset();
+      cache2.destroy();
+      expect(spy).to.not.have.been.called;
+    });
+  });
+
+
   describe('on()', function() {
     beforeEach(function() {
       cache.emit.restore();
@@ -0,0 +1,119 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+var ManualClock = require('../lib/manualClock.js');
+
+chai.use(require('sinon-chai'));
+
+
+describe('ManualClock', function() {
+  var clock;
+
+  beforeEach(function() {
+    clock = new ManualClock();
+  });
+
+
+  describe('constructor', function() {
+    it('should start at 0 by default', function() {
+      expect(clock.now()).to.equal(0);
+    });
+
+    it('should start at the provided time', function() {
+      expect(new ManualClock(1000).now()).to.equal(1000);
+    });
+
+    it('should throw an error given a non-numeric start time', function() {
+      expect(function() {
+        return new ManualClock('foo');
+      }).to.throw('Start time must be a number');
+    });
+  });
+
+
+  describe('tick()', function() {
+    it('should move the time forward', function() {
+      clock.tick(100);
+      expect(clock.now()).to.equal(100);
+      clock.tick(50);
+      expect(clock.now()).to.equal(150);
+    });
+
+    it('should run timers once they are due', function() {
+      var spy = sinon.spy();
+      clock.setTimeout(spy, 100);
+      clock.tick(99);
+      expect(spy).to.not.have.been.called;
+      clock.tick(1);
+      expect(spy).to.have.been.calledOnce;
+      clock.tick(1000);
+      expect(spy).to.have.been.calledOnce;
+    });
+
+    it('should run timers in the order they are due, at the time they are due', function() {
+      var calls = [];
+      clock.setTimeout(function() {
+        calls.push(['b', clock.now()]);
+      }, 200);
+      clock.setTimeout(function() {
+        calls.push(['a', clock.now()]);
+      }, 100);
+      clock.setTimeout(function() {
+        calls.push(['c', clock.now()]);
+      }, 200);
+      clock.tick(300);
+      expect(calls).to.deep.equal([['a', 100], ['b', 200], ['c', 200]]);
+    });
+
+    it('should run timers set by other timers if they become due', function() {
+      var spy = sinon.spy();
+      clock.setTimeout(function() {
+        clock.setTimeout(spy, 50);
+      }, 100);
+      clock.tick(149);
+      expect(spy).to.not.have.been.called;
+      clock.tick(1);
+      expect(spy).to.have.been.calledOnce;
+    });
+
+    it('should throw an error given a negative time', function() {
+      expect(function() {
+        clock.tick(-1);
+      }).to.throw('Tick time must be a non-negative number');
+    });
+  });
+
+
+  describe('clearTimeout()', function() {
+    it('should cancel the timer', function() {
+      var spy = sinon.spy();
+      var timer = clock.setTimeout(spy, 100);
+      clock.clearTimeout(timer);
+      clock.tick(100);
+      expect(spy).to.not.have.been.called;
+    });
+
+    it('should be a no-op given a timer which already ran', function() {
+      var timer = clock.setTimeout(function() {}, 100);
+      clock.tick(100);
+      expect(function() {
+        clock.clearTimeout(timer);
+      }).to.not.throw();
+    });
+  });
+
+
+  describe('pendingTimers()', function() {
+    it('should return the number of timers which have not run or been cancelled', function() {
+      var timer = clock.setTimeout(function() {}, 100);
+      clock.setTimeout(function() {}, 200);
+      expect(clock.pendingTimers()).to.equal(2);
+      clock.clearTimeout(timer);
+      expect(clock.pendingTimers()).to.equal(1);
+      clock.tick(200);
+      expect(clock.pendingTimers()).to.equal(0);
+    });
+  });
+});
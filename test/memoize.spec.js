@@ -0,0 +1,466 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+var RefreshableCache = require('../index.js');
+
+chai.use(require('sinon-chai'));
+
+
+describe('memoize', function() {
+  var clock;
+  var memoized;
+
+  beforeEach(function() {
+    clock = sinon.useFakeTimers();
+    memoized = null;
+  });
+
+  afterEach(function() {
+    if (memoized !== null) {
+      memoized.cache.destroy();
+    }
+    clock.restore();
+  });
+
+
+  describe('RefreshableCache.memoize()', function() {
+    it('should throw an error given a non-function', function() {
+      [undefined, null, 'foo', {}].forEach(function(fn) {
+        expect(function() {
+          RefreshableCache.memoize(fn);
+        }).to.throw('Memoized function must be a function');
+      });
+    });
+
+    it('should throw an error given invalid cache options', function() {
+      expect(function() {
+        RefreshableCache.memoize(function() {}, { ttl: -100 });
+      }).to.throw('Expiration time must be a positive number');
+    });
+
+    it('should only call the function once for the same arguments', function() {
+      var fn = sinon.spy(function(a, b) {
+        return a + b;
+      });
+      memoized = RefreshableCache.memoize(fn);
+      expect(memoized(1, 2)).to.equal(3);
+      expect(memoized(1, 2)).to.equal(3);
+      expect(memoized(2, 1)).to.equal(3);
+      expect(fn).to.have.been.calledTwice;
+      expect(fn.firstCall).to.have.been.calledWithExactly(1, 2);
+      expect(fn.secondCall).to.have.been.calledWithExactly(2, 1);
+    });
+
+    it('should cache results which are null or undefined', function() {
+      var fn = sinon.spy(function(value) {
+        return value;
+      });
+      memoized = RefreshableCache.memoize(fn);
+      expect(memoized(null)).to.be.null;
+      expect(memoized(null)).to.be.null;
+      expect(memoized()).to.be.undefined;
+      expect(memoized()).to.be.undefined;
+      expect(fn).to.have.been.calledTwice;
+    });
+
+    it('should not cache the result of a function which throws', function() {
+      var fn = sinon.stub();
+      fn.onFirstCall().throws(new Error('Failed'));
+      fn.onSecondCall().returns('value');
+      memoized = RefreshableCache.memoize(fn);
+      expect(function() {
+        memoized('key');
+      }).to.throw('Failed');
+      expect(memoized('key')).to.equal('value');
+      expect(fn).to.have.been.calledTwice;
+    });
+
+    it('should keep each result under its array of arguments', function() {
+      memoized = RefreshableCache.memoize(function(a, b) {
+        return a * b;
+      });
+      memoized(2, 3);
+      memoized(4, 5);
+      expect(memoized.cache).to.be.an.instanceof(RefreshableCache);
+      expect(memoized.cache.keys()).to.deep.equal([[2, 3], [4, 5]]);
+      expect(memoized.cache.get([4, 5])).to.equal(20);
+    });
+
+    it('should keep apart arguments which are the same as JSON', function() {
+      var fn = sinon.spy(function(value) {
+        return value;
+      });
+      memoized = RefreshableCache.memoize(fn);
+      [null, undefined, NaN, Infinity, -Infinity, 'null', [null], { key: undefined }, {}].forEach(function(value) {
+        memoized(value);
+      });
+      expect(fn).to.have.callCount(9);
+      expect(memoized.cache.size()).to.equal(9);
+    });
+
+    it('should keep apart dates and the strings they serialize to as JSON', function() {
+      var fn = sinon.spy(function(value) {
+        return value;
+      });
+      var date = new Date(1000);
+      memoized = RefreshableCache.memoize(fn);
+      expect(memoized(date)).to.equal(date);
+      expect(memoized(new Date(1000))).to.equal(date);
+      expect(memoized(date.toJSON())).to.equal(date.toJSON());
+      expect(fn).to.have.been.calledTwice;
+    });
+
+    it('should use equal arrays and plain objects as the same arguments', function() {
+      var fn = sinon.spy(function(value) {
+        return value;
+      });
+      memoized = RefreshableCache.memoize(fn);
+      memoized([1, { key: 'value' }]);
+      memoized([1, { key: 'value' }]);
+      expect(fn).to.have.been.calledOnce;
+    });
+
+    it('should throw an error given arguments it cannot serialize without calling the function', function() {
+      var fn = sinon.spy();
+      memoized = RefreshableCache.memoize(fn);
+      [function() {}, Symbol('foo'), new Map(), new Set(), [new Map()], { key: new Set() }].forEach(function(value) {
+        expect(function() {
+          memoized(value);
+        }).to.throw('Memoized function arguments must be primitives, arrays, plain objects or dates');
+      });
+      expect(fn).to.not.have.been.called;
+    });
+
+    it('should throw an error given circular arguments', function() {
+      var value = {};
+      value.self = value;
+      memoized = RefreshableCache.memoize(function() {});
+      expect(function() {
+        memoized(value);
+      }).to.throw('Memoized function arguments must not be circular');
+    });
+
+    it('should accept the same object in more than one argument', function() {
+      var value = { key: 'value' };
+      memoized = RefreshableCache.memoize(function(a, b) {
+        return a === b;
+      });
+      expect(memoized(value, [value])).to.be.false;
+    });
+
+    it('should call the function without a this', function() {
+      var fn = sinon.spy();
+      memoized = RefreshableCache.memoize(fn);
+      memoized.call({ key: 'value' }, 'key');
+      expect(fn.firstCall.thisValue).to.be.null;
+    });
+
+    it('should use the provided key serializer', function() {
+      var fn = sinon.spy(function(user) {
+        return user.name.toUpperCase();
+      });
+      memoized = RefreshableCache.memoize(fn, {
+        keySerializer: function(args) {
+          return args[0].id;
+        }
+      });
+      expect(memoized({ id: 1, name: 'ada' })).to.equal('ADA');
+      expect(memoized({ id: 1, name: 'grace' })).to.equal('ADA');
+      expect(fn).to.have.been.calledOnce;
+    });
+
+    it('should call the function again once its result expires', function() {
+      var fn = sinon.spy(function() {
+        return fn.callCount;
+      });
+      memoized = RefreshableCache.memoize(fn, { ttl: 1000 });
+      expect(memoized('key')).to.equal(1);
+      clock.tick(999);
+      expect(memoized('key')).to.equal(1);
+      clock.tick(1);
+      expect(memoized('key')).to.equal(2);
+    });
+
+    it('should refresh its results on the refresh interval with the same arguments', function() {
+      var fn = sinon.spy(function(key) {
+        return key + fn.callCount;
+      });
+      memoized = RefreshableCache.memoize(fn, { refreshInterval: 100 });
+      expect(memoized('key')).to.equal('key1');
+      clock.tick(100);
+      expect(fn).to.have.been.calledTwice;
+      expect(fn.secondCall).to.have.been.calledWithExactly('key');
+      expect(memoized('key')).to.equal('key2');
+    });
+
+    it('should bound the number of results it keeps', function() {
+      var fn = sinon.spy(function(value) {
+        return value;
+      });
+      memoized = RefreshableCache.memoize(fn, { maxEntries: 2 });
+      memoized(1);
+      memoized(2);
+      memoized(3);
+      expect(memoized.cache.size()).to.equal(2);
+      memoized(1);
+      expect(fn).to.have.callCount(4);
+    });
+
+    it('should use a separate cache for each memoized function', function() {
+      var square = RefreshableCache.memoize(function(value) {
+        return value * value;
+      });
+      memoized = RefreshableCache.memoize(function(value) {
+        return value + 1;
+      });
+      expect(square(3)).to.equal(9);
+      expect(memoized(3)).to.equal(4);
+      expect(square.cache).to.not.equal(memoized.cache);
+      square.cache.destroy();
+    });
+  });
+
+
+  describe('RefreshableCache.memoize() invalidate()', function() {
+    it('should remove the result for the provided arguments', function() {
+      var fn = sinon.spy(function(a, b) {
+        return a + b;
+      });
+      memoized = RefreshableCache.memoize(fn);
+      memoized(1, 2);
+      memoized(3, 4);
+      expect(memoized.invalidate(1, 2)).to.be.true;
+      expect(memoized.invalidate(1, 2)).to.be.false;
+      expect(memoized.cache.keys()).to.deep.equal([[3, 4]]);
+      memoized(1, 2);
+      expect(fn).to.have.been.calledThrice;
+    });
+  });
+
+
+  describe('RefreshableCache.memoize() refresh()', function() {
+    it('should call the function again and cache its new result', function() {
+      var fn = sinon.spy(function() {
+        return fn.callCount;
+      });
+      memoized = RefreshableCache.memoize(fn);
+      expect(memoized('key')).to.equal(1);
+      expect(memoized.refresh('key')).to.equal(2);
+      expect(memoized('key')).to.equal(2);
+    });
+
+    it('should cache the result of arguments which were not cached', function() {
+      var fn = sinon.spy(function(value) {
+        return value;
+      });
+      memoized = RefreshableCache.memoize(fn);
+      expect(memoized.refresh('key')).to.equal('key');
+      expect(memoized('key')).to.equal('key');
+      expect(fn).to.have.been.calledOnce;
+    });
+
+    it('should keep the cached result if the function throws', function() {
+      var fn = sinon.stub();
+      fn.onFirstCall().returns('value');
+      fn.onSecondCall().throws(new Error('Failed'));
+      memoized = RefreshableCache.memoize(fn);
+      memoized('key');
+      expect(function() {
+        memoized.refresh('key');
+      }).to.throw('Failed');
+      expect(memoized('key')).to.equal('value');
+    });
+  });
+
+
+  describe('RefreshableCache.memoizeAsync()', function() {
+    it('should throw an error given a non-function', function() {
+      expect(function() {
+        RefreshableCache.memoizeAsync('foo');
+      }).to.throw('Memoized function must be a function');
+    });
+
+    it('should resolve with the function\'s result and only call it once for the same arguments', function() {
+      var fn = sinon.spy(function(a, b) {
+        return Promise.resolve(a + b);
+      });
+      memoized = RefreshableCache.memoizeAsync(fn);
+      return memoized(1, 2).then(function(value) {
+        expect(value).to.equal(3);
+        return memoized(1, 2);
+      }).then(function(value) {
+        expect(value).to.equal(3);
+        expect(fn).to.have.been.calledOnce;
+        expect(fn).to.have.been.calledWithExactly(1, 2);
+      });
+    });
+
+    it('should support functions which return a value', function() {
+      memoized = RefreshableCache.memoizeAsync(function(value) {
+        return value * 2;
+      });
+      return memoized(21).then(function(value) {
+        expect(value).to.equal(42);
+      });
+    });
+
+    it('should share a single call of the function between concurrent calls with the same arguments', function() {
+      var fn = sinon.spy(function(value) {
+        return new Promise(function(resolve) {
+          setTimeout(function() {
+            resolve(value);
+          }, 10);
+        });
+      });
+      memoized = RefreshableCache.memoizeAsync(fn);
+      var promises = [memoized('key'), memoized('key')];
+      clock.tick(10);
+      return Promise.all(promises).then(function(values) {
+        expect(values).to.deep.equal(['key', 'key']);
+        expect(fn).to.have.been.calledOnce;
+      });
+    });
+
+    it('should be rejected without caching anything if the function fails', function() {
+      var error = new Error('Failed');
+      var fn = sinon.stub();
+      fn.onFirstCall().returns(Promise.reject(error));
+      fn.onSecondCall().returns(Promise.resolve('value'));
+      memoized = RefreshableCache.memoizeAsync(fn);
+      return memoized('key').then(function() {
+        throw new Error('Expected the Promise to be rejected');
+      }, function(loadError) {
+        expect(loadError).to.equal(error);
+        expect(memoized.cache.size()).to.equal(0);
+        return memoized('key');
+      }).then(function(value) {
+        expect(value).to.equal('value');
+      });
+    });
+
+    it('should be rejected if caching the function\'s result throws', function() {
+      var error = new Error('TTL function failed');
+      memoized = RefreshableCache.memoizeAsync(function(value) {
+        return Promise.resolve(value);
+      }, {
+        ttl: function() {
+          throw error;
+        }
+      });
+      return memoized('key').then(function() {
+        throw new Error('Expected the Promise to be rejected');
+      }, function(loadError) {
+        expect(loadError).to.equal(error);
+        expect(memoized.cache.size()).to.equal(0);
+      });
+    });
+
+    it('should be rejected given arguments it cannot serialize', function() {
+      var fn = sinon.spy();
+      memoized = RefreshableCache.memoizeAsync(fn);
+      return memoized(new Map()).then(function() {
+        throw new Error('Expected the Promise to be rejected');
+      }, function(error) {
+        expect(error.message).to.equal('Memoized function arguments must be primitives, arrays, plain objects or dates');
+        expect(fn).to.not.have.been.called;
+      });
+    });
+
+    it('should remember failures with the error ttl option', function() {
+      var error = new Error('Failed');
+      var fn = sinon.stub().returns(Promise.reject(error));
+      memoized = RefreshableCache.memoizeAsync(fn, { errorTtl: 1000 });
+      return memoized('key').catch(function() {
+        return memoized('key');
+      }).then(function() {
+        throw new Error('Expected the Promise to be rejected');
+      }, function(loadError) {
+        expect(loadError).to.equal(error);
+        expect(fn).to.have.been.calledOnce;
+      });
+    });
+
+    it('should refresh its results on the refresh interval with the same arguments', function() {
+      var fn = sinon.spy(function(key) {
+        return Promise.resolve(key + fn.callCount);
+      });
+      memoized = RefreshableCache.memoizeAsync(fn, { refreshInterval: 100 });
+      return memoized('key').then(function() {
+        clock.tick(100);
+        return Promise.resolve();
+      }).then(function() {
+        expect(fn).to.have.been.calledTwice;
+        return memoized('key');
+      }).then(function(value) {
+        expect(value).to.equal('key2');
+      });
+    });
+  });
+
+
+  describe('RefreshableCache.memoizeAsync() invalidate()', function() {
+    it('should remove the result for the provided arguments', function() {
+      var fn = sinon.spy(function(value) {
+        return Promise.resolve(value);
+      });
+      memoized = RefreshableCache.memoizeAsync(fn);
+      return memoized('key').then(function() {
+        expect(memoized.invalidate('key')).to.be.true;
+        return memoized('key');
+      }).then(function() {
+        expect(fn).to.have.been.calledTwice;
+      });
+    });
+  });
+
+
+  describe('RefreshableCache.memoizeAsync() refresh()', function() {
+    it('should resolve with the function\'s new result and cache it', function() {
+      var fn = sinon.spy(function() {
+        return Promise.resolve(fn.callCount);
+      });
+      memoized = RefreshableCache.memoizeAsync(fn);
+      return memoized('key').then(function(value) {
+        expect(value).to.equal(1);
+        return memoized.refresh('key');
+      }).then(function(value) {
+        expect(value).to.equal(2);
+        return memoized('key');
+      }).then(function(value) {
+        expect(value).to.equal(2);
+        expect(fn).to.have.been.calledTwice;
+      });
+    });
+
+    it('should be rejected and keep the cached result if the function fails', function() {
+      var error = new Error('Failed');
+      var fn = sinon.stub();
+      fn.onFirstCall().returns(Promise.resolve('value'));
+      fn.onSecondCall().returns(Promise.reject(error));
+      memoized = RefreshableCache.memoizeAsync(fn);
+      return memoized('key').then(function() {
+        return memoized.refresh('key');
+      }).then(function() {
+        throw new Error('Expected the Promise to be rejected');
+      }, function(refreshError) {
+        expect(refreshError).to.equal(error);
+        return memoized('key');
+      }).then(function(value) {
+        expect(value).to.equal('value');
+      });
+    });
+
+    it('should be rejected if the function throws', function() {
+      memoized = RefreshableCache.memoizeAsync(function() {
+        throw new Error('Failed');
+      });
+      return memoized.refresh('key').then(function() {
+        throw new Error('Expected the Promise to be rejected');
+      }, function(refreshError) {
+        expect(refreshError.message).to.equal('Failed');
+      });
+    });
+  });
+});
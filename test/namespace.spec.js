@@ -0,0 +1,163 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+var RefreshableCache = require('../index.js');
+
+chai.use(require('sinon-chai'));
+
+
+describe('Namespace', function() {
+  var clock;
+  var cache;
+  var users;
+
+  beforeEach(function() {
+    clock = sinon.useFakeTimers();
+
+    cache = new RefreshableCache();
+    users = cache.namespace('users:');
+  });
+
+  afterEach(function() {
+    cache.destroy();
+    clock.restore();
+  });
+
+
+  describe('constructor', function() {
+    it('should throw an error given an invalid prefix', function() {
+      [undefined, null, '', 1, {}].forEach(function(prefix) {
+        expect(function() {
+          cache.namespace(prefix);
+        }).to.throw('Namespace prefix must be a non-empty string');
+      });
+    });
+  });
+
+
+  describe('put()', function() {
+    it('should write the key with the prefix to the cache', function() {
+      expect(users.put('42', 'value')).to.equal('value');
+      expect(cache.get('users:42')).to.equal('value');
+    });
+
+    it('should accept the same arguments as the cache', function() {
+      users.put('1', 'value1', 1000);
+      users.put('2', 'value2', { ttl: 2000, tags: ['tag'] });
+      expect(cache.ttl('users:1')).to.equal(1000);
+      expect(cache.ttl('users:2')).to.equal(2000);
+      expect(cache.getEntry('users:2').tags).to.deep.equal(['tag']);
+    });
+
+    it('should convert keys to strings', function() {
+      users.put(42, 'value');
+      expect(users.get('42')).to.equal('value');
+      expect(cache.get('users:42')).to.equal('value');
+    });
+  });
+
+
+  describe('get()', function() {
+    it('should return the value of a key in the namespace', function() {
+      cache.put('users:42', 'value');
+      expect(users.get('42')).to.equal('value');
+    });
+
+    it('should return null given a key which is only outside of the namespace', function() {
+      cache.put('42', 'value');
+      expect(users.get('42')).to.be.null;
+    });
+  });
+
+
+  describe('has()', function() {
+    it('should return whether or not a key is in the namespace', function() {
+      cache.put('users:1', 'value1');
+      cache.put('2', 'value2');
+      expect(users.has('1')).to.be.true;
+      expect(users.has('2')).to.be.false;
+    });
+  });
+
+
+  describe('del()', function() {
+    it('should only remove the key in the namespace', function() {
+      cache.put('users:42', 'value1');
+      cache.put('42', 'value2');
+      expect(users.del('42')).to.be.true;
+      expect(users.del('42')).to.be.false;
+      expect(cache.keys()).to.deep.equal(['42']);
+    });
+  });
+
+
+  describe('keys()', function() {
+    it('should return the keys in the namespace without the prefix', function() {
+      cache.put('users:1', 'value1');
+      cache.put('posts:1', 'value2');
+      cache.put('users:2', 'value3');
+      cache.put(3, 'value4');
+      expect(users.keys()).to.deep.equal(['1', '2']);
+    });
+
+    it('should not return keys which have expired', function() {
+      users.put('1', 'value1', 1000);
+      users.put('2', 'value2');
+      clock.tick(1000);
+      expect(users.keys()).to.deep.equal(['2']);
+    });
+  });
+
+
+  describe('size()', function() {
+    it('should return the number of keys in the namespace', function() {
+      expect(users.size()).to.equal(0);
+      users.put('1', 'value1');
+      users.put('2', 'value2');
+      cache.put('posts:1', 'value3');
+      expect(users.size()).to.equal(2);
+      expect(cache.size()).to.equal(3);
+    });
+  });
+
+
+  describe('clear()', function() {
+    it('should only remove the keys in the namespace', function() {
+      users.put('1', 'value1', 1000);
+      users.put('2', 'value2');
+      cache.put('posts:1', 'value3', 1000);
+      users.clear();
+      expect(users.size()).to.equal(0);
+      expect(cache.keys()).to.deep.equal(['posts:1']);
+    });
+
+    it('should cancel the timers of the keys in the namespace', function() {
+      var spy = sinon.spy();
+      cache.on('expiry', spy);
+      users.put('1', 'value1', 1000);
+      users.clear();
+      clock.tick(1000);
+      expect(spy).to.not.have.been.called;
+    });
+  });
+
+
+  describe('namespace()', function() {
+    it('should return a namespace which only sees keys with both prefixes', function() {
+      var admins = users.namespace('admins:');
+      admins.put('1', 'value1');
+      users.put('2', 'value2');
+      expect(cache.get('users:admins:1')).to.equal('value1');
+      expect(admins.keys()).to.deep.equal(['1']);
+      expect(users.keys()).to.deep.equal(['admins:1', '2']);
+    });
+
+    it('should throw an error given an invalid prefix', function() {
+      expect(function() {
+        users.namespace('');
+      }).to.throw('Namespace prefix must be a non-empty string');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var prometheus = require('../lib/prometheus.js');
+var RefreshableCache = require('../index.js');
+
+
+describe('prometheus', function() {
+  var stats = {
+    hits: 3,
+    misses: 1,
+    hitRatio: 0.75,
+    sets: 4,
+    deletes: 2,
+    expirations: 1,
+    evictions: 0,
+    refreshes: 5,
+    refreshSuccesses: 4,
+    refreshFailures: 1,
+    size: 2,
+    averageEntryAge: 1500
+  };
+
+
+  describe('format()', function() {
+    it('should format each stat as a metric with its help and type', function() {
+      expect(prometheus.format(stats)).to.equal([
+        '# HELP refreshable_cache_hits_total The number of reads which found their key in the cache.',
+        '# TYPE refreshable_cache_hits_total counter',
+        'refreshable_cache_hits_total 3',
+        '# HELP refreshable_cache_misses_total The number of reads which did not find their key in the cache.',
+        '# TYPE refreshable_cache_misses_total counter',
+        'refreshable_cache_misses_total 1',
+        '# HELP refreshable_cache_hit_ratio The fraction of reads which found their key in the cache.',
+        '# TYPE refreshable_cache_hit_ratio gauge',
+        'refreshable_cache_hit_ratio 0.75',
+        '# HELP refreshable_cache_sets_total The number of values written to the cache.',
+        '# TYPE refreshable_cache_sets_total counter',
+        'refreshable_cache_sets_total 4',
+        '# HELP refreshable_cache_deletes_total The number of keys deleted from the cache.',
+        '# TYPE refreshable_cache_deletes_total counter',
+        'refreshable_cache_deletes_total 2',
+        '# HELP refreshable_cache_expirations_total The number of keys which expired from the cache.',
+        '# TYPE refreshable_cache_expirations_total counter',
+        'refreshable_cache_expirations_total 1',
+        '# HELP refreshable_cache_evictions_total The number of keys evicted from the cache.',
+        '# TYPE refreshable_cache_evictions_total counter',
+        'refreshable_cache_evictions_total 0',
+        '# HELP refreshable_cache_refreshes_total The number of times a key was due to be refreshed.',
+        '# TYPE refreshable_cache_refreshes_total counter',
+        'refreshable_cache_refreshes_total 5',
+        '# HELP refreshable_cache_refresh_successes_total The number of refreshes whose loader succeeded.',
+        '# TYPE refreshable_cache_refresh_successes_total counter',
+        'refreshable_cache_refresh_successes_total 4',
+        '# HELP refreshable_cache_refresh_failures_total The number of refreshes whose loader failed.',
+        '# TYPE refreshable_cache_refresh_failures_total counter',
+        'refreshable_cache_refresh_failures_total 1',
+        '# HELP refreshable_cache_size The number of keys in the cache.',
+        '# TYPE refreshable_cache_size gauge',
+        'refreshable_cache_size 2',
+        '# HELP refreshable_cache_average_entry_age_seconds The average time since the keys in the cache were added.',
+        '# TYPE refreshable_cache_average_entry_age_seconds gauge',
+        'refreshable_cache_average_entry_age_seconds 1.5',
+        ''
+      ].join('\n'));
+    });
+
+    it('should use the provided prefix', function() {
+      var text = prometheus.format(stats, { prefix: 'users_cache' });
+      expect(text).to.contain('\nusers_cache_hits_total 3\n');
+      expect(text).to.not.contain('refreshable_cache');
+    });
+
+    it('should add the provided labels to each sample', function() {
+      var text = prometheus.format(stats, { labels: { cache: 'users', region: 'us' } });
+      expect(text).to.contain('\nrefreshable_cache_hits_total{cache="users",region="us"} 3\n');
+      expect(text).to.contain('\nrefreshable_cache_size{cache="users",region="us"} 2\n');
+      expect(text).to.contain('# TYPE refreshable_cache_size gauge\n');
+    });
+
+    it('should escape label values', function() {
+      var text = prometheus.format(stats, { labels: { cache: 'a "b"\\c\nd' } });
+      expect(text).to.contain('refreshable_cache_hits_total{cache="a \\"b\\"\\\\c\\nd"} 3\n');
+    });
+
+    it('should format a missing hit ratio as NaN', function() {
+      var text = prometheus.format(new RefreshableCache({ stats: false }).stats());
+      expect(text).to.contain('\nrefreshable_cache_hit_ratio NaN\n');
+      expect(text).to.contain('\nrefreshable_cache_average_entry_age_seconds 0\n');
+    });
+
+    it('should skip stats which are not provided', function() {
+      expect(prometheus.format({ hits: 1 })).to.equal([
+        '# HELP refreshable_cache_hits_total The number of reads which found their key in the cache.',
+        '# TYPE refreshable_cache_hits_total counter',
+        'refreshable_cache_hits_total 1',
+        ''
+      ].join('\n'));
+    });
+
+    it('should throw an error given invalid stats', function() {
+      [undefined, null, 1, 'stats'].forEach(function(invalidStats) {
+        expect(function() {
+          prometheus.format(invalidStats);
+        }).to.throw('Stats must be an object');
+      });
+    });
+
+    it('should throw an error given an invalid prefix', function() {
+      ['', 1, null, '1cache', 'my-cache'].forEach(function(prefix) {
+        expect(function() {
+          prometheus.format(stats, { prefix: prefix });
+        }).to.throw('Prefix must be a valid Prometheus metric name');
+      });
+    });
+
+    it('should throw an error given invalid labels', function() {
+      ['labels', { 'my-label': 'value' }, { '1label': 'value' }, { __name__: 'value' }].forEach(function(labels) {
+        expect(function() {
+          prometheus.format(stats, { labels: labels });
+        }).to.throw('Labels must be an object whose keys are valid Prometheus label names');
+      });
+    });
+
+    it('should be exposed on the cache', function() {
+      expect(RefreshableCache.prometheus.format).to.equal(prometheus.format);
+    });
+  });
+});
@@ -0,0 +1,402 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+var Scheduler = require('../lib/scheduler.js');
+var ManualClock = require('../lib/manualClock.js');
+
+chai.use(require('sinon-chai'));
+
+
+describe('Scheduler', function() {
+  var clock;
+  var scheduler;
+
+  beforeEach(function() {
+    clock = sinon.useFakeTimers();
+    scheduler = new Scheduler({
+      now: function() {
+        return Date.now();
+      }
+    });
+  });
+
+  afterEach(function() {
+    clock.restore();
+  });
+
+
+  describe('setTimeout()', function() {
+    it('should call the callback once the delay passes', function() {
+      var spy = sinon.spy();
+      scheduler.setTimeout(spy, 100);
+      clock.tick(99);
+      expect(spy).to.not.have.been.called;
+      clock.tick(1);
+      expect(spy).to.have.been.calledOnce;
+      clock.tick(1000);
+      expect(spy).to.have.been.calledOnce;
+    });
+
+    it('should call callbacks in the order they are due', function() {
+      var calls = [];
+      scheduler.setTimeout(function() {
+        calls.push('c');
+      }, 300);
+      scheduler.setTimeout(function() {
+        calls.push('a');
+      }, 100);
+      scheduler.setTimeout(function() {
+        calls.push('b');
+      }, 200);
+      clock.tick(300);
+      expect(calls).to.deep.equal(['a', 'b', 'c']);
+    });
+
+    it('should call callbacks which are due at the same time in the order they were set', function() {
+      var calls = [];
+      [1, 2, 3, 4, 5].forEach(function(id) {
+        scheduler.setTimeout(function() {
+          calls.push(id);
+        }, 100);
+      });
+      clock.tick(100);
+      expect(calls).to.deep.equal([1, 2, 3, 4, 5]);
+    });
+
+    it('should only use a single underlying timer', function() {
+      var noop = function() {};
+      for (var i = 0; i < 100; i++) {
+        scheduler.setTimeout(noop, 100 + i);
+      }
+      expect(Object.keys(clock.timers)).to.have.length(1);
+      clock.tick(150);
+      expect(Object.keys(clock.timers)).to.have.length(1);
+    });
+
+    it('should allow callbacks to set new timeouts', function() {
+      var spy = sinon.spy();
+      scheduler.setTimeout(function() {
+        scheduler.setTimeout(spy, 50);
+      }, 100);
+      clock.tick(149);
+      expect(spy).to.not.have.been.called;
+      clock.tick(1);
+      expect(spy).to.have.been.calledOnce;
+    });
+  });
+
+
+  describe('setInterval()', function() {
+    it('should call the callback each time the interval passes', function() {
+      var spy = sinon.spy();
+      scheduler.setInterval(spy, 10);
+      clock.tick(9);
+      expect(spy).to.not.have.been.called;
+      clock.tick(21);
+      expect(spy).to.have.been.calledThrice;
+    });
+
+    it('should keep its place in the order of timers due at the same time', function() {
+      var calls = [];
+      scheduler.setInterval(function() {
+        calls.push('interval');
+      }, 10);
+      scheduler.setTimeout(function() {
+        calls.push('timeout');
+      }, 20);
+      clock.tick(20);
+      expect(calls).to.deep.equal(['interval', 'interval', 'timeout']);
+    });
+
+    it('should allow the callback to clear its own interval', function() {
+      var timer;
+      var spy = sinon.spy(function() {
+        scheduler.clearInterval(timer);
+      });
+      timer = scheduler.setInterval(spy, 10);
+      clock.tick(100);
+      expect(spy).to.have.been.calledOnce;
+    });
+  });
+
+
+  describe('clearTimeout()', function() {
+    it('should cancel the timer', function() {
+      var spy = sinon.spy();
+      var timer = scheduler.setTimeout(spy, 100);
+      scheduler.clearTimeout(timer);
+      clock.tick(100);
+      expect(spy).to.not.have.been.called;
+    });
+
+    it('should not affect other timers', function() {
+      var spy1 = sinon.spy();
+      var spy2 = sinon.spy();
+      var timer = scheduler.setTimeout(spy1, 100);
+      scheduler.setTimeout(spy2, 200);
+      scheduler.clearTimeout(timer);
+      clock.tick(200);
+      expect(spy1).to.not.have.been.called;
+      expect(spy2).to.have.been.calledOnce;
+    });
+
+    it('should clear the underlying timer once no timers are left', function() {
+      var timer = scheduler.setTimeout(function() {}, 100);
+      scheduler.clearTimeout(timer);
+      expect(Object.keys(clock.timers)).to.have.length(0);
+    });
+
+    it('should be a no-op given a timer which already ran or was cancelled', function() {
+      var spy = sinon.spy();
+      var timer1 = scheduler.setTimeout(function() {}, 100);
+      var timer2 = scheduler.setTimeout(function() {}, 100);
+      scheduler.setTimeout(spy, 200);
+      clock.tick(100);
+      scheduler.clearTimeout(timer1);
+      scheduler.clearTimeout(timer2);
+      scheduler.clearTimeout(timer2);
+      clock.tick(100);
+      expect(spy).to.have.been.calledOnce;
+    });
+
+    it('should be a no-op given undefined or null', function() {
+      expect(function() {
+        scheduler.clearTimeout();
+        scheduler.clearTimeout(null);
+      }).to.not.throw();
+    });
+  });
+
+
+  describe('restartTimeout()', function() {
+    it('should restart the delay of a pending timeout', function() {
+      var spy = sinon.spy();
+      var timer = scheduler.setTimeout(spy, 100);
+      clock.tick(50);
+      scheduler.restartTimeout(timer, 100);
+      clock.tick(99);
+      expect(spy).to.not.have.been.called;
+      clock.tick(1);
+      expect(spy).to.have.been.calledOnce;
+    });
+
+    it('should allow restarting a timeout with a shorter delay', function() {
+      var spy = sinon.spy();
+      var timer = scheduler.setTimeout(spy, 100);
+      scheduler.restartTimeout(timer, 10);
+      clock.tick(10);
+      expect(spy).to.have.been.calledOnce;
+    });
+
+    it('should reschedule a timeout which already ran', function() {
+      var spy = sinon.spy();
+      var timer = scheduler.setTimeout(spy, 100);
+      clock.tick(100);
+      scheduler.restartTimeout(timer, 100);
+      clock.tick(100);
+      expect(spy).to.have.been.calledTwice;
+    });
+
+    it('should order a restarted timeout after timeouts set before it for the same time', function() {
+      var calls = [];
+      var timer = scheduler.setTimeout(function() {
+        calls.push('restarted');
+      }, 100);
+      scheduler.setTimeout(function() {
+        calls.push('other');
+      }, 100);
+      scheduler.restartTimeout(timer, 100);
+      clock.tick(100);
+      expect(calls).to.deep.equal(['other', 'restarted']);
+    });
+  });
+
+
+  describe('clock timers', function() {
+    it('should set the underlying timer with the clock if it has its own timers', function() {
+      var manualClock = new ManualClock();
+      var clockScheduler = new Scheduler(manualClock);
+      var spy = sinon.spy();
+      clockScheduler.setTimeout(spy, 100);
+      clockScheduler.setTimeout(function() {}, 200);
+      expect(manualClock.pendingTimers()).to.equal(1);
+      expect(clock.timers).to.be.undefined;
+      manualClock.tick(100);
+      expect(spy).to.have.been.calledOnce;
+      expect(manualClock.pendingTimers()).to.equal(1);
+    });
+
+    it('should clear the underlying timer with the clock once no timers are left', function() {
+      var manualClock = new ManualClock();
+      var clockScheduler = new Scheduler(manualClock);
+      var timer = clockScheduler.setTimeout(function() {}, 100);
+      clockScheduler.clearTimeout(timer);
+      expect(manualClock.pendingTimers()).to.equal(0);
+    });
+  });
+
+
+  describe('long delays', function() {
+    var THIRTY_DAYS = 30 * 24 * 60 * 60 * 1000;
+    var MAX_TIMER_DELAY = 2147483647;
+
+    var now;
+    var pendingTimer;
+    var timerClock;
+
+    beforeEach(function() {
+      now = 0;
+      pendingTimer = null;
+      timerClock = {
+        now: function() {
+          return now;
+        },
+        setTimeout: sinon.spy(function(callback, delay) {
+          pendingTimer = { callback: callback, delay: delay };
+          return pendingTimer;
+        }),
+        clearTimeout: sinon.spy(function() {
+          pendingTimer = null;
+        })
+      };
+    });
+
+    var fireUnderlyingTimer = function() {
+      var timer = pendingTimer;
+      pendingTimer = null;
+      now += timer.delay;
+      timer.callback();
+    };
+
+    it('should cap the delay of the underlying timer at the longest delay setTimeout() accepts', function() {
+      var longScheduler = new Scheduler(timerClock);
+      longScheduler.setTimeout(function() {}, THIRTY_DAYS);
+      expect(timerClock.setTimeout).to.have.been.calledOnce;
+      expect(timerClock.setTimeout.firstCall.args[1]).to.equal(MAX_TIMER_DELAY);
+    });
+
+    it('should re-arm the underlying timer until a timer with a long delay is due', function() {
+      var longScheduler = new Scheduler(timerClock);
+      var spy = sinon.spy();
+      longScheduler.setTimeout(spy, THIRTY_DAYS);
+
+      fireUnderlyingTimer();
+      expect(spy).to.not.have.been.called;
+      expect(timerClock.setTimeout).to.have.been.calledTwice;
+      expect(timerClock.setTimeout.secondCall.args[1]).to.equal(THIRTY_DAYS - MAX_TIMER_DELAY);
+      expect(longScheduler.size()).to.equal(1);
+
+      fireUnderlyingTimer();
+      expect(now).to.equal(THIRTY_DAYS);
+      expect(spy).to.have.been.calledOnce;
+      expect(pendingTimer).to.be.null;
+      expect(longScheduler.size()).to.equal(0);
+    });
+
+    it('should run timers with long delays with the global timers', function() {
+      var spy = sinon.spy();
+      scheduler.setTimeout(spy, THIRTY_DAYS);
+      clock.tick(THIRTY_DAYS - 1);
+      expect(spy).to.not.have.been.called;
+      expect(Object.keys(clock.timers)).to.have.length(1);
+      clock.tick(1);
+      expect(spy).to.have.been.calledOnce;
+    });
+  });
+
+
+  describe('batch()', function() {
+    var manualClock;
+    var clockScheduler;
+
+    beforeEach(function() {
+      manualClock = new ManualClock();
+      clockScheduler = new Scheduler(manualClock);
+      sinon.spy(manualClock, 'setTimeout');
+    });
+
+    it('should only set the underlying timer once the callback returns', function() {
+      var spy = sinon.spy();
+      clockScheduler.batch(function() {
+        clockScheduler.setTimeout(function() {}, 300);
+        clockScheduler.setTimeout(function() {}, 200);
+        clockScheduler.setTimeout(spy, 100);
+        expect(manualClock.setTimeout).to.not.have.been.called;
+      });
+      expect(manualClock.setTimeout).to.have.been.calledOnce;
+      manualClock.tick(100);
+      expect(spy).to.have.been.calledOnce;
+    });
+
+    it('should return the value returned by the callback', function() {
+      expect(clockScheduler.batch(function() {
+        return 'value';
+      })).to.equal('value');
+    });
+
+    it('should only set the underlying timer once the outermost callback returns', function() {
+      clockScheduler.batch(function() {
+        clockScheduler.batch(function() {
+          clockScheduler.setTimeout(function() {}, 200);
+        });
+        clockScheduler.setTimeout(function() {}, 100);
+        expect(manualClock.setTimeout).to.not.have.been.called;
+      });
+      expect(manualClock.setTimeout).to.have.been.calledOnce;
+    });
+
+    it('should set the underlying timer even if the callback throws an error', function() {
+      expect(function() {
+        clockScheduler.batch(function() {
+          clockScheduler.setTimeout(function() {}, 100);
+          throw new Error('Failed');
+        });
+      }).to.throw('Failed');
+      expect(manualClock.pendingTimers()).to.equal(1);
+    });
+  });
+
+
+  describe('unref option', function() {
+    var createUnrefScheduler = function(unref) {
+      var timer = { unref: sinon.spy() };
+      var setTimeoutStub = sinon.stub(global, 'setTimeout').returns(timer);
+
+      try {
+        new Scheduler({
+          now: function() {
+            return Date.now();
+          }
+        }, { unref: unref }).setTimeout(function() {}, 100);
+      } finally {
+        setTimeoutStub.restore();
+      }
+
+      return timer;
+    };
+
+    it('should unref the underlying timer if enabled', function() {
+      expect(createUnrefScheduler(true).unref).to.have.been.calledOnce;
+    });
+
+    it('should not unref the underlying timer by default', function() {
+      expect(createUnrefScheduler(false).unref).to.not.have.been.called;
+    });
+  });
+
+
+  describe('size()', function() {
+    it('should return the number of scheduled timers', function() {
+      expect(scheduler.size()).to.equal(0);
+      var timer = scheduler.setTimeout(function() {}, 100);
+      scheduler.setInterval(function() {}, 10);
+      expect(scheduler.size()).to.equal(2);
+      scheduler.clearTimeout(timer);
+      expect(scheduler.size()).to.equal(1);
+      clock.tick(1000);
+      expect(scheduler.size()).to.equal(1);
+    });
+  });
+});
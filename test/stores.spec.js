@@ -0,0 +1,555 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+var stores = require('../lib/stores.js');
+var codecs = require('../lib/codecs.js');
+var FakeRedisClient = require('./fakeRedisClient.js');
+
+chai.use(require('sinon-chai'));
+
+
+describe('stores', function() {
+  /**
+   * Defines the tests which every store must pass, given a function which creates a new store.
+   */
+  var describeStoreInterface = function(createStore) {
+    var store;
+
+    beforeEach(function() {
+      store = createStore();
+    });
+
+    it('should return undefined given a key which is not in the store', function() {
+      expect(store.get('key')).to.be.undefined;
+    });
+
+    it('should return the record set for a key', function() {
+      var record = { key: 'key', value: 'value' };
+      store.set('key', record);
+      expect(store.get('key')).to.equal(record);
+    });
+
+    it('should delete records', function() {
+      store.set('key', { key: 'key', value: 'value' });
+      store.delete('key');
+      expect(store.get('key')).to.be.undefined;
+      expect(store.keys()).to.deep.equal([]);
+    });
+
+    it('should return its keys in the order they were first set', function() {
+      store.set('key2', { key: 'key2', value: 'value2' });
+      store.set('key1', { key: 'key1', value: 'value1' });
+      store.set('key2', { key: 'key2', value: 'value3' });
+      expect(store.keys()).to.deep.equal(['key2', 'key1']);
+    });
+
+    it('should remove every record when cleared', function() {
+      store.set('key1', { key: 'key1', value: 'value1' });
+      store.set('key2', { key: 'key2', value: 'value2' });
+      store.clear();
+      expect(store.keys()).to.deep.equal([]);
+      expect(store.get('key1')).to.be.undefined;
+    });
+  };
+
+
+  describe('ObjectStore', function() {
+    describeStoreInterface(function() {
+      return new stores.ObjectStore();
+    });
+  });
+
+
+  describe('MapStore', function() {
+    describeStoreInterface(function() {
+      return new stores.MapStore();
+    });
+  });
+
+
+  describe('FileStore', function() {
+    var filePath;
+    var store;
+
+    beforeEach(function() {
+      filePath = path.join(os.tmpdir(), 'refreshable-cache-store-' + process.pid + '-' + Math.random().toString(36).slice(2) + '.json');
+      store = new stores.FileStore({ path: filePath });
+    });
+
+    afterEach(function(done) {
+      store.flush(function() {
+        fs.unlink(filePath, function() {
+          done();
+        });
+      });
+    });
+
+    describeStoreInterface(function() {
+      return store;
+    });
+
+    it('should throw an error given no path', function() {
+      expect(function() {
+        return new stores.FileStore({});
+      }).to.throw('Path must be a non-empty string');
+    });
+
+    it('should open empty given a file which does not exist', function(done) {
+      store.open(function(error) {
+        expect(error).to.be.null;
+        expect(store.keys()).to.deep.equal([]);
+        done();
+      });
+    });
+
+    it('should pass an error when opened given a file without records', function(done) {
+      fs.writeFile(filePath, '{}', function() {
+        store.open(function(error) {
+          expect(error.message).to.equal('File must contain an array of records');
+          done();
+        });
+      });
+    });
+
+    it('should write records through to the file so that a new store can read them', function(done) {
+      store.set('key1', { key: 'key1', value: 'value1', expiresAt: 1000, expirationTimeout: {} });
+      store.set('key2', { key: 'key2', value: 'value2' });
+      store.delete('key2');
+
+      store.flush(function(flushError) {
+        expect(flushError).to.be.null;
+
+        var newStore = new stores.FileStore({ path: filePath });
+        newStore.open(function(openError) {
+          expect(openError).to.be.null;
+          expect(newStore.keys()).to.deep.equal(['key1']);
+          expect(newStore.get('key1')).to.deep.equal({ key: 'key1', value: 'value1', expiresAt: 1000 });
+          done();
+        });
+      });
+    });
+
+    it('should combine changes made in the same tick into a single write', function(done) {
+      var writeSpy = sinon.spy(store._file, 'write');
+      store.set('key1', { key: 'key1', value: 'value1' });
+      store.set('key2', { key: 'key2', value: 'value2' });
+      store.flush(function() {
+        expect(writeSpy).to.have.been.calledOnce;
+        done();
+      });
+    });
+
+    it('should write changes made during a write once it is done', function(done) {
+      store.set('key1', { key: 'key1', value: 'value1' });
+      process.nextTick(function() {
+        store.set('key2', { key: 'key2', value: 'value2' });
+        store.flush(function() {
+          var newStore = new stores.FileStore({ path: filePath });
+          newStore.open(function() {
+            expect(newStore.keys()).to.deep.equal(['key1', 'key2']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should use the provided codec', function(done) {
+      store = new stores.FileStore({ path: filePath, codec: codecs.rich });
+      store.set('key', { key: 'key', value: new Date(0) });
+      store.flush(function() {
+        var newStore = new stores.FileStore({ path: filePath, codec: codecs.rich });
+        newStore.open(function() {
+          expect(newStore.get('key').value).to.be.an.instanceof(Date);
+          done();
+        });
+      });
+    });
+
+    it('should emit a "writeError" event and pass the error to flush() if a write fails', function(done) {
+      store = new stores.FileStore({ path: path.join(filePath, 'missing', 'file.json') });
+      var spy = sinon.spy();
+      store.on('writeError', spy);
+      store.set('key', { key: 'key', value: 'value' });
+      store.flush(function(error) {
+        expect(error).to.be.an.instanceof(Error);
+        expect(spy).to.have.been.calledWith(error);
+        done();
+      });
+    });
+  });
+
+
+  describe('RedisStore', function() {
+    var client;
+    var store;
+
+    beforeEach(function() {
+      client = new FakeRedisClient();
+      store = new stores.RedisStore({ client: client });
+    });
+
+    describeStoreInterface(function() {
+      return store;
+    });
+
+    it('should throw an error given no client', function() {
+      expect(function() {
+        return new stores.RedisStore({});
+      }).to.throw('Redis client must be provided');
+    });
+
+    it('should throw an error given a non-string prefix', function() {
+      expect(function() {
+        return new stores.RedisStore({ client: client, prefix: 1 });
+      }).to.throw('Prefix must be a string');
+    });
+
+    it('should write records through to Redis under the prefix', function(done) {
+      store.set('key', { key: 'key', value: 'value', refreshInterval: {} });
+      store.flush(function(error) {
+        expect(error).to.be.null;
+        expect(client.data).to.deep.equal({
+          'refreshable-cache:key': JSON.stringify({ key: 'key', value: 'value' })
+        });
+        done();
+      });
+    });
+
+    it('should expire records in Redis when they expire in the cache', function(done) {
+      store = new stores.RedisStore({ client: client, prefix: 'test:' });
+      store.set('key', { key: 'key', value: 'value', expiresAt: Date.now() + 60000 });
+      store.flush(function() {
+        expect(client.expiresAt['test:key']).to.be.within(Date.now() + 59000, Date.now() + 60000);
+        done();
+      });
+    });
+
+    it('should delete records from Redis', function(done) {
+      store.set('key1', { key: 'key1', value: 'value1' });
+      store.set('key2', { key: 'key2', value: 'value2' });
+      store.delete('key1');
+      store.flush(function() {
+        expect(Object.keys(client.data)).to.deep.equal(['refreshable-cache:key2']);
+        store.clear();
+        store.flush(function() {
+          expect(client.data).to.deep.equal({});
+          done();
+        });
+      });
+    });
+
+    it('should read the records with its prefix when opened', function(done) {
+      client.data['other:key'] = JSON.stringify({ key: 'key', value: 'other' });
+      store.set('key1', { key: 'key1', value: 'value1' });
+      store.set('key2', { key: 'key2', value: 'value2' });
+      store.flush(function() {
+        var newStore = new stores.RedisStore({ client: client });
+        newStore.open(function(error) {
+          expect(error).to.be.null;
+          expect(newStore.keys().sort()).to.deep.equal(['key1', 'key2']);
+          expect(newStore.get('key1')).to.deep.equal({ key: 'key1', value: 'value1' });
+          done();
+        });
+      });
+    });
+
+    it('should read the records a batch at a time with SCAN when opened', function(done) {
+      var i;
+      for (i = 0; i < 250; i++) {
+        client.data['refreshable-cache:key' + i] = JSON.stringify({ key: 'key' + i, value: i });
+      }
+      client.data['other:key'] = JSON.stringify({ key: 'key', value: 'other' });
+      sinon.spy(client, 'scan');
+      sinon.spy(client, 'mget');
+
+      store.open(function(error) {
+        expect(error).to.be.null;
+        expect(store.keys()).to.have.length(250);
+        expect(store.get('key249')).to.deep.equal({ key: 'key249', value: 249 });
+        expect(client.scan).to.have.callCount(3);
+        expect(client.scan.firstCall.args.slice(0, 5)).to.deep.equal(['0', 'MATCH', 'refreshable-cache:*', 'COUNT', 100]);
+        client.mget.args.forEach(function(args) {
+          expect(args[0].length).to.be.at.most(100);
+        });
+        done();
+      });
+    });
+
+    it('should escape glob characters in its prefix when opened', function(done) {
+      store = new stores.RedisStore({ client: client, prefix: 'a*[b]:' });
+      client.data['a*[b]:key1'] = JSON.stringify({ key: 'key1', value: 'value1' });
+      client.data['aX[b]:key2'] = JSON.stringify({ key: 'key2', value: 'value2' });
+      client.data['a*b:key3'] = JSON.stringify({ key: 'key3', value: 'value3' });
+      store.open(function(error) {
+        expect(error).to.be.null;
+        expect(store.keys()).to.deep.equal(['key1']);
+        done();
+      });
+    });
+
+    it('should pass an error when opened given a failed SCAN', function(done) {
+      var error = new Error('scan failed');
+      client.scan = function() {
+        arguments[arguments.length - 1](error);
+      };
+      store.open(function(openError) {
+        expect(openError).to.equal(error);
+        done();
+      });
+    });
+
+    it('should open empty given no records with its prefix', function(done) {
+      store.open(function(error) {
+        expect(error).to.be.null;
+        expect(store.keys()).to.deep.equal([]);
+        done();
+      });
+    });
+
+    it('should pass an error when opened given a record which cannot be decoded', function(done) {
+      client.data['refreshable-cache:key'] = 'not json';
+      store.open(function(error) {
+        expect(error).to.be.an.instanceof(SyntaxError);
+        done();
+      });
+    });
+
+    it('should emit a "writeError" event and pass the first error to flush() if writes fail', function(done) {
+      var error = new Error('write failed');
+      var spy = sinon.spy();
+      client.writeError = error;
+      store.on('writeError', spy);
+      store.set('key1', { key: 'key1', value: 'value1' });
+      store.set('key2', { key: 'key2', value: 'value2' });
+      store.flush(function(flushError) {
+        expect(flushError).to.equal(error);
+        expect(spy).to.have.been.calledTwice;
+
+        client.writeError = null;
+        store.flush(function(nextFlushError) {
+          expect(nextFlushError).to.be.null;
+          done();
+        });
+      });
+    });
+
+    it('should emit a "writeError" event given a record which cannot be encoded', function() {
+      var spy = sinon.spy();
+      var record = { key: 'key' };
+      record.value = record;
+      store.on('writeError', spy);
+      store.set('key', record);
+      expect(spy).to.have.been.calledOnce;
+      expect(store.get('key')).to.equal(record);
+    });
+
+    it('should throw an error given a subscriber which is not a client', function() {
+      expect(function() {
+        return new stores.RedisStore({ client: client, subscriber: null });
+      }).to.throw('Redis subscriber must be a client');
+    });
+
+    it('should throw an error given the Redis client as its subscriber', function() {
+      expect(function() {
+        return new stores.RedisStore({ client: client, subscriber: client });
+      }).to.throw('Redis subscriber must be a different client than the Redis client');
+    });
+
+    it('should fetch records from Redis without setting them', function(done) {
+      client.data['refreshable-cache:key'] = JSON.stringify({ key: 'key', value: 'value' });
+      store.fetch('key', function(error, record) {
+        expect(error).to.be.null;
+        expect(record).to.deep.equal({ key: 'key', value: 'value' });
+        expect(store.get('key')).to.be.undefined;
+
+        store.fetch('otherKey', function(otherError, otherRecord) {
+          expect(otherError).to.be.null;
+          expect(otherRecord).to.be.null;
+          done();
+        });
+      });
+    });
+
+    it('should pass an error when fetching a record which cannot be decoded', function(done) {
+      client.data['refreshable-cache:key'] = 'not json';
+      store.fetch('key', function(error, record) {
+        expect(error).to.be.an.instanceof(SyntaxError);
+        expect(record).to.be.null;
+        done();
+      });
+    });
+
+    it('should not write a fetched record back to Redis when it is first set', function(done) {
+      client.data['refreshable-cache:key'] = JSON.stringify({ key: 'key', value: 'value' });
+      store.fetch('key', function(error, record) {
+        sinon.spy(client, 'set');
+        store.set('key', record);
+        expect(client.set).not.to.have.been.called;
+        expect(store.get('key')).to.equal(record);
+
+        record.value = 'newValue';
+        store.set('key', record);
+        expect(client.set).to.have.been.calledOnce;
+        done();
+      });
+    });
+
+    it('should not publish changes without a subscriber', function(done) {
+      sinon.spy(client, 'publish');
+      store.set('key', { key: 'key', value: 'value' });
+      store.delete('key');
+      store.flush(function() {
+        expect(client.publish).not.to.have.been.called;
+        done();
+      });
+    });
+
+    describe('shared with other processes', function() {
+      var otherClient;
+      var otherStore;
+
+      beforeEach(function(done) {
+        store = new stores.RedisStore({ client: client, subscriber: client.duplicate() });
+        otherClient = client.duplicate();
+        otherStore = new stores.RedisStore({ client: otherClient, subscriber: otherClient.duplicate() });
+        store.open(function() {
+          otherStore.open(done);
+        });
+      });
+
+      it('should publish changes to values and deletions, but not changes to timing only', function(done) {
+        var record = { key: 'key', value: 'value', updatedAt: 1, lastAccessedAt: 1 };
+        sinon.spy(client, 'publish');
+        store.set('key', record);
+        record.lastAccessedAt = 2;
+        store.set('key', record);
+        expect(client.publish).to.have.been.calledOnce;
+
+        record.updatedAt = 2;
+        store.set('key', record);
+        store.delete('key');
+        store.set('key', record);
+        store.clear();
+        store.flush(function(error) {
+          expect(error).to.be.null;
+          expect(client.publish).to.have.callCount(5);
+          expect(client.publish.firstCall.args[0]).to.equal('refreshable-cache:invalidations');
+          expect(JSON.parse(client.publish.lastCall.args[1]).key).to.be.null;
+          done();
+        });
+      });
+
+      it('should drop the records other stores change and emit "invalidate" events for their keys', function(done) {
+        var spy = sinon.spy();
+        var otherSpy = sinon.spy();
+        var otherRecord = { key: 'key', value: 'value' };
+        store.on('invalidate', spy);
+        otherStore.on('invalidate', otherSpy);
+        otherStore.set('key', otherRecord);
+        otherStore.flush(function() {
+          store.set('key', { key: 'key', value: 'newValue' });
+          store.flush(function() {
+            expect(spy).to.have.been.calledOnce;
+            expect(spy).to.have.been.calledWithExactly('key', undefined);
+            expect(otherSpy).to.have.been.calledOnce;
+            expect(otherSpy).to.have.been.calledWithExactly('key', otherRecord);
+            expect(otherStore.get('key')).to.be.undefined;
+            expect(store.get('key')).to.deep.equal({ key: 'key', value: 'newValue' });
+            done();
+          });
+        });
+      });
+
+      it('should drop every record when another store is cleared', function(done) {
+        var otherSpy = sinon.spy();
+        otherStore.on('invalidate', otherSpy);
+        otherStore.set('key1', { key: 'key1', value: 'value1' });
+        otherStore.set('key2', { key: 'key2', value: 'value2' });
+        store.set('key3', { key: 'key3', value: 'value3' });
+        store.clear();
+        store.flush(function() {
+          expect(otherSpy).to.have.callCount(4);
+          expect(otherSpy.getCall(1)).to.have.been.calledWithExactly('key1', { key: 'key1', value: 'value1' });
+          expect(otherSpy.getCall(2)).to.have.been.calledWithExactly('key2', { key: 'key2', value: 'value2' });
+          expect(otherSpy.getCall(3)).to.have.been.calledWithExactly(null);
+          expect(otherStore.keys()).to.deep.equal([]);
+          done();
+        });
+      });
+
+      it('should fetch a record again if another store changes it while it is read', function(done) {
+        client.data['refreshable-cache:key'] = JSON.stringify({ key: 'key', value: 'oldValue' });
+        var get = otherClient.get;
+        otherClient.get = function(key, callback) {
+          var value = client.data[key];
+          otherClient.get = get;
+          store.set('key', { key: 'key', value: 'newValue' });
+          store.flush(function() {
+            callback(null, value);
+          });
+        };
+
+        otherStore.fetch('key', function(error, record) {
+          expect(error).to.be.null;
+          expect(record).to.deep.equal({ key: 'key', value: 'newValue' });
+          done();
+        });
+      });
+
+      it('should not keep a record read when opened if another store changes it meanwhile', function(done) {
+        client.data['refreshable-cache:key'] = JSON.stringify({ key: 'key', value: 'oldValue' });
+        var newClient = client.duplicate();
+        var newStore = new stores.RedisStore({ client: newClient, subscriber: newClient.duplicate() });
+        var mget = newClient.mget;
+        newClient.mget = function(keys, callback) {
+          var values = keys.map(function(key) {
+            return client.data[key];
+          });
+          store.set('key', { key: 'key', value: 'newValue' });
+          store.flush(function() {
+            callback(null, values);
+          });
+        };
+
+        newStore.open(function(error) {
+          newClient.mget = mget;
+          expect(error).to.be.null;
+          expect(newStore.get('key')).to.be.undefined;
+          done();
+        });
+      });
+
+      it('should pass an error when opened given a failed SUBSCRIBE', function(done) {
+        var error = new Error('subscribe failed');
+        var subscriber = client.duplicate();
+        subscriber.subscribe = function(channel, callback) {
+          callback(error);
+        };
+        var newStore = new stores.RedisStore({ client: client, subscriber: subscriber });
+        newStore.open(function(openError) {
+          expect(openError).to.equal(error);
+          expect(subscriber.listeners('message')).to.have.length(0);
+          done();
+        });
+      });
+
+      it('should stop dropping records once closed', function(done) {
+        var otherSpy = sinon.spy();
+        otherStore.on('invalidate', otherSpy);
+        otherStore.set('key', { key: 'key', value: 'value' });
+        otherStore.close();
+        store.set('key', { key: 'key', value: 'newValue' });
+        store.flush(function() {
+          expect(otherSpy).not.to.have.been.called;
+          expect(otherStore.get('key')).to.deep.equal({ key: 'key', value: 'value' });
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,512 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+var RefreshableCache = require('../index.js');
+var FakeRedisClient = require('./fakeRedisClient.js');
+
+chai.use(require('sinon-chai'));
+
+
+describe('TieredCache', function() {
+  var clock;
+  var l1;
+  var l2;
+  var cache;
+
+  beforeEach(function() {
+    clock = sinon.useFakeTimers();
+
+    l1 = new RefreshableCache({ maxEntries: 2 });
+    l2 = new RefreshableCache();
+    cache = new RefreshableCache.TieredCache({ l1: l1, l2: l2 });
+  });
+
+  afterEach(function() {
+    cache.destroy();
+    clock.restore();
+  });
+
+
+  describe('constructor', function() {
+    it('should throw an error given an invalid L1 cache', function() {
+      [undefined, null, 'foo', {}, new RefreshableCache.MapStore()].forEach(function(l1Cache) {
+        expect(function() {
+          return new RefreshableCache.TieredCache({ l1: l1Cache, l2: l2 });
+        }).to.throw('L1 cache must be a RefreshableCache');
+      });
+    });
+
+    it('should throw an error given an invalid L2 cache', function() {
+      expect(function() {
+        return new RefreshableCache.TieredCache({ l1: l1 });
+      }).to.throw('L2 cache must be a RefreshableCache');
+      expect(function() {
+        return new RefreshableCache.TieredCache({ l1: l1, l2: new RefreshableCache.MapStore() });
+      }).to.throw('L2 cache must be a RefreshableCache');
+    });
+
+    it('should throw an error given the same cache for both tiers', function() {
+      expect(function() {
+        return new RefreshableCache.TieredCache({ l1: l1, l2: l1 });
+      }).to.throw('L1 and L2 caches must be different caches');
+    });
+
+    it('should expose both tiers', function() {
+      expect(cache.l1).to.equal(l1);
+      expect(cache.l2).to.equal(l2);
+    });
+  });
+
+
+  describe('get()', function() {
+    it('should return the value from L1 without reading L2', function() {
+      cache.put('key', 'value');
+      sinon.spy(l2, 'get');
+      expect(cache.get('key')).to.equal('value');
+      expect(l2.get).to.not.have.been.called;
+    });
+
+    it('should fall through to L2 and promote the value into L1', function() {
+      l2.put('key', 'value');
+      expect(l1.has('key')).to.be.false;
+      expect(cache.get('key')).to.equal('value');
+      expect(l1.get('key')).to.equal('value');
+    });
+
+    it('should return null without promoting anything given a key in neither tier', function() {
+      expect(cache.get('key')).to.be.null;
+      expect(l1.size()).to.equal(0);
+    });
+
+    it('should keep a promoted key in L1 no longer than it has left in L2', function() {
+      l2.put('key', 'value', 1000);
+      clock.tick(400);
+      cache.get('key');
+      expect(l1.ttl('key')).to.equal(600);
+      clock.tick(600);
+      expect(l1.has('key')).to.be.false;
+    });
+
+    it('should keep L1\'s shorter ttl for promoted keys', function() {
+      cache.destroy();
+      l1 = new RefreshableCache({ ttl: 100 });
+      l2 = new RefreshableCache({ ttl: 1000 });
+      cache = new RefreshableCache.TieredCache({ l1: l1, l2: l2 });
+      l2.put('key', 'value');
+      cache.get('key');
+      expect(l1.ttl('key')).to.equal(100);
+      clock.tick(100);
+      expect(l1.has('key')).to.be.false;
+      expect(cache.get('key')).to.equal('value');
+    });
+
+    it('should return L2\'s negative values for keys in neither tier', function() {
+      cache.destroy();
+      l1 = new RefreshableCache();
+      l2 = new RefreshableCache({ negativeTtl: 1000 });
+      cache = new RefreshableCache.TieredCache({ l1: l1, l2: l2 });
+      return cache.getOrLoad('key', function() {
+        return null;
+      }).then(function(value) {
+        expect(value).to.be.null;
+        expect(cache.get('key')).to.equal(RefreshableCache.ABSENT);
+        expect(l1.size()).to.equal(0);
+      });
+    });
+  });
+
+
+  describe('peek()', function() {
+    it('should return the value from either tier without promoting it', function() {
+      cache.put('key1', 'value1');
+      l2.put('key2', 'value2');
+      expect(cache.peek('key1')).to.equal('value1');
+      expect(cache.peek('key2')).to.equal('value2');
+      expect(cache.peek('key3')).to.be.null;
+      expect(l1.keys()).to.deep.equal(['key1']);
+    });
+  });
+
+
+  describe('has()', function() {
+    it('should return whether or not the key is in either tier', function() {
+      cache.put('key1', 'value1');
+      l2.put('key2', 'value2');
+      expect(cache.has('key1')).to.be.true;
+      expect(cache.has('key2')).to.be.true;
+      expect(cache.has('key3')).to.be.false;
+      expect(l1.has('key2')).to.be.false;
+    });
+  });
+
+
+  describe('put()', function() {
+    it('should write the value to both tiers and return it', function() {
+      expect(cache.put('key', 'value')).to.equal('value');
+      expect(l1.get('key')).to.equal('value');
+      expect(l2.get('key')).to.equal('value');
+    });
+
+    it('should apply the write options to L2', function() {
+      var loader = sinon.stub().returns('refreshed');
+      cache.put('key1', 'value1', 1000);
+      cache.put('key2', 'value2', { refreshInterval: 100, loader: loader, tags: ['tag'] });
+      expect(l2.ttl('key1')).to.equal(1000);
+      expect(l1.ttl('key1')).to.equal(1000);
+      expect(l2.getEntry('key2').tags).to.deep.equal(['tag']);
+      expect(l1.getEntry('key2').tags).to.deep.equal([]);
+      clock.tick(100);
+      expect(loader).to.have.been.calledOnce;
+      expect(cache.get('key2')).to.equal('refreshed');
+    });
+
+    it('should replace a value which is already in both tiers', function() {
+      cache.put('key', 'value1');
+      cache.put('key', 'value2');
+      expect(l1.get('key')).to.equal('value2');
+      expect(l2.get('key')).to.equal('value2');
+    });
+
+    it('should not write a value to L1 which L2 does not cache', function() {
+      cache.put('key', 'value1');
+      cache.put('key', 'value2', {
+        ttl: function() {
+          return 0;
+        }
+      });
+      expect(cache.has('key')).to.be.false;
+      expect(l1.has('key')).to.be.false;
+    });
+
+    it('should throw an error given invalid write options', function() {
+      expect(function() {
+        cache.put('key', 'value', -100);
+      }).to.throw('Expiration time must be a positive number');
+      expect(l1.has('key')).to.be.false;
+    });
+  });
+
+
+  describe('getOrLoad()', function() {
+    it('should resolve with the value from L1 without calling the loader', function() {
+      var loader = sinon.spy();
+      cache.put('key', 'value');
+      return cache.getOrLoad('key', loader).then(function(value) {
+        expect(value).to.equal('value');
+        expect(loader).to.not.have.been.called;
+      });
+    });
+
+    it('should resolve with the value from L2 and promote it', function() {
+      var loader = sinon.spy();
+      l2.put('key', 'value');
+      return cache.getOrLoad('key', loader).then(function(value) {
+        expect(value).to.equal('value');
+        expect(l1.get('key')).to.equal('value');
+        expect(loader).to.not.have.been.called;
+      });
+    });
+
+    it('should load a key in neither tier into L2 and promote it', function() {
+      return cache.getOrLoad('key', function(key) {
+        return Promise.resolve(key + '-loaded');
+      }, { ttl: 1000 }).then(function(value) {
+        expect(value).to.equal('key-loaded');
+        expect(l2.get('key')).to.equal('key-loaded');
+        expect(l2.ttl('key')).to.equal(1000);
+        expect(l1.get('key')).to.equal('key-loaded');
+      });
+    });
+
+    it('should be rejected without writing to either tier if the loader fails', function() {
+      var error = new Error('Loader failed');
+      return cache.getOrLoad('key', function() {
+        throw error;
+      }).then(function() {
+        throw new Error('Expected the Promise to be rejected');
+      }, function(loadError) {
+        expect(loadError).to.equal(error);
+        expect(l1.size()).to.equal(0);
+        expect(l2.size()).to.equal(0);
+      });
+    });
+  });
+
+
+  describe('del()', function() {
+    it('should remove the key from both tiers', function() {
+      cache.put('key', 'value');
+      expect(cache.del('key')).to.be.true;
+      expect(l1.has('key')).to.be.false;
+      expect(l2.has('key')).to.be.false;
+      expect(cache.del('key')).to.be.false;
+    });
+
+    it('should remove a key which is only in L1', function() {
+      l1.put('key', 'value');
+      expect(cache.del('key')).to.be.true;
+      expect(l1.has('key')).to.be.false;
+    });
+  });
+
+
+  describe('invalidateTag()', function() {
+    it('should remove the keys with the tag from both tiers', function() {
+      cache.put('key1', 'value1', { tags: ['tag'] });
+      cache.put('key2', 'value2');
+      expect(cache.invalidateTag('tag')).to.equal(1);
+      expect(l1.keys()).to.deep.equal(['key2']);
+      expect(l2.keys()).to.deep.equal(['key2']);
+    });
+  });
+
+
+  describe('clear()', function() {
+    it('should remove every key from both tiers', function() {
+      cache.put('key1', 'value1');
+      l1.put('key2', 'value2');
+      cache.clear();
+      expect(l1.size()).to.equal(0);
+      expect(l2.size()).to.equal(0);
+    });
+  });
+
+
+  describe('keys() and size()', function() {
+    it('should return the keys in L2', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      cache.put('key3', 'value3');
+      expect(l1.size()).to.equal(2);
+      expect(cache.keys()).to.deep.equal(['key1', 'key2', 'key3']);
+      expect(cache.size()).to.equal(3);
+    });
+  });
+
+
+  describe('invalidation', function() {
+    it('should remove a key from L1 once it expires from L2', function() {
+      cache.put('key', 'value', 1000);
+      l1.persist('key');
+      clock.tick(1000);
+      expect(l1.has('key')).to.be.false;
+    });
+
+    it('should remove a key from L1 once it is refreshed in L2', function() {
+      var values = ['value2', 'value3'];
+      cache.put('key', 'value1', {
+        refreshInterval: 100,
+        loader: function() {
+          return values.shift();
+        }
+      });
+      clock.tick(100);
+      expect(l1.has('key')).to.be.false;
+      expect(cache.get('key')).to.equal('value2');
+      expect(l1.get('key')).to.equal('value2');
+    });
+
+    it('should remove a key from L1 once it is written or deleted in L2', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      l2.put('key1', 'value3');
+      l2.del('key2');
+      expect(l1.size()).to.equal(0);
+      expect(cache.get('key1')).to.equal('value3');
+    });
+
+    it('should remove a key from L1 once it is evicted from L2', function() {
+      cache.destroy();
+      l1 = new RefreshableCache();
+      l2 = new RefreshableCache({ maxEntries: 1 });
+      cache = new RefreshableCache.TieredCache({ l1: l1, l2: l2 });
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      expect(l1.keys()).to.deep.equal(['key2']);
+    });
+
+    it('should clear L1 once L2 is cleared', function() {
+      cache.put('key1', 'value1');
+      l1.put('key2', 'value2');
+      l2.clear();
+      expect(l1.size()).to.equal(0);
+    });
+
+    it('should not remove a key from L2 once it is evicted from L1', function() {
+      cache.put('key1', 'value1');
+      cache.put('key2', 'value2');
+      cache.put('key3', 'value3');
+      expect(l1.keys()).to.deep.equal(['key2', 'key3']);
+      expect(cache.get('key1')).to.equal('value1');
+    });
+  });
+
+
+  describe('destroy()', function() {
+    it('should destroy both tiers and stop propagating L2\'s changes', function() {
+      var tieredCache = new RefreshableCache.TieredCache({
+        l1: new RefreshableCache(),
+        l2: new RefreshableCache()
+      });
+      var spy = sinon.spy(tieredCache.l1, 'del');
+      tieredCache.destroy();
+      expect(tieredCache.l2.listeners('delete')).to.deep.equal([]);
+      expect(function() {
+        tieredCache.l1.put('key', 'value');
+      }).to.throw('Cannot write to a destroyed cache');
+      expect(function() {
+        tieredCache.l2.put('key', 'value');
+      }).to.throw('Cannot write to a destroyed cache');
+      expect(spy).to.not.have.been.called;
+    });
+  });
+
+
+  describe('with a Redis store', function() {
+    var openStore = function(client) {
+      var store = new RefreshableCache.RedisStore({ client: client });
+      return new Promise(function(resolve) {
+        store.open(function() {
+          resolve(store);
+        });
+      });
+    };
+
+    it('should start with the keys L2 had before a restart and promote them into L1', function() {
+      var client = new FakeRedisClient();
+      var store1 = new RefreshableCache.RedisStore({ client: client });
+      var tieredCache1 = new RefreshableCache.TieredCache({
+        l1: new RefreshableCache(),
+        l2: new RefreshableCache({ store: store1 })
+      });
+
+      tieredCache1.put('key', 'value', 1000);
+
+      return new Promise(function(resolve) {
+        store1.flush(resolve);
+      }).then(function() {
+        tieredCache1.destroy();
+        return openStore(client);
+      }).then(function(store2) {
+        var tieredCache2 = new RefreshableCache.TieredCache({
+          l1: new RefreshableCache(),
+          l2: new RefreshableCache({ store: store2 })
+        });
+        expect(tieredCache2.l1.has('key')).to.be.false;
+        expect(tieredCache2.get('key')).to.equal('value');
+        expect(tieredCache2.l1.get('key')).to.equal('value');
+        expect(tieredCache2.l1.ttl('key')).to.equal(1000);
+        tieredCache2.destroy();
+      });
+    });
+
+    describe('shared with other processes', function() {
+      var client;
+      var stores;
+      var tieredCache1;
+      var tieredCache2;
+
+      /**
+       * Returns a Promise which resolves with an opened Redis store which shares the fake Redis
+       * with the other stores and is subscribed to their changes.
+       */
+      var openSharedStore = function() {
+        var storeClient = client.duplicate();
+        var store = new RefreshableCache.RedisStore({ client: storeClient, subscriber: storeClient.duplicate() });
+        return new Promise(function(resolve) {
+          store.open(function() {
+            resolve(store);
+          });
+        });
+      };
+
+      /**
+       * Returns a Promise which resolves once the provided store's changes have been written and
+       * published.
+       */
+      var flush = function(store) {
+        return new Promise(function(resolve) {
+          store.flush(resolve);
+        });
+      };
+
+      beforeEach(function() {
+        client = new FakeRedisClient();
+        return Promise.all([openSharedStore(), openSharedStore()]).then(function(openedStores) {
+          stores = openedStores;
+          tieredCache1 = new RefreshableCache.TieredCache({
+            l1: new RefreshableCache(),
+            l2: new RefreshableCache({ store: stores[0] })
+          });
+          tieredCache2 = new RefreshableCache.TieredCache({
+            l1: new RefreshableCache(),
+            l2: new RefreshableCache({ store: stores[1] })
+          });
+        });
+      });
+
+      afterEach(function() {
+        tieredCache1.destroy();
+        tieredCache2.destroy();
+        stores[0].close();
+        stores[1].close();
+      });
+
+      it('should read keys another process wrote through L2 instead of loading them', function() {
+        var loader = sinon.spy();
+        tieredCache1.put('key', 'value', 1000);
+
+        return flush(stores[0]).then(function() {
+          return tieredCache2.getOrLoad('key', loader);
+        }).then(function(value) {
+          expect(value).to.equal('value');
+          expect(loader).not.to.have.been.called;
+          expect(tieredCache2.l2.get('key')).to.equal('value');
+          expect(tieredCache2.l1.get('key')).to.equal('value');
+          expect(tieredCache2.l1.ttl('key')).to.be.within(1, 1000);
+        });
+      });
+
+      it('should remove keys from both tiers when another process updates or deletes them', function() {
+        var loader = sinon.spy();
+        tieredCache1.put('key1', 'value1');
+        tieredCache1.put('key2', 'value2');
+
+        return flush(stores[0]).then(function() {
+          return Promise.all([tieredCache2.getOrLoad('key1', loader), tieredCache2.getOrLoad('key2', loader)]);
+        }).then(function() {
+          expect(tieredCache2.l1.keys()).to.deep.equal(['key1', 'key2']);
+
+          tieredCache1.put('key1', 'newValue1');
+          tieredCache1.del('key2');
+          return flush(stores[0]);
+        }).then(function() {
+          expect(tieredCache2.l1.keys()).to.deep.equal([]);
+          expect(tieredCache2.l2.keys()).to.deep.equal([]);
+          return Promise.all([tieredCache2.getOrLoad('key1', loader), tieredCache2.getOrLoad('key2', function() {
+            return 'loadedValue2';
+          })]);
+        }).then(function(values) {
+          expect(values).to.deep.equal(['newValue1', 'loadedValue2']);
+          expect(loader).not.to.have.been.called;
+        });
+      });
+
+      it('should not invalidate other processes when only the timing of a key changes', function() {
+        var loader = sinon.spy();
+        tieredCache1.put('key', 'value', 1000);
+
+        return flush(stores[0]).then(function() {
+          return tieredCache2.getOrLoad('key', loader);
+        }).then(function() {
+          tieredCache1.l2.touch('key');
+          return flush(stores[0]);
+        }).then(function() {
+          expect(tieredCache2.l1.get('key')).to.equal('value');
+        });
+      });
+    });
+  });
+});